@@ -0,0 +1,338 @@
+/**
+ * ShadowWatch AI - Admin System
+ * Game master commands with role-based permissions and an audit log of every attempt
+ */
+
+import EventLog from './event-log.js';
+import { WEATHER_TYPES } from './environment-system.js';
+
+// Lowest first; each role can run everything the roles below it can
+export const ADMIN_ROLES = ['player', 'moderator', 'gamemaster', 'admin'];
+
+// Minimum role and usage per command
+export const ADMIN_COMMANDS = {
+    'teleport': { role: 'moderator', usage: 'teleport <player> <zone> | teleport <player> <x> <y>' },
+    'kill': { role: 'moderator', usage: 'kill <player|npc id>' },
+    'revive': { role: 'moderator', usage: 'revive <player|npc id>' },
+    'give-item': { role: 'gamemaster', usage: 'give-item <player> <item id|template name>' },
+    'take-item': { role: 'gamemaster', usage: 'take-item <player> <item id>' },
+    'set-stat': { role: 'gamemaster', usage: 'set-stat <player|npc id> <stat> <value>' },
+    'spawn-npc': { role: 'gamemaster', usage: 'spawn-npc <type> <zone>' },
+    'trigger-event': { role: 'gamemaster', usage: 'trigger-event <zone> <type>' },
+    'complete-quest': { role: 'gamemaster', usage: 'complete-quest <player> <quest>' },
+    'set-time': { role: 'admin', usage: 'set-time <hour> [minute]' },
+    'set-weather': { role: 'admin', usage: 'set-weather <zone|all> <weather>' },
+    'grant': { role: 'admin', usage: 'grant <name> <role>' },
+    'audit': { role: 'admin', usage: 'audit [count]' }
+};
+
+const DEFAULT_OPTIONS = {
+    roles: null, // { name: role } or 'name:role,name:role'; everyone else is a player
+    auditFile: null, // NDJSON file every command attempt is appended to
+    auditLimit: 1000
+};
+
+class AdminSystem {
+    constructor(gameEngine, options = {}) {
+        this.engine = gameEngine;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+
+        // Grants made with the grant command last until restart; standing roles come from config
+        this.roles = new Map(Object.entries(parseRoles(this.options.roles)));
+        this.audit = new EventLog({ file: this.options.auditFile, limit: this.options.auditLimit });
+        this.sequence = 0;
+    }
+
+    // #region Commands
+
+    // Checks the actor's role, runs the command and records the attempt either way
+    run(actor, command, args = []) {
+        const definition = ADMIN_COMMANDS[command];
+        let result;
+
+        if (!definition) {
+            result = { success: false, error: `Unknown admin command '${command}'` };
+        } else {
+            const permission = this.checkPermission(actor, command);
+            result = permission.allowed
+                ? this.execute(command, args, definition)
+                : { success: false, error: permission.reason };
+        }
+
+        this.record(actor, command, args, result);
+        return result;
+    }
+
+    execute(command, args, definition) {
+        const usage = { success: false, error: `Usage: ${definition.usage}` };
+
+        switch (command) {
+            case 'teleport': return args.length < 2 ? usage : this.teleport(args[0], args.slice(1));
+            case 'kill': return args.length < 1 ? usage : this.kill(args[0]);
+            case 'revive': return args.length < 1 ? usage : this.revive(args[0]);
+            case 'give-item': return args.length < 2 ? usage : this.giveItem(args[0], args.slice(1).join(' '));
+            case 'take-item': return args.length < 2 ? usage : this.takeItem(args[0], args[1]);
+            case 'set-stat': return args.length < 3 ? usage : this.setStat(args[0], args[1], args[2]);
+            case 'spawn-npc': return args.length < 2 ? usage : this.spawnNPC(args[0], args[1]);
+            case 'trigger-event': return args.length < 2 ? usage : this.triggerEvent(args[0], args[1]);
+            case 'complete-quest': return args.length < 2 ? usage : this.completeQuest(args[0], args[1]);
+            case 'set-time': return args.length < 1 ? usage : this.setTime(args[0], args[1]);
+            case 'set-weather': return args.length < 2 ? usage : this.setWeather(args[0], args[1]);
+            case 'grant': return args.length < 2 ? usage : this.grant(args[0], args[1]);
+            case 'audit': return { success: true, entries: this.getAuditLog({ limit: Number(args[0]) || undefined }) };
+            default: return usage;
+        }
+    }
+
+    teleport(playerName, destination) {
+        const player = this.findPlayer(playerName);
+        if (!player) return notFound('Player', playerName);
+
+        let position;
+        if (destination.length >= 2) {
+            const [x, y] = destination.map(Number);
+            if (!Number.isFinite(x) || !Number.isFinite(y)) {
+                return { success: false, error: 'Coordinates must be numbers' };
+            }
+            position = { x, y, z: 0 };
+        } else {
+            const zone = this.engine.getZone(destination[0]);
+            if (!zone) return notFound('Zone', destination[0]);
+            position = { x: zone.bounds.x + zone.bounds.width / 2, y: zone.bounds.y + zone.bounds.height / 2, z: 0 };
+        }
+
+        if (!this.engine.movePlayer(player.id, position)) {
+            return { success: false, error: `${player.username} can't be moved there` };
+        }
+        return { success: true, playerId: player.id, position, zoneId: player.zoneId || null };
+    }
+
+    // No killer and no experience: a GM kill isn't a win for anyone
+    kill(targetName) {
+        const target = this.findEntity(targetName);
+        if (!target) return notFound('Target', targetName);
+        if (target.stats.health <= 0) {
+            return { success: false, error: `${this.engine.getDisplayName(target)} is already dead` };
+        }
+
+        const combat = this.engine.getCombatForEntity(target.id);
+        target.stats.health = 0;
+        this.engine.eventBus.publish('entity.defeated', { entityId: target.id, combatId: combat?.id || null, winnerId: null, experience: 0 });
+        if (combat) {
+            this.engine.checkCombatEndConditions(combat);
+        }
+        return { success: true, entityId: target.id };
+    }
+
+    revive(targetName) {
+        const target = this.findEntity(targetName);
+        if (!target) return notFound('Target', targetName);
+        if (target.stats.health > 0) {
+            return { success: false, error: `${this.engine.getDisplayName(target)} is not dead` };
+        }
+
+        target.stats.health = target.stats.maxHealth;
+        if (target.stats.maxMana !== undefined) {
+            target.stats.mana = target.stats.maxMana;
+        }
+        this.engine.eventBus.publish('entity.revived', { entityId: target.id });
+        return { success: true, entityId: target.id };
+    }
+
+    // Item IDs hand over that item; a template name creates a fresh copy
+    giveItem(playerName, itemName) {
+        const player = this.findPlayer(playerName);
+        if (!player) return notFound('Player', playerName);
+
+        let itemId = this.engine.items.has(itemName) ? itemName : null;
+        if (!itemId) {
+            const template = this.engine.loot.getTemplate(itemName);
+            if (!template) return notFound('Item', itemName);
+
+            const item = this.engine.createItem(template, null);
+            this.engine.items.set(item.id, item);
+            itemId = item.id;
+        }
+
+        this.engine.giveItem(player.id, itemId);
+        return { success: true, playerId: player.id, itemId };
+    }
+
+    takeItem(playerName, itemId) {
+        const player = this.findPlayer(playerName);
+        if (!player) return notFound('Player', playerName);
+
+        if (!this.engine.takeItem(player.id, itemId)) {
+            return { success: false, error: `${player.username} doesn't have '${itemId}'` };
+        }
+        return { success: true, playerId: player.id, itemId };
+    }
+
+    // Only existing numeric stats; health and mana stay within their maximums
+    setStat(targetName, stat, text) {
+        const target = this.findEntity(targetName);
+        if (!target) return notFound('Target', targetName);
+
+        const value = Number(text);
+        if (typeof target.stats[stat] !== 'number') {
+            return { success: false, error: `Unknown stat '${stat}'` };
+        }
+        if (!Number.isFinite(value) || value < 0) {
+            return { success: false, error: 'Value must be a number of at least 0' };
+        }
+
+        const maximum = { health: target.stats.maxHealth, mana: target.stats.maxMana }[stat];
+        const previous = target.stats[stat];
+        target.stats[stat] = maximum !== undefined ? Math.min(value, maximum) : value;
+        return { success: true, entityId: target.id, stat, previous, value: target.stats[stat] };
+    }
+
+    spawnNPC(npcType, zoneId) {
+        const zone = this.engine.getZone(zoneId);
+        if (!zone) return notFound('Zone', zoneId);
+        if (!this.engine.content.npcProfiles.has(npcType)) return notFound('NPC type', npcType);
+
+        const npc = this.engine.registerNPC(this.engine.createNPC(zone, npcType));
+        return { success: true, npcId: npc.id, name: npc.name, position: npc.position };
+    }
+
+    triggerEvent(zoneId, eventType) {
+        const zone = this.engine.getZone(zoneId);
+        if (!zone) return notFound('Zone', zoneId);
+        if (!this.engine.getEventEffects(eventType).length) return notFound('Zone event type', eventType);
+
+        const event = this.engine.createZoneEvent(zone, eventType);
+        return { success: true, eventId: event.id, zoneId: zone.id, type: event.type };
+    }
+
+    // Only quests the player has; rewards are paid as if they'd finished it themselves
+    completeQuest(playerName, questId) {
+        const player = this.findPlayer(playerName);
+        if (!player) return notFound('Player', playerName);
+
+        if (!this.engine.completeQuest(player.id, questId)) {
+            return { success: false, error: `${player.username} isn't on quest '${questId}'` };
+        }
+        return { success: true, playerId: player.id, questId };
+    }
+
+    setTime(hourText, minuteText = '0') {
+        const hour = Number(hourText);
+        const minute = Number(minuteText);
+        if (!Number.isInteger(hour) || hour < 0 || hour > 23 || !Number.isInteger(minute) || minute < 0 || minute > 59) {
+            return { success: false, error: 'Time must be an hour 0-23 and a minute 0-59' };
+        }
+
+        this.engine.environment.setTime(hour, minute);
+        return { success: true, time: { ...this.engine.gameWorld.time } };
+    }
+
+    setWeather(zoneId, weather) {
+        const zones = zoneId === 'all' ? Array.from(this.engine.zones.values()) : [this.engine.getZone(zoneId)].filter(Boolean);
+        if (zones.length === 0) return notFound('Zone', zoneId);
+        if (!WEATHER_TYPES[weather]) {
+            return { success: false, error: `Weather must be one of ${Object.keys(WEATHER_TYPES).join(', ')}` };
+        }
+
+        const changed = zones.filter(zone => this.engine.environment.setWeather(zone, weather)).map(zone => zone.id);
+        this.engine.gameWorld.weather = this.engine.environment.getPrevailingWeather();
+        return { success: true, weather, zoneIds: changed };
+    }
+
+    grant(name, role) {
+        if (!ADMIN_ROLES.includes(role)) {
+            return { success: false, error: `Role must be one of ${ADMIN_ROLES.join(', ')}` };
+        }
+
+        const previous = this.getRole(name);
+        this.roles.set(name, role);
+        return { success: true, name, role, previous };
+    }
+
+    // #endregion
+
+    // #region Permissions
+
+    getRole(name) {
+        return this.roles.get(name) || 'player';
+    }
+
+    checkPermission(actor, command) {
+        const required = ADMIN_COMMANDS[command]?.role;
+        if (!required) {
+            return { allowed: false, reason: `Unknown admin command '${command}'` };
+        }
+
+        const role = this.getRole(actor);
+        if (ADMIN_ROLES.indexOf(role) < ADMIN_ROLES.indexOf(required)) {
+            return { allowed: false, reason: `${command} needs the ${required} role (${actor} is a ${role})` };
+        }
+        return { allowed: true };
+    }
+
+    // #endregion
+
+    // #region Audit
+
+    record(actor, command, args, result) {
+        const entry = {
+            seq: ++this.sequence,
+            type: 'admin.command',
+            tick: this.engine.tickCount,
+            timestamp: this.engine.now(),
+            actor,
+            role: this.getRole(actor),
+            command,
+            args: [...args],
+            success: result.success,
+            error: result.error || null
+        };
+
+        this.audit.append(entry);
+        this.engine.eventBus.publish('admin.command', { actor, command, args: [...args], success: result.success });
+        return entry;
+    }
+
+    // Most recent last; `actor` narrows it to one person's commands
+    getAuditLog({ actor = null, limit = 50 } = {}) {
+        return this.audit.getEvents()
+            .filter(entry => !actor || entry.actor === actor)
+            .slice(-limit);
+    }
+
+    close() {
+        return this.audit.close();
+    }
+
+    // #endregion
+
+    // #region Lookups
+
+    findPlayer(name) {
+        return this.engine.players.get(name)
+            || Array.from(this.engine.players.values()).find(player => player.username === name)
+            || null;
+    }
+
+    findEntity(name) {
+        return this.findPlayer(name) || this.engine.npcs.get(name) || null;
+    }
+
+    // #endregion
+}
+
+// 'alice:admin, bob:moderator' -> { alice: 'admin', bob: 'moderator' }
+function parseRoles(roles) {
+    if (!roles) return {};
+    if (typeof roles !== 'string') return { ...roles };
+
+    return Object.fromEntries(roles.split(',')
+        .map(entry => entry.trim().split(':').map(part => part.trim()))
+        .filter(([name, role]) => name && ADMIN_ROLES.includes(role)));
+}
+
+function notFound(kind, name) {
+    return { success: false, error: `${kind} '${name}' not found` };
+}
+
+export default AdminSystem;
@@ -3,9 +3,16 @@
  * Safe PvP practice environment with consent-based matching
  */
 
+import { toCombatProfile } from './equipment-system.js';
+import { getAbility, calculateAbilityEffect } from './skill-system.js';
+
+// Abilities everyone may practice when they aren't playing an engine character
+const DEFAULT_TRAINING_ABILITIES = ['fireball', 'heal'];
+
 class AttackTrainer {
-    constructor(shadowwatchInstance) {
+    constructor(shadowwatchInstance, gameEngine = null) {
         this.shadowwatch = shadowwatchInstance;
+        this.gameEngine = gameEngine; // Optional: lets training use in-game stats and gear
         this.activeTrainingSessions = new Map();
         this.trainingQueue = new Map(); // userId -> training preferences
         this.sessionHistory = new Map(); // sessionId -> training data
@@ -595,6 +602,7 @@ class AttackTrainer {
                 currentHealth: stats1.maxHealth,
                 stats: stats1,
                 experience: 0,
+                abilities: this.getTrainingAbilities(player1Id),
                 abilityCooldowns: {},
                 buffs: {},
                 position: { x: 0, y: 0 } // For positional combat if implemented
@@ -604,6 +612,7 @@ class AttackTrainer {
                 currentHealth: stats2.maxHealth,
                 stats: stats2,
                 experience: 0,
+                abilities: this.getTrainingAbilities(player2Id),
                 abilityCooldowns: {},
                 buffs: {},
                 position: { x: 10, y: 0 }
@@ -612,7 +621,13 @@ class AttackTrainer {
     }
 
     async getPlayerCombatStats(userId) {
-        // Get from ShadowWatch user data or default stats
+        // In-game characters train with the same equipment-derived stats the engine fights with
+        const player = this.findGamePlayer(userId);
+        if (player) {
+            return toCombatProfile(this.gameEngine.getEffectiveStats(player));
+        }
+
+        // Otherwise get from ShadowWatch user data or default stats
         const session = this.shadowwatch.connectedUsers.get(userId);
         const userStats = session?.stats || {};
 
@@ -627,6 +642,14 @@ class AttackTrainer {
         };
     }
 
+    findGamePlayer(userId) {
+        if (!this.gameEngine) return null;
+
+        return this.gameEngine.getPlayer(userId) ||
+            Array.from(this.gameEngine.players.values()).find(player => player.userId === userId) ||
+            null;
+    }
+
     validateTrainingPreferences(preferences) {
         return {
             mode: preferences.mode || 'casual', // casual, ranked, practice
@@ -815,31 +838,36 @@ class AttackTrainer {
     }
 
     getAbilityData(abilityId) {
-        // Define available abilities
-        const abilities = {
-            fireball: {
-                id: 'fireball',
-                name: 'Fireball',
-                cooldown: 5, // rounds
-                execute: async (attacker, target, session) => {
-                    const damage = Math.round(attacker.stats.attack * 1.5 * this.config.damageMultiplier);
-                    target.currentHealth -= damage;
-                    return { damage, effect: 'burn' };
+        // Abilities come from the shared registry so training matches in-game combat
+        const ability = getAbility(abilityId);
+        if (!ability) return undefined;
+
+        return {
+            ...ability,
+            execute: async (attacker, target, session) => {
+                const effect = calculateAbilityEffect(ability, attacker.stats);
+                const result = {};
+
+                if (effect.damage) {
+                    result.damage = Math.round(effect.damage * this.config.damageMultiplier);
+                    target.currentHealth -= result.damage;
                 }
-            },
-            heal: {
-                id: 'heal',
-                name: 'Heal',
-                cooldown: 3,
-                execute: async (attacker, target, session) => {
-                    const healAmount = Math.round(attacker.stats.maxHealth * 0.2);
-                    attacker.currentHealth = Math.min(attacker.stats.maxHealth, attacker.currentHealth + healAmount);
-                    return { healAmount };
+                if (effect.heal) {
+                    result.healAmount = Math.min(effect.heal, attacker.stats.maxHealth - attacker.currentHealth);
+                    attacker.currentHealth += result.healAmount;
                 }
+                if (effect.statusEffect) {
+                    result.effect = effect.statusEffect;
+                }
+
+                return result;
             }
         };
+    }
 
-        return abilities[abilityId];
+    getTrainingAbilities(userId) {
+        const player = this.findGamePlayer(userId);
+        return player ? this.gameEngine.skillSystem.getAbilities(player) : [...DEFAULT_TRAINING_ABILITIES];
     }
 
     cleanupExpiredSessions() {
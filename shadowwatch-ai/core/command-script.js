@@ -0,0 +1,155 @@
+/**
+ * ShadowWatch AI - Command Scripts
+ * Parsing for game-runner command lines and .swg script files, and the `assert` expressions
+ * scenario scripts use to check the world
+ */
+
+// Comparison operators `assert` understands; a bare path asserts the value is truthy
+export const ASSERT_OPERATORS = ['==', '!=', '<', '<=', '>', '>=', 'contains'];
+
+// #region Parsing
+
+// Splits a command line on whitespace. Single or double quotes keep spaces in one argument
+// ("Sir Bob"), and a backslash escapes the next character.
+export function parseCommandLine(input) {
+    const args = [];
+    let current = '';
+    let quote = null;
+    let started = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (char === '\\' && i + 1 < input.length) {
+            current += input[++i];
+            started = true;
+        } else if (quote) {
+            if (char === quote) {
+                quote = null;
+            } else {
+                current += char;
+            }
+        } else if (char === '"' || char === "'") {
+            quote = char;
+            started = true;
+        } else if (/\s/.test(char)) {
+            if (started) {
+                args.push(current);
+            }
+            current = '';
+            started = false;
+        } else {
+            current += char;
+            started = true;
+        }
+    }
+
+    if (quote) {
+        throw new Error(`Unterminated ${quote} quote`);
+    }
+    if (started) {
+        args.push(current);
+    }
+    return args;
+}
+
+// One command per line; blank lines and lines starting with # are skipped.
+// Returns [{ line, text }] with 1-based line numbers for error reports.
+export function parseScript(source) {
+    return source.split(/\r?\n/)
+        .map((text, index) => ({ line: index + 1, text: text.trim() }))
+        .filter(({ text }) => text.length > 0 && !text.startsWith('#'));
+}
+
+// #endregion
+
+// #region Assertions
+
+// What assertion paths start from. Players are keyed by username, everything else by ID:
+//   players.Alice.stats.level, npcs.<id>.stats.health, zones.arena.players.length, tick
+export function createAssertionContext(engine) {
+    return {
+        tick: engine.tickCount,
+        players: Object.fromEntries(Array.from(engine.players.values()).map(player => [player.username, player])),
+        npcs: Object.fromEntries(engine.npcs),
+        zones: Object.fromEntries(engine.zones),
+        quests: Object.fromEntries(engine.quests),
+        combats: Object.fromEntries(engine.combatSystem.activeCombats),
+        world: engine.gameWorld
+    };
+}
+
+// Dot-separated lookup. `length` also counts Maps, Sets and plain objects.
+export function resolvePath(context, path) {
+    return path.split('.').reduce((value, key) => {
+        if (value === null || value === undefined) return undefined;
+        if (value instanceof Map) {
+            return key === 'length' && !value.has(key) ? value.size : value.get(key);
+        }
+        if (value instanceof Set) {
+            return key === 'length' ? value.size : undefined;
+        }
+        if (key === 'length' && typeof value === 'object' && !Array.isArray(value) && !(key in value)) {
+            return Object.keys(value).length;
+        }
+        return value[key];
+    }, context);
+}
+
+// Script arguments are strings; numbers, booleans and null are compared as such
+export function parseLiteral(text) {
+    if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+    if (text === 'true') return true;
+    if (text === 'false') return false;
+    if (text === 'null') return null;
+    return text;
+}
+
+// args: [path] or [path, operator, value]. Returns { success, actual } or { success: false, error }.
+export function evaluateAssertion(args, context) {
+    const [path, operator, ...rest] = args;
+    if (!path || (operator !== undefined && rest.length !== 1)) {
+        return { success: false, error: 'Usage: assert <path> [<operator> <value>]' };
+    }
+    if (operator !== undefined && !ASSERT_OPERATORS.includes(operator)) {
+        return { success: false, error: `Operator must be one of ${ASSERT_OPERATORS.join(', ')}` };
+    }
+
+    const actual = resolvePath(context, path);
+    const expected = operator === undefined ? undefined : parseLiteral(rest[0]);
+    const passed = operator === undefined ? Boolean(actual) : compare(actual, operator, expected);
+
+    if (!passed) {
+        const expression = operator === undefined ? path : `${path} ${operator} ${rest[0]}`;
+        return { success: false, actual: describe(actual), error: `Assertion failed: ${expression} (actual: ${describe(actual)})` };
+    }
+    return { success: true, actual: describe(actual) };
+}
+
+function compare(actual, operator, expected) {
+    switch (operator) {
+        case '==': return actual === expected;
+        case '!=': return actual !== expected;
+        case '<': return typeof actual === 'number' && actual < expected;
+        case '<=': return typeof actual === 'number' && actual <= expected;
+        case '>': return typeof actual === 'number' && actual > expected;
+        case '>=': return typeof actual === 'number' && actual >= expected;
+        case 'contains':
+            if (typeof actual === 'string') return actual.includes(String(expected));
+            if (Array.isArray(actual)) return actual.includes(expected);
+            if (actual instanceof Map || actual instanceof Set) return actual.has(expected);
+            return false;
+        default: return false;
+    }
+}
+
+// Results go out as JSON, so whole entities are shortened to their ID
+function describe(value) {
+    if (value instanceof Map || value instanceof Set) return Array.from(value.keys());
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        return value.id ?? `{${Object.keys(value).join(', ')}}`;
+    }
+    return value === undefined ? null : value;
+}
+
+// #endregion
@@ -0,0 +1,292 @@
+/**
+ * ShadowWatch AI - Content Generator
+ * Rule-based procedural zones, NPCs, items and quests for autonomous development
+ */
+
+// Level bands and name parts per zone type; types match the NPC tables in createNPC()
+export const ZONE_TYPES = {
+    safe: { levels: [1, 3], names: ['Haven', 'Sanctuary', 'Refuge'] },
+    combat: { levels: [3, 10], names: ['Pit', 'Colosseum', 'Proving Grounds'] },
+    exploration: { levels: [2, 8], names: ['Wilds', 'Glade', 'Expanse'] },
+    dungeon: { levels: [6, 15], names: ['Catacombs', 'Depths', 'Vault'] },
+    social: { levels: [1, 5], names: ['Township', 'Bazaar', 'Harbor'] },
+    raid: { levels: [12, 25], names: ['Citadel', 'Stronghold', 'Lair'] },
+    flying: { levels: [10, 20], names: ['Skyreach', 'Cloudspire', 'Aerie'] }
+};
+
+const ZONE_PREFIXES = ['Whispering', 'Shattered', 'Gilded', 'Silent', 'Burning', 'Frozen', 'Hollow', 'Verdant'];
+
+// Relative drop weights and stat multipliers per rarity
+export const RARITY_WEIGHTS = {
+    common: { weight: 60, multiplier: 1.0 },
+    uncommon: { weight: 25, multiplier: 1.5 },
+    rare: { weight: 10, multiplier: 2.2 },
+    epic: { weight: 4, multiplier: 3.2 },
+    legendary: { weight: 1, multiplier: 4.5 }
+};
+
+const RARITY_PREFIXES = {
+    common: 'Sturdy',
+    uncommon: 'Fine',
+    rare: 'Enchanted',
+    epic: 'Mythic',
+    legendary: 'Ancient'
+};
+
+const ITEM_TEMPLATES = [
+    { type: 'weapon', names: ['Sword', 'Axe', 'Spear', 'Staff'], build: (m, level) => ({ damage: Math.round((6 + level) * m) }) },
+    { type: 'armor', names: ['Vest', 'Mail', 'Plate'], build: (m, level) => ({ defense: Math.round((5 + level) * m) }) },
+    { type: 'accessory', names: ['Ring', 'Amulet', 'Charm'], build: (m) => ({ stats: { agility: Math.round(2 * m), vitality: Math.round(2 * m) } }) },
+    { type: 'consumable', names: ['Tonic', 'Draught'], build: (m, level) => ({ effect: 'heal', value: Math.round((20 + level * 2) * m) }) },
+    { type: 'material', names: ['Ore', 'Crystal', 'Hide'], build: (m, level) => ({ value: Math.round((10 + level * 3) * m) }) }
+];
+
+const DEFAULT_LIMITS = {
+    maxZones: 20,
+    maxNPCsPerZone: 12,
+    maxGeneratedItems: 100,
+    maxGeneratedQuests: 30,
+    placementAttempts: 25
+};
+
+class ContentGenerator {
+    constructor(gameEngine, options = {}) {
+        this.engine = gameEngine;
+        this.limits = { ...DEFAULT_LIMITS, ...options };
+
+        // The first batch waits a full interval after startup
+        this.lastGeneratedAt = gameEngine.now().getTime();
+    }
+
+    // #region Scheduling
+
+    // The autonomous loop asks on every AI update; only let it through once per interval
+    isDue(interval) {
+        const now = this.engine.now().getTime();
+        if (now - this.lastGeneratedAt < interval) {
+            return false;
+        }
+
+        this.lastGeneratedAt = now;
+        return true;
+    }
+
+    // #endregion
+
+    // #region Helpers
+
+    pick(list) {
+        return list[Math.floor(this.engine.random() * list.length)];
+    }
+
+    randomInt(min, max) {
+        return min + Math.floor(this.engine.random() * (max - min + 1));
+    }
+
+    pickRarity() {
+        const entries = Object.entries(RARITY_WEIGHTS);
+        const total = entries.reduce((sum, [, rarity]) => sum + rarity.weight, 0);
+        let roll = this.engine.random() * total;
+
+        for (const [name, rarity] of entries) {
+            roll -= rarity.weight;
+            if (roll < 0) return name;
+        }
+        return 'common';
+    }
+
+    // Next unused id of the form prefix_N, so ids stay unique across saves
+    nextId(prefix, existing) {
+        let index = 1;
+        while (existing.has(`${prefix}_${index}`)) {
+            index++;
+        }
+        return `${prefix}_${index}`;
+    }
+
+    countGenerated(collection) {
+        let count = 0;
+        collection.forEach(entry => {
+            if (entry.generated) count++;
+        });
+        return count;
+    }
+
+    overlaps(a, b) {
+        return a.x < b.x + b.width && b.x < a.x + a.width &&
+            a.y < b.y + b.height && b.y < a.y + a.height;
+    }
+
+    // #endregion
+
+    // #region Zones
+
+    findFreeBounds(width, height) {
+        const world = this.engine.config.worldSize;
+        const zones = Array.from(this.engine.zones.values());
+
+        for (let attempt = 0; attempt < this.limits.placementAttempts; attempt++) {
+            // Snap to a 100 unit grid to keep coordinates readable
+            const bounds = {
+                x: Math.floor(this.engine.random() * (world.width - width) / 100) * 100,
+                y: Math.floor(this.engine.random() * (world.height - height) / 100) * 100,
+                width,
+                height
+            };
+
+            if (!zones.some(zone => this.overlaps(bounds, zone.bounds))) {
+                return bounds;
+            }
+        }
+
+        return null;
+    }
+
+    generateZone() {
+        if (this.engine.zones.size >= this.limits.maxZones) return null;
+
+        const type = this.pick(Object.keys(ZONE_TYPES));
+        const rules = ZONE_TYPES[type];
+        const bounds = this.findFreeBounds(this.randomInt(8, 20) * 100, this.randomInt(8, 20) * 100);
+        if (!bounds) return null;
+
+        const minLevel = this.randomInt(rules.levels[0], rules.levels[1]);
+        const maxLevel = Math.min(rules.levels[1], minLevel + this.randomInt(1, 4));
+
+        const zone = this.engine.addZone({
+            id: this.nextId(`gen_${type}`, this.engine.zones),
+            name: `${this.pick(ZONE_PREFIXES)} ${this.pick(rules.names)}`,
+            type,
+            bounds,
+            level: minLevel,
+            levelRange: { min: minLevel, max: maxLevel },
+            description: `A newly discovered ${type} zone for levels ${minLevel}-${maxLevel}`,
+            generated: true
+        });
+        this.engine.spatial.indexZone(zone);
+        this.engine.populateZone(zone);
+
+        return zone;
+    }
+
+    // #endregion
+
+    // #region NPCs
+
+    generateNPC(zone = null) {
+        const target = zone || this.pick(Array.from(this.engine.zones.values())
+            .filter(candidate => candidate.npcs.length < this.limits.maxNPCsPerZone));
+        if (!target || target.npcs.length >= this.limits.maxNPCsPerZone) return null;
+
+        const npc = this.engine.createNPC(target);
+        npc.generated = true;
+        return this.engine.registerNPC(npc);
+    }
+
+    // #endregion
+
+    // #region Items
+
+    generateItem(level = null) {
+        if (this.countGenerated(this.engine.items) >= this.limits.maxGeneratedItems) return null;
+
+        const itemLevel = level || this.randomInt(1, 20);
+        const rarity = this.pickRarity();
+        const template = this.pick(ITEM_TEMPLATES);
+        const name = `${RARITY_PREFIXES[rarity]} ${this.pick(template.names)}`;
+        const slug = name.toLowerCase().replace(/\s+/g, '_');
+
+        const item = {
+            id: this.nextId(slug, this.engine.items),
+            type: template.type,
+            name,
+            rarity,
+            ...template.build(RARITY_WEIGHTS[rarity].multiplier, itemLevel),
+            description: `A ${rarity} ${template.type} found around level ${itemLevel}`,
+            generated: true
+        };
+
+        if (['weapon', 'armor', 'accessory'].includes(template.type)) {
+            item.requiredLevel = itemLevel;
+        }
+
+        this.engine.items.set(item.id, item);
+        return item;
+    }
+
+    // #endregion
+
+    // #region Quests
+
+    // Quest templates built from what actually lives in the zone
+    getQuestTemplates(zone) {
+        const npcTypes = [...new Set(zone.npcs.map(id => this.engine.npcs.get(id)?.npcType).filter(Boolean))];
+        const itemTypes = [...new Set(Array.from(zone.entities.values()).map(item => item.type))];
+        const templates = [];
+
+        if (npcTypes.length > 0) {
+            const npcType = this.pick(npcTypes);
+            const count = this.randomInt(1, 3);
+            templates.push({
+                name: `Trouble in ${zone.name}`,
+                objective: { type: 'kill', target: npcType, count, description: `Defeat ${count} ${npcType}${count > 1 ? 's' : ''} in ${zone.name}` }
+            });
+            templates.push({
+                name: `Word from ${zone.name}`,
+                objective: { type: 'talk_to_npc', target: npcType, count: 1, description: `Speak with a ${npcType} in ${zone.name}` }
+            });
+        }
+
+        if (itemTypes.length > 0) {
+            const itemType = this.pick(itemTypes);
+            const count = this.randomInt(1, 3);
+            templates.push({
+                name: `Supplies of ${zone.name}`,
+                objective: { type: 'collect_item', target: itemType, zone: zone.id, count, description: `Collect ${count} ${itemType} item${count > 1 ? 's' : ''} in ${zone.name}` }
+            });
+        }
+
+        return templates;
+    }
+
+    generateQuest(zone = null) {
+        if (this.countGenerated(this.engine.quests) >= this.limits.maxGeneratedQuests) return null;
+
+        const target = zone || this.pick(Array.from(this.engine.zones.values()));
+        if (!target) return null;
+
+        const template = this.pick(this.getQuestTemplates(target)) || null;
+        const objectives = [
+            { id: 'reach_zone', type: 'visit_zone', target: target.id, count: 1, description: `Travel to ${target.name}` }
+        ];
+        if (template) {
+            objectives.push({ id: 'main_task', ...template.objective });
+        }
+
+        const rewardItem = this.engine.random() < 0.3 ? this.generateItem(target.level) : null;
+
+        const quest = {
+            id: this.nextId(`gen_quest_${target.id}`, this.engine.quests),
+            name: template ? template.name : `Journey to ${target.name}`,
+            description: `${target.description}. Help is needed in ${target.name}.`,
+            objectives,
+            prerequisites: [],
+            rewards: {
+                experience: target.level * 50,
+                gold: target.level * 20,
+                items: rewardItem ? [rewardItem.id] : []
+            },
+            difficulty: target.level >= 10 ? 'hard' : target.level >= 5 ? 'medium' : 'easy',
+            level: target.level,
+            zoneId: target.id,
+            generated: true
+        };
+
+        this.engine.quests.set(quest.id, quest);
+        return quest;
+    }
+
+    // #endregion
+}
+
+export default ContentGenerator;
@@ -0,0 +1,438 @@
+/**
+ * ShadowWatch AI - Content Loader
+ * Reads versioned content packs (JSON or YAML), validates them and fills the content registry;
+ * during development it can watch the pack files and hot-reload them into the running world
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+import { CONTENT_FORMAT_VERSION, LOOT_TIERS, MANIFEST_SCHEMA, SECTIONS_SCHEMA, validate } from './content-schemas.js';
+import { getSkill } from './skill-system.js';
+
+// Packs shipped with the engine; extra directories load after it
+export const BUILTIN_CONTENT_DIRECTORY = fileURLToPath(new URL('../content', import.meta.url));
+
+const CONTENT_EXTENSIONS = ['.json', '.yaml', '.yml'];
+const MANIFEST_FILES = ['pack.yaml', 'pack.yml', 'pack.json'];
+
+const DEFAULT_OPTIONS = {
+    directories: [BUILTIN_CONTENT_DIRECTORY], // Each subdirectory with a pack manifest is a pack
+    reloadDelay: 250 // ms to wait for an editor to finish writing before reloading
+};
+
+/**
+ * A pack is a directory with a manifest (pack.yaml: id, name, version, formatVersion) and any
+ * number of other .yaml/.yml/.json files holding the sections in SECTIONS_SCHEMA.
+ */
+class ContentLoader {
+    constructor(gameEngine, options = {}) {
+        this.engine = gameEngine;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+
+        this.packs = []; // Packs currently in the registry
+        this.watchers = [];
+        this.reloadTimer = null;
+    }
+
+    // #region Loading
+
+    // Startup load: content the world can't be built from is a hard error
+    load() {
+        const { packs, errors } = this.readPacks();
+        if (errors.length > 0) {
+            throw new Error(`Invalid content packs:\n  ${errors.join('\n  ')}`);
+        }
+
+        this.install(packs);
+        console.log(`📦 Loaded content packs: ${packs.map(pack => `${pack.id} v${pack.version}`).join(', ') || 'none'}`);
+        return this.getPacks();
+    }
+
+    // Read and check every pack; nothing is installed, so a broken edit can be rejected whole
+    readPacks() {
+        const packs = [];
+        const errors = [];
+
+        this.findPackDirectories().forEach(directory => {
+            const result = this.readPack(directory);
+            errors.push(...result.errors);
+            if (result.pack) packs.push(result.pack);
+        });
+
+        const seen = new Map();
+        packs.forEach(pack => {
+            if (seen.has(pack.id)) {
+                errors.push(`${this.describeFile(pack.manifest)}: pack '${pack.id}' is already loaded from ${this.describeFile(seen.get(pack.id))}`);
+            }
+            seen.set(pack.id, pack.manifest);
+        });
+
+        if (errors.length === 0) {
+            errors.push(...this.resolveReferences(packs));
+        }
+        return { packs, errors };
+    }
+
+    findPackDirectories() {
+        return this.options.directories.flatMap(directory => {
+            if (!fs.existsSync(directory)) return [];
+
+            return fs.readdirSync(directory, { withFileTypes: true })
+                .filter(entry => entry.isDirectory())
+                .map(entry => path.join(directory, entry.name))
+                .filter(packDirectory => this.findManifest(packDirectory))
+                .sort();
+        });
+    }
+
+    findManifest(directory) {
+        const file = MANIFEST_FILES.find(name => fs.existsSync(path.join(directory, name)));
+        return file ? path.join(directory, file) : null;
+    }
+
+    readPack(directory) {
+        const manifestFile = this.findManifest(directory);
+        const manifest = this.parseFile(manifestFile);
+        if (manifest.error) {
+            return { pack: null, errors: [manifest.error] };
+        }
+
+        const manifestErrors = validate(manifest.data, MANIFEST_SCHEMA).map(error => `${this.describeFile(manifestFile)}: ${error}`);
+        if (manifestErrors.length === 0 && manifest.data.formatVersion > CONTENT_FORMAT_VERSION) {
+            manifestErrors.push(`${this.describeFile(manifestFile)}: formatVersion ${manifest.data.formatVersion} is newer than this engine supports (${CONTENT_FORMAT_VERSION})`);
+        }
+        if (manifestErrors.length > 0) {
+            return { pack: null, errors: manifestErrors };
+        }
+
+        const pack = {
+            ...manifest.data,
+            directory,
+            manifest: manifestFile,
+            zones: [],
+            items: [],
+            itemTemplates: [],
+            npcNames: { first: [], last: [] },
+            spawns: {},
+            npcTypes: {},
+            quests: [],
+            lootTables: [],
+            dialogues: []
+        };
+        const errors = [];
+
+        fs.readdirSync(directory)
+            .filter(name => CONTENT_EXTENSIONS.includes(path.extname(name)) && !MANIFEST_FILES.includes(name))
+            .sort()
+            .forEach(name => {
+                const file = path.join(directory, name);
+                const { data, error } = this.parseFile(file);
+                if (error) {
+                    errors.push(error);
+                    return;
+                }
+
+                const sectionErrors = validate(data ?? {}, SECTIONS_SCHEMA);
+                if (sectionErrors.length > 0) {
+                    errors.push(...sectionErrors.map(sectionError => `${this.describeFile(file)}: ${sectionError}`));
+                    return;
+                }
+                errors.push(...this.mergeSections(pack, data ?? {}, file));
+            });
+
+        return { pack: errors.length === 0 ? pack : null, errors };
+    }
+
+    parseFile(file) {
+        try {
+            const source = fs.readFileSync(file, 'utf8');
+            const data = path.extname(file) === '.json' ? JSON.parse(source) : yaml.load(source, { filename: file });
+            return { data };
+        } catch (error) {
+            const where = error.mark ? `:${error.mark.line + 1}` : '';
+            return { error: `${this.describeFile(file)}${where}: ${error.reason || error.message}` };
+        }
+    }
+
+    // Entries remember their file so cross-reference errors can point at it
+    mergeSections(pack, data, file) {
+        const source = this.describeFile(file);
+        ['zones', 'items', 'itemTemplates', 'quests', 'lootTables', 'dialogues'].forEach(section => {
+            (data[section] || []).forEach(entry => pack[section].push({ ...entry, source }));
+        });
+        pack.npcNames.first.push(...(data.npcNames?.first || []));
+        pack.npcNames.last.push(...(data.npcNames?.last || []));
+        Object.entries(data.spawns || {}).forEach(([zoneType, npcTypes]) => {
+            pack.spawns[zoneType] = [...(pack.spawns[zoneType] || []), ...npcTypes];
+        });
+        return Object.entries(data.npcTypes || {}).flatMap(([npcType, profile]) => {
+            if (pack.npcTypes[npcType]) {
+                return [`${source}: npc '${npcType}' is already defined in ${pack.npcTypes[npcType].source}`];
+            }
+            pack.npcTypes[npcType] = { ...profile, source };
+            return [];
+        });
+    }
+
+    describeFile(file) {
+        return path.relative(process.cwd(), file) || file;
+    }
+
+    // #endregion
+
+    // #region Cross-references
+
+    // Ids must be unique across all packs, and everything a quest points at has to exist
+    resolveReferences(packs) {
+        const errors = [];
+        const defined = { zone: new Map(), item: new Map(), template: new Map(), npc: new Map(), quest: new Map(), loot: new Map(), dialogue: new Map() };
+        const define = (kind, key, source) => {
+            if (defined[kind].has(key)) {
+                errors.push(`${source}: ${kind} '${key}' is already defined in ${defined[kind].get(key)}`);
+            } else {
+                defined[kind].set(key, source);
+            }
+        };
+
+        packs.forEach(pack => {
+            pack.zones.forEach(zone => define('zone', zone.id, zone.source));
+            pack.items.forEach(item => define('item', item.id, item.source));
+            pack.itemTemplates.forEach(template => define('template', template.name, template.source));
+            pack.quests.forEach(quest => define('quest', quest.id, quest.source));
+            pack.lootTables.forEach(table => define('loot', table.id, table.source));
+            pack.dialogues.forEach(dialogue => define('dialogue', dialogue.id, dialogue.source));
+            Object.entries(pack.npcTypes).forEach(([npcType, profile]) => define('npc', npcType, profile.source));
+        });
+
+        const npcTypes = new Set([
+            ...defined.npc.keys(),
+            ...packs.flatMap(pack => Object.values(pack.spawns).flat())
+        ]);
+        const check = (exists, kind, key, source, where) => {
+            if (!exists) errors.push(`${source}: ${where} refers to unknown ${kind} '${key}'`);
+        };
+
+        packs.flatMap(pack => pack.quests).forEach(quest => {
+            const where = `quest '${quest.id}'`;
+            (quest.prerequisites || []).forEach(questId => check(defined.quest.has(questId), 'quest', questId, quest.source, `${where} prerequisites`));
+            (quest.rewards?.items || []).forEach(itemId => check(defined.item.has(itemId), 'item', itemId, quest.source, `${where} rewards`));
+
+            quest.objectives.forEach((objective, index) => {
+                const objectiveWhere = `${where} objective ${objective.id || index + 1}`;
+                if (objective.zone) {
+                    check(defined.zone.has(objective.zone), 'zone', objective.zone, quest.source, objectiveWhere);
+                }
+                if (objective.type === 'visit_zone') {
+                    check(defined.zone.has(objective.target), 'zone', objective.target, quest.source, objectiveWhere);
+                }
+                if (['kill', 'talk_to_npc'].includes(objective.type) && objective.target !== '*') {
+                    check(npcTypes.has(objective.target), 'NPC type', objective.target, quest.source, objectiveWhere);
+                }
+            });
+        });
+
+        packs.flatMap(pack => pack.lootTables).forEach(table => {
+            const where = `loot table '${table.id}'`;
+            (table.npcTypes || []).forEach(npcType => check(npcTypes.has(npcType), 'NPC type', npcType, table.source, where));
+            LOOT_TIERS.forEach(tier => {
+                (table[tier]?.entries || []).forEach(entry => {
+                    check(defined.template.has(entry.template), 'item template', entry.template, table.source, `${where} ${tier} tier`);
+                });
+            });
+        });
+
+        packs.flatMap(pack => pack.dialogues).forEach(dialogue => {
+            const where = `dialogue '${dialogue.id}'`;
+            const source = dialogue.source;
+            (dialogue.npcTypes || []).forEach(npcType => check(npcTypes.has(npcType), 'NPC type', npcType, source, where));
+            check(dialogue.nodes[dialogue.start], 'node', dialogue.start, source, `${where} start`);
+
+            Object.entries(dialogue.nodes).forEach(([nodeId, node]) => {
+                (node.responses || []).forEach((response, index) => {
+                    const responseWhere = `${where} node '${nodeId}' response ${index + 1}`;
+                    if (response.next) check(dialogue.nodes[response.next], 'node', response.next, source, responseWhere);
+                    Object.keys(response.conditions?.quests || {}).forEach(questId => check(defined.quest.has(questId), 'quest', questId, source, responseWhere));
+                    (response.conditions?.items || []).forEach(itemId => check(defined.item.has(itemId), 'item', itemId, source, responseWhere));
+
+                    (response.actions || []).forEach(action => {
+                        const field = { give_quest: 'quest', teach_skill: 'skill', give_item: 'item' }[action.type];
+                        if (field && !action[field]) {
+                            errors.push(`${source}: ${responseWhere} action ${action.type} needs a ${field}`);
+                        } else if (field === 'quest') {
+                            check(defined.quest.has(action.quest), 'quest', action.quest, source, responseWhere);
+                        } else if (field === 'item') {
+                            check(defined.item.has(action.item), 'item', action.item, source, responseWhere);
+                        } else if (field === 'skill') {
+                            check(getSkill(action.skill), 'skill', action.skill, source, responseWhere);
+                        }
+                    });
+                });
+            });
+        });
+
+        return errors;
+    }
+
+    // #endregion
+
+    // #region Installing
+
+    install(packs) {
+        const content = this.engine.content;
+
+        packs.forEach(pack => {
+            const owner = `pack:${pack.id}`;
+            const strip = ({ source, ...entry }) => entry;
+
+            pack.zones.forEach(zone => content.addZone(strip(zone), owner));
+            pack.items.forEach(item => content.addItem(strip(item), owner));
+            pack.itemTemplates.forEach(template => content.addItemTemplate(strip(template), owner));
+            Object.entries(pack.npcTypes).forEach(([npcType, profile]) => content.addNPCType(npcType, strip(profile), owner));
+            Object.entries(pack.spawns).forEach(([zoneType, npcTypes]) => {
+                npcTypes.forEach(npcType => content.addSpawn(zoneType, npcType, owner));
+            });
+            pack.quests.forEach(quest => content.addQuest(strip(quest), owner));
+            pack.lootTables.forEach(table => content.addLootTable(strip(table), owner));
+            pack.dialogues.forEach(dialogue => content.addDialogue(strip(dialogue), owner));
+        });
+
+        content.npcNames = {
+            first: packs.flatMap(pack => pack.npcNames.first),
+            last: packs.flatMap(pack => pack.npcNames.last)
+        };
+        this.packs = packs;
+    }
+
+    // #endregion
+
+    // #region Hot Reload
+
+    // Swap the packs' content for what is on disk now. A pack with any error is rejected and the
+    // running content stays as it was.
+    reload() {
+        const { packs, errors } = this.readPacks();
+        const conflicts = errors.length === 0 ? this.findConflicts(packs) : [];
+
+        if (errors.length > 0 || conflicts.length > 0) {
+            [...errors, ...conflicts].forEach(error => console.error(`❌ Content reload: ${error}`));
+            return { success: false, errors: [...errors, ...conflicts] };
+        }
+
+        this.packs.forEach(pack => this.engine.content.removeOwner(`pack:${pack.id}`));
+        this.install(packs);
+        this.applyToWorld(packs);
+
+        const summary = this.getPacks();
+        this.engine.eventBus.publish('content.reloaded', { packs: summary.map(pack => `${pack.id}@${pack.version}`) });
+        console.log(`🔄 Reloaded content packs: ${summary.map(pack => `${pack.id} v${pack.version}`).join(', ')}`);
+        return { success: true, packs: summary };
+    }
+
+    // Pack entries that would collide with content a plugin registered
+    findConflicts(packs) {
+        const content = this.engine.content;
+        const pluginOwned = (kind, key) => {
+            const owner = content.getOwner(kind, key);
+            return owner && !owner.startsWith('pack:') ? owner : null;
+        };
+        const conflicts = [];
+
+        packs.forEach(pack => {
+            const entries = [
+                ...pack.zones.map(zone => ['zone', zone.id, zone.source]),
+                ...pack.items.map(item => ['item', item.id, item.source]),
+                ...pack.quests.map(quest => ['quest', quest.id, quest.source]),
+                ...pack.lootTables.map(table => ['loot', table.id, table.source]),
+                ...pack.dialogues.map(dialogue => ['dialogue', dialogue.id, dialogue.source]),
+                ...Object.entries(pack.npcTypes).map(([npcType, profile]) => ['npc', npcType, profile.source])
+            ];
+            entries.forEach(([kind, key, source]) => {
+                const plugin = pluginOwned(kind, key);
+                if (plugin) conflicts.push(`${source}: ${kind} '${key}' is already registered by plugin ${plugin}`);
+            });
+        });
+
+        return conflicts;
+    }
+
+    // Push reloaded content into the live world. Zone bounds only change on restart, since
+    // everything already placed in a zone depends on them.
+    applyToWorld(packs) {
+        const engine = this.engine;
+        const content = engine.content;
+
+        packs.forEach(pack => {
+            pack.zones.forEach(({ id }) => {
+                const definition = content.zones.get(id);
+                const zone = engine.zones.get(id);
+                if (zone) {
+                    const { bounds, ...details } = definition;
+                    Object.assign(zone, details);
+                } else {
+                    const added = engine.addZone(definition);
+                    engine.spatial.indexZone(added);
+                    engine.populateZone(added);
+                }
+            });
+
+            pack.items.forEach(({ id }) => {
+                const definition = content.items.get(id);
+                if (engine.items.has(id)) {
+                    Object.assign(engine.items.get(id), definition);
+                } else {
+                    engine.items.set(id, { ...definition });
+                }
+            });
+
+            // Progress is kept per objective id, so players keep what they've done so far
+            pack.quests.forEach(({ id }) => engine.quests.set(id, structuredClone(content.quests.get(id))));
+        });
+
+        engine.npcs.forEach(npc => {
+            npc.dialogue = engine.generateNPCDialogue(npc.npcType);
+        });
+    }
+
+    watch() {
+        if (this.watchers.length > 0) return;
+
+        this.options.directories.filter(directory => fs.existsSync(directory)).forEach(directory => {
+            const watcher = fs.watch(directory, { recursive: true }, (eventType, file) => {
+                if (file && !CONTENT_EXTENSIONS.includes(path.extname(file))) return;
+
+                clearTimeout(this.reloadTimer);
+                this.reloadTimer = setTimeout(() => this.reload(), this.options.reloadDelay);
+            });
+            watcher.on('error', error => console.error('❌ Content watcher failed:', error.message));
+            this.watchers.push(watcher);
+        });
+        console.log(`👀 Watching content packs in ${this.options.directories.map(directory => this.describeFile(directory)).join(', ')}`);
+    }
+
+    unwatch() {
+        clearTimeout(this.reloadTimer);
+        this.watchers.forEach(watcher => watcher.close());
+        this.watchers = [];
+    }
+
+    // #endregion
+
+    getPacks() {
+        return this.packs.map(pack => ({
+            id: pack.id,
+            name: pack.name,
+            version: pack.version,
+            directory: this.describeFile(pack.directory),
+            zones: pack.zones.length,
+            items: pack.items.length + pack.itemTemplates.length,
+            npcTypes: Object.keys(pack.npcTypes).length,
+            quests: pack.quests.length,
+            lootTables: pack.lootTables.length,
+            dialogues: pack.dialogues.length
+        }));
+    }
+}
+
+export default ContentLoader;
@@ -0,0 +1,202 @@
+/**
+ * ShadowWatch AI - Content Registry
+ * Zones, items, NPC types, quests, loot tables and dialogues the engine builds its world from. Content packs
+ * fill it at startup and plugins extend it, instead of either touching engine code
+ */
+
+// Fallback for NPC types, or parts of a profile, no content pack describes
+const DEFAULT_NPC_PROFILE = {
+    title: '',
+    behavior: 'idle',
+    dialogue: [
+        'Greetings, traveler!',
+        'How may I help you?',
+        'Safe journeys!'
+    ],
+    inventory: ['gold', 'food'],
+    statModifiers: {}
+};
+
+class ContentRegistry {
+    constructor() {
+        this.zones = new Map();
+        this.items = new Map(); // Unique items by id, e.g. quest rewards
+        this.itemTemplates = []; // Random world drops
+        this.npcTypes = {}; // zone type -> NPC types that spawn there
+        this.npcProfiles = new Map();
+        this.npcNames = { first: [], last: [] };
+        this.quests = new Map();
+        this.lootTables = new Map();
+        this.dialogues = new Map();
+
+        this.owners = new Map(); // 'kind:key' -> owner: a plugin name, or 'pack:<id>' for content packs
+    }
+
+    // #region Registration
+
+    addZone(zone, owner = null) {
+        if (!zone?.id || !zone.name || !zone.type) {
+            throw new Error('Zones need an id, name and type');
+        }
+        const { x, y, width, height } = zone.bounds || {};
+        if (![x, y, width, height].every(Number.isFinite) || width <= 0 || height <= 0) {
+            throw new Error(`Zone '${zone.id}' needs numeric bounds with a positive size`);
+        }
+        if (this.zones.has(zone.id)) {
+            throw new Error(`Zone '${zone.id}' is already registered`);
+        }
+
+        this.zones.set(zone.id, { level: 1, ...zone });
+        this.setOwner('zone', zone.id, owner);
+        return this.zones.get(zone.id);
+    }
+
+    addItem(item, owner = null) {
+        if (!item?.id || !item.name || !item.type) {
+            throw new Error('Items need an id, name and type');
+        }
+        if (this.items.has(item.id)) {
+            throw new Error(`Item '${item.id}' is already registered`);
+        }
+
+        this.items.set(item.id, { ...item });
+        this.setOwner('item', item.id, owner);
+        return this.items.get(item.id);
+    }
+
+    addItemTemplate(template, owner = null) {
+        if (!template?.name || !template.type || !template.rarity) {
+            throw new Error('Item templates need a name, type and rarity');
+        }
+        if (this.itemTemplates.some(existing => existing.name === template.name)) {
+            throw new Error(`Item template '${template.name}' is already registered`);
+        }
+
+        this.itemTemplates.push({ ...template });
+        this.setOwner('template', template.name, owner);
+        return template;
+    }
+
+    // zoneTypes lists where the NPC spawns; the rest of the profile matches NPC_PROFILES
+    addNPCType(npcType, { zoneTypes = [], ...profile } = {}, owner = null) {
+        if (typeof npcType !== 'string' || !npcType) {
+            throw new Error('NPC types need a name');
+        }
+        if (this.npcProfiles.has(npcType)) {
+            throw new Error(`NPC type '${npcType}' is already registered`);
+        }
+
+        this.npcProfiles.set(npcType, profile);
+        zoneTypes.forEach(zoneType => this.addSpawn(zoneType, npcType));
+        this.setOwner('npc', npcType, owner);
+        return profile;
+    }
+
+    // Let an NPC type appear in a zone type; it doesn't need a profile of its own
+    addSpawn(zoneType, npcType, owner = null) {
+        const types = this.npcTypes[zoneType] || [];
+        if (types.includes(npcType)) return;
+
+        this.npcTypes[zoneType] = [...types, npcType];
+        this.setOwner('spawn', `${zoneType}/${npcType}`, owner);
+    }
+
+    addQuest(quest, owner = null) {
+        if (!quest?.id || !quest.name || !Array.isArray(quest.objectives)) {
+            throw new Error('Quests need an id, name and objectives');
+        }
+        if (this.quests.has(quest.id)) {
+            throw new Error(`Quest '${quest.id}' is already registered`);
+        }
+
+        this.quests.set(quest.id, { prerequisites: [], rewards: {}, level: 1, ...quest });
+        this.setOwner('quest', quest.id, owner);
+        return this.quests.get(quest.id);
+    }
+
+    // Tables pick item templates by name; see content/base/loot.yaml for the shape
+    addLootTable(table, owner = null) {
+        if (!table?.id) {
+            throw new Error('Loot tables need an id');
+        }
+        if (this.lootTables.has(table.id)) {
+            throw new Error(`Loot table '${table.id}' is already registered`);
+        }
+
+        this.lootTables.set(table.id, { ...table });
+        this.setOwner('loot', table.id, owner);
+        return this.lootTables.get(table.id);
+    }
+
+    // Conversation graphs; see content/base/dialogues.yaml for the shape
+    addDialogue(dialogue, owner = null) {
+        if (!dialogue?.id || !dialogue.nodes?.[dialogue.start]) {
+            throw new Error('Dialogues need an id and a start node');
+        }
+        if (this.dialogues.has(dialogue.id)) {
+            throw new Error(`Dialogue '${dialogue.id}' is already registered`);
+        }
+
+        this.dialogues.set(dialogue.id, structuredClone(dialogue));
+        this.setOwner('dialogue', dialogue.id, owner);
+        return this.dialogues.get(dialogue.id);
+    }
+
+    setOwner(kind, key, owner) {
+        if (owner) {
+            this.owners.set(`${kind}:${key}`, owner);
+        }
+    }
+
+    // Take back everything a plugin or pack registered, e.g. when a plugin's setup failed
+    // halfway or a content pack is being reloaded
+    removeOwner(owner) {
+        this.owners.forEach((name, entry) => {
+            if (name !== owner) return;
+
+            const [kind, key] = [entry.slice(0, entry.indexOf(':')), entry.slice(entry.indexOf(':') + 1)];
+            if (kind === 'zone') this.zones.delete(key);
+            if (kind === 'item') this.items.delete(key);
+            if (kind === 'template') this.itemTemplates = this.itemTemplates.filter(template => template.name !== key);
+            if (kind === 'quest') this.quests.delete(key);
+            if (kind === 'loot') this.lootTables.delete(key);
+            if (kind === 'dialogue') this.dialogues.delete(key);
+            if (kind === 'npc') {
+                this.npcProfiles.delete(key);
+                Object.keys(this.npcTypes).forEach(zoneType => {
+                    this.npcTypes[zoneType] = this.npcTypes[zoneType].filter(type => type !== key);
+                });
+            }
+            if (kind === 'spawn') {
+                const [zoneType, npcType] = key.split('/');
+                this.npcTypes[zoneType] = (this.npcTypes[zoneType] || []).filter(type => type !== npcType);
+            }
+            this.owners.delete(entry);
+        });
+    }
+
+    getOwner(kind, key) {
+        return this.owners.get(`${kind}:${key}`) || null;
+    }
+
+    // #endregion
+
+    // #region Lookups
+
+    getNPCTypes(zoneType) {
+        const types = this.npcTypes[zoneType];
+        return types && types.length > 0 ? types : ['citizen'];
+    }
+
+    getNPCProfile(npcType) {
+        return { ...DEFAULT_NPC_PROFILE, ...this.npcProfiles.get(npcType) };
+    }
+
+    getDialogue(npcType) {
+        return Array.from(this.dialogues.values()).find(dialogue => dialogue.npcTypes?.includes(npcType)) || null;
+    }
+
+    // #endregion
+}
+
+export default ContentRegistry;
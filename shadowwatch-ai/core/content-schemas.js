@@ -0,0 +1,317 @@
+/**
+ * ShadowWatch AI - Content Schemas
+ * Shapes of content-pack files, and a small validator that reports every problem with its path
+ */
+
+// Bump when pack files change shape; packs written for a newer format are refused
+export const CONTENT_FORMAT_VERSION = 1;
+
+export const OBJECTIVE_TYPES = ['kill', 'talk_to_npc', 'visit_zone', 'collect_item', 'win_combat'];
+export const ITEM_RARITIES = ['common', 'uncommon', 'rare', 'epic', 'legendary'];
+export const LOOT_TIERS = ['guaranteed', 'rare', 'legendary'];
+export const QUEST_STATES = ['available', 'active', 'completed', 'not_started'];
+export const DIALOGUE_ACTIONS = ['give_quest', 'open_shop', 'teach_skill', 'give_item'];
+
+// #region Schemas
+
+// Schemas are plain objects: type, required (object fields), properties, values (schema of
+// every other field, for maps), closed (no other fields), items/minItems (arrays), enum,
+// pattern (with a hint for the error message), min and max
+const id = { type: 'string', pattern: /^[A-Za-z0-9_-]+$/, hint: 'a valid id (letters, digits, _ and - only)' };
+const text = { type: 'string' };
+const texts = { type: 'array', items: text };
+const ids = { type: 'array', items: id };
+
+const ZONE = {
+    type: 'object',
+    required: ['id', 'name', 'type', 'bounds'],
+    properties: {
+        id,
+        name: text,
+        type: id,
+        bounds: {
+            type: 'object',
+            required: ['x', 'y', 'width', 'height'],
+            properties: {
+                x: { type: 'number' },
+                y: { type: 'number' },
+                width: { type: 'number', min: 1 },
+                height: { type: 'number', min: 1 }
+            }
+        },
+        level: { type: 'integer', min: 1 },
+        partySize: {
+            type: 'object',
+            closed: true,
+            properties: { min: { type: 'integer', min: 1 }, max: { type: 'integer', min: 1 } }
+        },
+        description: text
+    }
+};
+
+const ITEM_FIELDS = {
+    name: text,
+    type: id,
+    rarity: { type: 'string', enum: ITEM_RARITIES },
+    damage: { type: 'number', min: 0 },
+    defense: { type: 'number', min: 0 },
+    value: { type: 'number', min: 0 },
+    effect: id,
+    stats: { type: 'object', values: { type: 'number' } },
+    description: text
+};
+
+const ITEM = {
+    type: 'object',
+    required: ['id', 'name', 'type', 'rarity'],
+    properties: { id, ...ITEM_FIELDS }
+};
+
+const ITEM_TEMPLATE = {
+    type: 'object',
+    required: ['name', 'type', 'rarity'],
+    properties: ITEM_FIELDS
+};
+
+const NPC_PROFILE = {
+    type: 'object',
+    closed: true,
+    properties: {
+        title: text,
+        behavior: id,
+        dialogue: { ...texts, minItems: 1 },
+        inventory: ids,
+        statModifiers: { type: 'object', values: { type: 'number', min: 0 } }
+    }
+};
+
+const QUEST = {
+    type: 'object',
+    required: ['id', 'name', 'objectives'],
+    properties: {
+        id,
+        name: text,
+        description: text,
+        objectives: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['type', 'count'],
+                properties: {
+                    id,
+                    type: { type: 'string', enum: OBJECTIVE_TYPES },
+                    target: text,
+                    zone: id,
+                    count: { type: 'integer', min: 1 },
+                    description: text
+                }
+            }
+        },
+        prerequisites: ids,
+        rewards: {
+            type: 'object',
+            closed: true,
+            properties: {
+                experience: { type: 'integer', min: 0 },
+                gold: { type: 'integer', min: 0 },
+                items: ids
+            }
+        },
+        difficulty: text,
+        level: { type: 'integer', min: 1 }
+    }
+};
+
+// Each tier picks `rolls` entries by weight; rare and legendary tiers only roll at their chance
+const LOOT_TIER = {
+    type: 'object',
+    required: ['entries'],
+    closed: true,
+    properties: {
+        chance: { type: 'number', min: 0, max: 1 },
+        rolls: { type: 'integer', min: 1 },
+        entries: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['template'],
+                closed: true,
+                properties: { template: text, weight: { type: 'number', min: 0 } }
+            }
+        }
+    }
+};
+
+const LOOT_TABLE = {
+    type: 'object',
+    required: ['id'],
+    closed: true,
+    properties: {
+        id,
+        npcTypes: ids,
+        minLevel: { type: 'integer', min: 1 },
+        maxLevel: { type: 'integer', min: 1 },
+        ...Object.fromEntries(LOOT_TIERS.map(tier => [tier, LOOT_TIER])),
+        description: text
+    }
+};
+
+const DIALOGUE_RESPONSE = {
+    type: 'object',
+    required: ['text'],
+    closed: true,
+    properties: {
+        text,
+        next: id, // Leave out to end the conversation
+        conditions: {
+            type: 'object',
+            closed: true,
+            properties: {
+                minLevel: { type: 'integer', min: 1 },
+                maxLevel: { type: 'integer', min: 1 },
+                items: ids,
+                quests: { type: 'object', values: { type: 'string', enum: QUEST_STATES } }
+            }
+        },
+        actions: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['type'],
+                closed: true,
+                properties: { type: { type: 'string', enum: DIALOGUE_ACTIONS }, quest: id, skill: id, item: id }
+            }
+        }
+    }
+};
+
+const DIALOGUE = {
+    type: 'object',
+    required: ['id', 'start', 'nodes'],
+    closed: true,
+    properties: {
+        id,
+        npcTypes: ids,
+        start: id,
+        nodes: {
+            type: 'object',
+            values: {
+                type: 'object',
+                required: ['text'],
+                closed: true,
+                properties: { text, responses: { type: 'array', items: DIALOGUE_RESPONSE } }
+            }
+        },
+        description: text
+    }
+};
+
+export const MANIFEST_SCHEMA = {
+    type: 'object',
+    required: ['id', 'name', 'version', 'formatVersion'],
+    properties: {
+        id,
+        name: text,
+        version: { type: 'string', pattern: /^\d+\.\d+\.\d+$/, hint: 'a version like 1.0.0' },
+        formatVersion: { type: 'integer', min: 1 },
+        description: text
+    }
+};
+
+// Every non-manifest file in a pack holds one or more of these sections
+export const SECTIONS_SCHEMA = {
+    type: 'object',
+    closed: true,
+    properties: {
+        zones: { type: 'array', items: ZONE },
+        items: { type: 'array', items: ITEM },
+        itemTemplates: { type: 'array', items: ITEM_TEMPLATE },
+        npcNames: {
+            type: 'object',
+            closed: true,
+            properties: { first: texts, last: texts }
+        },
+        spawns: { type: 'object', values: ids },
+        npcTypes: { type: 'object', values: NPC_PROFILE },
+        quests: { type: 'array', items: QUEST },
+        lootTables: { type: 'array', items: LOOT_TABLE },
+        dialogues: { type: 'array', items: DIALOGUE }
+    }
+};
+
+// #endregion
+
+// #region Validation
+
+const describe = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'a list';
+    if (typeof value === 'object') return 'an object';
+    return JSON.stringify(value);
+};
+
+const matchesType = (value, type) => {
+    switch (type) {
+        case 'array': return Array.isArray(value);
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        default: return typeof value === type;
+    }
+};
+
+const TYPE_NAMES = { array: 'a list', object: 'an object', integer: 'a whole number', number: 'a number', string: 'text', boolean: 'true or false' };
+
+const join = (path, key) => (typeof key === 'number' ? `${path}[${key}]` : path ? `${path}.${key}` : key);
+
+// Returns a list of 'path: problem' messages; empty when the value fits the schema
+export function validate(value, schema, path = '') {
+    const at = path || 'file';
+
+    if (!matchesType(value, schema.type)) {
+        return [`${at}: expected ${TYPE_NAMES[schema.type]}, got ${describe(value)}`];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [`${at}: must be one of ${schema.enum.join(', ')}, got ${describe(value)}`];
+    }
+    if (schema.pattern && !schema.pattern.test(value)) {
+        return [`${at}: ${describe(value)} is not ${schema.hint}`];
+    }
+    if (schema.min !== undefined && value < schema.min) {
+        return [`${at}: must be at least ${schema.min}, got ${value}`];
+    }
+    if (schema.max !== undefined && value > schema.max) {
+        return [`${at}: must be at most ${schema.max}, got ${value}`];
+    }
+
+    const errors = [];
+
+    if (schema.type === 'array') {
+        if (schema.minItems && value.length < schema.minItems) {
+            errors.push(`${at}: needs at least ${schema.minItems} entr${schema.minItems === 1 ? 'y' : 'ies'}`);
+        }
+        if (schema.items) {
+            value.forEach((entry, index) => errors.push(...validate(entry, schema.items, join(path, index))));
+        }
+    }
+
+    if (schema.type === 'object') {
+        (schema.required || []).forEach(field => {
+            if (value[field] === undefined) errors.push(`${at}: missing required field '${field}'`);
+        });
+        Object.entries(value).forEach(([field, fieldValue]) => {
+            const fieldSchema = schema.properties?.[field] || schema.values;
+            if (fieldSchema) {
+                errors.push(...validate(fieldValue, fieldSchema, join(path, field)));
+            } else if (schema.closed) {
+                errors.push(`${at}: unknown field '${field}'`);
+            }
+        });
+    }
+
+    return errors;
+}
+
+// #endregion
@@ -0,0 +1,375 @@
+/**
+ * ShadowWatch AI - Terminal Dashboard
+ * Full-screen live view of a running engine for game-runner: zone map, combats, event feed,
+ * tick rate and memory graphs, and AI status. The panels redraw at the top of the screen while
+ * the lines below scroll as usual, so the command prompt stays usable.
+ */
+
+// Panels are plain ASCII and box characters: emoji are two columns wide in most terminals and
+// would break the column layout
+const SPARK_CHARS = ' ▁▂▃▄▅▆▇█';
+
+// Events that fire every tick or wrap every command; they'd push everything else out of the feed
+const QUIET_EVENTS = ['world.advanced', 'command'];
+
+const DEFAULT_OPTIONS = {
+    refreshMs: 1000,
+    mapWidth: 48,
+    mapHeight: 9,
+    combatLines: 4, // Participants shown across active combats
+    eventLines: 7,
+    history: 60, // Samples kept for the tick rate and memory graphs
+    minOutputRows: 6, // Rows left below the panels for command output and the prompt
+    output: process.stdout
+};
+
+const ESC = '\x1b[';
+
+// #region Rendering
+
+// Filled/empty bar, e.g. an HP bar: renderBar(30, 100, 10) -> '███░░░░░░░'
+export function renderBar(value, max, width) {
+    const ratio = max > 0 ? Math.min(1, Math.max(0, value / max)) : 0;
+    const filled = Math.round(ratio * width);
+    return '█'.repeat(filled) + '░'.repeat(width - filled);
+}
+
+// The last `width` values as a one-line graph, scaled to the largest of them
+export function renderSparkline(values, width) {
+    const recent = values.slice(-width);
+    const max = Math.max(...recent, 0);
+    const line = recent.map(value => {
+        const level = max > 0 ? Math.round((value / max) * (SPARK_CHARS.length - 1)) : 0;
+        return SPARK_CHARS[level];
+    }).join('');
+    return line.padStart(width);
+}
+
+// Scales every zone's bounds onto a width x height grid. Each cell shows its zone's letter
+// (a, b, c, ... in zone order), '@' where a player stands, or how many NPCs stand there
+// (1-9, '+' for more). Returns the rows and the letter given to each zone.
+export function renderZoneMap(zones, entities, width, height) {
+    const mapped = zones.filter(zone => zone.bounds);
+    const extentX = Math.max(1, ...mapped.map(zone => zone.bounds.x + zone.bounds.width));
+    const extentY = Math.max(1, ...mapped.map(zone => zone.bounds.y + zone.bounds.height));
+    const cellOf = (x, y) => ({
+        column: Math.min(width - 1, Math.max(0, Math.floor((x / extentX) * width))),
+        row: Math.min(height - 1, Math.max(0, Math.floor((y / extentY) * height)))
+    });
+
+    const grid = Array.from({ length: height }, () => new Array(width).fill(' '));
+    const letters = new Map();
+
+    // Later zones are drawn over earlier ones where their bounds overlap
+    mapped.forEach((zone, index) => {
+        const letter = String.fromCharCode(97 + (index % 26));
+        letters.set(zone.id, letter);
+
+        const from = cellOf(zone.bounds.x, zone.bounds.y);
+        const to = cellOf(zone.bounds.x + zone.bounds.width - 1, zone.bounds.y + zone.bounds.height - 1);
+        for (let row = from.row; row <= to.row; row++) {
+            for (let column = from.column; column <= to.column; column++) {
+                grid[row][column] = letter;
+            }
+        }
+    });
+
+    const npcCounts = new Map();
+    entities.forEach(({ position, isPlayer }) => {
+        if (!position) return;
+        const { column, row } = cellOf(position.x, position.y);
+        if (isPlayer) {
+            grid[row][column] = '@';
+            return;
+        }
+        const key = `${row},${column}`;
+        npcCounts.set(key, (npcCounts.get(key) || 0) + 1);
+    });
+    npcCounts.forEach((count, key) => {
+        const [row, column] = key.split(',').map(Number);
+        if (grid[row][column] !== '@') {
+            grid[row][column] = count > 9 ? '+' : String(count);
+        }
+    });
+
+    return { rows: grid.map(row => row.join('')), letters };
+}
+
+// Pads or cuts a line to exactly `width` columns
+function fit(text, width) {
+    return text.length > width ? text.slice(0, width) : text.padEnd(width);
+}
+
+function sideBySide(left, right, leftWidth, gap = 3) {
+    const height = Math.max(left.length, right.length);
+    return Array.from({ length: height }, (_, i) => fit(left[i] || '', leftWidth) + ' '.repeat(gap) + (right[i] || ''));
+}
+
+function formatClock(time) {
+    return time ? `Day ${time.day} ${String(time.hour).padStart(2, '0')}:${String(time.minute).padStart(2, '0')}` : '';
+}
+
+function megabytes(bytes) {
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// #endregion
+
+class Dashboard {
+    constructor(gameSystem, options = {}) {
+        this.gameSystem = gameSystem;
+        this.engine = gameSystem.gameEngine;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+
+        this.output = this.options.output;
+        this.active = false;
+        this.timer = null;
+        this.unsubscribe = null;
+        this.feed = []; // Most recent domain events, newest last
+        this.samples = []; // { tick, at, tps, heapUsed, rss } per refresh
+        this.panelHeight = 0;
+        this.onResize = () => this.layout();
+    }
+
+    // #region Screen
+
+    start() {
+        if (this.active) {
+            return { success: false, error: 'The dashboard is already running' };
+        }
+        if (!this.output.isTTY) {
+            return { success: false, error: 'The dashboard needs an interactive terminal' };
+        }
+
+        this.active = true;
+        this.unsubscribe = this.gameSystem.onGameEvent('*', event => this.recordEvent(event));
+
+        // Alternate screen, so quitting puts the terminal back the way it was
+        this.output.write(`${ESC}?1049h${ESC}2J`);
+        this.layout();
+        this.output.on('resize', this.onResize);
+        this.timer = setInterval(() => this.refresh(), this.options.refreshMs);
+        return { success: true };
+    }
+
+    stop() {
+        if (!this.active) {
+            return { success: false, error: 'The dashboard is not running' };
+        }
+
+        this.active = false;
+        clearInterval(this.timer);
+        this.timer = null;
+        this.unsubscribe?.();
+        this.unsubscribe = null;
+        this.output.off('resize', this.onResize);
+        this.output.write(`${ESC}r${ESC}?1049l`);
+        return { success: true };
+    }
+
+    // Panels own the top rows; everything below is a scroll region for output and the prompt
+    layout() {
+        const rows = this.output.rows || 24;
+        this.panelHeight = Math.min(this.render().length, Math.max(0, rows - this.options.minOutputRows - 1));
+
+        this.output.write(`${ESC}2J${ESC}${this.panelHeight + 2};${rows}r${ESC}${rows};1H`);
+        this.refresh();
+    }
+
+    // Redraws the panels without moving the cursor away from the prompt
+    refresh() {
+        if (!this.active) return;
+
+        this.sample();
+        const width = this.output.columns || 80;
+        const lines = this.render(width).slice(0, this.panelHeight);
+        const rule = '─'.repeat(width);
+
+        const frame = lines.map((line, i) => `${ESC}${i + 1};1H${ESC}2K${fit(line, width)}`).join('');
+        this.output.write(`\x1b7${frame}${ESC}${this.panelHeight + 1};1H${ESC}2K${rule}\x1b8`);
+    }
+
+    // #endregion
+
+    // #region Data
+
+    recordEvent(event) {
+        if (QUIET_EVENTS.includes(event.type)) return;
+
+        this.feed.push(event);
+        if (this.feed.length > this.options.eventLines) {
+            this.feed.shift();
+        }
+    }
+
+    // Tick rate is measured between refreshes, so it shows what the loop really manages
+    sample() {
+        const stats = this.engine.getStatistics();
+        const at = Date.now();
+        const previous = this.samples[this.samples.length - 1];
+        const seconds = previous ? (at - previous.at) / 1000 : 0;
+        const tps = seconds > 0 ? Math.max(0, stats.tick - previous.tick) / seconds : 0;
+
+        this.samples.push({ tick: stats.tick, at, tps, heapUsed: stats.memoryUsage.heapUsed, rss: stats.memoryUsage.rss });
+        if (this.samples.length > this.options.history) {
+            this.samples.shift();
+        }
+        return stats;
+    }
+
+    getName(id) {
+        const entity = this.engine.players.get(id) || this.engine.npcs.get(id);
+        return entity ? this.engine.getDisplayName(entity) : id;
+    }
+
+    // #endregion
+
+    // #region Panels
+
+    // Every panel renders a fixed number of lines, so the layout doesn't jump between frames
+    render(width = 80) {
+        const stats = this.engine.getStatistics();
+        const latest = this.samples[this.samples.length - 1];
+        const header = [
+            'SHADOWWATCH AI',
+            `tick ${stats.tick}`,
+            formatClock(this.engine.gameWorld.time),
+            `${(latest?.tps ?? 0).toFixed(1)} tps`,
+            `heap ${megabytes(stats.memoryUsage.heapUsed)}`,
+            `${stats.players} players, ${stats.npcs} NPCs`
+        ].join(' │ ');
+
+        const mapWidth = this.options.mapWidth + 2;
+        const rightWidth = Math.max(20, width - mapWidth - 3);
+
+        return [
+            header,
+            '',
+            ...sideBySide(this.renderMap(), this.renderZones(rightWidth), mapWidth),
+            '',
+            ...this.renderCombats(stats.activeCombats),
+            '',
+            ...sideBySide(this.renderEvents(mapWidth), this.renderPerformance(rightWidth), mapWidth)
+        ];
+    }
+
+    renderMap() {
+        const { mapWidth, mapHeight } = this.options;
+        const entities = [
+            ...Array.from(this.engine.players.values()).map(player => ({ position: player.position, isPlayer: true })),
+            ...Array.from(this.engine.npcs.values())
+                .filter(npc => npc.stats.health > 0)
+                .map(npc => ({ position: npc.position, isPlayer: false }))
+        ];
+        const { rows } = renderZoneMap(Array.from(this.engine.zones.values()), entities, mapWidth, mapHeight);
+
+        return [
+            `┌${'─'.repeat(mapWidth)}┐`,
+            ...rows.map(row => `│${row}│`),
+            `└${'─'.repeat(mapWidth)}┘`
+        ];
+    }
+
+    // One line per zone with its map letter and how crowded it is next to the busiest zone
+    renderZones(width) {
+        const zones = Array.from(this.engine.zones.values()).filter(zone => zone.bounds);
+        const { letters } = renderZoneMap(zones, [], 1, 1);
+        const counts = zones.map(zone => ({
+            zone,
+            players: Array.from(this.engine.players.values()).filter(player => player.zoneId === zone.id).length,
+            npcs: zone.npcs.length
+        }));
+        const busiest = Math.max(1, ...counts.map(count => count.players + count.npcs));
+        const barWidth = Math.max(4, Math.min(12, width - 36));
+
+        const lines = counts.map(({ zone, players, npcs }) => {
+            const bar = renderBar(players + npcs, busiest, barWidth);
+            return `${letters.get(zone.id)} ${fit(zone.name, 18)} ${String(players).padStart(3)}@ ${String(npcs).padStart(4)} ${bar}`;
+        });
+
+        const visible = this.options.mapHeight + 1;
+        if (lines.length > visible) {
+            lines.splice(visible - 1, lines.length, `  ... ${lines.length - visible + 1} more zones`);
+        }
+        return ['ZONES                players  NPCs', ...lines];
+    }
+
+    renderCombats(count) {
+        const lines = [];
+        this.engine.combatSystem.activeCombats.forEach(combat => {
+            combat.participants.forEach(participant => {
+                const { health, maxHealth } = participant.stats;
+                const hp = `${Math.max(0, Math.round(health))}/${maxHealth}`;
+                lines.push(`  ${combat.id.slice(0, 8)}  ${fit(this.getName(participant.id), 20)} ${renderBar(health, maxHealth, 20)} ${hp}`);
+            });
+        });
+
+        const shown = lines.slice(0, this.options.combatLines);
+        if (lines.length > shown.length) {
+            shown[shown.length - 1] = `  ... ${lines.length - shown.length + 1} more fighters`;
+        }
+        while (shown.length < this.options.combatLines) {
+            shown.push(shown.length === 0 ? '  No active combats' : '');
+        }
+        return [`COMBATS (${count})`, ...shown];
+    }
+
+    // World events the engine is counting down in processEvents come first, then the latest
+    // domain events
+    renderEvents(width) {
+        const worldEvents = this.engine.events.map(event =>
+            `* ${event.type.replace(/_/g, ' ')} (${Math.max(0, Math.ceil(event.duration / 60000))}m left)`);
+
+        const domainEvents = this.feed.map(event => {
+            const details = Object.entries(event.payload)
+                .filter(([, value]) => value !== null && typeof value !== 'object')
+                .map(([key, value]) => (key.endsWith('Id') ? this.getName(value) : value))
+                .join(' ');
+            return `${String(event.tick).padStart(6)} ${event.type} ${details}`;
+        });
+
+        const lines = [...worldEvents, ...domainEvents].slice(-this.options.eventLines).map(line => fit(line, width));
+        while (lines.length < this.options.eventLines) {
+            lines.push('');
+        }
+        return [`EVENTS (${worldEvents.length} world events active)`, ...lines];
+    }
+
+    renderPerformance(width) {
+        const graphWidth = Math.max(10, Math.min(this.options.history, width - 22));
+        const latest = this.samples[this.samples.length - 1];
+        const tps = this.samples.map(sample => sample.tps);
+        const heap = this.samples.map(sample => sample.heapUsed);
+
+        return [
+            'PERFORMANCE',
+            `tick rate ${renderSparkline(tps, graphWidth)} ${(latest?.tps ?? 0).toFixed(1)}`,
+            `heap      ${renderSparkline(heap, graphWidth)} ${megabytes(latest?.heapUsed ?? 0)}`,
+            `rss       ${megabytes(latest?.rss ?? 0)}`,
+            this.describeTicks(),
+            ...this.renderAIStatus()
+        ];
+    }
+
+    describeTicks() {
+        const profile = this.engine.profiler.getSummary();
+        const stride = profile.aiStride > 1 ? `, AI 1 in ${profile.aiStride}` : '';
+        return `tick p95 ${profile.tick.p95.toFixed(2)}ms, ${profile.overruns} overruns${stride}`;
+    }
+
+    // Same figures as the runner's ai-status command
+    renderAIStatus() {
+        const status = this.gameSystem.getAIStatus();
+        const progress = status.developmentProgress;
+        return [
+            'AI',
+            `agents ${status.activeAgents}, decisions ${status.processedDecisions}, tasks ${status.autonomousTasks}`,
+            progress ? `development ${progress.progress.toFixed(1)}% (${progress.status})` : '',
+            progress ? `${progress.completedTasks} tasks done, ${progress.elapsedHours.toFixed(1)}/${progress.targetHours}h` : ''
+        ];
+    }
+
+    // #endregion
+}
+
+export default Dashboard;
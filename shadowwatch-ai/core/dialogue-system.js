@@ -0,0 +1,211 @@
+/**
+ * ShadowWatch AI - Dialogue System
+ * Branching NPC conversations: nodes, player responses gated by conditions, and responses
+ * that give quests, open shops or teach skills
+ */
+
+const DEFAULT_OPTIONS = {
+    talkRange: 300
+};
+
+class DialogueSystem {
+    constructor(gameEngine, options = {}) {
+        this.engine = gameEngine;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+
+        this.sessions = new Map(); // playerId -> { npcId, dialogueId, nodeId }
+    }
+
+    // #region Conversations
+
+    start(player, npc) {
+        const denied = this.checkCanTalk(player, npc);
+        if (denied) return denied;
+
+        const dialogue = this.engine.content.getDialogue(npc.npcType);
+        if (!dialogue) {
+            // NPCs without a tree just say one of their lines
+            this.sessions.delete(player.id);
+            const line = npc.dialogue[Math.floor(this.engine.random() * npc.dialogue.length)];
+            return { success: true, dialogueId: null, view: this.createView(npc, null, line, []), ended: true };
+        }
+
+        const session = { npcId: npc.id, dialogueId: dialogue.id, nodeId: dialogue.start };
+        this.sessions.set(player.id, session);
+        return { success: true, dialogueId: dialogue.id, ...this.enterNode(player, npc, session) };
+    }
+
+    // responseId is the index of the response in its node, as sent in the view
+    choose(player, responseId) {
+        const session = player && this.sessions.get(player.id);
+        if (!session) {
+            return { success: false, error: 'Not talking to anyone' };
+        }
+
+        const npc = this.engine.npcs.get(session.npcId);
+        const denied = this.checkCanTalk(player, npc);
+        if (denied) {
+            this.sessions.delete(player.id);
+            return { ...denied, ended: true };
+        }
+
+        const node = this.getNode(session);
+        const response = node?.responses?.[responseId];
+        if (!response || !this.checkConditions(player, response.conditions).allowed) {
+            return { success: false, error: 'That response is not available' };
+        }
+
+        // Actions run in order and stop at the first failure, which keeps the player on this node
+        const actions = [];
+        for (const action of response.actions || []) {
+            const result = this.runAction(player, npc, action);
+            actions.push({ type: action.type, ...result });
+            if (!result.success) {
+                return { success: false, error: result.error, actions, ...this.enterNode(player, npc, session) };
+            }
+        }
+
+        if (!response.next) {
+            this.sessions.delete(player.id);
+            return { success: true, actions, view: null, ended: true };
+        }
+
+        session.nodeId = response.next;
+        return { success: true, actions, ...this.enterNode(player, npc, session) };
+    }
+
+    end(playerId) {
+        return this.sessions.delete(playerId);
+    }
+
+    // Conversations don't outlive a load
+    reset() {
+        this.sessions.clear();
+    }
+
+    // A node with no responses the player can pick ends the conversation once shown
+    enterNode(player, npc, session) {
+        const node = this.getNode(session);
+        const responses = (node.responses || [])
+            .map((response, index) => ({ id: index, text: this.format(response.text, player, npc), response }))
+            .filter(({ response }) => this.checkConditions(player, response.conditions).allowed)
+            .map(({ id, text }) => ({ id, text }));
+
+        const ended = responses.length === 0;
+        if (ended) {
+            this.sessions.delete(player.id);
+        }
+        return { view: this.createView(npc, session.nodeId, this.format(node.text, player, npc), responses), ended };
+    }
+
+    createView(npc, nodeId, text, responses) {
+        return { npcId: npc.id, npcName: npc.name, nodeId, text, responses };
+    }
+
+    getNode(session) {
+        return this.engine.content.dialogues.get(session.dialogueId)?.nodes[session.nodeId] || null;
+    }
+
+    getSession(playerId) {
+        return this.sessions.get(playerId) || null;
+    }
+
+    // Lines can mention the player and the NPC: "Welcome, {player}!"
+    format(text, player, npc) {
+        return text.replace(/\{player\}/g, player.username).replace(/\{npc\}/g, npc.name);
+    }
+
+    // #endregion
+
+    // #region Conditions
+
+    checkCanTalk(player, npc) {
+        if (!player || !npc) {
+            return { success: false, error: 'Player or NPC not found' };
+        }
+        if (npc.stats.health <= 0) {
+            return { success: false, error: `${npc.name} can't talk right now` };
+        }
+        if (this.engine.getCombatForEntity(player.id) || this.engine.getCombatForEntity(npc.id)) {
+            return { success: false, error: 'Not while fighting' };
+        }
+        const distance = Math.hypot(npc.position.x - player.position.x, npc.position.y - player.position.y);
+        if (distance > this.options.talkRange) {
+            return { success: false, error: `${npc.name} is too far away` };
+        }
+        return null;
+    }
+
+    // conditions: { minLevel, maxLevel, items: [itemId], quests: { questId: state } }
+    checkConditions(player, conditions = {}) {
+        const level = player.stats.level;
+        if (conditions.minLevel && level < conditions.minLevel) {
+            return { allowed: false, reason: `Requires level ${conditions.minLevel}` };
+        }
+        if (conditions.maxLevel && level > conditions.maxLevel) {
+            return { allowed: false, reason: `Only below level ${conditions.maxLevel + 1}` };
+        }
+
+        const missing = (conditions.items || []).filter(itemId => !player.inventory.includes(itemId));
+        if (missing.length > 0) {
+            return { allowed: false, reason: `Requires ${missing.join(', ')}` };
+        }
+
+        for (const [questId, state] of Object.entries(conditions.quests || {})) {
+            if (!this.isQuestInState(player, questId, state)) {
+                return { allowed: false, reason: `Quest '${questId}' is not ${state.replace('_', ' ')}` };
+            }
+        }
+        return { allowed: true };
+    }
+
+    // 'available' is a quest the player hasn't started and could accept right now
+    isQuestInState(player, questId, state) {
+        const completed = (player.completedQuests || []).includes(questId);
+        const active = player.quests.includes(questId);
+        const quest = this.engine.quests.get(questId);
+
+        switch (state) {
+            case 'completed': return completed;
+            case 'active': return active;
+            case 'not_started': return !completed && !active;
+            case 'available': return Boolean(quest) && this.engine.questSystem.canAcceptQuest(player, quest).allowed;
+            default: return false;
+        }
+    }
+
+    // #endregion
+
+    // #region Actions
+
+    runAction(player, npc, action) {
+        switch (action.type) {
+            case 'give_quest':
+                return this.engine.assignQuest(player.id, action.quest)
+                    ? { success: true, questId: action.quest }
+                    : { success: false, error: `Can't take quest '${action.quest}' right now` };
+
+            case 'open_shop':
+                return this.engine.economy.isMerchant(npc)
+                    ? { success: true, npcId: npc.id, listing: this.engine.economy.getShopListing(npc) }
+                    : { success: false, error: `${npc.name} has nothing to sell` };
+
+            case 'teach_skill': {
+                const result = this.engine.learnSkill(player.id, action.skill, npc.id);
+                return result.success ? { success: true, skillId: action.skill } : result;
+            }
+
+            case 'give_item':
+                return this.engine.giveItem(player.id, action.item)
+                    ? { success: true, itemId: action.item }
+                    : { success: false, error: `Item '${action.item}' not found` };
+
+            default:
+                return { success: false, error: `Unknown dialogue action '${action.type}'` };
+        }
+    }
+
+    // #endregion
+}
+
+export default DialogueSystem;
@@ -0,0 +1,409 @@
+/**
+ * ShadowWatch AI - Economy System
+ * Merchant shops, per-zone supply/demand pricing and transaction logging
+ */
+
+// Goods merchants stock that aren't part of the initial item catalog
+export const TRADE_GOODS = {
+    health_potion: { basePrice: 25 },
+    mana_potion: { basePrice: 20 },
+    rope: { type: 'tool', name: 'Rope', basePrice: 5, description: 'Sturdy climbing rope' },
+    torch: { type: 'tool', name: 'Torch', basePrice: 3, description: 'Lights up dark places' },
+    sword: { type: 'weapon', name: 'Sword', damage: 14, basePrice: 60, description: 'A reliable steel sword' },
+    axe: { type: 'weapon', name: 'Axe', damage: 18, basePrice: 55, description: 'A heavy woodsman\'s axe' },
+    weapons: { type: 'weapon', name: 'Forged Blade', damage: 16, basePrice: 70, description: 'Freshly forged weapon' },
+    shield: { type: 'armor', name: 'Shield', defense: 8, basePrice: 45, description: 'A round wooden shield' },
+    armor: { type: 'armor', name: 'Plate Armor', defense: 15, basePrice: 80, description: 'Solid plate protection' },
+    herbs: { type: 'material', name: 'Herbs', basePrice: 8, description: 'Medicinal herbs' },
+    tools: { type: 'tool', name: 'Tools', basePrice: 25, description: 'A set of crafting tools' },
+    bandages: { type: 'consumable', name: 'Bandages', effect: 'heal', value: 15, basePrice: 6, description: 'Restores 15 health points' },
+    potions: { type: 'consumable', name: 'Minor Potion', effect: 'heal', value: 20, basePrice: 15, description: 'Restores 20 health points' },
+    experience_elixir: { type: 'consumable', name: 'Experience Elixir', basePrice: 150, description: 'Distilled wisdom of past heroes' },
+    food: { type: 'consumable', name: 'Food', effect: 'heal', value: 5, basePrice: 2, description: 'Simple travel rations' }
+};
+
+// Fallback prices for catalog items without a trade good entry
+const RARITY_PRICES = {
+    common: 10,
+    uncommon: 40,
+    rare: 150,
+    epic: 400,
+    legendary: 1000
+};
+
+const PRICE_LIMITS = { min: 0.5, max: 3.0 };
+const SELL_RATIO = 0.5; // Merchants buy at half their selling price
+const STOCK_PER_ITEM = 5;
+const RESTOCK_TICKS = 600; // Game ticks between restocks, however often the merchant thinks
+const DRIFT_RATE = 0.05;
+const DEMAND_DECAY = 0.9;
+const MAX_TRANSACTIONS = 500;
+
+// How zone events move supply and demand
+const EVENT_MARKET_EFFECTS = {
+    // Visiting traders bring buyers for everything on sale
+    npc_visit: { demand: 3 },
+    // Found treasure floods the market with loot
+    treasure_discovery: { supply: 5, types: ['weapon', 'armor', 'material'] }
+};
+
+class EconomySystem {
+    constructor(gameEngine) {
+        this.engine = gameEngine;
+        this.currency = 'gold';
+
+        this.prices = new Map(); // zoneId -> Map of itemKey -> { multiplier, demand, supply }
+        this.transactions = [];
+    }
+
+    // #region Catalog
+
+    getBasePrice(itemKey) {
+        if (TRADE_GOODS[itemKey]) {
+            return TRADE_GOODS[itemKey].basePrice;
+        }
+
+        const item = this.engine.items.get(itemKey) || this.engine.loot.getTemplate(itemKey);
+        if (!item) return null;
+
+        if (item.basePrice) return item.basePrice;
+        if (item.type === 'material' && item.value) return item.value;
+
+        const base = RARITY_PRICES[item.rarity] || RARITY_PRICES.common;
+        return base + (item.damage || 0) * 2 + (item.defense || 0) * 2;
+    }
+
+    // Stock and prices are kept per kind of item: copies spawned from a template trade under
+    // the template's name, catalog items under their own ID
+    getItemKey(itemId) {
+        return this.engine.items.get(itemId)?.template || itemId;
+    }
+
+    // Shop goods become catalog items on first sale so giveItem() can hand them out
+    ensureCatalogItem(itemKey) {
+        if (this.engine.items.has(itemKey)) {
+            return this.engine.items.get(itemKey);
+        }
+        const template = this.engine.loot.getTemplate(itemKey);
+        if (template) return template;
+
+        const good = TRADE_GOODS[itemKey];
+        if (!good?.name) return null;
+
+        const item = { id: itemKey, rarity: 'common', ...good };
+        this.engine.items.set(itemKey, item);
+        return item;
+    }
+
+    // The ID to hand a buyer: catalog goods by key, template goods as a new copy each time
+    issueItem(itemKey) {
+        const template = !this.engine.items.has(itemKey) && this.engine.loot.getTemplate(itemKey);
+        if (!template) return itemKey;
+
+        const item = this.engine.createItem(template, null);
+        this.engine.items.set(item.id, item);
+        return item.id;
+    }
+
+    // #endregion
+
+    // #region Merchants
+
+    isMerchant(npc) {
+        return npc?.behavior === 'trading';
+    }
+
+    // Shops are created lazily so NPCs from older saves start trading too
+    getShop(npc) {
+        if (!this.isMerchant(npc)) return null;
+
+        if (!npc.shop) {
+            const stock = {};
+            (npc.inventory || []).forEach(itemKey => {
+                if (this.getBasePrice(itemKey) !== null) {
+                    stock[itemKey] = STOCK_PER_ITEM;
+                }
+            });
+
+            npc.shop = {
+                stock,
+                restockLevels: { ...stock },
+                gold: 200 + (npc.stats?.level || 1) * 50,
+                restockedAt: this.engine.tickCount
+            };
+        }
+
+        // Shops from older saves counted merchant thinks down instead
+        if (npc.shop.restockedAt === undefined) {
+            npc.shop.restockedAt = this.engine.tickCount;
+            delete npc.shop.ticksUntilRestock;
+        }
+
+        return npc.shop;
+    }
+
+    getShopListing(npc) {
+        const shop = this.getShop(npc);
+        if (!shop) return [];
+
+        return Object.keys(shop.stock).map(itemKey => ({
+            itemKey,
+            name: this.engine.items.get(itemKey)?.name || TRADE_GOODS[itemKey]?.name || itemKey,
+            stock: shop.stock[itemKey],
+            buyPrice: this.getUnitPrice(npc.zoneId, itemKey, 'buy'),
+            sellPrice: this.getUnitPrice(npc.zoneId, itemKey, 'sell')
+        }));
+    }
+
+    // Merchants' behavior trees open and close their shops on a schedule
+    setShopOpen(npc, open) {
+        const shop = this.getShop(npc);
+        if (!shop) return false;
+
+        shop.closed = !open;
+        return true;
+    }
+
+    restock(npc) {
+        const shop = this.getShop(npc);
+        if (!shop) return;
+
+        // A tick count behind the last restock means an older save was loaded; restock now
+        const elapsed = this.engine.tickCount - shop.restockedAt;
+        if (elapsed >= 0 && elapsed < RESTOCK_TICKS) return;
+
+        shop.restockedAt = this.engine.tickCount;
+        Object.entries(shop.restockLevels).forEach(([itemKey, level]) => {
+            if ((shop.stock[itemKey] || 0) < level) {
+                shop.stock[itemKey] = (shop.stock[itemKey] || 0) + 1;
+            }
+        });
+    }
+
+    // #endregion
+
+    // #region Pricing
+
+    getMarketEntry(zoneId, itemKey) {
+        const zoneKey = zoneId || 'world';
+        if (!this.prices.has(zoneKey)) {
+            this.prices.set(zoneKey, new Map());
+        }
+
+        const market = this.prices.get(zoneKey);
+        if (!market.has(itemKey)) {
+            market.set(itemKey, { multiplier: 1, demand: 0, supply: 0 });
+        }
+        return market.get(itemKey);
+    }
+
+    // 'buy' is what a player pays a merchant, 'sell' what a merchant pays a player
+    getUnitPrice(zoneId, itemKey, side = 'buy') {
+        const basePrice = this.getBasePrice(itemKey);
+        if (basePrice === null) return null;
+
+        const price = basePrice * this.getMarketEntry(zoneId, itemKey).multiplier;
+        return Math.max(1, side === 'sell' ? Math.floor(price * SELL_RATIO) : Math.round(price));
+    }
+
+    getQuote(npc, itemKey, side = 'buy', quantity = 1) {
+        if (!npc) return null;
+
+        const unitPrice = this.getUnitPrice(npc.zoneId, itemKey, side);
+        if (unitPrice === null) return null;
+
+        return {
+            itemKey,
+            side,
+            quantity,
+            unitPrice,
+            total: unitPrice * quantity,
+            zoneId: npc.zoneId,
+            currency: this.currency
+        };
+    }
+
+    // Supply/demand pressure moves prices a little on every AI update
+    updatePrices() {
+        this.prices.forEach(market => {
+            market.forEach(entry => {
+                const pressure = (entry.demand - entry.supply) / (entry.demand + entry.supply + 5);
+                const noise = (this.engine.random() - 0.5) * 0.02;
+
+                entry.multiplier = this.clampMultiplier(entry.multiplier * (1 + pressure * DRIFT_RATE + noise));
+                entry.demand *= DEMAND_DECAY;
+                entry.supply *= DEMAND_DECAY;
+            });
+        });
+    }
+
+    // Pull prices back towards their base value so shocks don't stick forever
+    rebalance() {
+        this.prices.forEach(market => {
+            market.forEach(entry => {
+                entry.multiplier = this.clampMultiplier(entry.multiplier + (1 - entry.multiplier) * 0.01);
+            });
+        });
+    }
+
+    clampMultiplier(multiplier) {
+        return Math.min(PRICE_LIMITS.max, Math.max(PRICE_LIMITS.min, multiplier));
+    }
+
+    applyZoneEvent(event) {
+        const effect = EVENT_MARKET_EFFECTS[event.type];
+        if (!effect) return;
+
+        this.getZoneGoods(event.zoneId).forEach(itemKey => {
+            const type = this.engine.items.get(itemKey)?.type || TRADE_GOODS[itemKey]?.type;
+            if (effect.types && !effect.types.includes(type)) return;
+
+            const entry = this.getMarketEntry(event.zoneId, itemKey);
+            entry.demand += effect.demand || 0;
+            entry.supply += effect.supply || 0;
+        });
+    }
+
+    // Everything traded or stocked in a zone
+    getZoneGoods(zoneId) {
+        const goods = new Set(this.prices.get(zoneId)?.keys() || []);
+
+        this.engine.npcs.forEach(npc => {
+            if (npc.zoneId === zoneId && this.isMerchant(npc)) {
+                Object.keys(this.getShop(npc).stock).forEach(itemKey => goods.add(itemKey));
+            }
+        });
+
+        return goods;
+    }
+
+    // #endregion
+
+    // #region Trading
+
+    buy(player, npc, itemKey, quantity = 1) {
+        const shop = this.getShop(npc);
+        const error = this.validateTrade(player, npc, shop, quantity);
+        if (error) return { success: false, error };
+
+        if ((shop.stock[itemKey] || 0) < quantity) {
+            return { success: false, error: `${npc.name} doesn't have ${quantity} ${itemKey} in stock` };
+        }
+
+        const quote = this.getQuote(npc, itemKey, 'buy', quantity);
+        if (player.stats.gold < quote.total) {
+            return { success: false, error: `Not enough gold: ${quote.total} needed, ${player.stats.gold} available` };
+        }
+
+        if (!this.ensureCatalogItem(itemKey)) {
+            return { success: false, error: `Unknown item '${itemKey}'` };
+        }
+
+        player.stats.gold -= quote.total;
+        shop.gold += quote.total;
+        shop.stock[itemKey] -= quantity;
+        for (let i = 0; i < quantity; i++) {
+            this.engine.giveItem(player.id, this.issueItem(itemKey));
+        }
+
+        this.getMarketEntry(npc.zoneId, itemKey).demand += quantity;
+        return { success: true, transaction: this.recordTransaction('buy', player, npc, quote) };
+    }
+
+    sell(player, npc, itemId, quantity = 1) {
+        const shop = this.getShop(npc);
+        const error = this.validateTrade(player, npc, shop, quantity);
+        if (error) return { success: false, error };
+
+        const owned = player.inventory.filter(id => id === itemId).length;
+        if (owned < quantity) {
+            return { success: false, error: 'Item not in inventory' };
+        }
+
+        const itemKey = this.getItemKey(itemId);
+        const quote = this.getQuote(npc, itemKey, 'sell', quantity);
+        if (!quote) {
+            return { success: false, error: `${npc.name} won't buy '${itemId}'` };
+        }
+        if (shop.gold < quote.total) {
+            return { success: false, error: `${npc.name} can't afford ${quote.total} gold` };
+        }
+
+        for (let i = 0; i < quantity; i++) {
+            this.engine.takeItem(player.id, itemId);
+        }
+        // A sold copy becomes one more of its template in stock
+        if (itemKey !== itemId) {
+            this.engine.items.delete(itemId);
+        }
+        player.stats.gold += quote.total;
+        shop.gold -= quote.total;
+        shop.stock[itemKey] = (shop.stock[itemKey] || 0) + quantity;
+
+        this.getMarketEntry(npc.zoneId, itemKey).supply += quantity;
+        return { success: true, transaction: this.recordTransaction('sell', player, npc, quote) };
+    }
+
+    validateTrade(player, npc, shop, quantity) {
+        if (!player) return 'Player not found';
+        if (!npc) return 'NPC not found';
+        if (!shop) return `${npc.name} is not a merchant`;
+        if (shop.closed) return `${npc.name}'s shop is closed`;
+        if (!Number.isInteger(quantity) || quantity < 1) return 'Quantity must be a positive whole number';
+        if (player.zoneId !== npc.zoneId) return `${npc.name} is not in your zone`;
+        return null;
+    }
+
+    recordTransaction(type, player, npc, quote) {
+        const transaction = {
+            id: this.engine.generateId(),
+            type,
+            playerId: player.id,
+            npcId: npc.id,
+            zoneId: npc.zoneId,
+            itemKey: quote.itemKey,
+            quantity: quote.quantity,
+            unitPrice: quote.unitPrice,
+            total: quote.total,
+            timestamp: this.engine.now()
+        };
+
+        this.transactions.push(transaction);
+        if (this.transactions.length > MAX_TRANSACTIONS) {
+            this.transactions.shift();
+        }
+
+        this.engine.eventBus.publish('trade.completed', { transaction });
+
+        const verb = type === 'buy' ? 'bought' : 'sold';
+        console.log(`💰 ${player.username} ${verb} ${quote.quantity}x ${quote.itemKey} for ${quote.total} ${this.currency}`);
+        return transaction;
+    }
+
+    getTransactions(filter = {}) {
+        return this.transactions.filter(transaction =>
+            (!filter.playerId || transaction.playerId === filter.playerId) &&
+            (!filter.npcId || transaction.npcId === filter.npcId) &&
+            (!filter.zoneId || transaction.zoneId === filter.zoneId));
+    }
+
+    // #endregion
+
+    // #region Persistence
+
+    serialize() {
+        return {
+            prices: this.prices,
+            transactions: this.transactions
+        };
+    }
+
+    restore(data) {
+        this.prices = data?.prices instanceof Map ? data.prices : new Map();
+        this.transactions = data?.transactions || [];
+    }
+
+    // #endregion
+}
+
+export default EconomySystem;
@@ -0,0 +1,251 @@
+/**
+ * ShadowWatch AI - Environment System
+ * Day/night cycle, seasons and per-zone weather with gameplay modifiers
+ */
+
+import { EventEmitter } from 'events';
+
+// Night runs from NIGHT_START to DAWN on the game clock
+export const NIGHT_START = 21;
+export const DAWN = 6;
+
+// Seasons rotate every SEASON_LENGTH game days
+export const SEASONS = ['spring', 'summer', 'autumn', 'winter'];
+const SEASON_LENGTH = 7;
+
+// Multipliers applied to NPC perception, movement speed and combat hit chance
+export const WEATHER_TYPES = {
+    clear: { visibility: 1, movement: 1, accuracy: 1 },
+    cloudy: { visibility: 0.9, movement: 1, accuracy: 1 },
+    rain: { visibility: 0.7, movement: 0.9, accuracy: 0.9 },
+    storm: { visibility: 0.4, movement: 0.75, accuracy: 0.75 },
+    fog: { visibility: 0.3, movement: 1, accuracy: 0.8 },
+    snow: { visibility: 0.6, movement: 0.7, accuracy: 0.9 },
+    gale: { visibility: 0.9, movement: 0.8, accuracy: 0.85 }
+};
+
+// Darkness stacks on top of the weather
+const NIGHT_VISIBILITY = 0.6;
+
+// Hourly transition weights per climate: current weather -> next weather -> weight
+const CLIMATES = {
+    temperate: {
+        clear: { clear: 8, cloudy: 2, fog: 1 },
+        cloudy: { clear: 3, cloudy: 4, rain: 3 },
+        rain: { cloudy: 3, rain: 5, storm: 1 },
+        storm: { rain: 3, storm: 2 },
+        fog: { clear: 3, fog: 3, cloudy: 1 }
+    },
+    arid: {
+        clear: { clear: 12, cloudy: 1, gale: 1 },
+        cloudy: { clear: 4, cloudy: 2, storm: 1 },
+        storm: { clear: 2, storm: 1 },
+        gale: { clear: 3, gale: 2 }
+    },
+    underground: {
+        clear: { clear: 10, fog: 1 },
+        fog: { clear: 2, fog: 3 }
+    },
+    highland: {
+        clear: { clear: 5, cloudy: 2, gale: 1 },
+        cloudy: { clear: 2, cloudy: 3, storm: 2 },
+        storm: { cloudy: 2, storm: 3, gale: 1 },
+        gale: { clear: 2, gale: 2, storm: 1 }
+    },
+    sky: {
+        clear: { clear: 5, gale: 3, cloudy: 1 },
+        cloudy: { clear: 2, cloudy: 2, storm: 2 },
+        storm: { gale: 2, storm: 2 },
+        gale: { clear: 2, gale: 3, storm: 1 }
+    }
+};
+
+const ZONE_CLIMATES = {
+    safe: 'temperate',
+    social: 'temperate',
+    exploration: 'temperate',
+    combat: 'arid',
+    dungeon: 'underground',
+    raid: 'highland',
+    flying: 'sky'
+};
+
+// Seasonal weighting on top of the climate; winter turns rain into snow
+const SEASON_WEIGHTS = {
+    spring: { rain: 1.4 },
+    summer: { clear: 1.5, storm: 1.3 },
+    autumn: { fog: 1.8, cloudy: 1.3 },
+    winter: { cloudy: 1.3 }
+};
+const SEASON_REPLACEMENTS = {
+    winter: { rain: 'snow' }
+};
+
+// Weather missing from a climate's table moves on like its closest relative
+const TRANSITION_FALLBACKS = {
+    snow: 'rain'
+};
+
+class EnvironmentSystem extends EventEmitter {
+    constructor(gameEngine) {
+        super();
+        this.engine = gameEngine;
+    }
+
+    // #region Clock
+
+    get time() {
+        return this.engine.gameWorld.time;
+    }
+
+    isNight() {
+        return this.time.hour >= NIGHT_START || this.time.hour < DAWN;
+    }
+
+    getPeriod() {
+        return this.isNight() ? 'night' : 'day';
+    }
+
+    getSeason() {
+        return SEASONS[Math.floor((this.time.day - 1) / SEASON_LENGTH) % SEASONS.length];
+    }
+
+    // Called by the engine whenever the game clock reaches a new hour
+    onHourChanged() {
+        const period = this.getPeriod();
+        const periodChanged = this.time.hour === DAWN || this.time.hour === NIGHT_START;
+
+        this.announceTime(periodChanged);
+        if (periodChanged) {
+            console.log(period === 'night' ? '🌙 Night falls over the realm' : '🌅 Dawn breaks over the realm');
+        }
+
+        this.engine.zones.forEach(zone => this.advanceWeather(zone));
+        this.engine.gameWorld.weather = this.getPrevailingWeather();
+    }
+
+    // Jump the clock within the current day. Unlike a natural hour change, weather doesn't roll.
+    setTime(hour, minute = 0) {
+        const previous = this.getPeriod();
+        this.time.hour = hour;
+        this.time.minute = minute;
+
+        this.announceTime(this.getPeriod() !== previous);
+        return { ...this.time };
+    }
+
+    // Local listeners get the season too; the bus event is what plugins and the event log see
+    announceTime(periodChanged) {
+        const { day, hour } = this.time;
+        const period = this.getPeriod();
+
+        this.emit('time_change', { day, hour, period, season: this.getSeason(), periodChanged });
+        this.engine.eventBus.publish('time.changed', { day, hour, period, periodChanged });
+    }
+
+    // #endregion
+
+    // #region Weather
+
+    // Zones from older saves and generated zones start clear
+    getZoneWeather(zone) {
+        if (!zone.weather) {
+            zone.weather = { type: 'clear', since: { ...this.time } };
+        }
+        return zone.weather;
+    }
+
+    getClimate(zone) {
+        return CLIMATES[ZONE_CLIMATES[zone.type] || 'temperate'];
+    }
+
+    // Weighted transition options for a zone's current weather in the current season
+    getTransitions(zone) {
+        const season = this.getSeason();
+        const current = this.getZoneWeather(zone).type;
+        const climate = this.getClimate(zone);
+        const table = climate[current] || climate[TRANSITION_FALLBACKS[current]] || { clear: 1 };
+        const weights = SEASON_WEIGHTS[season] || {};
+        const replacements = SEASON_REPLACEMENTS[season] || {};
+
+        const options = {};
+        Object.entries(table).forEach(([type, weight]) => {
+            const next = replacements[type] || type;
+            options[next] = (options[next] || 0) + weight * (weights[type] || 1);
+        });
+        return options;
+    }
+
+    advanceWeather(zone) {
+        const options = Object.entries(this.getTransitions(zone));
+        const total = options.reduce((sum, [, weight]) => sum + weight, 0);
+        let roll = this.engine.random() * total;
+
+        for (const [type, weight] of options) {
+            roll -= weight;
+            if (roll < 0) {
+                return this.setWeather(zone, type);
+            }
+        }
+        return false;
+    }
+
+    // Weather events force a change away from the current weather
+    changeWeather(zone) {
+        const current = this.getZoneWeather(zone).type;
+        const options = Object.keys(this.getTransitions(zone)).filter(type => type !== current);
+        const next = options.length > 0
+            ? options[Math.floor(this.engine.random() * options.length)]
+            : 'cloudy';
+        return this.setWeather(zone, next);
+    }
+
+    setWeather(zone, type) {
+        if (!WEATHER_TYPES[type]) return false;
+
+        const weather = this.getZoneWeather(zone);
+        if (weather.type === type) return false;
+
+        const previous = weather.type;
+        zone.weather = { type, since: { ...this.time } };
+
+        this.emit('weather_change', { zoneId: zone.id, previous, weather: type, season: this.getSeason() });
+        this.engine.eventBus.publish('weather.changed', { zoneId: zone.id, previous, weather: type });
+        console.log(`🌦️ Weather in ${zone.name}: ${previous} -> ${type}`);
+        return true;
+    }
+
+    // Most common weather across zones, kept on gameWorld.weather for status displays
+    getPrevailingWeather() {
+        const counts = {};
+        this.engine.zones.forEach(zone => {
+            const type = this.getZoneWeather(zone).type;
+            counts[type] = (counts[type] || 0) + 1;
+        });
+        return Object.entries(counts).sort((a, b) => b[1] - a[1])[0]?.[0] || 'clear';
+    }
+
+    // #endregion
+
+    // #region Modifiers
+
+    getModifiers(zoneId) {
+        const zone = zoneId ? this.engine.zones.get(zoneId) : null;
+        const weather = zone ? this.getZoneWeather(zone).type : 'clear';
+        const modifiers = { ...WEATHER_TYPES[weather], weather };
+
+        // Underground zones never see the sun, so nightfall changes nothing there
+        if (this.isNight() && zone?.type !== 'dungeon') {
+            modifiers.visibility *= NIGHT_VISIBILITY;
+        }
+        return modifiers;
+    }
+
+    getModifiersAt(position) {
+        return this.getModifiers(this.engine.spatial.getZoneAt(position)?.id);
+    }
+
+    // #endregion
+}
+
+export default EnvironmentSystem;
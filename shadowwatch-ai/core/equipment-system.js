@@ -0,0 +1,188 @@
+/**
+ * ShadowWatch AI - Equipment System
+ * Slot rules, equip requirements and effective stats derived from gear
+ */
+
+export const EQUIPMENT_SLOTS = ['weapon', 'armor', 'accessory'];
+
+// Minimum level to wear an item of each rarity
+export const RARITY_LEVEL_REQUIREMENTS = {
+    common: 1,
+    uncommon: 3,
+    rare: 8,
+    epic: 15,
+    legendary: 25
+};
+
+// Base attributes that gear can raise through an item's `stats` bonuses
+const ATTRIBUTES = ['strength', 'agility', 'intelligence', 'vitality', 'maxHealth', 'maxMana'];
+
+export function getItemSlot(item) {
+    if (!item) return null;
+    if (item.slot) return EQUIPMENT_SLOTS.includes(item.slot) ? item.slot : null;
+    return EQUIPMENT_SLOTS.includes(item.type) ? item.type : null;
+}
+
+export function getRequiredLevel(item) {
+    return Math.max(item.requiredLevel || 1, RARITY_LEVEL_REQUIREMENTS[item.rarity] || 1);
+}
+
+// Single source of truth for the stats combat uses: base stats plus every equipped
+// item, with combat ratings derived from the result. resolveItem maps a slot's item id
+// to its definition.
+export function calculateEffectiveStats(entity, resolveItem = () => null) {
+    const base = entity.stats || {};
+    const stats = {
+        ...base,
+        maxHealth: base.maxHealth || base.health || 0,
+        maxMana: base.maxMana || base.mana || 0
+    };
+    let weaponDamage = 0;
+    let defense = 0;
+
+    EQUIPMENT_SLOTS.forEach(slot => {
+        const equipped = entity.equipment?.[slot];
+        const item = typeof equipped === 'object' ? equipped : resolveItem(equipped);
+        if (!item) return;
+
+        weaponDamage += item.damage || 0;
+        defense += item.defense || 0;
+        if (item.mana) stats.maxMana += item.mana;
+
+        ATTRIBUTES.forEach(attribute => {
+            stats[attribute] = (stats[attribute] || 0) + (item.stats?.[attribute] || 0);
+        });
+    });
+
+    const agility = stats.agility || 0;
+
+    return {
+        ...stats,
+        attack: (stats.strength || 0) * 2 + weaponDamage,
+        defense,
+        accuracy: 70 + agility / 2,
+        evasion: agility,
+        speed: 40 + agility
+    };
+}
+
+// The stat block AttackTrainer sessions are built from
+export function toCombatProfile(stats) {
+    return {
+        maxHealth: stats.maxHealth,
+        attack: stats.attack,
+        defense: stats.defense,
+        accuracy: stats.accuracy,
+        evasion: stats.evasion,
+        speed: stats.speed,
+        level: stats.level
+    };
+}
+
+class EquipmentSystem {
+    constructor(gameEngine) {
+        this.engine = gameEngine;
+    }
+
+    // #region Requirements
+
+    canEquip(player, item) {
+        if (!player || !item) {
+            return { allowed: false, reason: 'Unknown player or item' };
+        }
+
+        const slot = getItemSlot(item);
+        if (!slot) {
+            return { allowed: false, reason: `${item.name || item.id} cannot be equipped` };
+        }
+
+        const requiredLevel = getRequiredLevel(item);
+        if (player.stats.level < requiredLevel) {
+            return { allowed: false, reason: `Requires level ${requiredLevel}` };
+        }
+
+        return { allowed: true, slot };
+    }
+
+    // #endregion
+
+    // #region Equipping
+
+    equip(player, itemId) {
+        if (!player) {
+            return { success: false, error: 'Player not found' };
+        }
+        if (!player.inventory.includes(itemId)) {
+            return { success: false, error: 'Item not in inventory' };
+        }
+
+        const item = this.engine.items.get(itemId);
+        const eligibility = this.canEquip(player, item);
+        if (!eligibility.allowed) {
+            return { success: false, error: eligibility.reason };
+        }
+
+        const { slot } = eligibility;
+        player.equipment = player.equipment || {};
+
+        // Whatever was in the slot goes back to the bag
+        const replaced = player.equipment[slot] || null;
+        if (replaced) {
+            player.inventory.push(replaced);
+        }
+
+        player.inventory.splice(player.inventory.indexOf(itemId), 1);
+        player.equipment[slot] = itemId;
+        this.clampVitals(player);
+
+        return { success: true, slot, replaced };
+    }
+
+    unequip(player, slot) {
+        if (!player) {
+            return { success: false, error: 'Player not found' };
+        }
+        if (!EQUIPMENT_SLOTS.includes(slot)) {
+            return { success: false, error: `Unknown equipment slot '${slot}'` };
+        }
+
+        const itemId = player.equipment?.[slot];
+        if (!itemId) {
+            return { success: false, error: `Nothing equipped in ${slot} slot` };
+        }
+
+        delete player.equipment[slot];
+        player.inventory.push(itemId);
+        this.clampVitals(player);
+
+        return { success: true, slot, itemId };
+    }
+
+    // Losing a health or mana bonus can't leave current values above the new maximum
+    clampVitals(player) {
+        const stats = this.getEffectiveStats(player);
+        player.stats.health = Math.min(player.stats.health, stats.maxHealth);
+        player.stats.mana = Math.min(player.stats.mana, stats.maxMana);
+    }
+
+    // #endregion
+
+    // #region Queries
+
+    getEffectiveStats(entity) {
+        return calculateEffectiveStats(entity, itemId => this.engine.items.get(itemId));
+    }
+
+    getEquippedItems(entity) {
+        const equipped = {};
+        EQUIPMENT_SLOTS.forEach(slot => {
+            const itemId = entity.equipment?.[slot];
+            equipped[slot] = itemId ? this.engine.items.get(itemId) || null : null;
+        });
+        return equipped;
+    }
+
+    // #endregion
+}
+
+export default EquipmentSystem;
@@ -0,0 +1,147 @@
+/**
+ * ShadowWatch AI - Event Bus
+ * Typed domain events published by every engine state change, recorded to an event log
+ */
+
+import EventLog from './event-log.js';
+
+// Payload fields each event type must carry. Publishing an unknown type or leaving out a
+// field throws, so subscribers can rely on the shape.
+export const EVENT_TYPES = {
+    'engine.started': ['seed', 'config'],
+    'command': ['name', 'args'],
+    'world.advanced': ['from', 'to'],
+    'zone.created': ['zoneId', 'type', 'generated'],
+    'npc.spawned': ['npcId', 'npcType', 'zoneId'],
+    'player.created': ['playerId', 'username'],
+    'player.removed': ['playerId'],
+    'player.moved': ['playerId', 'position', 'zoneId'],
+    'entity.leveled_up': ['entityId', 'level'],
+    'entity.defeated': ['entityId', 'combatId', 'winnerId', 'experience'],
+    'entity.revived': ['entityId'],
+    'item.given': ['playerId', 'itemId'],
+    'item.taken': ['playerId', 'itemId'],
+    'item.equipped': ['playerId', 'itemId', 'slot', 'replaced'],
+    'item.unequipped': ['playerId', 'itemId', 'slot'],
+    'item.picked_up': ['playerId', 'itemId', 'zoneId'],
+    'loot.dropped': ['npcId', 'zoneId', 'itemIds', 'reservedFor'],
+    'loot.despawned': ['itemId', 'zoneId'],
+    'quest.assigned': ['playerId', 'questId'],
+    'quest.completed': ['playerId', 'questId', 'rewards'],
+    'skill.learned': ['playerId', 'skillId', 'trainerId'],
+    'dialogue.started': ['playerId', 'npcId', 'dialogueId'],
+    'dialogue.advanced': ['playerId', 'npcId', 'responseId', 'nodeId'],
+    'dialogue.ended': ['playerId', 'npcId'],
+    'trade.completed': ['transaction'],
+    'party.created': ['partyId', 'leaderId'],
+    'party.joined': ['partyId', 'playerId'],
+    'party.left': ['partyId', 'playerId', 'disbanded'],
+    'party.updated': ['partyId', 'leaderId', 'rules'],
+    'guild.created': ['guildId', 'name', 'leaderId'],
+    'guild.joined': ['guildId', 'playerId'],
+    'guild.left': ['guildId', 'playerId', 'disbanded'],
+    'guild.rank_changed': ['guildId', 'playerId', 'rank'],
+    'guild.bank_changed': ['guildId', 'playerId', 'kind', 'gold', 'itemId'],
+    'combat.started': ['combatId', 'participantIds'],
+    'combat.action': ['combatId', 'actorId', 'action', 'result'],
+    'combat.ended': ['combatId', 'survivorIds'],
+    'time.changed': ['day', 'hour', 'period', 'periodChanged'],
+    'weather.changed': ['zoneId', 'previous', 'weather'],
+    'content.reloaded': ['packs'],
+    'profiler.ai_stride_changed': ['stride', 'previous', 'overrunRate', 'budgetMs'],
+    'game.saved': ['slot'],
+    'game.loaded': ['slot'],
+    'admin.command': ['actor', 'command', 'args', 'success']
+};
+
+class EventBus {
+    constructor(gameEngine, options = {}) {
+        this.engine = gameEngine;
+        this.log = new EventLog(options);
+
+        this.sequence = 0;
+        this.subscribers = new Map(); // pattern -> Set of handlers
+        this.depth = 0; // > 0 while a command or the simulation itself is running
+        this.commandCount = 0;
+    }
+
+    // #region Publishing
+
+    publish(type, payload = {}) {
+        const fields = EVENT_TYPES[type];
+        if (!fields) {
+            throw new Error(`Unknown event type '${type}'`);
+        }
+        const missing = fields.filter(field => payload[field] === undefined);
+        if (missing.length > 0) {
+            throw new Error(`Event '${type}' is missing ${missing.join(', ')}`);
+        }
+
+        const time = this.engine.gameWorld?.time;
+        const event = {
+            seq: ++this.sequence,
+            type,
+            tick: this.engine.tickCount,
+            time: time ? { ...time } : null,
+            timestamp: this.engine.now(),
+            payload
+        };
+
+        this.log.append(event);
+        this.notify(event);
+        return event;
+    }
+
+    // A broken subscriber is logged and skipped; it never undoes the change being published
+    notify(event) {
+        const namespace = event.type.split('.')[0];
+        [event.type, `${namespace}.*`, '*'].forEach(pattern => {
+            this.subscribers.get(pattern)?.forEach(handler => {
+                try {
+                    handler(event);
+                } catch (error) {
+                    console.error(`❌ Event subscriber for '${pattern}' failed:`, error.message);
+                }
+            });
+        });
+    }
+
+    // pattern: an event type, a namespace like 'combat.*', or '*'; returns an unsubscribe function
+    subscribe(pattern, handler) {
+        if (!this.subscribers.has(pattern)) {
+            this.subscribers.set(pattern, new Set());
+        }
+        this.subscribers.get(pattern).add(handler);
+        return () => this.subscribers.get(pattern)?.delete(handler);
+    }
+
+    // #endregion
+
+    // #region Commands
+
+    // Outside input (API calls, network, game-runner) is recorded as a 'command' event before
+    // it runs. Calls made while another command or the simulation is running are consequences
+    // of that and aren't recorded again, so replaying the commands rebuilds the same state.
+    command(name, args, run) {
+        if (this.depth > 0) {
+            return run();
+        }
+
+        this.commandCount++;
+        this.publish('command', { name, args: structuredClone(args) });
+        return this.simulate(run);
+    }
+
+    simulate(run) {
+        this.depth++;
+        try {
+            return run();
+        } finally {
+            this.depth--;
+        }
+    }
+
+    // #endregion
+}
+
+export default EventBus;
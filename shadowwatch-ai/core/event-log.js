@@ -0,0 +1,75 @@
+/**
+ * ShadowWatch AI - Event Log
+ * Append-only record of engine events, kept in memory and optionally streamed to an NDJSON file
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const DEFAULT_OPTIONS = {
+    file: null, // NDJSON file every event is appended to
+    limit: 10000 // Events kept in memory; the file keeps everything
+};
+
+class EventLog {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.entries = [];
+        this.dropped = 0; // Events that fell out of memory, still in the file if there is one
+        this.stream = null;
+
+        if (this.options.file) {
+            fs.mkdirSync(path.dirname(this.options.file), { recursive: true });
+            this.stream = fs.createWriteStream(this.options.file, { flags: 'a' });
+            this.stream.on('error', error => console.error('❌ Event log write failed:', error.message));
+        }
+    }
+
+    append(event) {
+        this.entries.push(event);
+        if (this.entries.length > this.options.limit) {
+            this.entries.shift();
+            this.dropped++;
+        }
+
+        this.stream?.write(`${JSON.stringify(event)}\n`);
+        return event;
+    }
+
+    // In-memory events, optionally only those after a sequence number or of some types
+    getEvents(filter = {}) {
+        return this.entries.filter(event =>
+            (filter.since === undefined || event.seq > filter.since) &&
+            (!filter.types || filter.types.includes(event.type)));
+    }
+
+    // Complete when nothing has fallen out of memory, so the in-memory log can be replayed
+    isComplete() {
+        return this.dropped === 0;
+    }
+
+    toNDJSON() {
+        return this.entries.map(event => JSON.stringify(event)).join('\n') + (this.entries.length > 0 ? '\n' : '');
+    }
+
+    async save(file) {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(file, this.toNDJSON(), 'utf8');
+        return file;
+    }
+
+    static async read(file) {
+        const content = await fs.promises.readFile(file, 'utf8');
+        return content.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+    }
+
+    close() {
+        if (!this.stream) return Promise.resolve();
+
+        const stream = this.stream;
+        this.stream = null;
+        return new Promise(resolve => stream.end(resolve));
+    }
+}
+
+export default EventLog;
@@ -6,9 +6,58 @@
 import fs from 'fs';
 import path from 'path';
 import crypto from 'crypto';
+import GamePersistence, { createSaveAdapter } from './game-persistence.js';
+import { createSeededRandom, createIdGenerator } from './seeded-random.js';
+import QuestSystem from './quest-system.js';
+import SpatialIndex from './spatial-index.js';
+import EconomySystem from './economy-system.js';
+import EquipmentSystem from './equipment-system.js';
+import SkillSystem, { getAbility, calculateAbilityEffect } from './skill-system.js';
+import ContentGenerator from './content-generator.js';
+import StateSync from './state-sync.js';
+import NPCBehaviorSystem from './npc-behavior.js';
+import EnvironmentSystem from './environment-system.js';
+import PhysicsSystem from './physics-system.js';
+import ContentRegistry from './content-registry.js';
+import ContentLoader, { BUILTIN_CONTENT_DIRECTORY } from './content-loader.js';
+import PluginManager from './plugin-manager.js';
+import EventBus from './event-bus.js';
+import EventLog from './event-log.js';
+import PartySystem from './party-system.js';
+import GuildSystem from './guild-system.js';
+import LootSystem from './loot-system.js';
+import DialogueSystem from './dialogue-system.js';
+import AdminSystem from './admin-system.js';
+import TickProfiler from './tick-profiler.js';
+import ZoneShardCoordinator from './zone-shards.js';
+
+export const COMBAT_ACTIONS = ['attack', 'defend', 'use_item', 'ability', 'flee'];
+
+// Public entry points recorded as 'command' events; replaying them in order on a fresh
+// engine with the same seed rebuilds the same world
+export const REPLAYABLE_COMMANDS = [
+    'addPlayer', 'removePlayer', 'movePlayer',
+    'startCombat', 'endCombat', 'submitCombatAction',
+    'giveItem', 'takeItem', 'assignQuest', 'completeQuest', 'talkToNPC',
+    'buyItem', 'sellItem', 'equipItem', 'unequipItem', 'learnSkill',
+    'createParty', 'inviteToParty', 'acceptPartyInvite', 'leaveParty', 'kickFromParty', 'promotePartyLeader', 'setPartyRules',
+    'createGuild', 'inviteToGuild', 'acceptGuildInvite', 'leaveGuild', 'kickFromGuild', 'setGuildRank',
+    'depositToGuildBank', 'withdrawFromGuildBank', 'pickUpItem',
+    'startDialogue', 'chooseDialogueResponse', 'endDialogue', 'runAdminCommand'
+];
+
+// Durations are counted in the owner's combat turns
+const STATUS_EFFECTS = {
+    defending: { duration: 1, damageTaken: 0.5, combatOnly: true },
+    exposed: { duration: 1, damageTaken: 1.25, combatOnly: true },
+    stunned: { duration: 1, combatOnly: true },
+    regenerating: { duration: 3, healthPerRound: 0.05 },
+    poisoned: { duration: 3, healthPerRound: -0.05 },
+    burning: { duration: 2, healthPerRound: -0.05 }
+};
 
 class ShadowWatchGameEngine {
-    constructor() {
+    constructor(config = {}) {
         this.version = '1.0.0';
         this.gameWorld = null;
         this.players = new Map();
@@ -25,28 +74,133 @@ class ShadowWatchGameEngine {
             maxPlayers: 1000,
             tickRate: 60,
             saveInterval: 300000,
-            aiUpdateInterval: 100
+            aiUpdateInterval: 100,
+            combatRoundTicks: 30,
+            spatialCellSize: 250,
+            contentGenerationInterval: 60000,
+            contentLimits: {},
+            interestRadius: 1500,
+            npcThinkTicks: 30,
+            behaviorTrees: {},
+            physicsTimestep: 1 / 60, // Seconds per physics step, whatever the tick rate
+
+            // Plugins: definitions passed in here load before the world is built;
+            // loadPlugins() adds more from pluginDirectory at runtime
+            plugins: [],
+            pluginDirectory: process.env.GAME_PLUGIN_DIRECTORY || null,
+            pluginMaxErrors: 10,
+
+            // Event log: every domain event, optionally appended to an NDJSON file
+            eventLogFile: process.env.GAME_EVENT_LOG || null,
+            eventLogLimit: 10000,
+
+            // Player groups: parties last a session, guilds are saved with the world
+            maxPartySize: 5,
+            guildCreationCost: 100, // Gold
+
+            // Loot: NPC drops are reserved for the killer, then free for anyone, then despawn
+            lootReservedTicks: 1800,
+            lootDespawnTicks: 18000,
+
+            // Game master commands: 'name:role,...' (roles in admin-system.js), and an
+            // NDJSON audit file every attempt is appended to
+            adminRoles: process.env.GAME_ADMIN_ROLES || 'console:admin',
+            auditLogFile: process.env.GAME_AUDIT_LOG || null,
+            auditLogLimit: 1000,
+
+            // Profiling: per-subsystem tick timings. A tick longer than tickBudgetMs (default: one
+            // tick at tickRate) is an overrun; adaptiveAI then runs AI updates less often until
+            // ticks fit again, which makes headless runs depend on machine speed. A trace file
+            // records every tick for chrome://tracing and is written when the logs are closed.
+            tickBudgetMs: null,
+            profileWindow: 600,
+            adaptiveAI: process.env.GAME_ADAPTIVE_AI === 'true',
+            profileTraceFile: process.env.GAME_PROFILE_TRACE || null,
+
+            // Zone sharding: NPC brains run on this many worker threads, each owning a fixed set
+            // of zones (0 keeps them on the main thread). Seeded runs repeat with any worker
+            // count, but follow a different sequence than unsharded runs.
+            zoneWorkers: Number(process.env.GAME_ZONE_WORKERS) || 0,
+            zoneWorkerTimeout: 5000,
+
+            // Content packs: the bundled ones always load; this directory adds more on top
+            contentDirectory: process.env.GAME_CONTENT_DIRECTORY || null,
+            contentHotReload: process.env.GAME_CONTENT_HOT_RELOAD === 'true',
+
+            // Persistence: 'file' (json/ndjson snapshots), 'postgres' or 'memory'
+            saveAdapter: process.env.GAME_SAVE_ADAPTER || 'file',
+            saveFormat: process.env.GAME_SAVE_FORMAT || 'json',
+            saveDirectory: process.env.GAME_SAVE_DIRECTORY || path.join(process.cwd(), 'saves'),
+            saveSlot: process.env.GAME_SAVE_SLOT || 'autosave',
+
+            // Determinism: a seed makes every generator and ID reproducible and
+            // switches to a simulated clock; headless skips the real-time loops
+            seed: null,
+            headless: false,
+            epoch: Date.UTC(2024, 0, 1),
+
+            ...config
         };
 
+        this.initializeDeterminism();
         this.initialize();
     }
 
+    initializeDeterminism() {
+        const seeded = this.config.seed !== null && this.config.seed !== undefined;
+
+        this.deterministic = seeded;
+        this.rng = this.config.random || (seeded ? createSeededRandom(this.config.seed) : Math.random);
+        this.idGenerator = this.config.idGenerator || (seeded ? createIdGenerator(this.rng) : () => crypto.randomUUID());
+        this.tickCount = 0;
+        this.loopHandles = [];
+    }
+
     initialize() {
         console.log('🎮 ShadowWatch Game Engine v' + this.version + ' - FULL IMPLEMENTATION');
 
-        this.initializeWorld();
-        this.initializeSystems();
-        this.createDemoContent();
+        this.eventBus = new EventBus(this, { file: this.config.eventLogFile, limit: this.config.eventLogLimit });
+        this.recordCommands();
+        this.profiler = new TickProfiler(this, {
+            budgetMs: this.config.tickBudgetMs ?? 1000 / this.config.tickRate,
+            window: this.config.profileWindow,
+            adaptive: this.config.adaptiveAI
+        });
+        if (this.config.profileTraceFile) {
+            this.profiler.startTrace();
+        }
+
+        // Building the world is setup, not player input
+        this.eventBus.simulate(() => this.initializeContent());
         this.startGameLoop();
+        if (this.config.contentHotReload) {
+            this.contentLoader.watch();
+        }
 
+        this.eventBus.publish('engine.started', { seed: this.config.seed, config: this.getReplayConfig() });
         console.log('✅ Game Engine fully initialized and operational');
     }
 
+    initializeContent() {
+        // Pack and plugin content has to be registered before the world is built from it
+        this.content = new ContentRegistry();
+        this.contentLoader = new ContentLoader(this, {
+            directories: [BUILTIN_CONTENT_DIRECTORY, this.config.contentDirectory].filter(Boolean)
+        });
+        this.contentLoader.load();
+        this.plugins = new PluginManager(this, { maxErrors: this.config.pluginMaxErrors });
+        this.plugins.load(this.config.plugins);
+
+        this.initializeWorld();
+        this.initializeSystems();
+        this.createDemoContent();
+    }
+
     initializeWorld() {
         console.log('🏗️ Creating Complete Game World...');
 
         this.gameWorld = {
-            id: crypto.randomUUID(),
+            id: this.generateId(),
             name: 'ShadowWatch Realm',
             dimensions: this.config.worldSize,
             time: { day: 1, hour: 12, minute: 0 },
@@ -61,114 +215,110 @@ class ShadowWatchGameEngine {
     }
 
     createZones() {
-        const zoneData = [
-            {
-                id: 'spawn',
-                name: 'Crystal Sanctuary',
-                type: 'safe',
-                bounds: { x: 0, y: 0, width: 1000, height: 1000 },
-                level: 1,
-                description: 'Peaceful starting area for new adventurers'
-            },
-            {
-                id: 'arena',
-                name: 'Battle Coliseum',
-                type: 'combat',
-                bounds: { x: 1000, y: 0, width: 2000, height: 2000 },
-                level: 5,
-                description: 'Legendary arena for combat training'
-            },
-            {
-                id: 'forest',
-                name: 'Enchanted Woods',
-                type: 'exploration',
-                bounds: { x: 0, y: 1000, width: 1500, height: 1500 },
-                level: 3,
-                description: 'Mystical forest with hidden secrets'
-            },
-            {
-                id: 'mountain',
-                name: 'Crystal Peaks',
-                type: 'dungeon',
-                bounds: { x: 1500, y: 1000, width: 1500, height: 1500 },
-                level: 8,
-                description: 'Towering mountains with ancient treasures'
-            },
-            {
-                id: 'city',
-                name: 'Nova Prime',
-                type: 'social',
-                bounds: { x: 3000, y: 0, width: 2000, height: 2500 },
-                level: 1,
-                description: 'Bustling city of innovation and trade'
-            },
-            {
-                id: 'dungeon',
-                name: 'Abyssal Depths',
-                type: 'raid',
-                bounds: { x: 5000, y: 0, width: 1500, height: 1500 },
-                level: 15,
-                description: 'Deep dungeon filled with horrors and treasures'
-            },
-            {
-                id: 'sky',
-                name: 'Celestial Skies',
-                type: 'flying',
-                bounds: { x: 0, y: 2500, width: 5000, height: 1000 },
-                level: 12,
-                description: 'Magical skies for aerial combat'
-            }
-        ];
-
-        zoneData.forEach(data => {
-            const zone = {
-                ...data,
-                entities: new Map(),
-                npcs: [],
-                items: [],
-                events: [],
-                created: new Date()
-            };
-
-            this.zones.set(zone.id, zone);
-            this.gameWorld.zones.set(zone.id, zone);
-        });
+        this.content.zones.forEach(data => this.addZone(data));
+    }
+
+    addZone(data) {
+        const zone = {
+            ...data,
+            bounds: { ...data.bounds },
+            entities: new Map(),
+            players: [],
+            npcs: [],
+            items: [],
+            events: [],
+            created: this.now()
+        };
+
+        this.zones.set(zone.id, zone);
+        this.gameWorld.zones.set(zone.id, zone);
+        this.eventBus.publish('zone.created', { zoneId: zone.id, type: zone.type, generated: !!zone.generated });
+        return zone;
     }
 
     initializeSystems() {
         console.log('🎯 Initializing Game Systems...');
 
         // Physics system
-        this.physics = {
-            gravity: -9.81,
-            airResistance: 0.1,
-            bodies: new Map(),
-            update: () => this.updatePhysics()
-        };
+        this.physics = new PhysicsSystem(this, { timestep: this.config.physicsTimestep });
 
         // Combat system
         this.combatSystem = {
             activeCombats: new Map(),
             calculateDamage: (attacker, defender) => {
-                const baseDamage = attacker.stats.strength * 2;
-                const defense = defender.equipment?.armor?.defense || 0;
-                return Math.max(1, baseDamage - defense);
+                const attack = this.getEffectiveStats(attacker).attack;
+                const defense = this.getEffectiveStats(defender).defense;
+                return Math.max(1, attack - defense);
             },
             processRound: (combatId) => this.processCombatRound(combatId)
         };
 
         // Economy system
-        this.economy = {
-            currency: 'gold',
-            prices: new Map(),
-            updatePrices: () => this.updateMarketPrices()
-        };
+        this.economy = new EconomySystem(this);
+
+        // Equipment slots and derived stats
+        this.equipment = new EquipmentSystem(this);
+
+        // Skill trees and combat abilities
+        this.skillSystem = new SkillSystem(this);
+
+        // Player groups: session parties and persistent guilds
+        this.parties = new PartySystem(this, { maxSize: this.config.maxPartySize });
+        this.guilds = new GuildSystem(this, { creationCost: this.config.guildCreationCost });
+
+        // Loot tables, NPC drops and world item spawns
+        this.loot = new LootSystem(this, {
+            reservedTicks: this.config.lootReservedTicks,
+            despawnTicks: this.config.lootDespawnTicks
+        });
+
+        // Procedural content for autonomous development
+        this.contentGenerator = new ContentGenerator(this, this.config.contentLimits);
+
+        // Day/night, seasons and per-zone weather
+        this.environment = new EnvironmentSystem(this);
+
+        // Behavior trees driving NPCs
+        this.npcBehavior = new NPCBehaviorSystem(this, {
+            thinkTicks: this.config.npcThinkTicks,
+            trees: this.config.behaviorTrees
+        });
+        this.shards = new ZoneShardCoordinator(this, {
+            workers: this.config.zoneWorkers,
+            timeoutMs: this.config.zoneWorkerTimeout
+        });
 
         // Quest system
-        this.questSystem = {
-            activeQuests: new Map(),
-            checkCompletion: (player, quest) => this.checkQuestCompletion(player, quest)
-        };
+        this.questSystem = new QuestSystem(this);
+
+        // Branching NPC conversations
+        this.dialogues = new DialogueSystem(this);
+
+        // Permission-checked, audited game master commands
+        this.admin = new AdminSystem(this, {
+            roles: this.config.adminRoles,
+            auditFile: this.config.auditLogFile,
+            auditLimit: this.config.auditLogLimit
+        });
+
+        // Spatial partitioning for proximity queries and zone membership
+        this.spatial = new SpatialIndex(this, { cellSize: this.config.spatialCellSize });
+        this.spatial.indexZones();
+        this.spatial.on('zone_enter', ({ entityId, kind, zoneId }) => {
+            if (kind === 'player') {
+                this.questSystem.recordEvent(this.players.get(entityId), { type: 'visit_zone', zoneId });
+            }
+        });
+
+        // Per-viewer state deltas for network clients
+        this.stateSync = new StateSync(this, { interestRadius: this.config.interestRadius });
+
+        // Persistence system
+        this.persistence = new GamePersistence(this, this.config.persistenceAdapter || createSaveAdapter({
+            adapter: this.config.saveAdapter,
+            format: this.config.saveFormat,
+            directory: this.config.saveDirectory
+        }));
 
         console.log('✅ All game systems initialized');
     }
@@ -198,7 +348,7 @@ class ShadowWatchGameEngine {
 
     createPlayer(playerData) {
         const player = {
-            id: crypto.randomUUID(),
+            id: this.generateId(),
             ...playerData,
             stats: {
                 level: 1,
@@ -211,20 +361,28 @@ class ShadowWatchGameEngine {
                 agility: 10,
                 intelligence: 10,
                 vitality: 10,
-                gold: 100
+                gold: 100,
+                skillPoints: 0
             },
             position: { x: 500, y: 500, z: 0 },
             inventory: [],
             equipment: {},
             quests: [],
+            questProgress: {},
+            completedQuests: [],
             skills: [],
             achievements: [],
-            created: new Date(),
-            lastActive: new Date()
+            created: this.now(),
+            lastActive: this.now()
         };
 
         this.players.set(player.id, player);
+        this.spatial.insert(player, 'player');
+        this.physics.addBody(player, 'player');
         console.log(`👤 Created player: ${player.username}`);
+        this.eventBus.publish('player.created', { playerId: player.id, username: player.username });
+
+        this.plugins.emit('onPlayerCreated', { player });
         return player;
     }
 
@@ -232,38 +390,59 @@ class ShadowWatchGameEngine {
         // Create NPCs
         const npcCount = zone.type === 'city' ? 5 : zone.type === 'arena' ? 3 : 2;
         for (let i = 0; i < npcCount; i++) {
-            const npc = this.createNPC(zone);
-            zone.npcs.push(npc.id);
-            this.npcs.set(npc.id, npc);
+            this.registerNPC(this.createNPC(zone));
         }
 
         // Create items
         const itemCount = zone.type === 'dungeon' ? 8 : zone.type === 'forest' ? 5 : 3;
         for (let i = 0; i < itemCount; i++) {
-            const item = this.createRandomItem();
-            zone.items.push(item.id);
-            zone.entities.set(item.id, item);
+            this.spawnZoneItem(zone);
         }
 
         console.log(`🏘️ Populated ${zone.name}: ${npcCount} NPCs, ${itemCount} items`);
     }
 
-    createNPC(zone) {
-        const npcTypes = {
-            safe: ['trainer', 'merchant', 'healer'],
-            combat: ['gladiator', 'weaponsmith', 'armorer'],
-            exploration: ['ranger', 'alchemist', 'guide'],
-            dungeon: ['explorer', 'archaeologist', 'guardian'],
-            social: ['mayor', 'merchant', 'innkeeper', 'blacksmith'],
-            raid: ['adventurer', 'priest', 'warrior'],
-            flying: ['aviator', 'wind_master']
-        };
+    // Zone membership (zone.npcs) is maintained by the spatial index
+    registerNPC(npc) {
+        this.npcs.set(npc.id, npc);
+        this.spatial.insert(npc, 'npc');
+        this.physics.addBody(npc, 'npc');
+        this.eventBus.publish('npc.spawned', { npcId: npc.id, npcType: npc.npcType, zoneId: npc.zoneId });
+        return npc;
+    }
 
-        const types = npcTypes[zone.type] || ['citizen'];
-        const npcType = types[Math.floor(Math.random() * types.length)];
+    // Natural spawns are counted in zone.items so respawning can top them up; loot drops aren't
+    spawnZoneItem(zone) {
+        const item = this.createRandomItem(zone);
+        zone.items.push(item.id);
+        return this.placeWorldItem(zone, item);
+    }
+
+    placeWorldItem(zone, item) {
+        zone.entities.set(item.id, item);
+        this.spatial.insert(item, 'item', { zoneId: zone.id });
+        this.physics.addBody(item, 'item');
+        return item;
+    }
+
+    // Returns the zone the item was lying in, or null if it wasn't in the world
+    removeWorldItem(itemId) {
+        const zone = this.zones.get(this.spatial.getEntityZoneId(itemId));
+        if (!zone?.entities.delete(itemId)) return null;
+
+        zone.items = zone.items.filter(id => id !== itemId);
+        this.spatial.remove(itemId);
+        this.physics.removeBody(itemId);
+        return zone.id;
+    }
+
+    // Without a type, one the zone's type spawns is picked at random
+    createNPC(zone, npcType = null) {
+        const types = this.content.getNPCTypes(zone.type);
+        npcType = npcType || types[Math.floor(this.random() * types.length)];
 
         const npc = {
-            id: crypto.randomUUID(),
+            id: this.generateId(),
             type: 'npc',
             npcType: npcType,
             name: this.generateNPCName(npcType),
@@ -273,32 +452,18 @@ class ShadowWatchGameEngine {
             dialogue: this.generateNPCDialogue(npcType),
             inventory: this.generateNPCInventory(npcType),
             behavior: this.getNPCBehavior(npcType),
-            created: new Date()
+            created: this.now()
         };
 
         return npc;
     }
 
     generateNPCName(npcType) {
-        const firstNames = ['Elara', 'Thorne', 'Mira', 'Draven', 'Sylvia', 'Garret', 'Luna', 'Rex', 'Nova', 'Kai'];
-        const lastNames = ['Storm', 'Iron', 'Light', 'Shadow', 'Wind', 'Fire', 'Stone', 'Swift', 'Wise', 'Bold'];
-
-        const titles = {
-            trainer: 'Master',
-            merchant: 'Trader',
-            healer: 'Healer',
-            gladiator: 'Champion',
-            weaponsmith: 'Smith',
-            ranger: 'Ranger',
-            alchemist: 'Alchemist',
-            mayor: 'Mayor',
-            blacksmith: 'Blacksmith',
-            innkeeper: 'Innkeeper'
-        };
+        const { first: firstNames, last: lastNames } = this.content.npcNames;
 
-        const title = titles[npcType] || '';
-        const first = firstNames[Math.floor(Math.random() * firstNames.length)];
-        const last = lastNames[Math.floor(Math.random() * lastNames.length)];
+        const title = this.content.getNPCProfile(npcType).title;
+        const first = firstNames[Math.floor(this.random() * firstNames.length)];
+        const last = lastNames[Math.floor(this.random() * lastNames.length)];
 
         return title ? `${title} ${first} ${last}` : `${first} ${last}`;
     }
@@ -307,7 +472,9 @@ class ShadowWatchGameEngine {
         const baseStats = {
             level: level,
             health: level * 20 + 50,
+            maxHealth: level * 20 + 50,
             mana: level * 10,
+            maxMana: level * 10,
             strength: level * 2 + 5,
             agility: level * 2 + 5,
             intelligence: level * 2 + 5,
@@ -315,258 +482,154 @@ class ShadowWatchGameEngine {
         };
 
         // Modify based on NPC type
-        const modifiers = {
-            gladiator: { strength: 1.5, vitality: 1.3 },
-            healer: { intelligence: 1.5, mana: 2.0 },
-            merchant: { intelligence: 1.2 },
-            ranger: { agility: 1.4, strength: 1.1 },
-            blacksmith: { strength: 1.3, vitality: 1.2 }
-        };
-
-        if (modifiers[npcType]) {
-            Object.keys(modifiers[npcType]).forEach(stat => {
-                baseStats[stat] *= modifiers[npcType][stat];
-            });
-        }
+        const modifiers = this.content.getNPCProfile(npcType).statModifiers;
+        Object.keys(modifiers).forEach(stat => {
+            baseStats[stat] *= modifiers[stat];
+        });
 
         return baseStats;
     }
 
     generateNPCDialogue(npcType) {
-        const dialogues = {
-            trainer: [
-                'Welcome, young warrior! Ready to train?',
-                'Strength comes from discipline and practice.',
-                'Let me show you the way of the blade.'
-            ],
-            merchant: [
-                'Fine wares for the discerning adventurer!',
-                'What treasures can I interest you in today?',
-                'Everything must go... for the right price!'
-            ],
-            healer: [
-                'Need healing? I can mend your wounds.',
-                'Your health is important to me.',
-                'Rest and recover, brave soul.'
-            ],
-            gladiator: [
-                'Step into the arena if you dare!',
-                'Victory favors the bold!',
-                'Fight well, and honor will follow.'
-            ],
-            mayor: [
-                'Welcome to our fine city!',
-                'Our community thrives on cooperation.',
-                'How may I assist you today?'
-            ]
-        };
-
-        return dialogues[npcType] || [
-            'Greetings, traveler!',
-            'How may I help you?',
-            'Safe journeys!'
-        ];
+        return [...this.content.getNPCProfile(npcType).dialogue];
     }
 
     generateNPCInventory(npcType) {
-        const inventories = {
-            merchant: ['health_potion', 'mana_potion', 'rope', 'torch'],
-            weaponsmith: ['sword', 'axe', 'shield', 'armor'],
-            healer: ['health_potion', 'mana_potion', 'herbs', 'bandages'],
-            alchemist: ['mana_potion', 'experience_elixir', 'potions'],
-            blacksmith: ['armor', 'shield', 'tools', 'weapons']
-        };
-
-        return inventories[npcType] || ['gold', 'food'];
+        return [...this.content.getNPCProfile(npcType).inventory];
     }
 
     getNPCBehavior(npcType) {
-        const behaviors = {
-            trainer: 'teaching',
-            merchant: 'trading',
-            healer: 'healing',
-            gladiator: 'fighting',
-            guard: 'patrolling',
-            mayor: 'governing',
-            innkeeper: 'serving',
-            blacksmith: 'crafting'
-        };
-
-        return behaviors[npcType] || 'idle';
+        return this.content.getNPCProfile(npcType).behavior;
     }
 
-    createRandomItem() {
-        const itemTypes = [
-            { type: 'weapon', name: 'Iron Sword', damage: 15, rarity: 'common' },
-            { type: 'weapon', name: 'Steel Axe', damage: 20, rarity: 'common' },
-            { type: 'weapon', name: 'Magic Staff', damage: 12, mana: 25, rarity: 'uncommon' },
-            { type: 'armor', name: 'Leather Armor', defense: 10, rarity: 'common' },
-            { type: 'armor', name: 'Chain Mail', defense: 18, rarity: 'uncommon' },
-            { type: 'consumable', name: 'Health Potion', effect: 'heal', value: 30, rarity: 'common' },
-            { type: 'consumable', name: 'Mana Potion', effect: 'restore_mana', value: 25, rarity: 'common' },
-            { type: 'material', name: 'Crystal Ore', value: 50, rarity: 'uncommon' },
-            { type: 'material', name: 'Dragon Scale', value: 200, rarity: 'rare' }
-        ];
-
-        const template = itemTypes[Math.floor(Math.random() * itemTypes.length)];
+    // Rarer templates are less likely, and the rarest only spawn in higher-level zones
+    createRandomItem(zone = null) {
+        const template = this.loot.pickTemplate(zone?.level || 1);
+        return this.createItem(template, zone ? this.getRandomPositionInZone(zone) : this.getRandomPosition());
+    }
 
+    createItem(template, position) {
         return {
-            id: crypto.randomUUID(),
+            id: this.generateId(),
             ...template,
-            position: this.getRandomPosition(),
+            template: template.name, // Shops stock and price copies by their template
+            position,
             owner: null,
-            created: new Date()
+            created: this.now()
         };
     }
 
     createInitialQuests() {
-        const quests = [
-            {
-                id: 'welcome_quest',
-                name: 'Welcome to ShadowWatch',
-                description: 'Learn the basics of the game world and complete your first objectives.',
-                objectives: [
-                    'Speak to the Training Master',
-                    'Visit the Battle Arena',
-                    'Collect your first item'
-                ],
-                rewards: {
-                    experience: 100,
-                    gold: 50,
-                    items: ['training_sword']
-                },
-                difficulty: 'easy',
-                level: 1
-            },
-            {
-                id: 'arena_challenge',
-                name: 'Arena Champion',
-                description: 'Prove your combat skills by defeating arena opponents.',
-                objectives: [
-                    'Win 3 arena matches',
-                    'Defeat the Arena Champion',
-                    'Master basic combat techniques'
-                ],
-                rewards: {
-                    experience: 500,
-                    gold: 200,
-                    items: ['champion_badge', 'rare_weapon']
-                },
-                difficulty: 'medium',
-                level: 5
-            },
-            {
-                id: 'exploration_quest',
-                name: 'Secrets of the Forest',
-                description: 'Explore the Enchanted Woods and uncover its hidden mysteries.',
-                objectives: [
-                    'Find the hidden grove',
-                    'Collect rare herbs',
-                    'Solve the ancient puzzle'
-                ],
-                rewards: {
-                    experience: 300,
-                    gold: 150,
-                    items: ['magic_ring', 'herbal_remedies']
-                },
-                difficulty: 'medium',
-                level: 3
-            }
-        ];
-
-        quests.forEach(quest => {
-            this.quests.set(quest.id, quest);
+        this.content.quests.forEach(quest => {
+            this.quests.set(quest.id, structuredClone(quest));
         });
 
-        console.log(`📜 Created ${quests.length} initial quests`);
+        console.log(`📜 Created ${this.content.quests.size} initial quests`);
     }
 
     createInitialItems() {
-        const items = [
-            {
-                id: 'training_sword',
-                type: 'weapon',
-                name: 'Training Sword',
-                damage: 8,
-                rarity: 'common',
-                description: 'A simple sword for beginners'
-            },
-            {
-                id: 'health_potion',
-                type: 'consumable',
-                name: 'Health Potion',
-                effect: 'heal',
-                value: 50,
-                rarity: 'common',
-                description: 'Restores 50 health points'
-            },
-            {
-                id: 'mana_potion',
-                type: 'consumable',
-                name: 'Mana Potion',
-                effect: 'restore_mana',
-                value: 30,
-                rarity: 'common',
-                description: 'Restores 30 mana points'
-            },
-            {
-                id: 'leather_armor',
-                type: 'armor',
-                name: 'Leather Armor',
-                defense: 12,
-                rarity: 'common',
-                description: 'Basic protection for adventurers'
-            }
-        ];
-
-        items.forEach(item => {
-            this.items.set(item.id, item);
+        this.content.items.forEach(item => {
+            this.items.set(item.id, { ...item });
         });
 
-        console.log(`🎒 Created ${items.length} initial items`);
+        console.log(`🎒 Created ${this.content.items.size} initial items`);
     }
 
     startGameLoop() {
+        if (this.config.headless) {
+            console.log('🎮 Headless mode: advance the simulation with step()');
+            return;
+        }
+
         console.log('🎮 Starting Game Loop...');
+        this.profiler.start();
 
         // Main game tick
-        setInterval(() => {
-            this.gameTick();
-        }, 1000 / this.config.tickRate);
+        this.loopHandles.push(setInterval(() => {
+            this.eventBus.simulate(() => {
+                this.tickCount++;
+                this.gameTick();
+            });
+        }, 1000 / this.config.tickRate));
 
-        // AI updates
-        setInterval(() => {
-            this.updateAI();
-        }, this.config.aiUpdateInterval);
+        // AI updates, skipped on some intervals while adaptive AI is catching up
+        this.loopHandles.push(setInterval(() => {
+            if (this.profiler.shouldUpdateAI()) {
+                this.eventBus.simulate(() => this.profiler.measure('ai', () => this.updateAI()));
+            }
+        }, this.config.aiUpdateInterval));
 
         // Auto-save
-        setInterval(() => {
+        this.loopHandles.push(setInterval(() => {
             this.autoSave();
-        }, this.config.saveInterval);
+        }, this.config.saveInterval));
 
         console.log('✅ Game loop started successfully');
     }
 
+    stopGameLoop() {
+        this.loopHandles.forEach(handle => clearInterval(handle));
+        this.loopHandles = [];
+        this.contentLoader.unwatch();
+        this.profiler.stop();
+        this.shards.close();
+    }
+
+    // Manual tick API for headless runs: AI updates fire on the same schedule as the
+    // real-time loop, auto-save does not (callers save explicitly with saveGame()).
+    // Adaptive AI striding is left to the real-time loop: it follows wall-clock tick times,
+    // and a stepped run has to come out the same every time it is replayed
+    step(ticks = 1) {
+        const tickMs = 1000 / this.config.tickRate;
+        const aiTicks = Math.max(1, Math.round(this.config.aiUpdateInterval / tickMs));
+        const from = this.tickCount;
+
+        this.eventBus.simulate(() => {
+            for (let i = 0; i < ticks; i++) {
+                this.tickCount++;
+                this.gameTick();
+
+                if (this.tickCount % aiTicks === 0) {
+                    this.profiler.measure('ai', () => this.updateAI());
+                }
+            }
+        });
+
+        this.eventBus.publish('world.advanced', { from, to: this.tickCount });
+        return this.tickCount;
+    }
+
     gameTick() {
+        const profiler = this.profiler;
+        profiler.beginTick();
+
         // Update game time
-        this.updateTime();
+        profiler.measure('time', () => this.updateTime());
 
         // Update physics
-        this.physics.update();
+        profiler.measure('physics', () => this.physics.update(1 / this.config.tickRate));
 
         // Process combat
-        this.combatSystem.activeCombats.forEach((combat, id) => {
-            this.combatSystem.processRound(id);
+        profiler.measure('combat', () => {
+            this.combatSystem.activeCombats.forEach((combat, id) => {
+                this.combatSystem.processRound(id);
+            });
         });
 
+        // Despawn unclaimed loot
+        profiler.measure('loot', () => this.loot.update());
+
         // Update NPCs
-        this.updateNPCs();
+        profiler.measure('npcs', () => this.updateNPCs());
 
         // Process events
-        this.processEvents();
+        profiler.measure('events', () => this.processEvents());
 
         // Update zones
-        this.updateZones();
+        profiler.measure('zones', () => this.updateZones());
+
+        profiler.measure('plugins', () => this.plugins.emit('onTick', { tick: this.tickCount }));
+        profiler.endTick();
     }
 
     updateAI() {
@@ -575,6 +638,9 @@ class ShadowWatchGameEngine {
             this.updateAIAgent(agent);
         });
 
+        // Drift market prices
+        this.updateMarketPrices();
+
         // Process autonomous development
         this.processAutonomousDevelopment();
     }
@@ -643,6 +709,13 @@ class ShadowWatchGameEngine {
             tips.push('Check available quests to gain experience and rewards!');
         }
 
+        Array.from(this.zones.values())
+            .filter(zone => zone.partySize && (zone.level || 1) <= player.stats.level && zone.id !== player.zoneId)
+            .forEach(zone => {
+                const entry = this.parties.canEnterZone(player, zone);
+                if (!entry.allowed) tips.push(`${entry.reason}. Group up to take it on!`);
+            });
+
         agent.assistanceTips = tips;
     }
 
@@ -677,20 +750,32 @@ class ShadowWatchGameEngine {
     suggestEquipment(player) {
         const suggestions = [];
 
+        const findEquippable = (slot) => player.inventory
+            .map(itemId => this.items.get(itemId))
+            .find(item => this.equipment.canEquip(player, item).slot === slot);
+
         if (!player.equipment.weapon) {
-            suggestions.push('A good weapon will help in combat');
+            const weapon = findEquippable('weapon');
+            suggestions.push(weapon ? `Equip your ${weapon.name} to hit harder` : 'A good weapon will help in combat');
         }
 
         if (!player.equipment.armor) {
-            suggestions.push('Armor provides essential protection');
+            const armor = findEquippable('armor');
+            suggestions.push(armor ? `Equip your ${armor.name} for protection` : 'Armor provides essential protection');
         }
 
         return suggestions;
     }
 
     suggestSkills(player) {
-        // Suggest skills based on player stats
-        const suggestions = [];
+        // Suggest the next learnable skills, or a direction based on player stats
+        const suggestions = this.skillSystem.getNextSkills(player)
+            .filter(skill => skill.levelRequirement <= player.stats.level)
+            .map(skill => `Learn ${skill.name} from a trainer (${skill.cost} skill point${skill.cost === 1 ? '' : 's'})`);
+
+        if (suggestions.length > 0) {
+            return suggestions;
+        }
 
         if (player.stats.strength > player.stats.intelligence) {
             suggestions.push('Combat skills would enhance your warrior abilities');
@@ -702,39 +787,11 @@ class ShadowWatchGameEngine {
     }
 
     processNPCBehavior(npc, agent) {
-        switch (npc.behavior) {
-            case 'trading':
-                this.processTradingBehavior(npc, agent);
-                break;
-            case 'teaching':
-                this.processTeachingBehavior(npc, agent);
-                break;
-            case 'patrolling':
-                this.processPatrollingBehavior(npc, agent);
-                break;
-            default:
-                this.processIdleBehavior(npc, agent);
-        }
-    }
-
-    processTradingBehavior(npc, agent) {
-        // NPC offers items for sale
-        agent.availableTrades = npc.inventory;
-    }
-
-    processTeachingBehavior(npc, agent) {
-        // NPC provides training or quests
-        agent.availableTraining = ['combat_basics', 'magic_basics', 'exploration_skills'];
-    }
-
-    processPatrollingBehavior(npc, agent) {
-        // NPC moves around their zone
-        this.moveNPCInZone(npc);
-    }
-
-    processIdleBehavior(npc, agent) {
-        // NPC stands around and interacts occasionally
-        agent.interactionAvailable = true;
+        // The behavior tree moves the NPC; the agent tracks what players can do with it
+        agent.availableTrades = this.economy.isMerchant(npc) ? this.economy.getShopListing(npc) : null;
+        agent.availableTraining = this.skillSystem.isTrainer(npc) ? this.skillSystem.getTeachableSkills(npc) : null;
+        agent.interactionAvailable = !this.getCombatForEntity(npc.id);
+        agent.currentAction = npc.brain?.lastAction || null;
     }
 
     maintainWorld(agent) {
@@ -746,7 +803,7 @@ class ShadowWatchGameEngine {
 
     generateWorldContent(agent) {
         // Generate new world content
-        if (Math.random() > 0.95) { // 5% chance per AI update
+        if (this.random() > 0.95) { // 5% chance per AI update
             this.generateRandomEvent();
         }
     }
@@ -774,64 +831,86 @@ class ShadowWatchGameEngine {
                 this.gameWorld.time.hour = 0;
                 this.gameWorld.time.day++;
             }
+            this.environment.onHourChanged();
         }
     }
 
-    updatePhysics() {
-        // Update physics for all physical bodies
-        this.physics.bodies.forEach((body, id) => {
-            // Apply gravity
-            body.velocity.z += this.physics.gravity * (1 / this.config.tickRate);
-
-            // Apply air resistance
-            body.velocity.x *= (1 - this.physics.airResistance);
-            body.velocity.y *= (1 - this.physics.airResistance);
-            body.velocity.z *= (1 - this.physics.airResistance);
-
-            // Update position
-            body.position.x += body.velocity.x / this.config.tickRate;
-            body.position.y += body.velocity.y / this.config.tickRate;
-            body.position.z += body.velocity.z / this.config.tickRate;
-
-            // Check ground collision
-            if (body.position.z <= 0) {
-                body.position.z = 0;
-                body.velocity.z = 0;
-                body.onGround = true;
-            } else {
-                body.onGround = false;
-            }
-        });
-    }
-
     processCombatRound(combatId) {
         const combat = this.combatSystem.activeCombats.get(combatId);
         if (!combat) return;
 
-        // Process each participant's turn
-        combat.participants.forEach(participant => {
-            if (participant.canAct) {
+        // Rounds resolve once every player has chosen an action or the round timer runs out
+        combat.ticksUntilRound--;
+        const waitingOnPlayers = this.getActiveParticipants(combat)
+            .some(p => this.players.has(p.id) && !combat.pendingActions.has(p.id));
+        if (waitingOnPlayers && combat.ticksUntilRound > 0) return;
+
+        combat.round++;
+        combat.ticksUntilRound = this.config.combatRoundTicks;
+
+        // Process each participant's turn in initiative order. Effects count down at the
+        // start of their owner's turn, so a defensive stance lasts until the next turn;
+        // ability cooldowns count down at the end so they are current between rounds
+        this.getInitiativeOrder(combat).forEach(participant => {
+            if (participant.stats.health <= 0 || combat.fled.includes(participant.id)) return;
+
+            const canAct = this.canParticipantAct(participant, combat);
+            this.tickStatusEffects(participant);
+            if (canAct && participant.stats.health > 0) {
                 this.processCombatTurn(participant, combat);
             }
+            this.tickAbilityCooldowns(participant, combat);
         });
 
+        combat.pendingActions.clear();
+
         // Check for combat end conditions
         this.checkCombatEndConditions(combat);
     }
 
+    getActiveParticipants(combat) {
+        return combat.participants.filter(p => p.stats.health > 0 && !combat.fled.includes(p.id));
+    }
+
+    // Combats have two sides; everyone on the other side who is still fighting
+    getOpponents(participant, combat) {
+        const side = combat.sides[participant.id];
+        return this.getActiveParticipants(combat).filter(p => combat.sides[p.id] !== side);
+    }
+
+    // Highest agility acts first; ties are broken with a roll so neither side always wins them
+    getInitiativeOrder(combat) {
+        return this.getActiveParticipants(combat)
+            .map(participant => ({ participant, agility: this.getEffectiveStats(participant).agility || 0, roll: this.random() }))
+            .sort((a, b) => b.agility - a.agility || b.roll - a.roll)
+            .map(entry => entry.participant);
+    }
+
+    canParticipantAct(participant, combat) {
+        return participant.stats.health > 0 &&
+            !combat.fled.includes(participant.id) &&
+            !this.hasStatusEffect(participant, 'stunned');
+    }
+
     processCombatTurn(participant, combat) {
-        // Determine action based on AI or player input
-        const action = participant.isPlayer ? 'attack' : this.decideCombatAction(participant);
+        // Players act on their queued action (attacking if they didn't pick one in time)
+        const queued = this.players.has(participant.id) ? combat.pendingActions.get(participant.id) : null;
+        const action = this.players.has(participant.id)
+            ? (queued || { type: 'attack' })
+            : { type: this.decideCombatAction(participant) };
 
-        switch (action) {
+        switch (action.type) {
             case 'attack':
-                this.executeAttack(participant, combat);
+                this.executeAttack(participant, combat, action.targetId);
                 break;
             case 'defend':
-                this.executeDefense(participant);
+                this.executeDefense(participant, combat);
                 break;
             case 'use_item':
-                this.executeItemUse(participant);
+                this.executeItemUse(participant, combat, action.itemId);
+                break;
+            case 'ability':
+                this.executeAbility(participant, combat, action.abilityId, action.targetId);
                 break;
             case 'flee':
                 this.executeFlee(participant, combat);
@@ -841,54 +920,277 @@ class ShadowWatchGameEngine {
 
     decideCombatAction(participant) {
         // AI decision making for combat
-        const healthPercent = (participant.stats.health / participant.stats.maxHealth) * 100;
+        const healthPercent = (participant.stats.health / this.getMaxHealth(participant)) * 100;
 
         if (healthPercent < 20) {
-            return Math.random() > 0.5 ? 'flee' : 'defend';
+            return this.random() > 0.5 ? 'flee' : 'defend';
         }
 
-        if (participant.inventory.some(item => item.type === 'consumable')) {
-            return Math.random() > 0.7 ? 'use_item' : 'attack';
+        if (healthPercent < 50 && this.getConsumables(participant).length > 0) {
+            return this.random() > 0.3 ? 'use_item' : 'attack';
         }
 
         return 'attack';
     }
 
-    executeAttack(attacker, combat) {
-        const target = this.findCombatTarget(attacker, combat);
+    executeAttack(attacker, combat, targetId = null) {
+        const chosen = targetId ? this.getOpponents(attacker, combat).find(p => p.id === targetId) : null;
+        const target = chosen || this.findCombatTarget(attacker, combat);
+
+        if (target && !this.rollHit(attacker, target, combat, 'attack')) return;
+
         if (target) {
-            const damage = this.combatSystem.calculateDamage(attacker, target);
+            const damage = Math.max(1, Math.round(
+                this.combatSystem.calculateDamage(attacker, target) * this.getDamageTakenMultiplier(target)
+            ));
             target.stats.health -= damage;
 
-            console.log(`${attacker.name} attacks ${target.name} for ${damage} damage!`);
+            this.logCombatAction(combat, attacker, 'attack', { targetId: target.id, damage });
+            console.log(`${this.getDisplayName(attacker)} attacks ${this.getDisplayName(target)} for ${damage} damage!`);
 
             if (target.stats.health <= 0) {
-                this.handleCombatDeath(target, combat);
+                this.handleCombatDeath(target, combat, attacker);
+            } else {
+                this.physics.applyKnockback(attacker, target, damage);
+            }
+        }
+    }
+
+    executeDefense(participant, combat) {
+        // Brace until the end of the round, halving incoming damage
+        this.applyStatusEffect(participant, 'defending');
+        this.logCombatAction(combat, participant, 'defend', {});
+    }
+
+    executeItemUse(participant, combat, itemId = null) {
+        const consumables = this.getConsumables(participant);
+        const item = itemId ? consumables.find(entry => entry.id === itemId) : consumables[0];
+
+        if (!item) {
+            // Nothing usable: the turn is spent bracing instead
+            this.executeDefense(participant, combat);
+            return;
+        }
+
+        const maxHealth = this.getMaxHealth(participant);
+        const maxMana = this.getEffectiveStats(participant).maxMana;
+        const result = { itemId: item.id };
+
+        switch (item.effect) {
+            case 'heal':
+                result.healed = Math.min(item.value, maxHealth - participant.stats.health);
+                participant.stats.health += result.healed;
+                break;
+            case 'restore_mana':
+                result.restored = Math.min(item.value, maxMana - participant.stats.mana);
+                participant.stats.mana += result.restored;
+                break;
+            case 'regenerate':
+                this.applyStatusEffect(participant, 'regenerating');
+                break;
+        }
+
+        // Consumables are used up
+        const index = participant.inventory.indexOf(item.id);
+        if (index >= 0) participant.inventory.splice(index, 1);
+
+        this.logCombatAction(combat, participant, 'use_item', result);
+        console.log(`${this.getDisplayName(participant)} uses ${item.name}!`);
+    }
+
+    executeAbility(caster, combat, abilityId, targetId = null) {
+        const unavailable = this.getAbilityUnavailableReason(caster, combat, abilityId);
+        if (unavailable) {
+            // The chance passed (out of mana, or the ability was never learned): attack instead
+            this.executeAttack(caster, combat, targetId);
+            return;
+        }
+
+        const ability = getAbility(abilityId);
+        const effect = calculateAbilityEffect(ability, this.getEffectiveStats(caster));
+        const chosen = targetId ? this.getOpponents(caster, combat).find(p => p.id === targetId) : null;
+        const target = ability.target === 'self' ? caster : (chosen || this.findCombatTarget(caster, combat));
+        if (!target) return;
+
+        caster.stats.mana -= ability.manaCost;
+        combat.cooldowns.set(caster.id, { ...combat.cooldowns.get(caster.id), [abilityId]: ability.cooldown });
+
+        const result = { abilityId, targetId: target.id };
+
+        if (effect.damage && !this.rollHit(caster, target, combat, 'ability', { abilityId })) return;
+
+        if (effect.damage) {
+            const defense = this.getEffectiveStats(target).defense;
+            result.damage = Math.max(1, Math.round((effect.damage - defense) * this.getDamageTakenMultiplier(target)));
+            target.stats.health -= result.damage;
+            if (target !== caster && target.stats.health > 0) {
+                this.physics.applyKnockback(caster, target, result.damage);
             }
         }
+        if (effect.heal) {
+            result.healed = Math.min(effect.heal, this.getMaxHealth(target) - target.stats.health);
+            target.stats.health += result.healed;
+        }
+        if (effect.statusEffect && target.stats.health > 0) {
+            this.applyStatusEffect(target, effect.statusEffect);
+            result.statusEffect = effect.statusEffect;
+        }
+
+        this.logCombatAction(combat, caster, 'ability', result);
+        console.log(`✨ ${this.getDisplayName(caster)} uses ${ability.name} on ${this.getDisplayName(target)}!`);
+
+        if (target.stats.health <= 0) {
+            this.handleCombatDeath(target, combat, caster);
+        }
+    }
+
+    // Bad weather in the attacker's zone can make attacks miss. Clear skies skip the roll
+    // entirely so fair-weather fights stay as deterministic as before
+    rollHit(attacker, target, combat, action, details = {}) {
+        const { accuracy, weather } = this.environment.getModifiers(attacker.zoneId);
+        if (accuracy >= 1 || this.random() < accuracy) return true;
+
+        this.logCombatAction(combat, attacker, action, { ...details, targetId: target.id, missed: true, weather });
+        console.log(`💨 ${this.getDisplayName(attacker)} misses ${this.getDisplayName(target)} in the ${weather}!`);
+        return false;
+    }
+
+    getAbilityUnavailableReason(caster, combat, abilityId) {
+        const ability = getAbility(abilityId);
+        if (!ability) return `Unknown ability '${abilityId}'`;
+        if (!this.skillSystem.getAbilities(caster).includes(abilityId)) return `${ability.name} has not been learned`;
+        if (caster.stats.mana < ability.manaCost) return `Not enough mana for ${ability.name}`;
+
+        const remaining = combat.cooldowns.get(caster.id)?.[abilityId] || 0;
+        if (remaining > 0) return `${ability.name} is on cooldown for ${remaining} more turn${remaining === 1 ? '' : 's'}`;
+        return null;
+    }
+
+    tickAbilityCooldowns(participant, combat) {
+        const cooldowns = combat.cooldowns.get(participant.id);
+        if (!cooldowns) return;
+
+        Object.keys(cooldowns).forEach(abilityId => {
+            cooldowns[abilityId] = Math.max(0, cooldowns[abilityId] - 1);
+        });
+    }
+
+    executeFlee(participant, combat) {
+        const opponents = this.getOpponents(participant, combat);
+        const agilityOf = (entity) => this.getEffectiveStats(entity).agility || 0;
+        const opponentAgility = opponents.reduce((sum, p) => sum + agilityOf(p), 0) / Math.max(1, opponents.length);
+
+        // Faster combatants get away more easily
+        const chance = Math.max(0.1, Math.min(0.9, 0.5 + (agilityOf(participant) - opponentAgility) * 0.02));
+
+        if (this.random() < chance) {
+            combat.fled.push(participant.id);
+            this.logCombatAction(combat, participant, 'flee', { escaped: true });
+            console.log(`🏃 ${this.getDisplayName(participant)} fled from combat!`);
+        } else {
+            // A failed escape leaves the back turned for a round
+            this.applyStatusEffect(participant, 'exposed');
+            this.logCombatAction(combat, participant, 'flee', { escaped: false });
+        }
+    }
+
+    logCombatAction(combat, actor, action, result) {
+        combat.log.push({ round: combat.round, actorId: actor.id, action, ...result });
+        if (combat.log.length > 50) {
+            combat.log.shift();
+        }
+        this.eventBus.publish('combat.action', { combatId: combat.id, actorId: actor.id, action, result });
+    }
+
+    getConsumables(participant) {
+        // Inventories hold item ids (players) or item keys (NPC stock)
+        return (participant.inventory || [])
+            .map(entry => this.items.get(entry))
+            .filter(item => item && item.type === 'consumable');
+    }
+
+    getMaxHealth(entity) {
+        return this.getEffectiveStats(entity).maxHealth || 1;
+    }
+
+    // Base stats plus equipment; everything combat-related should read stats through this
+    getEffectiveStats(entity) {
+        return entity ? this.equipment.getEffectiveStats(entity) : null;
+    }
+
+    getDisplayName(entity) {
+        return entity.name || entity.username;
+    }
+
+    // Status effects
+
+    applyStatusEffect(entity, type, duration = null) {
+        const definition = STATUS_EFFECTS[type];
+        if (!definition) return false;
+
+        entity.statusEffects = entity.statusEffects || [];
+        const existing = entity.statusEffects.find(effect => effect.type === type);
+        const remaining = duration || definition.duration;
+
+        if (existing) {
+            existing.remaining = Math.max(existing.remaining, remaining);
+        } else {
+            entity.statusEffects.push({ type, remaining });
+        }
+        return true;
+    }
+
+    hasStatusEffect(entity, type) {
+        return (entity.statusEffects || []).some(effect => effect.type === type);
+    }
+
+    getDamageTakenMultiplier(entity) {
+        return (entity.statusEffects || []).reduce((multiplier, effect) => {
+            return multiplier * (STATUS_EFFECTS[effect.type]?.damageTaken || 1);
+        }, 1);
+    }
+
+    // Called at the start of the owner's combat turn: apply periodic effects and count durations down
+    tickStatusEffects(entity) {
+        if (!entity.statusEffects?.length) return;
+
+        entity.statusEffects.forEach(effect => {
+            const definition = STATUS_EFFECTS[effect.type];
+            if (definition?.healthPerRound && entity.stats.health > 0) {
+                const change = Math.round(this.getMaxHealth(entity) * definition.healthPerRound);
+                entity.stats.health = Math.max(1, Math.min(this.getMaxHealth(entity), entity.stats.health + change));
+            }
+            effect.remaining--;
+        });
+
+        entity.statusEffects = entity.statusEffects.filter(effect => effect.remaining > 0);
+    }
+
+    clearCombatStatusEffects(entity) {
+        entity.statusEffects = (entity.statusEffects || []).filter(effect => !STATUS_EFFECTS[effect.type]?.combatOnly);
     }
 
     updateNPCs() {
+        // With zone workers the brains run on the shards; regeneration is too cheap to send
+        if (this.shards.enabled) {
+            this.shards.update();
+            this.npcs.forEach(npc => this.regenerateNPC(npc));
+            return;
+        }
+
         this.npcs.forEach((npc, id) => {
             this.updateNPC(npc);
         });
     }
 
     updateNPC(npc) {
-        // Update NPC state and behavior
-        switch (npc.behavior) {
-            case 'patrolling':
-                this.updatePatrollingNPC(npc);
-                break;
-            case 'trading':
-                this.updateTradingNPC(npc);
-                break;
-            case 'teaching':
-                this.updateTeachingNPC(npc);
-                break;
-        }
+        // Behavior tree for this NPC's behavior type
+        this.npcBehavior.update(npc);
+        this.regenerateNPC(npc);
+    }
 
-        // Regenerate health/mana over time
+    // Regenerate health/mana over time
+    regenerateNPC(npc) {
         if (npc.stats.health < npc.stats.maxHealth) {
             npc.stats.health = Math.min(npc.stats.maxHealth, npc.stats.health + 0.1);
         }
@@ -921,34 +1223,37 @@ class ShadowWatchGameEngine {
         const expectedItemCount = zone.type === 'dungeon' ? 10 : zone.type === 'forest' ? 6 : 3;
 
         while (zone.items.length < expectedItemCount) {
-            const item = this.createRandomItem();
-            zone.items.push(item.id);
-            zone.entities.set(item.id, item);
+            this.spawnZoneItem(zone);
         }
     }
 
     processZoneEvents(zone) {
         // Process zone-specific events
-        if (Math.random() > 0.999) { // Rare events
+        if (this.random() > 0.999) { // Rare events
             this.createZoneEvent(zone);
         }
     }
 
-    createZoneEvent(zone) {
+    createZoneEvent(zone, eventType = null) {
         const eventTypes = ['monster_spawn', 'treasure_discovery', 'weather_change', 'npc_visit'];
-        const eventType = eventTypes[Math.floor(Math.random() * eventTypes.length)];
+        eventType = eventType || eventTypes[Math.floor(this.random() * eventTypes.length)];
 
         const event = {
-            id: crypto.randomUUID(),
+            id: this.generateId(),
             type: eventType,
             zoneId: zone.id,
-            created: new Date(),
-            duration: Math.random() * 3600000, // Up to 1 hour
+            created: this.now(),
+            duration: this.random() * 3600000, // Up to 1 hour
             effects: this.getEventEffects(eventType)
         };
 
         zone.events.push(event);
+        this.economy.applyZoneEvent(event);
+        if (eventType === 'weather_change') {
+            this.environment.changeWeather(zone);
+        }
         console.log(`🌟 Event in ${zone.name}: ${eventType}`);
+        return event;
     }
 
     getEventEffects(eventType) {
@@ -963,8 +1268,10 @@ class ShadowWatchGameEngine {
     }
 
     generateNewContent() {
-        // Generate new game content autonomously
-        const contentType = ['zone', 'npc', 'item', 'quest'][Math.floor(Math.random() * 4)];
+        // Generate new game content autonomously, at most once per generation interval
+        if (!this.contentGenerator.isDue(this.config.contentGenerationInterval)) return;
+
+        const contentType = ['zone', 'npc', 'item', 'quest'][Math.floor(this.random() * 4)];
 
         switch (contentType) {
             case 'zone':
@@ -991,77 +1298,112 @@ class ShadowWatchGameEngine {
 
     addNewFeatures() {
         // Add new features to the game
-        if (Math.random() > 0.99) { // Very rare
+        if (this.random() > 0.99) { // Very rare
             this.implementNewFeature();
         }
     }
 
-    autoSave() {
+    async autoSave() {
         // Auto-save game state
         console.log('💾 Auto-saving game state...');
 
-        const saveData = {
-            world: this.gameWorld,
-            players: Array.from(this.players.entries()),
-            npcs: Array.from(this.npcs.entries()),
-            items: Array.from(this.items.entries()),
-            quests: Array.from(this.quests.entries()),
-            zones: Array.from(this.zones.entries()),
-            timestamp: new Date()
-        };
-
-        // In a real implementation, this would save to a database
-        console.log(`✅ Saved ${this.players.size} players, ${this.npcs.size} NPCs, ${this.items.size} items`);
+        try {
+            await this.saveGame();
+        } catch (error) {
+            console.error('❌ Auto-save failed:', error.message);
+        }
     }
 
     // Utility methods
+    random() {
+        return this.rng();
+    }
+
+    generateId() {
+        return this.idGenerator();
+    }
+
+    // Simulated clock in deterministic mode so timestamps replay identically
+    now() {
+        if (this.deterministic) {
+            return new Date(this.config.epoch + Math.round(this.tickCount * 1000 / this.config.tickRate));
+        }
+        return new Date();
+    }
+
     getRandomPosition() {
         return {
-            x: Math.random() * this.config.worldSize.width,
-            y: Math.random() * this.config.worldSize.height,
+            x: this.random() * this.config.worldSize.width,
+            y: this.random() * this.config.worldSize.height,
             z: 0
         };
     }
 
+    findZoneAtPosition(position) {
+        return this.spatial.getZoneAt(position);
+    }
+
     getRandomPositionInZone(zone) {
         return {
-            x: zone.bounds.x + Math.random() * zone.bounds.width,
-            y: zone.bounds.y + Math.random() * zone.bounds.height,
+            x: zone.bounds.x + this.random() * zone.bounds.width,
+            y: zone.bounds.y + this.random() * zone.bounds.height,
             z: 0
         };
     }
 
     findCombatTarget(attacker, combat) {
-        // Find a valid target for combat
-        return combat.participants.find(p => p.id !== attacker.id && p.stats.health > 0);
+        // Prefer the closest opponent that is still standing
+        const origin = attacker.position;
+        const targets = this.getOpponents(attacker, combat);
+        if (!origin) return targets[0];
+
+        const distanceTo = (target) => this.spatial.distance(origin, target.position || origin);
+        return targets.sort((a, b) => distanceTo(a) - distanceTo(b))[0];
     }
 
-    handleCombatDeath(target, combat) {
-        console.log(`${target.name} has been defeated!`);
+    handleCombatDeath(target, combat, killer = null) {
+        console.log(`${this.getDisplayName(target)} has been defeated!`);
         target.stats.health = 0;
 
-        // Award experience to winner
-        const winner = combat.participants.find(p => p.id !== target.id);
-        if (winner) {
-            winner.stats.experience += target.stats.level * 10;
+        // Award experience to the killer, or a party-mate of theirs when shared
+        const winner = killer || this.getOpponents(target, combat)[0];
+        const experience = winner ? target.stats.level * 10 : 0;
+        this.eventBus.publish('entity.defeated', { entityId: target.id, combatId: combat.id, winnerId: winner?.id || null, experience });
+
+        if (this.npcs.has(target.id)) {
+            this.loot.dropLoot(target, winner);
+        }
+
+        if (!winner) return;
+
+        if (!this.players.has(winner.id)) {
+            winner.stats.experience += experience;
             this.checkLevelUp(winner);
+            return;
         }
+
+        const opponentType = target.npcType || 'player';
+        this.parties.distributeExperience(winner, experience).forEach(({ player, experience: share }) => {
+            player.stats.experience += share;
+            this.checkLevelUp(player);
+
+            // Party members present for the kill get quest credit for it too
+            const zoneId = this.spatial.getEntityZoneId(player.id);
+            this.questSystem.recordEvent(player, { type: 'kill', npcType: opponentType, targetId: target.id, zoneId });
+            this.questSystem.recordEvent(player, { type: 'win_combat', opponentType, zoneId });
+        });
     }
 
     checkCombatEndConditions(combat) {
-        const aliveParticipants = combat.participants.filter(p => p.stats.health > 0);
+        const standingSides = new Set(this.getActiveParticipants(combat).map(p => combat.sides[p.id]));
 
-        if (aliveParticipants.length <= 1) {
+        if (standingSides.size <= 1) {
             // Combat is over
-            this.endCombat(combat);
+            console.log('⚔️ Combat ended!');
+            this.endCombat(combat.id);
         }
     }
 
-    endCombat(combat) {
-        console.log('⚔️ Combat ended!');
-        this.combatSystem.activeCombats.delete(combat.id);
-    }
-
     checkLevelUp(player) {
         const expNeeded = player.stats.level * 100;
         if (player.stats.experience >= expNeeded) {
@@ -1071,8 +1413,11 @@ class ShadowWatchGameEngine {
             player.stats.health = player.stats.maxHealth;
             player.stats.maxMana += 5;
             player.stats.mana = player.stats.maxMana;
+            this.skillSystem.grantLevelUpPoints(player);
 
             console.log(`🎉 ${player.username} leveled up to level ${player.stats.level}!`);
+            this.eventBus.publish('entity.leveled_up', { entityId: player.id, level: player.stats.level });
+            this.plugins.emit('onLevelUp', { player, level: player.stats.level });
         }
     }
 
@@ -1081,6 +1426,7 @@ class ShadowWatchGameEngine {
         const zone = this.zones.get(npc.zoneId);
         if (zone) {
             npc.position = this.getRandomPositionInZone(zone);
+            this.spatial.update(npc);
         }
     }
 
@@ -1091,29 +1437,25 @@ class ShadowWatchGameEngine {
 
         // Add NPCs if needed
         while (zone.npcs.length < targetNPCs) {
-            const npc = this.createNPC(zone);
-            zone.npcs.push(npc.id);
-            this.npcs.set(npc.id, npc);
+            this.registerNPC(this.createNPC(zone));
         }
 
         // Add items if needed
         while (zone.items.length < targetItems) {
-            const item = this.createRandomItem();
-            zone.items.push(item.id);
-            zone.entities.set(item.id, item);
+            this.spawnZoneItem(zone);
         }
     }
 
     generateRandomEvent() {
         const eventTypes = ['monster_horde', 'treasure_cache', 'weather_storm', 'portal_open'];
-        const eventType = eventTypes[Math.floor(Math.random() * eventTypes.length)];
+        const eventType = eventTypes[Math.floor(this.random() * eventTypes.length)];
 
         const event = {
-            id: crypto.randomUUID(),
+            id: this.generateId(),
             type: eventType,
             description: `A ${eventType.replace('_', ' ')} has appeared!`,
-            created: new Date(),
-            duration: Math.random() * 1800000 + 600000 // 10-40 minutes
+            created: this.now(),
+            duration: this.random() * 1800000 + 600000 // 10-40 minutes
         };
 
         this.events.push(event);
@@ -1128,24 +1470,62 @@ class ShadowWatchGameEngine {
         }
     }
 
+    checkQuestCompletion(player, quest) {
+        return this.questSystem.checkCompletion(player, quest);
+    }
+
+    generateNewZone() {
+        const zone = this.contentGenerator.generateZone();
+        if (zone) {
+            console.log(`🗺️ Generated zone: ${zone.name} (${zone.type}, levels ${zone.levelRange.min}-${zone.levelRange.max})`);
+        }
+        return zone;
+    }
+
+    generateNewNPC() {
+        return this.contentGenerator.generateNPC();
+    }
+
+    generateNewItem() {
+        const item = this.contentGenerator.generateItem();
+        if (item) {
+            console.log(`🎁 Generated item: ${item.name} (${item.rarity})`);
+        }
+        return item;
+    }
+
+    generateNewQuest() {
+        const quest = this.contentGenerator.generateQuest();
+        if (quest) {
+            console.log(`📜 Generated quest: ${quest.name}`);
+        }
+        return quest;
+    }
+
+    updateMarketPrices() {
+        this.economy.updatePrices();
+    }
+
+    updateTradingNPC(npc) {
+        this.economy.restock(npc);
+    }
+
+    updateTeachingNPC(npc) {
+        // Trainers from older saves pick up the default skill trees
+        if (!npc.teaches) {
+            this.skillSystem.getTeachableSkills(npc);
+        }
+    }
+
+    balanceEconomy() {
+        this.economy.rebalance();
+    }
+
     // Placeholder methods for future implementation
-    updateMarketPrices() { /* Economy price updates */ }
-    checkQuestCompletion(player, quest) { /* Quest completion logic */ }
-    executeDefense(participant) { /* Defense action */ }
-    executeItemUse(participant) { /* Item usage */ }
-    executeFlee(participant, combat) { /* Flee action */ }
-    updatePatrollingNPC(npc) { /* NPC patrol logic */ }
-    updateTradingNPC(npc) { /* NPC trading logic */ }
-    updateTeachingNPC(npc) { /* NPC teaching logic */ }
     makeCombatDecisions(combat, agent) { /* Combat AI decisions */ }
     adjustDifficulty() { /* Difficulty adjustment */ }
-    balanceEconomy() { /* Economy balancing */ }
     optimizePerformance() { /* Performance optimization */ }
     implementNewFeature() { /* New feature implementation */ }
-    generateNewZone() { /* Zone generation */ }
-    generateNewNPC() { /* NPC generation */ }
-    generateNewItem() { /* Item generation */ }
-    generateNewQuest() { /* Quest generation */ }
 
     // Public API methods
     getGameState() {
@@ -1157,10 +1537,17 @@ class ShadowWatchGameEngine {
             quests: Array.from(this.quests.values()),
             zones: Array.from(this.zones.values()),
             events: this.events,
-            timestamp: new Date()
+            ...(this.shards.enabled ? { shards: this.shards.getStatus() } : {}),
+            timestamp: this.now()
         };
     }
 
+    // Compact, interest-filtered alternative to getGameState() for network clients
+    getStateDelta(viewerId, options = {}) {
+        this.stateSync.commit();
+        return this.stateSync.getDelta(viewerId, options);
+    }
+
     getPlayer(playerId) {
         return this.players.get(playerId);
     }
@@ -1177,6 +1564,10 @@ class ShadowWatchGameEngine {
         return this.items.get(itemId);
     }
 
+    getNearby(position, radius, filter = {}) {
+        return this.spatial.queryRadius(position, radius, filter);
+    }
+
     getQuest(questId) {
         return this.quests.get(questId);
     }
@@ -1186,39 +1577,126 @@ class ShadowWatchGameEngine {
     }
 
     removePlayer(playerId) {
-        return this.players.delete(playerId);
+        if (this.parties.getParty(playerId)) {
+            this.leaveParty(playerId);
+        }
+        this.dialogues.end(playerId);
+        this.spatial.remove(playerId);
+        this.physics.removeBody(playerId);
+        this.stateSync.removeView(playerId);
+        if (!this.players.delete(playerId)) return false;
+
+        this.eventBus.publish('player.removed', { playerId });
+        return true;
     }
 
     movePlayer(playerId, position) {
         const player = this.players.get(playerId);
         if (player) {
+            const zone = this.spatial.getZoneAt(position);
+            const entry = zone && zone.id !== player.zoneId ? this.parties.canEnterZone(player, zone) : { allowed: true };
+            if (!entry.allowed) {
+                console.log(`🚫 ${player.username} can't enter ${zone.name}: ${entry.reason}`);
+                return false;
+            }
+
             player.position = position;
-            player.lastActive = new Date();
+            player.lastActive = this.now();
+            this.spatial.update(player);
+            this.eventBus.publish('player.moved', { playerId, position: { ...position }, zoneId: player.zoneId || null });
             return true;
         }
         return false;
     }
 
+    // Party members of either side who are in the same zone and not busy fighting join in
     startCombat(attackerId, defenderId) {
         const attacker = this.players.get(attackerId) || this.npcs.get(attackerId);
         const defender = this.players.get(defenderId) || this.npcs.get(defenderId);
 
-        if (!attacker || !defender) return false;
+        if (!attacker || !defender || attacker === defender) return false;
+
+        const attackers = this.getCombatSide(attacker);
+        const defenders = this.getCombatSide(defender).filter(entity => !attackers.includes(entity));
+        const sides = {};
+        attackers.forEach(entity => { sides[entity.id] = 'attackers'; });
+        defenders.forEach(entity => { sides[entity.id] = 'defenders'; });
 
         const combat = {
-            id: crypto.randomUUID(),
-            participants: [attacker, defender],
-            started: new Date(),
-            round: 0
+            id: this.generateId(),
+            participants: [...attackers, ...defenders],
+            sides,
+            started: this.now(),
+            round: 0,
+            ticksUntilRound: this.config.combatRoundTicks,
+            pendingActions: new Map(),
+            cooldowns: new Map(),
+            fled: [],
+            log: []
         };
 
         this.combatSystem.activeCombats.set(combat.id, combat);
-        console.log(`⚔️ Combat started between ${attacker.name || attacker.username} and ${defender.name || defender.username}`);
+        this.eventBus.publish('combat.started', { combatId: combat.id, participantIds: combat.participants.map(p => p.id) });
+        const describeSide = (side) => side.length > 1 ? `${this.getDisplayName(side[0])}'s party of ${side.length}` : this.getDisplayName(side[0]);
+        console.log(`⚔️ Combat started between ${describeSide(attackers)} and ${describeSide(defenders)}`);
         return combat.id;
     }
 
+    getCombatSide(entity) {
+        if (!this.players.has(entity.id)) return [entity];
+
+        const allies = this.parties.getMembers(entity.id).filter(member =>
+            member !== entity && member.stats.health > 0 && member.zoneId === entity.zoneId && !this.getCombatForEntity(member.id));
+        return [entity, ...allies];
+    }
+
     endCombat(combatId) {
-        return this.combatSystem.activeCombats.delete(combatId);
+        const combat = this.combatSystem.activeCombats.get(combatId);
+        if (!combat) return false;
+
+        combat.participants.forEach(participant => this.clearCombatStatusEffects(participant));
+        this.combatSystem.activeCombats.delete(combatId);
+
+        const survivors = this.getActiveParticipants(combat);
+        this.eventBus.publish('combat.ended', { combatId, survivorIds: survivors.map(survivor => survivor.id) });
+        this.plugins.emit('onCombatEnd', { combat, survivors });
+        return true;
+    }
+
+    getCombatForEntity(entityId) {
+        for (const combat of this.combatSystem.activeCombats.values()) {
+            if (combat.participants.some(p => p.id === entityId) && !combat.fled.includes(entityId)) {
+                return combat;
+            }
+        }
+        return null;
+    }
+
+    // Queue a player's action for the next round of their combat
+    submitCombatAction(combatId, playerId, action) {
+        const combat = this.combatSystem.activeCombats.get(combatId);
+        const player = this.players.get(playerId);
+        const request = typeof action === 'string' ? { type: action } : { ...action };
+
+        if (!combat) {
+            return { success: false, error: 'Combat not found' };
+        }
+        if (!player || !this.getActiveParticipants(combat).includes(player)) {
+            return { success: false, error: 'Player is not fighting in this combat' };
+        }
+        if (!COMBAT_ACTIONS.includes(request.type)) {
+            return { success: false, error: `Unknown combat action '${request.type}'` };
+        }
+        if (request.type === 'use_item' && request.itemId && !player.inventory.includes(request.itemId)) {
+            return { success: false, error: 'Item not in inventory' };
+        }
+        if (request.type === 'ability') {
+            const unavailable = this.getAbilityUnavailableReason(player, combat, request.abilityId);
+            if (unavailable) return { success: false, error: unavailable };
+        }
+
+        combat.pendingActions.set(playerId, request);
+        return { success: true, round: combat.round + 1 };
     }
 
     giveItem(playerId, itemId) {
@@ -1228,11 +1706,40 @@ class ShadowWatchGameEngine {
         if (player && item) {
             player.inventory.push(itemId);
             item.owner = playerId;
+            this.eventBus.publish('item.given', { playerId, itemId });
+
+            const zoneId = this.spatial.getEntityZoneId(playerId);
+            this.questSystem.recordEvent(player, { type: 'collect_item', item, zoneId });
             return true;
         }
         return false;
     }
 
+    // Pick up an item lying in the world: a zone spawn, or loot that isn't reserved for someone else
+    pickUpItem(playerId, itemId) {
+        const player = this.players.get(playerId);
+        const item = this.zones.get(this.spatial.getEntityZoneId(itemId))?.entities.get(itemId);
+
+        if (!player || !item) {
+            return { success: false, error: 'Item not found' };
+        }
+        const check = this.loot.canPickUp(player, item);
+        if (!check.allowed) {
+            return { success: false, error: check.reason };
+        }
+
+        const zoneId = this.removeWorldItem(itemId);
+        this.loot.drops.delete(itemId);
+        delete item.reservedFor;
+        delete item.reservedUntil;
+        this.items.set(item.id, item);
+
+        this.eventBus.publish('item.picked_up', { playerId, itemId, zoneId });
+        this.giveItem(playerId, itemId);
+        console.log(`🎒 ${player.username} picked up ${item.name}`);
+        return { success: true, item };
+    }
+
     takeItem(playerId, itemId) {
         const player = this.players.get(playerId);
         const itemIndex = player?.inventory.indexOf(itemId);
@@ -1241,6 +1748,7 @@ class ShadowWatchGameEngine {
             player.inventory.splice(itemIndex, 1);
             const item = this.items.get(itemId);
             if (item) item.owner = null;
+            this.eventBus.publish('item.taken', { playerId, itemId });
             return true;
         }
         return false;
@@ -1250,8 +1758,15 @@ class ShadowWatchGameEngine {
         const player = this.players.get(playerId);
         const quest = this.quests.get(questId);
 
-        if (player && quest && !player.quests.includes(questId)) {
+        if (this.questSystem.canAcceptQuest(player, quest).allowed) {
             player.quests.push(questId);
+            this.questSystem.startQuest(player, quest);
+            this.eventBus.publish('quest.assigned', { playerId, questId });
+
+            // Standing in the target zone already counts as visiting it
+            if (player.zoneId) {
+                this.questSystem.recordEvent(player, { type: 'visit_zone', zoneId: player.zoneId });
+            }
             return true;
         }
         return false;
@@ -1264,6 +1779,8 @@ class ShadowWatchGameEngine {
 
         if (player && quest && questIndex >= 0) {
             player.quests.splice(questIndex, 1);
+            this.questSystem.finishQuest(player, quest);
+            this.eventBus.publish('quest.completed', { playerId, questId, rewards: quest.rewards || {} });
 
             // Award rewards
             if (quest.rewards.experience) {
@@ -1287,14 +1804,409 @@ class ShadowWatchGameEngine {
         return false;
     }
 
+    async saveGame(slot = this.config.saveSlot) {
+        const snapshot = await this.persistence.save(slot);
+        this.eventBus.publish('game.saved', { slot });
+        console.log(`✅ Saved ${this.players.size} players, ${this.npcs.size} NPCs, ${this.items.size} items to '${slot}'`);
+        return snapshot;
+    }
+
+    // Load plugins from a directory after startup; their content goes live immediately
+    async loadPlugins(directory = this.config.pluginDirectory) {
+        if (!directory) return this.plugins.getStatus();
+        return this.plugins.loadDirectory(directory);
+    }
+
+    async loadGame(slot = this.config.saveSlot) {
+        const data = await this.persistence.load(slot);
+        if (!data) {
+            return false;
+        }
+
+        this.spatial.rebuild();
+        this.physics.rebuild();
+        this.dialogues.reset();
+        this.eventBus.publish('game.loaded', { slot });
+
+        const { day, hour, minute } = this.gameWorld.time;
+        console.log(`📂 Loaded '${slot}': ${this.players.size} players, ${this.npcs.size} NPCs, ${this.zones.size} zones (Day ${day}, ${hour}:${String(minute).padStart(2, '0')})`);
+        return true;
+    }
+
+    // #region Dialogue
+
+    // Returns { success, view: { npcId, npcName, nodeId, text, responses: [{ id, text }] }, ended }
+    startDialogue(playerId, npcId) {
+        const player = this.players.get(playerId);
+        const npc = this.npcs.get(npcId);
+        const result = this.dialogues.start(player, npc);
+
+        if (result.success) {
+            this.eventBus.publish('dialogue.started', { playerId, npcId, dialogueId: result.dialogueId });
+            if (result.ended) this.finishDialogue(player, npc);
+        }
+        return result;
+    }
+
+    // Also returns the results of any actions the response ran
+    chooseDialogueResponse(playerId, responseId) {
+        const player = this.players.get(playerId);
+        const session = this.dialogues.getSession(playerId);
+        const result = this.dialogues.choose(player, responseId);
+
+        if (result.success) {
+            this.eventBus.publish('dialogue.advanced', { playerId, npcId: session.npcId, responseId, nodeId: result.view?.nodeId ?? null });
+        }
+        if (session && result.ended) {
+            this.finishDialogue(player, this.npcs.get(session.npcId));
+        }
+        return result;
+    }
+
+    endDialogue(playerId) {
+        const session = this.dialogues.getSession(playerId);
+        if (!session) return false;
+
+        this.dialogues.end(playerId);
+        this.finishDialogue(this.players.get(playerId), this.npcs.get(session.npcId));
+        return true;
+    }
+
+    // A conversation counts for talk_to_npc objectives once it's over, so quests it hands out count it too
+    finishDialogue(player, npc) {
+        this.questSystem.recordEvent(player, { type: 'talk_to_npc', npcType: npc.npcType, targetId: npc.id, zoneId: npc.zoneId });
+        this.eventBus.publish('dialogue.ended', { playerId: player.id, npcId: npc.id });
+    }
+
+    // #endregion
+
+    talkToNPC(playerId, npcId) {
+        const player = this.players.get(playerId);
+        const npc = this.npcs.get(npcId);
+
+        if (!player || !npc) return null;
+
+        this.questSystem.recordEvent(player, { type: 'talk_to_npc', npcType: npc.npcType, targetId: npc.id, zoneId: npc.zoneId });
+        return npc.dialogue[Math.floor(this.random() * npc.dialogue.length)];
+    }
+
+    getPriceQuote(npcId, itemKey, side = 'buy', quantity = 1) {
+        return this.economy.getQuote(this.npcs.get(npcId), itemKey, side, quantity);
+    }
+
+    buyItem(playerId, npcId, itemKey, quantity = 1) {
+        return this.economy.buy(this.players.get(playerId), this.npcs.get(npcId), itemKey, quantity);
+    }
+
+    sellItem(playerId, npcId, itemId, quantity = 1) {
+        return this.economy.sell(this.players.get(playerId), this.npcs.get(npcId), itemId, quantity);
+    }
+
+    equipItem(playerId, itemId) {
+        const result = this.equipment.equip(this.players.get(playerId), itemId);
+        if (result.success) {
+            console.log(`🛡️ ${this.players.get(playerId).username} equipped ${this.items.get(itemId).name} (${result.slot})`);
+            this.eventBus.publish('item.equipped', { playerId, itemId, slot: result.slot, replaced: result.replaced });
+        }
+        return result;
+    }
+
+    unequipItem(playerId, slot) {
+        const result = this.equipment.unequip(this.players.get(playerId), slot);
+        if (result.success) {
+            this.eventBus.publish('item.unequipped', { playerId, itemId: result.itemId, slot });
+        }
+        return result;
+    }
+
+    learnSkill(playerId, skillId, npcId = null) {
+        const player = this.players.get(playerId);
+        if (!player) {
+            return { success: false, error: 'Player not found' };
+        }
+
+        const trainer = npcId ? this.npcs.get(npcId) : this.skillSystem.findTrainerInZone(player.zoneId);
+        if (!trainer) {
+            return { success: false, error: npcId ? 'NPC not found' : 'No trainer in your zone' };
+        }
+
+        const result = this.skillSystem.learnSkill(player, trainer, skillId);
+        if (result.success) {
+            console.log(`📘 ${player.username} learned ${result.skill.name} from ${trainer.name}`);
+            this.eventBus.publish('skill.learned', { playerId, skillId, trainerId: trainer.id });
+        }
+        return result;
+    }
+
+    getAvailableSkills(playerId) {
+        const player = this.players.get(playerId);
+        return player ? this.skillSystem.getAvailableSkills(player) : [];
+    }
+
+    inspectNPC(npcId) {
+        const npc = this.npcs.get(npcId);
+        return npc ? this.npcBehavior.inspect(npc) : null;
+    }
+
+    // #region Parties and Guilds
+
+    createParty(playerId) {
+        const result = this.parties.createParty(playerId);
+        if (result.success) {
+            console.log(`👥 ${this.players.get(playerId).username} formed a party`);
+            this.eventBus.publish('party.created', { partyId: result.party.id, leaderId: playerId });
+        }
+        return result;
+    }
+
+    inviteToParty(leaderId, targetId) {
+        return this.parties.invite(leaderId, targetId);
+    }
+
+    acceptPartyInvite(playerId, partyId) {
+        const result = this.parties.acceptInvite(playerId, partyId);
+        if (result.success) {
+            console.log(`👥 ${this.players.get(playerId).username} joined the party (${result.party.members.length} members)`);
+            this.eventBus.publish('party.joined', { partyId, playerId });
+        }
+        return result;
+    }
+
+    leaveParty(playerId) {
+        const result = this.parties.leave(playerId);
+        if (result.success) {
+            this.eventBus.publish('party.left', { partyId: result.party.id, playerId, disbanded: result.disbanded });
+        }
+        return result;
+    }
+
+    kickFromParty(leaderId, targetId) {
+        const result = this.parties.kick(leaderId, targetId);
+        if (result.success) {
+            this.eventBus.publish('party.left', { partyId: result.party.id, playerId: targetId, disbanded: result.disbanded });
+        }
+        return result;
+    }
+
+    promotePartyLeader(leaderId, targetId) {
+        const result = this.parties.promote(leaderId, targetId);
+        if (result.success) {
+            this.eventBus.publish('party.updated', { partyId: result.party.id, leaderId: targetId, rules: { ...result.party.rules } });
+        }
+        return result;
+    }
+
+    // rules: { xp: 'shared' | 'individual', loot: 'round_robin' | 'leader' | 'free_for_all' }
+    setPartyRules(leaderId, rules) {
+        const result = this.parties.setRules(leaderId, rules);
+        if (result.success) {
+            this.eventBus.publish('party.updated', { partyId: result.party.id, leaderId, rules: { ...result.party.rules } });
+        }
+        return result;
+    }
+
+    getPartyInfo(playerId) {
+        const party = this.parties.getParty(playerId);
+        return party ? this.parties.getSummary(party) : null;
+    }
+
+    // Hand out items earned by a player according to their party's loot rule
+    distributeLoot(playerId, itemIds) {
+        const player = this.players.get(playerId);
+        if (!player) return [];
+
+        return itemIds.map(itemId => {
+            const recipient = this.parties.getLootRecipient(player);
+            this.giveItem(recipient.id, itemId);
+            return { playerId: recipient.id, itemId };
+        });
+    }
+
+    createGuild(playerId, name) {
+        const result = this.guilds.createGuild(playerId, name);
+        if (result.success) {
+            console.log(`🏰 ${this.players.get(playerId).username} founded the guild ${result.guild.name}`);
+            this.eventBus.publish('guild.created', { guildId: result.guild.id, name: result.guild.name, leaderId: playerId });
+        }
+        return result;
+    }
+
+    inviteToGuild(actorId, targetId) {
+        return this.guilds.invite(actorId, targetId);
+    }
+
+    acceptGuildInvite(playerId, guildId) {
+        const result = this.guilds.acceptInvite(playerId, guildId);
+        if (result.success) {
+            console.log(`🏰 ${this.players.get(playerId).username} joined ${result.guild.name}`);
+            this.eventBus.publish('guild.joined', { guildId, playerId });
+        }
+        return result;
+    }
+
+    leaveGuild(playerId) {
+        const result = this.guilds.leave(playerId);
+        if (result.success) {
+            this.eventBus.publish('guild.left', { guildId: result.guild.id, playerId, disbanded: result.disbanded });
+        }
+        return result;
+    }
+
+    kickFromGuild(actorId, targetId) {
+        const result = this.guilds.kick(actorId, targetId);
+        if (result.success) {
+            this.eventBus.publish('guild.left', { guildId: result.guild.id, playerId: targetId, disbanded: false });
+        }
+        return result;
+    }
+
+    setGuildRank(actorId, targetId, rank) {
+        const result = this.guilds.setRank(actorId, targetId, rank);
+        if (result.success) {
+            this.eventBus.publish('guild.rank_changed', { guildId: result.guild.id, playerId: targetId, rank });
+            if (rank === 'leader') {
+                this.eventBus.publish('guild.rank_changed', { guildId: result.guild.id, playerId: actorId, rank: 'officer' });
+            }
+        }
+        return result;
+    }
+
+    // contents: { gold } and/or { itemId }
+    depositToGuildBank(playerId, contents) {
+        const result = this.guilds.deposit(playerId, contents);
+        if (result.success) {
+            this.eventBus.publish('guild.bank_changed', { guildId: result.guild.id, playerId, kind: 'deposit', gold: contents.gold || 0, itemId: contents.itemId || null });
+        }
+        return result;
+    }
+
+    withdrawFromGuildBank(playerId, contents) {
+        const result = this.guilds.withdraw(playerId, contents);
+        if (result.success) {
+            this.eventBus.publish('guild.bank_changed', { guildId: result.guild.id, playerId, kind: 'withdraw', gold: contents.gold || 0, itemId: contents.itemId || null });
+        }
+        return result;
+    }
+
+    getGuildInfo(playerId) {
+        const guild = this.guilds.getGuildForPlayer(playerId);
+        return guild ? this.guilds.getSummary(guild) : null;
+    }
+
+    // #endregion
+
+    // #region Administration
+
+    // actor is an operator name whose role decides what they may run; see ADMIN_COMMANDS
+    runAdminCommand(actor, command, args = []) {
+        const result = this.admin.run(actor, command, args);
+        if (result.success && command !== 'audit') {
+            console.log(`🛠️ ${actor}: ${command} ${args.join(' ')}`);
+        }
+        return result;
+    }
+
+    // #endregion
+
+    // #region Event Log
+
+    recordCommands() {
+        REPLAYABLE_COMMANDS.forEach(name => {
+            const run = this[name].bind(this);
+            this[name] = (...args) => this.eventBus.command(name, args, () => run(...args));
+        });
+    }
+
+    // Scalar settings only; seed and plugins have to be supplied again to replay a log
+    getReplayConfig() {
+        return Object.fromEntries(Object.entries(this.config)
+            .filter(([, value]) => value === null || ['string', 'number', 'boolean'].includes(typeof value)));
+    }
+
+    async saveEventLog(file) {
+        return this.eventBus.log.save(file);
+    }
+
+    // Chrome trace of the ticks profiled since startTrace() (or since start with profileTraceFile)
+    async saveProfileTrace(file = this.config.profileTraceFile) {
+        if (!file) {
+            throw new Error('No trace file given');
+        }
+        return this.profiler.saveTrace(file);
+    }
+
+    // Flush the streamed event and audit log files and the profile trace, if there are any
+    async closeEventLog() {
+        await this.admin.close();
+        if (this.config.profileTraceFile) {
+            await this.saveProfileTrace();
+        }
+        return this.eventBus.log.close();
+    }
+
+    /**
+     * Re-issue the commands of a recorded log on this engine, each at the tick it originally
+     * ran on. Needs a fresh engine created with the log's seed (and the same plugins).
+     * events: an array of events, or the path of an NDJSON log
+     */
+    async replay(events) {
+        const log = typeof events === 'string' ? await EventLog.read(events) : events;
+        const started = log.find(event => event.type === 'engine.started');
+
+        if (!started) {
+            return { success: false, error: 'Log has no engine.started event' };
+        }
+        if (started.payload.seed === null) {
+            return { success: false, error: 'Only logs from seeded engines can be replayed' };
+        }
+        if (started.payload.seed !== this.config.seed) {
+            return { success: false, error: `Log was recorded with seed '${started.payload.seed}'` };
+        }
+        if (this.tickCount > 0 || this.eventBus.commandCount > 0) {
+            return { success: false, error: 'Replay needs a fresh engine' };
+        }
+
+        let commands = 0;
+        for (const event of log.slice(log.indexOf(started) + 1)) {
+            if (event.type === 'game.loaded') {
+                return { success: false, error: 'Cannot replay past a game load', commands, tick: this.tickCount };
+            }
+            if (event.tick > this.tickCount) {
+                this.step(event.tick - this.tickCount);
+            }
+            if (event.type === 'command' && REPLAYABLE_COMMANDS.includes(event.payload.name)) {
+                this[event.payload.name](...event.payload.args);
+                commands++;
+            }
+        }
+
+        console.log(`⏪ Replayed ${commands} commands up to tick ${this.tickCount}`);
+        return { success: true, commands, tick: this.tickCount };
+    }
+
+    // #endregion
+
     // Export game data for external access
     exportGameData() {
         return this.getGameState();
     }
 
+    // World figures for the AI status displays
+    getWorldStatus() {
+        return {
+            zones: this.zones.size,
+            entities: Array.from(this.zones.values()).reduce((total, zone) => total + zone.entities.size, 0),
+            players: this.players.size,
+            npcs: this.npcs.size,
+            weather: this.gameWorld.weather,
+            time: this.gameWorld.time
+        };
+    }
+
     // Get game statistics
     getStatistics() {
         return {
+            tick: this.tickCount,
             players: this.players ? this.players.size : 0,
             npcs: this.npcs ? this.npcs.size : 0,
             items: this.items ? this.items.size : 0,
@@ -1303,7 +2215,9 @@ class ShadowWatchGameEngine {
             activeCombats: this.combatSystem && this.combatSystem.activeCombats ? this.combatSystem.activeCombats.size : 0,
             worldEvents: this.events ? this.events.length : 0,
             uptime: process.uptime(),
-            memoryUsage: process.memoryUsage()
+            memoryUsage: process.memoryUsage(),
+            profile: this.profiler ? this.profiler.getSummary() : null,
+            shards: this.shards && this.shards.enabled ? this.shards.getStatistics() : null
         };
     }
 }
@@ -0,0 +1,478 @@
+/**
+ * ShadowWatch AI - Game Network
+ * socket.io multiplayer layer: player sessions, validated input and authoritative state broadcasts
+ */
+
+import crypto from 'crypto';
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_]{3,20}$/;
+
+const DEFAULT_OPTIONS = {
+    stateRate: 10, // State broadcasts per second
+    fullSnapshotInterval: 50, // Every Nth broadcast is a full snapshot instead of a delta
+    maxMoveSpeed: 600, // World units per second
+    attackRange: 250,
+    chatMaxLength: 200,
+    chatBurst: 5, // Messages allowed per chat window
+    chatWindow: 5000,
+    clock: () => Date.now()
+};
+
+// Only the hash is kept on the character, so saves and state dumps don't hold usable tokens
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+class GameNetwork {
+    constructor(gameEngine, io, options = {}) {
+        this.engine = gameEngine;
+        this.io = io;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+
+        this.sessions = new Map(); // socketId -> session
+        this.playerSockets = new Map(); // playerId -> socketId
+        this.broadcastCount = 0;
+        this.broadcastHandle = null;
+
+        this.io.on('connection', socket => this.handleConnection(socket));
+
+        // Clock and weather changes go to everyone in the world
+        ['time_change', 'weather_change'].forEach(event => {
+            this.engine.environment.on(event, (data) => this.io.to('players').emit(event, data));
+        });
+    }
+
+    // #region Lifecycle
+
+    start() {
+        if (this.broadcastHandle) return;
+
+        this.broadcastHandle = setInterval(() => this.broadcastState(), 1000 / this.options.stateRate);
+        console.log(`🌐 Game network broadcasting at ${this.options.stateRate} Hz`);
+    }
+
+    stop() {
+        if (this.broadcastHandle) {
+            clearInterval(this.broadcastHandle);
+            this.broadcastHandle = null;
+        }
+    }
+
+    getStatus() {
+        return {
+            online: this.playerSockets.size,
+            connections: this.sessions.size,
+            maxPlayers: this.engine.config.maxPlayers,
+            stateRate: this.options.stateRate
+        };
+    }
+
+    // #endregion
+
+    // #region Connections
+
+    handleConnection(socket) {
+        const session = {
+            socket,
+            playerId: null,
+            lastMoveAt: null,
+            chatTimestamps: [],
+            lastPrivateState: null,
+            lastInputSeq: null
+        };
+        this.sessions.set(socket.id, session);
+
+        const handlers = {
+            join: (payload) => this.handleJoin(session, payload),
+            move: (payload) => this.handleMove(session, payload),
+            attack: (payload) => this.handleAttack(session, payload),
+            combat_action: (payload) => this.handleCombatAction(session, payload),
+            chat: (payload) => this.handleChat(session, payload),
+            talk: (payload) => this.handleTalk(session, payload),
+            dialogue_choice: (payload) => this.handleDialogueChoice(session, payload),
+            dialogue_end: () => this.handleDialogueEnd(session),
+            resync: () => this.handleResync(session),
+            leave: () => this.handleLeave(session)
+        };
+
+        Object.entries(handlers).forEach(([event, handler]) => {
+            socket.on(event, (payload, ack) => {
+                let result;
+                try {
+                    result = handler(payload || {});
+                } catch (error) {
+                    console.error(`❌ Game network '${event}' failed:`, error.message);
+                    result = { success: false, error: 'Server error' };
+                }
+                this.respond(socket, event, result, ack);
+            });
+        });
+
+        socket.on('disconnect', () => {
+            this.detachPlayer(session);
+            this.sessions.delete(socket.id);
+        });
+    }
+
+    // Results go to the ack callback when the client passed one; rejections are also emitted
+    respond(socket, action, result, ack) {
+        if (typeof ack === 'function') {
+            ack(result);
+        }
+        if (!result.success) {
+            socket.emit('action_rejected', { action, reason: result.error });
+        }
+    }
+
+    // New characters get a token back; only a join with that token can play them again
+    handleJoin(session, { username, token }) {
+        if (session.playerId) {
+            return { success: false, error: 'Already joined' };
+        }
+        if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+            return { success: false, error: 'Username must be 3-20 letters, digits or underscores' };
+        }
+        if (this.playerSockets.size >= this.engine.config.maxPlayers) {
+            return { success: false, error: 'Server is full' };
+        }
+
+        // Returning players take over their existing character
+        const existing = Array.from(this.engine.players.values()).find(player => player.username === username);
+        if (existing && this.playerSockets.has(existing.id)) {
+            return { success: false, error: 'Username already in use' };
+        }
+        if (existing && !this.checkToken(existing, token)) {
+            return { success: false, error: 'Username is taken; rejoining needs its token' };
+        }
+
+        let newToken = null;
+        let player = existing;
+        if (!player) {
+            newToken = crypto.randomBytes(24).toString('hex');
+            player = this.engine.addPlayer({ username });
+            player.tokenHash = hashToken(newToken);
+        }
+        session.playerId = player.id;
+        session.lastMoveAt = this.options.clock();
+        this.playerSockets.set(player.id, session.socket.id);
+        session.socket.join('players');
+
+        // The first broadcast after joining carries a full snapshot
+        this.engine.stateSync.resetView(player.id);
+
+        session.socket.to('players').emit('player_joined', { id: player.id, username: player.username });
+        console.log(`🌐 ${username} joined (${this.playerSockets.size}/${this.engine.config.maxPlayers})`);
+
+        return {
+            success: true,
+            playerId: player.id,
+            ...(newToken ? { token: newToken } : {}),
+            self: this.serializePrivateState(player)
+        };
+    }
+
+    // Characters made outside the network have no token and can't be joined
+    checkToken(player, token) {
+        if (typeof token !== 'string' || !player.tokenHash) return false;
+
+        const expected = Buffer.from(player.tokenHash, 'hex');
+        const actual = Buffer.from(hashToken(token), 'hex');
+        return crypto.timingSafeEqual(expected, actual);
+    }
+
+    handleLeave(session) {
+        if (!session.playerId) {
+            return { success: false, error: 'Not joined' };
+        }
+
+        this.detachPlayer(session);
+        return { success: true };
+    }
+
+    detachPlayer(session) {
+        const playerId = session.playerId;
+        if (!playerId) return;
+
+        // The character stays in the world, but not in a fight nobody is playing
+        const combat = this.engine.getCombatForEntity(playerId);
+        if (combat) {
+            this.engine.endCombat(combat.id);
+        }
+
+        session.playerId = null;
+        session.socket.leave('players');
+        this.playerSockets.delete(playerId);
+        this.engine.stateSync.removeView(playerId);
+        this.io.to('players').emit('player_left', { id: playerId });
+    }
+
+    getSessionPlayer(session) {
+        return session.playerId ? this.engine.getPlayer(session.playerId) : null;
+    }
+
+    // #endregion
+
+    // #region Player Input
+
+    // Clients number their moves; the last processed seq is echoed in state deltas so
+    // prediction can drop confirmed (or rejected) inputs
+    handleMove(session, payload) {
+        const result = this.applyMove(session, payload);
+        if (session.playerId && Number.isInteger(payload.seq)) {
+            this.engine.stateSync.acknowledgeInput(session.playerId, payload.seq);
+            result.seq = payload.seq;
+        }
+        return result;
+    }
+
+    applyMove(session, { x, y }) {
+        const player = this.getSessionPlayer(session);
+        if (!player) {
+            return { success: false, error: 'Not joined' };
+        }
+        if (!Number.isFinite(x) || !Number.isFinite(y)) {
+            return { success: false, error: 'Position must be numeric' };
+        }
+
+        const { width, height } = this.engine.config.worldSize;
+        if (x < 0 || y < 0 || x > width || y > height) {
+            return { success: false, error: 'Position is outside the world' };
+        }
+        if (this.engine.getCombatForEntity(player.id)) {
+            return { success: false, error: 'Cannot move during combat' };
+        }
+
+        // Reject teleports: the distance has to be coverable since the last accepted move,
+        // at the speed the weather in the player's zone allows
+        const now = this.options.clock();
+        const elapsed = Math.max(now - session.lastMoveAt, 1000 / this.options.stateRate) / 1000;
+        const distance = Math.hypot(x - player.position.x, y - player.position.y);
+        const speed = this.options.maxMoveSpeed * this.engine.environment.getModifiers(player.zoneId).movement;
+        if (distance > speed * elapsed) {
+            return { success: false, error: 'Moving too fast' };
+        }
+
+        // The engine refuses zones the player may not enter, e.g. raids without a party
+        const position = { x, y, z: player.position.z || 0 };
+        if (!this.engine.movePlayer(player.id, position)) {
+            const zone = this.engine.spatial.getZoneAt(position);
+            const entry = zone ? this.engine.parties.canEnterZone(player, zone) : null;
+            return { success: false, error: entry?.reason || 'Cannot move there' };
+        }
+
+        session.lastMoveAt = now;
+        return { success: true, position: player.position, zoneId: player.zoneId };
+    }
+
+    handleAttack(session, { targetId }) {
+        const player = this.getSessionPlayer(session);
+        if (!player) {
+            return { success: false, error: 'Not joined' };
+        }
+        if (typeof targetId !== 'string' || targetId === player.id) {
+            return { success: false, error: 'Invalid target' };
+        }
+
+        // Offline characters can't be attacked
+        const target = this.playerSockets.has(targetId) ? this.engine.getPlayer(targetId) : this.engine.getNPC(targetId);
+        if (!target || target.stats.health <= 0) {
+            return { success: false, error: 'Target not found' };
+        }
+
+        const distance = Math.hypot(target.position.x - player.position.x, target.position.y - player.position.y);
+        if (distance > this.options.attackRange) {
+            return { success: false, error: 'Target is out of range' };
+        }
+
+        const combat = this.engine.getCombatForEntity(player.id);
+        if (combat) {
+            return this.engine.submitCombatAction(combat.id, player.id, { type: 'attack', targetId });
+        }
+        if (this.engine.getCombatForEntity(targetId)) {
+            return { success: false, error: 'Target is already fighting' };
+        }
+
+        const combatId = this.engine.startCombat(player.id, targetId);
+        return combatId ? { success: true, combatId } : { success: false, error: 'Could not start combat' };
+    }
+
+    handleCombatAction(session, { type, itemId, abilityId, targetId }) {
+        const player = this.getSessionPlayer(session);
+        if (!player) {
+            return { success: false, error: 'Not joined' };
+        }
+
+        const combat = this.engine.getCombatForEntity(player.id);
+        if (!combat) {
+            return { success: false, error: 'Not in combat' };
+        }
+
+        // Only forward the fields the engine understands
+        const action = { type };
+        if (typeof itemId === 'string') action.itemId = itemId;
+        if (typeof abilityId === 'string') action.abilityId = abilityId;
+        if (typeof targetId === 'string') action.targetId = targetId;
+
+        return this.engine.submitCombatAction(combat.id, player.id, action);
+    }
+
+    handleChat(session, { message }) {
+        const player = this.getSessionPlayer(session);
+        if (!player) {
+            return { success: false, error: 'Not joined' };
+        }
+        if (typeof message !== 'string') {
+            return { success: false, error: 'Message must be text' };
+        }
+
+        // Control characters (codes below 32, and 127) are dropped
+        const text = Array.from(message)
+            .filter(char => char.charCodeAt(0) >= 32 && char.charCodeAt(0) !== 127)
+            .join('')
+            .trim();
+        if (!text) {
+            return { success: false, error: 'Message is empty' };
+        }
+        if (text.length > this.options.chatMaxLength) {
+            return { success: false, error: `Message is longer than ${this.options.chatMaxLength} characters` };
+        }
+
+        const now = this.options.clock();
+        session.chatTimestamps = session.chatTimestamps.filter(time => now - time < this.options.chatWindow);
+        if (session.chatTimestamps.length >= this.options.chatBurst) {
+            return { success: false, error: 'Sending messages too quickly' };
+        }
+        session.chatTimestamps.push(now);
+
+        this.io.to('players').emit('chat_message', {
+            playerId: player.id,
+            username: player.username,
+            message: text,
+            timestamp: now
+        });
+        return { success: true };
+    }
+
+    // #endregion
+
+    // #region Dialogue
+
+    handleTalk(session, { npcId }) {
+        const player = this.getSessionPlayer(session);
+        if (!player) {
+            return { success: false, error: 'Not joined' };
+        }
+        if (typeof npcId !== 'string') {
+            return { success: false, error: 'Invalid NPC' };
+        }
+
+        return this.sendDialogue(session, npcId, this.engine.startDialogue(player.id, npcId));
+    }
+
+    handleDialogueChoice(session, { responseId }) {
+        const player = this.getSessionPlayer(session);
+        if (!player) {
+            return { success: false, error: 'Not joined' };
+        }
+        if (!Number.isInteger(responseId)) {
+            return { success: false, error: 'Invalid response' };
+        }
+
+        const npcId = this.engine.dialogues.getSession(player.id)?.npcId || null;
+        return this.sendDialogue(session, npcId, this.engine.chooseDialogueResponse(player.id, responseId));
+    }
+
+    handleDialogueEnd(session) {
+        const player = this.getSessionPlayer(session);
+        if (!player) {
+            return { success: false, error: 'Not joined' };
+        }
+
+        const npcId = this.engine.dialogues.getSession(player.id)?.npcId || null;
+        if (!this.engine.endDialogue(player.id)) {
+            return { success: false, error: 'Not talking to anyone' };
+        }
+        return this.sendDialogue(session, npcId, { success: true, view: null, ended: true });
+    }
+
+    // The current node goes out as 'dialogue', shops opened by a response as 'shop', and the
+    // end of a conversation as 'dialogue_end', so clients don't have to rely on acks
+    sendDialogue(session, npcId, result) {
+        if (result.view) {
+            session.socket.emit('dialogue', result.view);
+        }
+        (result.actions || [])
+            .filter(action => action.type === 'open_shop' && action.success)
+            .forEach(action => session.socket.emit('shop', { npcId: action.npcId, listing: action.listing }));
+        if (result.ended) {
+            session.socket.emit('dialogue_end', { npcId });
+        }
+        return result;
+    }
+
+    // #endregion
+
+    // #region State Sync
+
+    // Offline characters stay in the world but aren't shown to anyone
+    isVisible(kind, data) {
+        return kind !== 'players' || this.playerSockets.has(data.id);
+    }
+
+    getStateDelta(playerId, options = {}) {
+        return this.engine.stateSync.getDelta(playerId, { ...options, filter: (kind, data) => this.isVisible(kind, data) });
+    }
+
+    // Only ever sent to the owning player
+    serializePrivateState(player) {
+        return {
+            id: player.id,
+            stats: player.stats,
+            effectiveStats: this.engine.getEffectiveStats(player),
+            inventory: player.inventory,
+            equipment: player.equipment,
+            quests: player.quests,
+            skills: player.skills
+        };
+    }
+
+    // The next broadcast sends this player a full snapshot, e.g. after a sequence gap
+    handleResync(session) {
+        if (!session.playerId) {
+            return { success: false, error: 'Not joined' };
+        }
+
+        this.engine.stateSync.resetView(session.playerId);
+        return { success: true };
+    }
+
+    // One commit per broadcast, then a delta per player limited to what is near them
+    broadcastState() {
+        this.broadcastCount++;
+        this.engine.stateSync.commit();
+        const full = this.broadcastCount % this.options.fullSnapshotInterval === 0;
+
+        this.sessions.forEach(session => {
+            const player = this.getSessionPlayer(session);
+            if (!player) return;
+
+            const delta = this.getStateDelta(player.id, { full });
+            if (delta.full) {
+                session.socket.emit('state_snapshot', delta);
+            } else if (delta.changes > 0 || delta.inputSeq !== session.lastInputSeq) {
+                session.socket.emit('state_delta', delta);
+            }
+            session.lastInputSeq = delta.inputSeq;
+
+            // Private state (inventory, gold, ...) only goes out when it changed
+            const privateState = this.serializePrivateState(player);
+            const serialized = JSON.stringify(privateState);
+            if (serialized !== session.lastPrivateState) {
+                session.lastPrivateState = serialized;
+                session.socket.emit('player_state', privateState);
+            }
+        });
+    }
+
+    // #endregion
+}
+
+export default GameNetwork;
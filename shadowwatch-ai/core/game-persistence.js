@@ -0,0 +1,395 @@
+/**
+ * ShadowWatch AI - Game Persistence
+ * Versioned save snapshots with pluggable file, PostgreSQL and memory adapters
+ */
+
+import fs from 'fs';
+import path from 'path';
+import pg from 'pg';
+const { Pool } = pg;
+
+// Bump whenever the snapshot layout changes and add a matching migration
+export const SAVE_SCHEMA_VERSION = 2;
+
+// Each migration upgrades a snapshot from version N to N + 1
+const MIGRATIONS = {
+    // Unversioned saves came straight from the old autoSave() saveData object:
+    // Map-valued fields were lost by JSON.stringify and collections were entry arrays
+    0: (snapshot) => {
+        const fromEntries = (entries = []) => entries.map(entry => Array.isArray(entry) ? entry[1] : entry);
+        const { zones, ...world } = snapshot.world || {};
+
+        return {
+            version: 1,
+            savedAt: snapshot.timestamp || new Date(0),
+            world,
+            players: fromEntries(snapshot.players),
+            npcs: fromEntries(snapshot.npcs),
+            items: fromEntries(snapshot.items),
+            quests: fromEntries(snapshot.quests),
+            // Zone items only lived in the lost entities Map, so let respawning refill them
+            zones: fromEntries(snapshot.zones).map(zone => ({
+                ...zone,
+                entities: new Map(),
+                items: []
+            })),
+            events: []
+        };
+    },
+
+    // Version 2 introduced structured quest objectives and per-player quest progress
+    1: (snapshot) => ({
+        ...snapshot,
+        version: 2,
+        quests: snapshot.quests.map(quest => ({
+            ...quest,
+            objectives: (quest.objectives || []).map((objective, index) => typeof objective === 'string'
+                ? { id: `objective_${index + 1}`, type: 'custom', count: 1, description: objective }
+                : objective),
+            prerequisites: quest.prerequisites || []
+        })),
+        players: snapshot.players.map(player => ({
+            ...player,
+            questProgress: player.questProgress || {},
+            completedQuests: player.completedQuests || []
+        }))
+    })
+};
+
+// #region Encoding
+
+// JSON cannot represent Maps, Sets or Dates, so they are tagged on the way out
+export function encodeValue(value) {
+    if (value instanceof Map) {
+        return { $map: Array.from(value.entries(), ([key, entry]) => [key, encodeValue(entry)]) };
+    }
+    if (value instanceof Set) {
+        return { $set: Array.from(value.values(), entry => encodeValue(entry)) };
+    }
+    if (value instanceof Date) {
+        return { $date: value.toISOString() };
+    }
+    if (Array.isArray(value)) {
+        return value.map(entry => encodeValue(entry));
+    }
+    if (value && typeof value === 'object') {
+        const encoded = {};
+        Object.keys(value).forEach(key => {
+            if (typeof value[key] !== 'function') {
+                encoded[key] = encodeValue(value[key]);
+            }
+        });
+        return encoded;
+    }
+    return value;
+}
+
+export function decodeValue(value) {
+    if (Array.isArray(value)) {
+        return value.map(entry => decodeValue(entry));
+    }
+    if (value && typeof value === 'object') {
+        if (Array.isArray(value.$map)) {
+            return new Map(value.$map.map(([key, entry]) => [key, decodeValue(entry)]));
+        }
+        if (Array.isArray(value.$set)) {
+            return new Set(value.$set.map(entry => decodeValue(entry)));
+        }
+        if (typeof value.$date === 'string') {
+            return new Date(value.$date);
+        }
+        const decoded = {};
+        Object.keys(value).forEach(key => {
+            decoded[key] = decodeValue(value[key]);
+        });
+        return decoded;
+    }
+    return value;
+}
+
+export function migrateSnapshot(snapshot) {
+    let migrated = snapshot;
+    let version = migrated.version || 0;
+
+    if (version > SAVE_SCHEMA_VERSION) {
+        throw new Error(`Save schema version ${version} is newer than supported version ${SAVE_SCHEMA_VERSION}`);
+    }
+
+    while (version < SAVE_SCHEMA_VERSION) {
+        const migrate = MIGRATIONS[version];
+        if (!migrate) {
+            throw new Error(`No migration available for save schema version ${version}`);
+        }
+        migrated = migrate(migrated);
+        version = migrated.version;
+    }
+
+    return migrated;
+}
+
+// #endregion
+
+// #region Storage Adapters
+
+export class MemorySaveAdapter {
+    constructor() {
+        this.slots = new Map();
+    }
+
+    async save(slot, snapshot) {
+        // Store the encoded form so later engine mutations can't leak into the save
+        this.slots.set(slot, JSON.stringify(encodeValue(snapshot)));
+    }
+
+    async load(slot) {
+        const stored = this.slots.get(slot);
+        return stored ? decodeValue(JSON.parse(stored)) : null;
+    }
+
+    async list() {
+        return Array.from(this.slots.keys());
+    }
+}
+
+// Temp files are per write, so saves to one slot that overlap can't write into each other
+let tempCounter = 0;
+
+export class FileSaveAdapter {
+    constructor(options = {}) {
+        this.directory = options.directory || path.join(process.cwd(), 'saves');
+        this.format = options.format === 'ndjson' ? 'ndjson' : 'json';
+    }
+
+    getSlotPath(slot, format = this.format) {
+        return path.join(this.directory, `${slot}.${format}`);
+    }
+
+    async save(slot, snapshot) {
+        await fs.promises.mkdir(this.directory, { recursive: true });
+
+        const encoded = encodeValue(snapshot);
+        const contents = this.format === 'ndjson'
+            ? this.toNDJSON(encoded)
+            : JSON.stringify(encoded, null, 2);
+
+        // Write to a temp file first so a crash mid-write never corrupts the previous save
+        const target = this.getSlotPath(slot);
+        const temp = `${target}.${process.pid}.${++tempCounter}.tmp`;
+        try {
+            await fs.promises.writeFile(temp, contents, 'utf8');
+            await fs.promises.rename(temp, target);
+        } catch (error) {
+            await fs.promises.rm(temp, { force: true });
+            throw error;
+        }
+    }
+
+    async load(slot) {
+        // Prefer the configured format but fall back to the other one
+        const formats = this.format === 'ndjson' ? ['ndjson', 'json'] : ['json', 'ndjson'];
+
+        for (const format of formats) {
+            const file = this.getSlotPath(slot, format);
+            if (!fs.existsSync(file)) continue;
+
+            const contents = await fs.promises.readFile(file, 'utf8');
+            const encoded = format === 'ndjson' ? this.fromNDJSON(contents) : JSON.parse(contents);
+            return decodeValue(encoded);
+        }
+
+        return null;
+    }
+
+    async list() {
+        if (!fs.existsSync(this.directory)) return [];
+
+        const files = await fs.promises.readdir(this.directory);
+        return [...new Set(files
+            .filter(file => file.endsWith('.json') || file.endsWith('.ndjson'))
+            .map(file => file.replace(/\.(nd)?json$/, '')))];
+    }
+
+    // One header line followed by one line per entity, so large worlds can be streamed
+    toNDJSON(encoded) {
+        const { players, npcs, items, quests, zones, events, ...header } = encoded;
+        const lines = [JSON.stringify({ kind: 'header', data: header })];
+        const collections = { players, npcs, items, quests, zones, events };
+
+        Object.entries(collections).forEach(([kind, records]) => {
+            (records || []).forEach(record => {
+                lines.push(JSON.stringify({ kind, data: record }));
+            });
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    fromNDJSON(contents) {
+        const encoded = { players: [], npcs: [], items: [], quests: [], zones: [], events: [] };
+
+        contents.split('\n').filter(line => line.trim()).forEach((line, index) => {
+            const record = JSON.parse(line);
+            if (record.kind === 'header') {
+                Object.assign(encoded, record.data);
+            } else if (encoded[record.kind]) {
+                encoded[record.kind].push(record.data);
+            } else {
+                throw new Error(`Unknown record kind '${record.kind}' on line ${index + 1}`);
+            }
+        });
+
+        return encoded;
+    }
+}
+
+export class PostgresSaveAdapter {
+    constructor(options = {}) {
+        this.db = options.pool || new Pool({
+            host: options.dbHost || process.env.DB_HOST || 'localhost',
+            port: options.dbPort || process.env.DB_PORT || 5432,
+            database: options.dbName || process.env.DB_NAME || 'shadowwatch_ai',
+            user: options.dbUser || process.env.DB_USER || 'shadowwatch_user',
+            password: options.dbPassword || process.env.DB_PASSWORD || '',
+            max: 5,
+            idleTimeoutMillis: 30000,
+            connectionTimeoutMillis: 2000
+        });
+    }
+
+    async save(slot, snapshot) {
+        await this.db.query(
+            `INSERT INTO game_saves (slot, schema_version, saved_at, snapshot_data)
+             VALUES ($1, $2, $3, $4)`,
+            [slot, snapshot.version, snapshot.savedAt, JSON.stringify(encodeValue(snapshot))]
+        );
+    }
+
+    async load(slot) {
+        const result = await this.db.query(
+            `SELECT snapshot_data FROM game_saves
+             WHERE slot = $1
+             ORDER BY saved_at DESC
+             LIMIT 1`,
+            [slot]
+        );
+
+        return result.rows.length > 0 ? decodeValue(result.rows[0].snapshot_data) : null;
+    }
+
+    async list() {
+        const result = await this.db.query('SELECT DISTINCT slot FROM game_saves ORDER BY slot');
+        return result.rows.map(row => row.slot);
+    }
+
+    async close() {
+        await this.db.end();
+    }
+}
+
+export const createSaveAdapter = (options = {}) => {
+    switch (options.adapter) {
+        case 'postgres':
+            return new PostgresSaveAdapter(options);
+        case 'memory':
+            return new MemorySaveAdapter();
+        default:
+            return new FileSaveAdapter({ directory: options.directory, format: options.format });
+    }
+};
+
+// #endregion
+
+// #region Engine Persistence
+
+class GamePersistence {
+    constructor(gameEngine, adapter) {
+        this.engine = gameEngine;
+        this.adapter = adapter;
+    }
+
+    createSnapshot() {
+        const engine = this.engine;
+        const { zones, ...world } = engine.gameWorld;
+
+        return {
+            version: SAVE_SCHEMA_VERSION,
+            engineVersion: engine.version,
+            savedAt: engine.now(),
+            tick: engine.tickCount,
+            // Seeded engines carry on the same stream after a load instead of redrawing used IDs
+            rng: engine.rng.getState?.() ?? null,
+            world,
+            players: Array.from(engine.players.values()),
+            npcs: Array.from(engine.npcs.values()),
+            items: Array.from(engine.items.values()),
+            quests: Array.from(engine.quests.values()),
+            zones: Array.from(engine.zones.values()),
+            events: engine.events,
+            economy: engine.economy.serialize(),
+            guilds: engine.guilds.serialize(),
+            loot: engine.loot.serialize()
+        };
+    }
+
+    applySnapshot(snapshot) {
+        const engine = this.engine;
+        const data = migrateSnapshot(snapshot);
+
+        const toMap = (records) => new Map(records.map(record => [record.id, record]));
+
+        engine.players = toMap(data.players);
+        engine.npcs = toMap(data.npcs);
+        engine.items = toMap(data.items);
+        engine.quests = toMap(data.quests);
+        engine.zones = toMap(data.zones.map(zone => ({
+            ...zone,
+            entities: zone.entities instanceof Map ? zone.entities : new Map()
+        })));
+        engine.events = data.events || [];
+
+        // Guild invite expiry and event ticks count from here; older saves keep the running tick
+        if (data.tick !== undefined) {
+            engine.tickCount = data.tick;
+        }
+        if (data.rng !== undefined && data.rng !== null && engine.rng.setState) {
+            engine.rng.setState(data.rng);
+        }
+
+        engine.gameWorld = {
+            ...engine.gameWorld,
+            ...data.world,
+            zones: new Map(engine.zones)
+        };
+
+        // Saves from before the economy existed start with base prices
+        engine.economy.restore(data.economy);
+
+        // Guilds are kept; parties only last a session
+        engine.guilds.restore(data.guilds);
+        engine.parties.reset();
+
+        // Needs the zones and tick count above
+        engine.loot.restore(data.loot);
+
+        // Combats hold live references to participants and are not persisted
+        engine.combatSystem.activeCombats.clear();
+
+        return data;
+    }
+
+    async save(slot) {
+        const snapshot = this.createSnapshot();
+        await this.adapter.save(slot, snapshot);
+        return snapshot;
+    }
+
+    async load(slot) {
+        const snapshot = await this.adapter.load(slot);
+        if (!snapshot) return null;
+        return this.applySnapshot(snapshot);
+    }
+}
+
+// #endregion
+
+export default GamePersistence;
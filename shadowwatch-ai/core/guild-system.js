@@ -0,0 +1,317 @@
+/**
+ * ShadowWatch AI - Guild System
+ * Persistent player guilds with ranks, invites and a shared bank
+ */
+
+// Highest rank first. A member can only act on members ranked below them.
+export const GUILD_RANKS = ['leader', 'officer', 'member', 'recruit'];
+
+export const RANK_PERMISSIONS = {
+    leader: ['invite', 'kick', 'promote', 'deposit', 'withdraw'],
+    officer: ['invite', 'kick', 'promote', 'deposit', 'withdraw'],
+    member: ['invite', 'deposit'],
+    recruit: ['deposit']
+};
+
+const DEFAULT_OPTIONS = {
+    creationCost: 100, // Gold
+    maxMembers: 50,
+    bankSlots: 50, // Items the bank holds; gold is unlimited
+    inviteTicks: 36000,
+    ledgerSize: 50 // Bank transactions kept per guild
+};
+
+const NAME_PATTERN = /^[A-Za-z0-9' -]{3,24}$/;
+
+class GuildSystem {
+    constructor(gameEngine, options = {}) {
+        this.engine = gameEngine;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+
+        this.guilds = new Map(); // guildId -> guild
+        this.memberships = new Map(); // playerId -> guildId
+    }
+
+    // #region Membership
+
+    createGuild(founderId, name) {
+        const founder = this.engine.players.get(founderId);
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+
+        if (!founder) {
+            return { success: false, error: 'Player not found' };
+        }
+        if (this.memberships.has(founderId)) {
+            return { success: false, error: 'Already in a guild' };
+        }
+        if (!NAME_PATTERN.test(trimmed)) {
+            return { success: false, error: 'Guild names are 3-24 letters, digits, spaces, hyphens or apostrophes' };
+        }
+        if (this.findByName(trimmed)) {
+            return { success: false, error: `A guild called '${trimmed}' already exists` };
+        }
+        if (founder.stats.gold < this.options.creationCost) {
+            return { success: false, error: `Founding a guild costs ${this.options.creationCost} gold` };
+        }
+
+        founder.stats.gold -= this.options.creationCost;
+        const guild = {
+            id: this.engine.generateId(),
+            name: trimmed,
+            leaderId: founderId,
+            members: { [founderId]: 'leader' }, // playerId -> rank
+            invites: {}, // playerId -> tick the invite expires
+            bank: { gold: 0, items: [] },
+            ledger: [],
+            created: this.engine.now()
+        };
+
+        this.guilds.set(guild.id, guild);
+        this.memberships.set(founderId, guild.id);
+        return { success: true, guild };
+    }
+
+    invite(actorId, targetId) {
+        const guild = this.getGuildForPlayer(actorId);
+        const denied = this.checkPermission(guild, actorId, 'invite');
+        if (denied) return denied;
+
+        if (!this.engine.players.has(targetId)) {
+            return { success: false, error: 'Player not found' };
+        }
+        if (this.memberships.has(targetId)) {
+            return { success: false, error: 'Player is already in a guild' };
+        }
+        if (Object.keys(guild.members).length >= this.options.maxMembers) {
+            return { success: false, error: `${guild.name} is full` };
+        }
+
+        guild.invites[targetId] = this.engine.tickCount + this.options.inviteTicks;
+        return { success: true, guild };
+    }
+
+    acceptInvite(playerId, guildId) {
+        const guild = this.guilds.get(guildId);
+        const expiresAt = guild?.invites[playerId];
+
+        if (expiresAt === undefined) {
+            return { success: false, error: 'No invite from that guild' };
+        }
+        delete guild.invites[playerId];
+
+        if (expiresAt < this.engine.tickCount) {
+            return { success: false, error: 'Invite has expired' };
+        }
+        if (this.memberships.has(playerId)) {
+            return { success: false, error: 'Already in a guild' };
+        }
+
+        guild.members[playerId] = 'recruit';
+        this.memberships.set(playerId, guild.id);
+        return { success: true, guild };
+    }
+
+    // The leader has to hand over leadership first, unless they are the last member
+    leave(playerId) {
+        const guild = this.getGuildForPlayer(playerId);
+        if (!guild) {
+            return { success: false, error: 'Not in a guild' };
+        }
+
+        const remaining = Object.keys(guild.members).length - 1;
+        if (guild.leaderId === playerId && remaining > 0) {
+            return { success: false, error: 'Promote a new leader before leaving' };
+        }
+
+        delete guild.members[playerId];
+        this.memberships.delete(playerId);
+        if (remaining === 0) {
+            this.guilds.delete(guild.id);
+            return { success: true, guild, disbanded: true };
+        }
+        return { success: true, guild, disbanded: false };
+    }
+
+    kick(actorId, targetId) {
+        const guild = this.getGuildForPlayer(actorId);
+        const denied = this.checkPermission(guild, actorId, 'kick') || this.checkOutranks(guild, actorId, targetId);
+        if (denied) return denied;
+
+        delete guild.members[targetId];
+        this.memberships.delete(targetId);
+        return { success: true, guild };
+    }
+
+    // Ranks can be raised up to just below the actor's own; a leader naming a new leader
+    // steps down to officer
+    setRank(actorId, targetId, rank) {
+        const guild = this.getGuildForPlayer(actorId);
+        const denied = this.checkPermission(guild, actorId, 'promote') || this.checkOutranks(guild, actorId, targetId);
+        if (denied) return denied;
+
+        if (!GUILD_RANKS.includes(rank)) {
+            return { success: false, error: `Rank must be one of ${GUILD_RANKS.join(', ')}` };
+        }
+
+        if (rank === 'leader') {
+            if (guild.leaderId !== actorId) {
+                return { success: false, error: 'Only the leader can name a new leader' };
+            }
+            guild.members[actorId] = 'officer';
+            guild.leaderId = targetId;
+        } else if (GUILD_RANKS.indexOf(rank) <= GUILD_RANKS.indexOf(guild.members[actorId])) {
+            return { success: false, error: `Can't promote to ${rank} or above your own rank` };
+        }
+
+        guild.members[targetId] = rank;
+        return { success: true, guild };
+    }
+
+    // #endregion
+
+    // #region Bank
+
+    // contents: { gold } and/or { itemId }
+    deposit(playerId, { gold = 0, itemId = null } = {}) {
+        const player = this.engine.players.get(playerId);
+        const guild = this.getGuildForPlayer(playerId);
+        const denied = this.checkPermission(guild, playerId, 'deposit') || this.checkAmount(gold);
+        if (denied) return denied;
+
+        if (gold > player.stats.gold) {
+            return { success: false, error: 'Not enough gold' };
+        }
+        if (itemId && !player.inventory.includes(itemId)) {
+            return { success: false, error: 'Item is not in your inventory' };
+        }
+        if (itemId && guild.bank.items.length >= this.options.bankSlots) {
+            return { success: false, error: 'Guild bank is full' };
+        }
+
+        player.stats.gold -= gold;
+        guild.bank.gold += gold;
+        if (itemId) {
+            this.engine.takeItem(playerId, itemId);
+            guild.bank.items.push(itemId);
+        }
+        this.record(guild, playerId, 'deposit', { gold, itemId });
+        return { success: true, guild };
+    }
+
+    withdraw(playerId, { gold = 0, itemId = null } = {}) {
+        const player = this.engine.players.get(playerId);
+        const guild = this.getGuildForPlayer(playerId);
+        const denied = this.checkPermission(guild, playerId, 'withdraw') || this.checkAmount(gold);
+        if (denied) return denied;
+
+        if (gold > guild.bank.gold) {
+            return { success: false, error: 'Not enough gold in the guild bank' };
+        }
+        const index = itemId ? guild.bank.items.indexOf(itemId) : -1;
+        if (itemId && index < 0) {
+            return { success: false, error: 'Item is not in the guild bank' };
+        }
+
+        guild.bank.gold -= gold;
+        player.stats.gold += gold;
+        if (itemId) {
+            guild.bank.items.splice(index, 1);
+            this.engine.giveItem(playerId, itemId);
+        }
+        this.record(guild, playerId, 'withdraw', { gold, itemId });
+        return { success: true, guild };
+    }
+
+    record(guild, playerId, kind, { gold, itemId }) {
+        guild.ledger.push({ playerId, kind, gold, itemId, at: this.engine.now() });
+        if (guild.ledger.length > this.options.ledgerSize) {
+            guild.ledger.shift();
+        }
+    }
+
+    // #endregion
+
+    // #region Checks
+
+    checkPermission(guild, playerId, permission) {
+        if (!guild) {
+            return { success: false, error: 'Not in a guild' };
+        }
+        const rank = guild.members[playerId];
+        if (!RANK_PERMISSIONS[rank]?.includes(permission)) {
+            return { success: false, error: `A guild ${rank} can't ${permission}` };
+        }
+        return null;
+    }
+
+    checkOutranks(guild, actorId, targetId) {
+        const targetRank = guild.members[targetId];
+        if (!targetRank || targetId === actorId) {
+            return { success: false, error: 'Player is not another member of your guild' };
+        }
+        if (GUILD_RANKS.indexOf(targetRank) <= GUILD_RANKS.indexOf(guild.members[actorId])) {
+            return { success: false, error: `Can't act on a ${targetRank}` };
+        }
+        return null;
+    }
+
+    checkAmount(gold) {
+        return Number.isInteger(gold) && gold >= 0 ? null : { success: false, error: 'Gold must be a whole number' };
+    }
+
+    // #endregion
+
+    // #region Queries
+
+    getGuild(guildId) {
+        return this.guilds.get(guildId) || null;
+    }
+
+    getGuildForPlayer(playerId) {
+        return this.guilds.get(this.memberships.get(playerId)) || null;
+    }
+
+    findByName(name) {
+        const wanted = name.trim().toLowerCase();
+        return Array.from(this.guilds.values()).find(guild => guild.name.toLowerCase() === wanted) || null;
+    }
+
+    getRank(playerId) {
+        return this.getGuildForPlayer(playerId)?.members[playerId] || null;
+    }
+
+    getSummary(guild) {
+        return {
+            id: guild.id,
+            name: guild.name,
+            leaderId: guild.leaderId,
+            members: Object.entries(guild.members).map(([playerId, rank]) => ({
+                id: playerId,
+                username: this.engine.players.get(playerId)?.username,
+                rank
+            })),
+            bank: { gold: guild.bank.gold, items: [...guild.bank.items] }
+        };
+    }
+
+    // #endregion
+
+    // #region Persistence
+
+    serialize() {
+        return { guilds: Array.from(this.guilds.values()) };
+    }
+
+    // Saves from before guilds existed have none
+    restore(data) {
+        this.guilds = new Map((data?.guilds || []).map(guild => [guild.id, guild]));
+        this.memberships = new Map();
+        this.guilds.forEach(guild => {
+            Object.keys(guild.members).forEach(playerId => this.memberships.set(playerId, guild.id));
+        });
+    }
+
+    // #endregion
+}
+
+export default GuildSystem;
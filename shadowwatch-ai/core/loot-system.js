@@ -0,0 +1,194 @@
+/**
+ * ShadowWatch AI - Loot System
+ * Weighted loot tables for NPC deaths, rarity-weighted world spawns, and the drops left
+ * lying in the world until someone picks them up
+ */
+
+import { LOOT_TIERS } from './content-schemas.js';
+
+// How often each rarity turns up in random world spawns
+export const RARITY_WEIGHTS = { common: 60, uncommon: 25, rare: 10, epic: 4, legendary: 1 };
+
+// Zone level from which world spawns of a rarity appear; loot tables set their own levels
+export const RARITY_MIN_LEVEL = { common: 1, uncommon: 1, rare: 5, epic: 10, legendary: 15 };
+
+
+const DEFAULT_OPTIONS = {
+    reservedTicks: 1800, // Drops belong to the killer for 30 seconds at 60 ticks per second
+    despawnTicks: 18000, // Unclaimed drops vanish after 5 minutes
+    pickupRange: 150,
+    scatter: 25 // Drops land within this distance of the body
+};
+
+class LootSystem {
+    constructor(gameEngine, options = {}) {
+        this.engine = gameEngine;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+
+        this.drops = new Map(); // itemId -> tick the drop despawns
+    }
+
+    // #region Rolling
+
+    // A table listing the NPC's type beats a general one; both need a level range covering the zone
+    getTable(npcType, level) {
+        const tables = Array.from(this.engine.content.lootTables.values())
+            .filter(table => level >= (table.minLevel || 1) && level <= (table.maxLevel ?? Infinity));
+
+        return tables.find(table => table.npcTypes?.includes(npcType))
+            || tables.find(table => !table.npcTypes || table.npcTypes.length === 0)
+            || null;
+    }
+
+    // Returns the item templates a table drops this time. The guaranteed tier always rolls.
+    roll(table) {
+        const templates = [];
+
+        LOOT_TIERS.forEach(tier => {
+            const definition = table[tier];
+            if (!definition) return;
+
+            const chance = tier === 'guaranteed' ? 1 : definition.chance ?? 1;
+            if (chance < 1 && this.engine.random() >= chance) return;
+
+            for (let i = 0; i < (definition.rolls || 1); i++) {
+                const entry = this.pickWeighted(definition.entries, entry => entry.weight ?? 1);
+                const template = entry && this.getTemplate(entry.template);
+                if (template) templates.push(template);
+            }
+        });
+
+        return templates;
+    }
+
+    // A template for a random world spawn in a zone of the given level
+    pickTemplate(level = 1) {
+        const templates = this.engine.content.itemTemplates
+            .filter(template => level >= (RARITY_MIN_LEVEL[template.rarity] || 1));
+        return this.pickWeighted(templates, template => RARITY_WEIGHTS[template.rarity] || 1);
+    }
+
+    pickWeighted(entries, weightOf) {
+        const total = entries.reduce((sum, entry) => sum + weightOf(entry), 0);
+        let remaining = this.engine.random() * total;
+
+        for (const entry of entries) {
+            remaining -= weightOf(entry);
+            if (remaining < 0) return entry;
+        }
+        return entries[entries.length - 1];
+    }
+
+    getTemplate(name) {
+        return this.engine.content.itemTemplates.find(template => template.name === name) || null;
+    }
+
+    // #endregion
+
+    // #region Drops
+
+    // Place an NPC's loot around its body. Drops are reserved for the player chosen by the
+    // killer's party loot rule (or the killer) until reservedTicks pass.
+    dropLoot(npc, killer = null) {
+        const zone = this.engine.zones.get(npc.zoneId);
+        const table = zone ? this.getTable(npc.npcType, zone.level || npc.stats.level) : null;
+        if (!table) return [];
+
+        const isPlayer = killer && this.engine.players.has(killer.id);
+        const reservedUntil = this.engine.tickCount + this.options.reservedTicks;
+
+        const items = this.roll(table).map(template => {
+            const item = this.engine.createItem(template, this.scatter(npc.position));
+            item.dropped = true;
+            item.reservedFor = isPlayer ? this.engine.parties.getLootRecipient(killer).id : null;
+            item.reservedUntil = isPlayer ? reservedUntil : null;
+
+            this.engine.placeWorldItem(zone, item);
+            this.drops.set(item.id, this.engine.tickCount + this.options.despawnTicks);
+            return item;
+        });
+
+        if (items.length > 0) {
+            this.engine.eventBus.publish('loot.dropped', {
+                npcId: npc.id,
+                zoneId: zone.id,
+                itemIds: items.map(item => item.id),
+                reservedFor: [...new Set(items.map(item => item.reservedFor).filter(Boolean))]
+            });
+        }
+        return items;
+    }
+
+    scatter(position) {
+        const angle = this.engine.random() * Math.PI * 2;
+        const distance = this.engine.random() * this.options.scatter;
+        return {
+            x: position.x + Math.cos(angle) * distance,
+            y: position.y + Math.sin(angle) * distance,
+            z: position.z || 0
+        };
+    }
+
+    canPickUp(player, item) {
+        const ticksLeft = (item.reservedUntil ?? 0) - this.engine.tickCount;
+        if (item.reservedFor && item.reservedFor !== player.id && ticksLeft > 0) {
+            const owner = this.engine.players.get(item.reservedFor);
+            const seconds = Math.ceil(ticksLeft / this.engine.config.tickRate);
+            return { allowed: false, reason: `Reserved for ${owner?.username || 'another player'} for ${seconds}s` };
+        }
+
+        const dx = item.position.x - player.position.x;
+        const dy = item.position.y - player.position.y;
+        if (Math.hypot(dx, dy) > this.options.pickupRange) {
+            return { allowed: false, reason: 'Too far away' };
+        }
+        return { allowed: true };
+    }
+
+    // Called once per tick: unclaimed drops despawn
+    update() {
+        this.drops.forEach((expiresAt, itemId) => {
+            if (expiresAt > this.engine.tickCount) return;
+
+            this.drops.delete(itemId);
+            const zoneId = this.engine.removeWorldItem(itemId);
+            if (zoneId) {
+                this.engine.eventBus.publish('loot.despawned', { itemId, zoneId });
+            }
+        });
+    }
+
+    // #endregion
+
+    // #region Persistence
+
+    serialize() {
+        return { drops: Array.from(this.drops.entries()) };
+    }
+
+    // Drops are saved with their zone, reservation included, and the tick count carries across
+    // a load, so saved despawn ticks still hold. Older saves without them start their drops
+    // over: unreserved, with a fresh despawn timer.
+    restore(data) {
+        const saved = new Map(data?.drops || []);
+
+        this.drops.clear();
+        this.engine.zones.forEach(zone => {
+            zone.entities.forEach(item => {
+                if (!item.dropped) return;
+
+                if (saved.has(item.id)) {
+                    this.drops.set(item.id, saved.get(item.id));
+                    return;
+                }
+                item.reservedFor = null;
+                item.reservedUntil = null;
+                this.drops.set(item.id, this.engine.tickCount + this.options.despawnTicks);
+            });
+        });
+    }
+
+    // #endregion
+}
+
+export default LootSystem;
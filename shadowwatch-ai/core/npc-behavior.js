@@ -0,0 +1,424 @@
+/**
+ * ShadowWatch AI - NPC Behavior
+ * Data-defined behavior trees with utility selection, world perception and NPC actions
+ */
+
+export const STATUS = {
+    SUCCESS: 'success',
+    FAILURE: 'failure',
+    RUNNING: 'running'
+};
+
+// Movement in world units per second
+const WALK_SPEED = 60;
+const RUN_SPEED = 140;
+
+const ARRIVAL_DISTANCE = 20;
+export const PERCEPTION_RADIUS = 300;
+export const HEALER_REACH = 40;
+export const HEALER_SEARCH_RADIUS = 2000;
+
+// #region Tree Definitions
+
+const node = {
+    selector: (name, ...children) => ({ type: 'selector', name, children }),
+    sequence: (name, ...children) => ({ type: 'sequence', name, children }),
+    utility: (name, ...children) => ({ type: 'utility', name, children }),
+    condition: (check, params = {}) => ({ type: 'condition', check, ...params }),
+    action: (action, params = {}) => ({ type: 'action', action, ...params })
+};
+
+// Fights are resolved by the combat system; the brain just holds still
+const HOLD_IN_COMBAT = node.sequence('in_combat', node.condition('inCombat'), node.action('hold'));
+
+// Scored, so a badly hurt NPC with a player on top of it runs before looking for a healer
+const SURVIVE = node.utility('survive',
+    { score: 'threat', threshold: 0.7, node: node.action('flee') },
+    { score: 'injury', threshold: 0.5, node: node.action('seekHealer') }
+);
+
+const REST_AT_NIGHT = node.sequence('rest_at_night', node.condition('isNight'), node.action('rest'));
+
+// One tree per behavior from getNPCBehavior(); unknown behaviors use idle
+export const BEHAVIOR_TREES = {
+    idle: node.selector('idle', HOLD_IN_COMBAT, SURVIVE, REST_AT_NIGHT, node.action('wander')),
+    patrolling: node.selector('patrolling', HOLD_IN_COMBAT, SURVIVE, node.action('patrol')),
+    fighting: node.selector('fighting',
+        HOLD_IN_COMBAT,
+        SURVIVE,
+        node.sequence('aggro',
+            node.condition('inHostileZone'),
+            node.condition('playerNearby', { radius: 150 }),
+            node.action('aggro')
+        ),
+        node.action('patrol')
+    ),
+    trading: node.selector('trading',
+        HOLD_IN_COMBAT,
+        SURVIVE,
+        node.sequence('closed_at_night', node.condition('isNight'), node.action('closeShop')),
+        node.sequence('open_for_business', node.action('openShop'), node.action('restock'))
+    ),
+    teaching: node.selector('teaching', HOLD_IN_COMBAT, SURVIVE, node.action('prepareLessons')),
+    healing: node.selector('healing', HOLD_IN_COMBAT, REST_AT_NIGHT, node.action('tendWounded'))
+};
+
+// #endregion
+
+// #region Perception, Conditions and Scores
+
+export const CONDITIONS = {
+    inCombat: (ctx) => ctx.perception.inCombat,
+    isNight: (ctx) => ctx.perception.isNight,
+    isDay: (ctx) => !ctx.perception.isNight,
+    healthBelow: (ctx, params) => ctx.perception.healthRatio < params.ratio,
+    playerNearby: (ctx, params) => ctx.perception.nearbyPlayers
+        .some(player => ctx.distance(player.position) <= (params.radius || PERCEPTION_RADIUS)),
+    inHostileZone: (ctx) => !['safe', 'social'].includes(ctx.perception.zone?.type)
+};
+
+// Utility scores in 0..1
+export const SCORES = {
+    threat: (ctx) => ctx.perception.nearbyPlayers.length > 0 ? 1 - ctx.perception.healthRatio : 0,
+    injury: (ctx) => 1 - ctx.perception.healthRatio
+};
+
+// #endregion
+
+class NPCBehaviorSystem {
+    constructor(gameEngine, options = {}) {
+        this.engine = gameEngine;
+        this.thinkTicks = options.thinkTicks || 30;
+        this.trees = { ...BEHAVIOR_TREES, ...(options.trees || {}) };
+
+        this.actions = {
+            hold: () => STATUS.RUNNING,
+            rest: () => STATUS.SUCCESS,
+            wander: (ctx) => this.wander(ctx),
+            patrol: (ctx) => this.patrol(ctx),
+            flee: (ctx) => this.flee(ctx),
+            seekHealer: (ctx) => this.seekHealer(ctx),
+            aggro: (ctx) => this.aggro(ctx),
+            closeShop: (ctx) => this.engine.economy.setShopOpen(ctx.npc, false) ? STATUS.SUCCESS : STATUS.FAILURE,
+            openShop: (ctx) => this.engine.economy.setShopOpen(ctx.npc, true) ? STATUS.SUCCESS : STATUS.FAILURE,
+            restock: (ctx) => {
+                this.engine.updateTradingNPC(ctx.npc);
+                return STATUS.SUCCESS;
+            },
+            prepareLessons: (ctx) => {
+                this.engine.updateTeachingNPC(ctx.npc);
+                return STATUS.SUCCESS;
+            },
+            tendWounded: (ctx) => this.tendWounded(ctx)
+        };
+    }
+
+    // #region Brain State
+
+    // Blackboard kept on the NPC so it survives saves; created lazily for older saves
+    getBrain(npc) {
+        if (!npc.brain) {
+            npc.brain = {
+                // Spread thinking across ticks without touching the RNG
+                nextThinkTick: this.engine.tickCount + this.hashId(npc.id) % this.thinkTicks,
+                waypoints: null,
+                waypointIndex: 0,
+                wanderTarget: null,
+                lastThinkTick: null,
+                lastStatus: null,
+                lastAction: null,
+                trace: []
+            };
+        }
+        return npc.brain;
+    }
+
+    hashId(id) {
+        let hash = 0;
+        for (const char of String(id)) {
+            hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+        }
+        return hash;
+    }
+
+    getTree(npc) {
+        return this.trees[npc.behavior] || this.trees.idle;
+    }
+
+    // #endregion
+
+    // #region Perception
+
+    // Darkness and weather shrink how far an NPC can see and slow it down
+    perceive(npc) {
+        const environment = this.engine.environment;
+        const modifiers = environment.getModifiers(npc.zoneId);
+        const maxHealth = npc.stats.maxHealth || npc.stats.health || 1;
+
+        return {
+            nearbyPlayers: this.engine.spatial.queryRadius(npc.position, PERCEPTION_RADIUS * modifiers.visibility, { kind: 'player' })
+                .filter(player => player.stats.health > 0),
+            healthRatio: npc.stats.health / maxHealth,
+            hour: environment.time.hour,
+            isNight: environment.isNight(),
+            weather: modifiers.weather,
+            movement: modifiers.movement,
+            inCombat: Boolean(this.engine.getCombatForEntity(npc.id)),
+            zone: this.engine.zones.get(npc.zoneId) || null
+        };
+    }
+
+    createContext(npc) {
+        return {
+            npc,
+            brain: this.getBrain(npc),
+            perception: this.perceive(npc),
+            elapsed: this.thinkTicks / this.engine.config.tickRate,
+            distance: (position) => this.engine.spatial.distance(npc.position, position),
+            trace: []
+        };
+    }
+
+    // #endregion
+
+    // #region Runtime
+
+    // Called every tick; the tree itself only runs every thinkTicks
+    update(npc) {
+        return this.schedule(npc) ? this.think(npc) : this.getBrain(npc).lastStatus;
+    }
+
+    // True when the NPC's tree is due this tick, which books its next think
+    schedule(npc) {
+        const brain = this.getBrain(npc);
+
+        // Saves don't carry the tick counter, so a loaded brain may be scheduled far ahead
+        if (brain.nextThinkTick > this.engine.tickCount + this.thinkTicks) {
+            brain.nextThinkTick = this.engine.tickCount;
+        }
+        if (this.engine.tickCount < brain.nextThinkTick) {
+            return false;
+        }
+
+        brain.nextThinkTick = this.engine.tickCount + this.thinkTicks;
+        return true;
+    }
+
+    think(npc) {
+        const ctx = this.createContext(npc);
+        const status = this.run(this.getTree(npc), ctx, '');
+
+        ctx.brain.lastThinkTick = this.engine.tickCount;
+        ctx.brain.lastStatus = status;
+        ctx.brain.trace = ctx.trace;
+        return status;
+    }
+
+    run(definition, ctx, parentPath) {
+        const label = definition.name || definition.action || definition.check || definition.type;
+        const entry = { path: parentPath ? `${parentPath}/${label}` : label, status: null };
+
+        // Pushed before evaluating so the trace reads top-down
+        ctx.trace.push(entry);
+        entry.status = this.evaluate(definition, ctx, entry.path);
+        return entry.status;
+    }
+
+    evaluate(definition, ctx, path) {
+        switch (definition.type) {
+            case 'selector':
+                for (const child of definition.children) {
+                    const status = this.run(child, ctx, path);
+                    if (status !== STATUS.FAILURE) return status;
+                }
+                return STATUS.FAILURE;
+
+            case 'sequence':
+                for (const child of definition.children) {
+                    const status = this.run(child, ctx, path);
+                    if (status !== STATUS.SUCCESS) return status;
+                }
+                return STATUS.SUCCESS;
+
+            case 'utility': {
+                // Try options from best to worst score; options under their threshold are skipped
+                const scored = definition.children
+                    .map(option => ({ option, score: SCORES[option.score]?.(ctx, option) ?? 0 }))
+                    .filter(({ option, score }) => score > 0 && score >= (option.threshold || 0))
+                    .sort((a, b) => b.score - a.score);
+
+                for (const { option } of scored) {
+                    const status = this.run(option.node, ctx, path);
+                    if (status !== STATUS.FAILURE) return status;
+                }
+                return STATUS.FAILURE;
+            }
+
+            case 'condition': {
+                const check = CONDITIONS[definition.check];
+                return check && check(ctx, definition) ? STATUS.SUCCESS : STATUS.FAILURE;
+            }
+
+            case 'action': {
+                const action = this.actions[definition.action];
+                if (!action) return STATUS.FAILURE;
+
+                ctx.brain.lastAction = definition.action;
+                return action(ctx, definition);
+            }
+
+            default:
+                return STATUS.FAILURE;
+        }
+    }
+
+    // #endregion
+
+    // #region Actions
+
+    // Step toward a point at the weather-adjusted speed, never leaving the NPC's zone;
+    // true once it has arrived
+    moveToward(ctx, target, speed) {
+        const npc = ctx.npc;
+        const dx = target.x - npc.position.x;
+        const dy = target.y - npc.position.y;
+        const distance = Math.hypot(dx, dy);
+        const step = Math.min(distance, speed * ctx.perception.movement * ctx.elapsed);
+
+        if (distance > 0) {
+            npc.position = this.engine.physics.clampToZone(npc, {
+                x: npc.position.x + dx / distance * step,
+                y: npc.position.y + dy / distance * step,
+                z: npc.position.z || 0
+            });
+            this.engine.spatial.update(npc);
+        }
+
+        return distance - step <= ARRIVAL_DISTANCE;
+    }
+
+    wander(ctx) {
+        const zone = ctx.perception.zone;
+        if (!zone) return STATUS.FAILURE;
+
+        if (!ctx.brain.wanderTarget) {
+            ctx.brain.wanderTarget = this.engine.getRandomPositionInZone(zone);
+        }
+        if (this.moveToward(ctx, ctx.brain.wanderTarget, WALK_SPEED)) {
+            ctx.brain.wanderTarget = null;
+            return STATUS.SUCCESS;
+        }
+        return STATUS.RUNNING;
+    }
+
+    // Loop through a fixed route around the zone, generated on first use
+    patrol(ctx) {
+        const zone = ctx.perception.zone;
+        if (!zone) return STATUS.FAILURE;
+
+        const brain = ctx.brain;
+        if (!brain.waypoints) {
+            brain.waypoints = Array.from({ length: 4 }, () => this.engine.getRandomPositionInZone(zone));
+            brain.waypointIndex = 0;
+        }
+
+        const waypoint = brain.waypoints[brain.waypointIndex];
+        if (this.moveToward(ctx, waypoint, WALK_SPEED)) {
+            brain.waypointIndex = (brain.waypointIndex + 1) % brain.waypoints.length;
+        }
+        return STATUS.RUNNING;
+    }
+
+    flee(ctx) {
+        const threats = ctx.perception.nearbyPlayers;
+        if (threats.length === 0) return STATUS.FAILURE;
+
+        // Run directly away from the average threat position
+        const center = {
+            x: threats.reduce((sum, player) => sum + player.position.x, 0) / threats.length,
+            y: threats.reduce((sum, player) => sum + player.position.y, 0) / threats.length
+        };
+        const dx = ctx.npc.position.x - center.x;
+        const dy = ctx.npc.position.y - center.y;
+        const distance = Math.hypot(dx, dy) || 1;
+
+        this.moveToward(ctx, {
+            x: ctx.npc.position.x + dx / distance * PERCEPTION_RADIUS,
+            y: ctx.npc.position.y + dy / distance * PERCEPTION_RADIUS
+        }, RUN_SPEED);
+        return STATUS.RUNNING;
+    }
+
+    seekHealer(ctx) {
+        const healer = this.engine.spatial.nearestOfType(ctx.npc.position, 'healer', {
+            exclude: ctx.npc.id,
+            maxRadius: HEALER_SEARCH_RADIUS
+        });
+        if (!healer) return STATUS.FAILURE;
+
+        if (ctx.distance(healer.position) > HEALER_REACH) {
+            this.moveToward(ctx, healer.position, WALK_SPEED);
+            return STATUS.RUNNING;
+        }
+
+        ctx.npc.stats.health = ctx.npc.stats.maxHealth;
+        return STATUS.SUCCESS;
+    }
+
+    aggro(ctx) {
+        const target = ctx.perception.nearbyPlayers
+            .filter(player => !this.engine.getCombatForEntity(player.id))
+            .sort((a, b) => ctx.distance(a.position) - ctx.distance(b.position))[0];
+        if (!target) return STATUS.FAILURE;
+
+        return this.engine.startCombat(ctx.npc.id, target.id) ? STATUS.SUCCESS : STATUS.FAILURE;
+    }
+
+    // Healers patch up wounded NPCs that come within reach
+    tendWounded(ctx) {
+        const patients = this.engine.spatial.queryRadius(ctx.npc.position, HEALER_REACH, { kind: 'npc', exclude: ctx.npc.id })
+            .filter(npc => npc.stats.health < npc.stats.maxHealth && !this.engine.getCombatForEntity(npc.id));
+
+        patients.forEach(npc => {
+            npc.stats.health = npc.stats.maxHealth;
+        });
+        return patients.length > 0 ? STATUS.SUCCESS : STATUS.RUNNING;
+    }
+
+    // #endregion
+
+    // #region Debugging
+
+    inspect(npc) {
+        const brain = this.getBrain(npc);
+        const perception = this.perceive(npc);
+
+        return {
+            id: npc.id,
+            name: npc.name,
+            npcType: npc.npcType,
+            behavior: npc.behavior,
+            tree: this.getTree(npc).name,
+            position: npc.position,
+            zoneId: npc.zoneId,
+            health: `${Math.round(npc.stats.health)}/${npc.stats.maxHealth}`,
+            perception: {
+                nearbyPlayers: perception.nearbyPlayers.map(player => player.username),
+                healthRatio: Number(perception.healthRatio.toFixed(2)),
+                hour: perception.hour,
+                isNight: perception.isNight,
+                weather: perception.weather,
+                inCombat: perception.inCombat
+            },
+            lastThinkTick: brain.lastThinkTick,
+            nextThinkTick: brain.nextThinkTick,
+            lastStatus: brain.lastStatus,
+            lastAction: brain.lastAction,
+            trace: brain.trace
+        };
+    }
+
+    // #endregion
+}
+
+export default NPCBehaviorSystem;
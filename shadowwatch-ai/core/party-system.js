@@ -0,0 +1,277 @@
+/**
+ * ShadowWatch AI - Party System
+ * Temporary player groups with invites, a leader, and shared experience and loot
+ */
+
+// How a kill's experience is handed out: split between nearby members, or all to the killer
+export const XP_RULES = ['shared', 'individual'];
+
+// Who receives a drop: members in turn, always the leader, or whoever landed the kill
+export const LOOT_RULES = ['round_robin', 'leader', 'free_for_all'];
+
+const DEFAULT_OPTIONS = {
+    maxSize: 5,
+    inviteTicks: 3600, // Ticks an invite stays open (one minute at 60 ticks per second)
+    sharedBonus: 0.1 // Extra experience per additional member sharing a kill
+};
+
+class PartySystem {
+    constructor(gameEngine, options = {}) {
+        this.engine = gameEngine;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+
+        this.parties = new Map(); // partyId -> party
+        this.memberships = new Map(); // playerId -> partyId
+    }
+
+    // #region Membership
+
+    createParty(leaderId) {
+        if (!this.engine.players.has(leaderId)) {
+            return { success: false, error: 'Player not found' };
+        }
+        if (this.memberships.has(leaderId)) {
+            return { success: false, error: 'Already in a party' };
+        }
+
+        const party = {
+            id: this.engine.generateId(),
+            leaderId,
+            members: [leaderId],
+            invites: new Map(), // playerId -> tick the invite expires
+            rules: { xp: 'shared', loot: 'round_robin' },
+            lootTurn: 0,
+            created: this.engine.now()
+        };
+
+        this.parties.set(party.id, party);
+        this.memberships.set(leaderId, party.id);
+        return { success: true, party };
+    }
+
+    invite(leaderId, targetId) {
+        const party = this.getParty(leaderId);
+        if (!party) {
+            return { success: false, error: 'Not in a party' };
+        }
+        if (party.leaderId !== leaderId) {
+            return { success: false, error: 'Only the party leader can invite' };
+        }
+        if (!this.engine.players.has(targetId)) {
+            return { success: false, error: 'Player not found' };
+        }
+        if (this.memberships.has(targetId)) {
+            return { success: false, error: 'Player is already in a party' };
+        }
+        if (party.members.length >= this.options.maxSize) {
+            return { success: false, error: `Party is full (${this.options.maxSize} members)` };
+        }
+
+        const expiresAt = this.engine.tickCount + this.options.inviteTicks;
+        party.invites.set(targetId, expiresAt);
+        return { success: true, party, expiresAt };
+    }
+
+    acceptInvite(playerId, partyId) {
+        const party = this.parties.get(partyId);
+        const expiresAt = party?.invites.get(playerId);
+
+        if (expiresAt === undefined) {
+            return { success: false, error: 'No invite from that party' };
+        }
+        party.invites.delete(playerId);
+
+        if (expiresAt < this.engine.tickCount) {
+            return { success: false, error: 'Invite has expired' };
+        }
+        if (this.memberships.has(playerId)) {
+            return { success: false, error: 'Already in a party' };
+        }
+        if (party.members.length >= this.options.maxSize) {
+            return { success: false, error: 'Party is full' };
+        }
+
+        party.members.push(playerId);
+        this.memberships.set(playerId, party.id);
+        return { success: true, party };
+    }
+
+    declineInvite(playerId, partyId) {
+        return this.parties.get(partyId)?.invites.delete(playerId) || false;
+    }
+
+    // Leaving as leader hands the party to the longest-standing member; the last one out disbands it
+    leave(playerId) {
+        const party = this.getParty(playerId);
+        if (!party) {
+            return { success: false, error: 'Not in a party' };
+        }
+
+        party.members = party.members.filter(id => id !== playerId);
+        this.memberships.delete(playerId);
+
+        if (party.members.length <= 1) {
+            this.disband(party.id);
+            return { success: true, party, disbanded: true };
+        }
+        if (party.leaderId === playerId) {
+            party.leaderId = party.members[0];
+        }
+        return { success: true, party, disbanded: false };
+    }
+
+    kick(leaderId, targetId) {
+        const party = this.getParty(leaderId);
+        if (!party || party.leaderId !== leaderId) {
+            return { success: false, error: 'Only the party leader can remove members' };
+        }
+        if (targetId === leaderId || !party.members.includes(targetId)) {
+            return { success: false, error: 'Player is not another member of this party' };
+        }
+
+        return this.leave(targetId);
+    }
+
+    promote(leaderId, targetId) {
+        const party = this.getParty(leaderId);
+        if (!party || party.leaderId !== leaderId) {
+            return { success: false, error: 'Only the party leader can promote' };
+        }
+        if (!party.members.includes(targetId)) {
+            return { success: false, error: 'Player is not in this party' };
+        }
+
+        party.leaderId = targetId;
+        return { success: true, party };
+    }
+
+    setRules(leaderId, rules = {}) {
+        const party = this.getParty(leaderId);
+        if (!party || party.leaderId !== leaderId) {
+            return { success: false, error: 'Only the party leader can change the rules' };
+        }
+        if (rules.xp !== undefined && !XP_RULES.includes(rules.xp)) {
+            return { success: false, error: `XP rule must be one of ${XP_RULES.join(', ')}` };
+        }
+        if (rules.loot !== undefined && !LOOT_RULES.includes(rules.loot)) {
+            return { success: false, error: `Loot rule must be one of ${LOOT_RULES.join(', ')}` };
+        }
+
+        party.rules = { ...party.rules, ...rules };
+        return { success: true, party };
+    }
+
+    disband(partyId) {
+        const party = this.parties.get(partyId);
+        if (!party) return false;
+
+        party.members.forEach(memberId => this.memberships.delete(memberId));
+        party.members = [];
+        return this.parties.delete(partyId);
+    }
+
+    // Parties only last a session: they are dropped when a save is loaded
+    reset() {
+        this.parties.clear();
+        this.memberships.clear();
+    }
+
+    // #endregion
+
+    // #region Rewards
+
+    // Members who can share a reward: alive and in the same zone as the member who earned it
+    getEligibleMembers(player) {
+        const party = this.getParty(player.id);
+        if (!party) return [player];
+
+        return party.members
+            .map(memberId => this.engine.players.get(memberId))
+            .filter(member => member && (member === player || (member.stats.health > 0 && member.zoneId === player.zoneId)));
+    }
+
+    // Returns [{ player, experience }]. Shared kills are split evenly with a bonus for each
+    // extra member, so grouping up never earns less than soloing.
+    distributeExperience(player, experience) {
+        const party = this.getParty(player.id);
+        if (!party || party.rules.xp === 'individual') {
+            return [{ player, experience }];
+        }
+
+        const members = this.getEligibleMembers(player);
+        const total = experience * (1 + this.options.sharedBonus * (members.length - 1));
+        const share = Math.max(1, Math.floor(total / members.length));
+        return members.map(member => ({ player: member, experience: share }));
+    }
+
+    // The member who receives a drop earned by `player`
+    getLootRecipient(player) {
+        const party = this.getParty(player.id);
+        if (!party || party.rules.loot === 'free_for_all') return player;
+
+        const members = this.getEligibleMembers(player);
+        if (party.rules.loot === 'leader') {
+            return members.find(member => member.id === party.leaderId) || player;
+        }
+
+        // Round robin over the party's member order, skipping anyone out of reach
+        for (let offset = 0; offset < party.members.length; offset++) {
+            const memberId = party.members[(party.lootTurn + offset) % party.members.length];
+            const member = members.find(candidate => candidate.id === memberId);
+            if (member) {
+                party.lootTurn = (party.lootTurn + offset + 1) % party.members.length;
+                return member;
+            }
+        }
+        return player;
+    }
+
+    // #endregion
+
+    // #region Queries
+
+    getParty(playerId) {
+        return this.parties.get(this.memberships.get(playerId)) || null;
+    }
+
+    getPartyById(partyId) {
+        return this.parties.get(partyId) || null;
+    }
+
+    getMembers(playerId) {
+        const party = this.getParty(playerId);
+        return party ? party.members.map(memberId => this.engine.players.get(memberId)).filter(Boolean) : [];
+    }
+
+    // Zones can ask for a party of a certain size, e.g. { partySize: { min: 3, max: 5 } }
+    canEnterZone(player, zone) {
+        const requirement = zone?.partySize;
+        if (!requirement) return { allowed: true };
+
+        const size = this.getParty(player.id)?.members.length || 1;
+        if (requirement.min && size < requirement.min) {
+            return { allowed: false, reason: `${zone.name} requires a party of at least ${requirement.min}` };
+        }
+        if (requirement.max && size > requirement.max) {
+            return { allowed: false, reason: `${zone.name} allows parties of at most ${requirement.max}` };
+        }
+        return { allowed: true };
+    }
+
+    getSummary(party) {
+        return {
+            id: party.id,
+            leaderId: party.leaderId,
+            members: party.members.map(memberId => {
+                const member = this.engine.players.get(memberId);
+                return { id: memberId, username: member?.username, level: member?.stats.level, zoneId: member?.zoneId || null };
+            }),
+            invites: Array.from(party.invites.keys()),
+            rules: { ...party.rules }
+        };
+    }
+
+    // #endregion
+}
+
+export default PartySystem;
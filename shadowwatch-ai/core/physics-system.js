@@ -0,0 +1,466 @@
+/**
+ * ShadowWatch AI - Physics System
+ * Rigid bodies for players, NPCs and dropped items: fixed-timestep integration,
+ * collisions between entities, world/zone bounds and combat knockback
+ */
+
+import { EventEmitter } from 'events';
+
+// Collision shape and response per entity kind. Sensors report overlaps but never push
+// or get pushed, so players can walk over loot.
+export const BODY_TYPES = {
+    player: { shape: 'sphere', radius: 16, mass: 80, restitution: 0.2 },
+    npc: { shape: 'sphere', radius: 16, mass: 100, restitution: 0.2, confineToZone: true },
+    item: { shape: 'aabb', halfExtents: { x: 8, y: 8, z: 8 }, mass: 1, restitution: 0, sensor: true, confineToZone: true }
+};
+
+const DEFAULT_OPTIONS = {
+    timestep: 1 / 60, // Seconds per physics step, independent of the engine tick rate
+    maxSubSteps: 5, // Steps per update before the backlog is dropped
+    gravity: -9.81,
+    airResistance: 0.1, // Fraction of velocity lost per 1/60 s while airborne
+    groundFriction: 0.15, // Fraction of velocity lost per 1/60 s on the ground
+    knockbackForce: 800, // Impulse per point of damage
+    maxKnockback: 24000
+};
+
+// Grounded bodies slower than this (units/s) come to rest and stop being simulated
+const SLEEP_SPEED = 1;
+
+// Overlap left in place to keep resting contacts from jittering
+const PENETRATION_SLOP = 0.01;
+
+// Zone bounds are half-open, so confined bodies stop just short of the far edge
+const ZONE_EDGE_MARGIN = 0.01;
+
+class PhysicsSystem extends EventEmitter {
+    constructor(gameEngine, options = {}) {
+        super();
+        this.engine = gameEngine;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+
+        this.gravity = this.options.gravity;
+        this.airResistance = this.options.airResistance;
+        this.bodies = new Map(); // entityId -> body
+        this.accumulator = 0;
+        this.alpha = 0; // Fraction of a step left over, for render interpolation
+        this.stepCount = 0;
+
+        // Largest body extent, so broadphase queries can't miss a big neighbour
+        this.maxExtent = Math.max(...Object.values(BODY_TYPES).map(type => this.getExtent(type)));
+    }
+
+    // #region Bodies
+
+    addBody(entity, kind, overrides = {}) {
+        if (!entity?.position || !BODY_TYPES[kind]) return null;
+
+        const type = { ...BODY_TYPES[kind], ...overrides };
+        const body = {
+            id: entity.id,
+            kind,
+            entity,
+            shape: type.shape,
+            radius: type.radius || 0,
+            halfExtents: type.halfExtents || null,
+            mass: type.mass,
+            invMass: type.mass > 0 ? 1 / type.mass : 0,
+            restitution: type.restitution,
+            sensor: !!type.sensor,
+            confineToZone: !!type.confineToZone,
+            velocity: { x: 0, y: 0, z: 0 },
+            onGround: (entity.position.z || 0) <= 0,
+            sleeping: false,
+            last: null
+        };
+
+        this.bodies.set(entity.id, body);
+        this.maxExtent = Math.max(this.maxExtent, this.getExtent(body));
+        return body;
+    }
+
+    removeBody(entityId) {
+        return this.bodies.delete(entityId);
+    }
+
+    getBody(entityId) {
+        return this.bodies.get(entityId) || null;
+    }
+
+    // Bodies aren't saved; velocities start from rest after a load
+    rebuild() {
+        this.bodies.clear();
+        this.accumulator = 0;
+
+        this.engine.players.forEach(player => this.addBody(player, 'player'));
+        this.engine.npcs.forEach(npc => this.addBody(npc, 'npc'));
+        this.engine.zones.forEach(zone => {
+            zone.entities.forEach(item => this.addBody(item, 'item'));
+        });
+    }
+
+    getExtent(body) {
+        if (body.shape === 'sphere') return body.radius;
+        const { x, y, z } = body.halfExtents;
+        return Math.hypot(x, y, z);
+    }
+
+    wake(body) {
+        body.sleeping = false;
+    }
+
+    // #endregion
+
+    // #region Stepping
+
+    // Advance by elapsed seconds in fixed steps; leftover time carries into the next update
+    update(elapsed = 1 / this.engine.config.tickRate) {
+        const { timestep, maxSubSteps } = this.options;
+        this.accumulator += elapsed;
+
+        let steps = 0;
+        while (this.accumulator >= timestep && steps < maxSubSteps) {
+            this.step(timestep);
+            this.accumulator -= timestep;
+            steps++;
+        }
+
+        // Too far behind to catch up; drop the backlog rather than spiral
+        if (steps === maxSubSteps && this.accumulator >= timestep) {
+            this.accumulator = 0;
+        }
+
+        this.alpha = this.accumulator / timestep;
+        return steps;
+    }
+
+    step(dt) {
+        this.stepCount++;
+        const active = [];
+
+        this.bodies.forEach(body => {
+            // Anything moved directly (player input, NPC behavior) wakes up to collide
+            if (this.hasMoved(body)) this.wake(body);
+            if (body.sleeping) return;
+
+            this.integrate(body, dt);
+            active.push(body);
+        });
+
+        // Resting bodies that got pushed are settled this step too
+        const touched = new Set(active);
+        this.detectCollisions(active).forEach(contact => {
+            this.resolveContact(contact);
+            touched.add(contact.a);
+            touched.add(contact.b);
+        });
+
+        touched.forEach(body => {
+            this.enforceBounds(body);
+            this.settle(body);
+            this.engine.spatial.update(body.entity);
+            body.last = this.toVector(body.entity.position);
+        });
+    }
+
+    hasMoved(body) {
+        const { position } = body.entity;
+        return !body.last ||
+            body.last.x !== position.x ||
+            body.last.y !== position.y ||
+            body.last.z !== (position.z || 0);
+    }
+
+    integrate(body, dt) {
+        const { velocity } = body;
+        const position = body.entity.position;
+        const frames = dt * 60;
+
+        if (!body.onGround) {
+            velocity.z += this.gravity * dt;
+        }
+
+        const damping = Math.pow(1 - (body.onGround ? this.options.groundFriction : this.airResistance), frames);
+        velocity.x *= damping;
+        velocity.y *= damping;
+        velocity.z *= Math.pow(1 - this.airResistance, frames);
+
+        if (velocity.x === 0 && velocity.y === 0 && velocity.z === 0) return;
+
+        // Weather slows ground movement but not falling
+        const movement = this.engine.environment.getModifiersAt(position).movement;
+        this.setPosition(body, {
+            x: position.x + velocity.x * movement * dt,
+            y: position.y + velocity.y * movement * dt,
+            z: (position.z || 0) + velocity.z * dt
+        });
+    }
+
+    // Positions are replaced rather than mutated, since callers may share position objects
+    setPosition(body, position) {
+        body.entity.position = position;
+    }
+
+    settle(body) {
+        const { velocity } = body;
+        const speed = Math.hypot(velocity.x, velocity.y, velocity.z);
+
+        if (body.onGround && speed < SLEEP_SPEED) {
+            velocity.x = 0;
+            velocity.y = 0;
+            velocity.z = 0;
+            body.sleeping = true;
+        }
+    }
+
+    // #endregion
+
+    // #region Collisions
+
+    // Broadphase through the spatial grid: every awake body checks its neighbourhood once
+    detectCollisions(active) {
+        const checked = new Set();
+        const contacts = [];
+
+        active.forEach(body => {
+            const reach = this.getExtent(body) + this.maxExtent;
+            const neighbours = this.engine.spatial.queryRadius(body.entity.position, reach, { exclude: body.id });
+
+            neighbours.forEach(entity => {
+                const other = this.bodies.get(entity.id);
+                if (!other || (body.sensor && other.sensor)) return;
+
+                const key = body.id < other.id ? `${body.id}|${other.id}` : `${other.id}|${body.id}`;
+                if (checked.has(key)) return;
+                checked.add(key);
+
+                const contact = this.testOverlap(body, other);
+                if (contact) contacts.push(contact);
+            });
+        });
+
+        return contacts;
+    }
+
+    // Returns { a, b, normal, depth } with the normal pointing from a to b, or null
+    testOverlap(a, b) {
+        if (a.shape === 'sphere' && b.shape === 'sphere') return this.testSpheres(a, b);
+        if (a.shape === 'aabb' && b.shape === 'aabb') return this.testBoxes(a, b);
+
+        const contact = a.shape === 'sphere' ? this.testSphereBox(a, b) : this.testSphereBox(b, a);
+        if (!contact || a.shape === 'sphere') return contact;
+
+        return { a, b, normal: this.negate(contact.normal), depth: contact.depth };
+    }
+
+    testSpheres(a, b) {
+        const delta = this.subtract(b.entity.position, a.entity.position);
+        const distance = Math.hypot(delta.x, delta.y, delta.z);
+        const depth = a.radius + b.radius - distance;
+        if (depth <= 0) return null;
+
+        const normal = distance > 0 ? this.scale(delta, 1 / distance) : this.separationAxis(a, b);
+        return { a, b, normal, depth };
+    }
+
+    testBoxes(a, b) {
+        const delta = this.subtract(b.entity.position, a.entity.position);
+        let best = null;
+
+        for (const axis of ['x', 'y', 'z']) {
+            const overlap = a.halfExtents[axis] + b.halfExtents[axis] - Math.abs(delta[axis]);
+            if (overlap <= 0) return null;
+            if (!best || overlap < best.depth) {
+                best = { axis, depth: overlap };
+            }
+        }
+
+        const normal = { x: 0, y: 0, z: 0 };
+        normal[best.axis] = delta[best.axis] < 0 ? -1 : 1;
+        return { a, b, normal, depth: best.depth };
+    }
+
+    testSphereBox(sphere, box) {
+        const center = this.toVector(sphere.entity.position);
+        const boxCenter = this.toVector(box.entity.position);
+        const closest = {};
+        ['x', 'y', 'z'].forEach(axis => {
+            const min = boxCenter[axis] - box.halfExtents[axis];
+            const max = boxCenter[axis] + box.halfExtents[axis];
+            closest[axis] = Math.min(max, Math.max(min, center[axis]));
+        });
+
+        const delta = this.subtract(closest, center);
+        const distance = Math.hypot(delta.x, delta.y, delta.z);
+        if (distance >= sphere.radius) return null;
+
+        if (distance > 0) {
+            return { a: sphere, b: box, normal: this.scale(delta, 1 / distance), depth: sphere.radius - distance };
+        }
+
+        // Center inside the box: push out along the shallowest axis
+        const contact = this.testBoxes({ ...sphere, halfExtents: { x: sphere.radius, y: sphere.radius, z: sphere.radius } }, box);
+        return contact && { a: sphere, b: box, normal: contact.normal, depth: contact.depth };
+    }
+
+    // Bodies at the exact same spot separate along an angle derived from their ids,
+    // so the result doesn't depend on the RNG
+    separationAxis(a, b) {
+        const key = a.id < b.id ? a.id + b.id : b.id + a.id;
+        let hash = 0;
+        for (let i = 0; i < key.length; i++) {
+            hash = (hash * 31 + key.charCodeAt(i)) >>> 0;
+        }
+        const angle = (hash % 360) * Math.PI / 180;
+        const normal = { x: Math.cos(angle), y: Math.sin(angle), z: 0 };
+        return a.id < b.id ? normal : this.negate(normal);
+    }
+
+    // Push overlapping solids apart by inverse mass, then cancel their closing velocity
+    resolveContact(contact) {
+        const { a, b, normal, depth } = contact;
+        this.emit('collision', { a: a.id, b: b.id, kinds: [a.kind, b.kind], normal, depth, sensor: a.sensor || b.sensor });
+
+        if (a.sensor || b.sensor) return;
+
+        const totalInvMass = a.invMass + b.invMass;
+        if (totalInvMass === 0) return;
+
+        const correction = Math.max(depth - PENETRATION_SLOP, 0) / totalInvMass;
+        this.translate(a, this.scale(normal, -correction * a.invMass));
+        this.translate(b, this.scale(normal, correction * b.invMass));
+
+        const relative = this.subtract(b.velocity, a.velocity);
+        const closing = relative.x * normal.x + relative.y * normal.y + relative.z * normal.z;
+        if (closing < 0) {
+            const impulse = -(1 + Math.min(a.restitution, b.restitution)) * closing / totalInvMass;
+            this.addVelocity(a, this.scale(normal, -impulse * a.invMass));
+            this.addVelocity(b, this.scale(normal, impulse * b.invMass));
+        }
+
+        this.wake(a);
+        this.wake(b);
+    }
+
+    translate(body, offset) {
+        const position = this.toVector(body.entity.position);
+        this.setPosition(body, {
+            x: position.x + offset.x,
+            y: position.y + offset.y,
+            z: position.z + offset.z
+        });
+    }
+
+    addVelocity(body, change) {
+        body.velocity.x += change.x;
+        body.velocity.y += change.y;
+        body.velocity.z += change.z;
+    }
+
+    // #endregion
+
+    // #region Bounds
+
+    // Everything stays inside the world and above the ground; NPCs and items also stay
+    // inside the zone they belong to
+    enforceBounds(body) {
+        const { width, height, depth } = this.engine.config.worldSize;
+        const position = this.toVector(body.entity.position);
+        const limits = { x: [0, width], y: [0, height], z: [0, depth] };
+
+        const zone = body.confineToZone ? this.getBodyZone(body) : null;
+        if (zone) {
+            const zoneLimits = this.getZoneLimits(zone.bounds);
+            limits.x = [Math.max(limits.x[0], zoneLimits.x[0]), Math.min(limits.x[1], zoneLimits.x[1])];
+            limits.y = [Math.max(limits.y[0], zoneLimits.y[0]), Math.min(limits.y[1], zoneLimits.y[1])];
+        }
+
+        const clamped = { ...position };
+        ['x', 'y', 'z'].forEach(axis => {
+            const [min, max] = limits[axis];
+            if (position[axis] < min || position[axis] > max) {
+                clamped[axis] = Math.min(max, Math.max(min, position[axis]));
+                body.velocity[axis] = 0;
+            }
+        });
+
+        body.onGround = clamped.z <= 0;
+        if (clamped.x !== position.x || clamped.y !== position.y || clamped.z !== position.z) {
+            this.setPosition(body, clamped);
+        }
+    }
+
+    getBodyZone(body) {
+        const zoneId = body.kind === 'item' ? this.engine.spatial.getEntityZoneId(body.id) : body.entity.zoneId;
+        return zoneId ? this.engine.zones.get(zoneId) || null : null;
+    }
+
+    getZoneLimits({ x, y, width, height }) {
+        return {
+            x: [x, x + width - ZONE_EDGE_MARGIN],
+            y: [y, y + height - ZONE_EDGE_MARGIN]
+        };
+    }
+
+    clampToZone(entity, position) {
+        const bounds = this.engine.zones.get(entity.zoneId)?.bounds;
+        if (!bounds) return position;
+
+        const limits = this.getZoneLimits(bounds);
+        return {
+            ...position,
+            x: Math.min(limits.x[1], Math.max(limits.x[0], position.x)),
+            y: Math.min(limits.y[1], Math.max(limits.y[0], position.y))
+        };
+    }
+
+    // #endregion
+
+    // #region Forces
+
+    applyImpulse(entityId, impulse) {
+        const body = this.bodies.get(entityId);
+        if (!body || body.invMass === 0) return false;
+
+        this.addVelocity(body, this.scale({ x: impulse.x || 0, y: impulse.y || 0, z: impulse.z || 0 }, body.invMass));
+        this.wake(body);
+        return true;
+    }
+
+    // Hits shove the target away from the attacker in proportion to the damage dealt
+    applyKnockback(attacker, target, damage) {
+        const delta = this.subtract(target.position, attacker.position);
+        delta.z = 0;
+        const distance = Math.hypot(delta.x, delta.y);
+        const direction = distance > 0
+            ? this.scale(delta, 1 / distance)
+            : this.separationAxis({ id: attacker.id }, { id: target.id });
+        const strength = Math.min(this.options.maxKnockback, damage * this.options.knockbackForce);
+
+        return this.applyImpulse(target.id, this.scale(direction, strength));
+    }
+
+    // #endregion
+
+    // #region Vectors
+
+    toVector(position) {
+        return { x: position.x, y: position.y, z: position.z || 0 };
+    }
+
+    subtract(a, b) {
+        return { x: a.x - b.x, y: a.y - b.y, z: (a.z || 0) - (b.z || 0) };
+    }
+
+    scale(vector, factor) {
+        return { x: vector.x * factor, y: vector.y * factor, z: vector.z * factor };
+    }
+
+    negate(vector) {
+        return this.scale(vector, -1);
+    }
+
+    // #endregion
+}
+
+export default PhysicsSystem;
@@ -0,0 +1,341 @@
+/**
+ * ShadowWatch AI - Plugin Manager
+ * Loads plugins that add content, lifecycle hooks and game-runner commands
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+export const PLUGIN_HOOKS = ['onTick', 'onPlayerCreated', 'onCombatEnd', 'onLevelUp'];
+
+const PLUGIN_EXTENSIONS = ['.js', '.mjs'];
+
+const DEFAULT_OPTIONS = {
+    maxErrors: 10 // Hook failures before a plugin is switched off
+};
+
+/**
+ * A plugin is a plain object:
+ *   name, version, dependencies (plugin names), loadOrder (lower loads first),
+ *   content: { zones, items, npcTypes: { type: profile }, quests },
+ *   hooks: { onTick, ... }, commands: { name: { usage, description, run(args, context) } },
+ *   setup(api) for anything that needs code
+ */
+class PluginManager {
+    constructor(gameEngine, options = {}) {
+        this.engine = gameEngine;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+
+        this.plugins = new Map(); // name -> { name, version, status, error, errors, source }
+        this.hooks = new Map(PLUGIN_HOOKS.map(hook => [hook, []])); // hook -> [{ plugin, handler }]
+        this.commands = new Map(); // command name -> { plugin, usage, description, run }
+    }
+
+    // #region Loading
+
+    // Install plugins in dependency order; failures are recorded, never thrown
+    load(definitions = []) {
+        const { ordered, failed } = this.resolveLoadOrder(definitions);
+        failed.forEach(({ definition, error }) => this.recordFailure(definition, error));
+        ordered.forEach(definition => this.install(definition));
+
+        return this.getStatus();
+    }
+
+    // Every .js/.mjs file, or folder with an index.js, whose default export is a plugin
+    async loadDirectory(directory) {
+        let entries;
+        try {
+            entries = await fs.readdir(directory, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') return this.getStatus();
+            throw error;
+        }
+
+        const definitions = [];
+        for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+            const file = entry.isDirectory()
+                ? path.join(directory, entry.name, 'index.js')
+                : path.join(directory, entry.name);
+            if (!entry.isDirectory() && !PLUGIN_EXTENSIONS.includes(path.extname(entry.name))) continue;
+            if (entry.isDirectory() && !(await this.exists(file))) continue;
+
+            try {
+                const module = await import(pathToFileURL(file).href);
+                definitions.push({ ...module.default, source: file });
+            } catch (error) {
+                this.recordFailure({ name: path.parse(entry.name).name, source: file }, `Could not load: ${error.message}`);
+            }
+        }
+
+        return this.load(definitions);
+    }
+
+    async exists(file) {
+        try {
+            await fs.access(file);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    // Topological order over declared dependencies; among plugins that are ready, the lowest
+    // loadOrder goes first, then the name
+    resolveLoadOrder(definitions) {
+        const failed = [];
+        const pending = new Map();
+
+        definitions.forEach(definition => {
+            if (!definition || typeof definition.name !== 'string' || !definition.name) {
+                failed.push({ definition: { ...definition, name: definition?.source || 'unnamed' }, error: 'Plugin must have a name' });
+            } else if (this.plugins.has(definition.name) || pending.has(definition.name)) {
+                failed.push({ definition, error: `Plugin '${definition.name}' is already loaded` });
+            } else {
+                pending.set(definition.name, definition);
+            }
+        });
+
+        // Missing dependencies fail straight away, and so does everything depending on them
+        let changed = true;
+        while (changed) {
+            changed = false;
+            pending.forEach((definition, name) => {
+                const missing = (definition.dependencies || []).find(dependency =>
+                    !pending.has(dependency) && this.plugins.get(dependency)?.status !== 'loaded');
+                if (missing) {
+                    failed.push({ definition, error: `Missing dependency '${missing}'` });
+                    pending.delete(name);
+                    changed = true;
+                }
+            });
+        }
+
+        const ordered = [];
+        const placed = new Set();
+        while (pending.size > 0) {
+            const ready = Array.from(pending.values())
+                .filter(definition => (definition.dependencies || []).every(dependency => !pending.has(dependency) || placed.has(dependency)))
+                .sort((a, b) => (a.loadOrder ?? 0) - (b.loadOrder ?? 0) || a.name.localeCompare(b.name));
+
+            if (ready.length === 0) {
+                pending.forEach(definition => failed.push({ definition, error: 'Circular dependency' }));
+                break;
+            }
+
+            const next = ready[0];
+            ordered.push(next);
+            placed.add(next.name);
+            pending.delete(next.name);
+        }
+
+        return { ordered, failed };
+    }
+
+    // Everything a plugin registers is rolled back if any part of it fails
+    install(definition) {
+        const failedDependency = (definition.dependencies || []).find(dependency => this.plugins.get(dependency)?.status !== 'loaded');
+        if (failedDependency) {
+            return this.recordFailure(definition, `Dependency '${failedDependency}' failed to load`);
+        }
+
+        const record = this.createRecord(definition, 'loaded');
+        const added = { zones: [], quests: [] };
+
+        try {
+            const api = this.createAPI(record, added);
+            const { content = {}, hooks = {}, commands = {} } = definition;
+
+            (content.zones || []).forEach(zone => api.registerZone(zone));
+            (content.items || []).forEach(template => api.registerItemTemplate(template));
+            Object.entries(content.npcTypes || {}).forEach(([npcType, profile]) => api.registerNPCType(npcType, profile));
+            (content.quests || []).forEach(quest => api.registerQuest(quest));
+            Object.entries(hooks).forEach(([hook, handler]) => api.on(hook, handler));
+            Object.entries(commands).forEach(([name, command]) => api.registerCommand(name, command));
+
+            if (typeof definition.setup === 'function') {
+                definition.setup(api);
+            }
+        } catch (error) {
+            this.unregister(record.name);
+            return this.recordFailure(definition, error.message);
+        }
+
+        this.plugins.set(record.name, record);
+        this.addToWorld(added);
+        console.log(`🧩 Loaded plugin ${record.name}${record.version ? ` v${record.version}` : ''}`);
+        return record;
+    }
+
+    // Content registered after the world exists goes live right away
+    addToWorld({ zones, quests }) {
+        if (!this.engine.gameWorld) return;
+
+        zones.forEach(data => {
+            if (this.engine.zones.has(data.id)) return; // Already there, e.g. from a save
+            const zone = this.engine.addZone(data);
+            this.engine.spatial.indexZone(zone);
+            this.engine.populateZone(zone);
+        });
+        quests.forEach(quest => {
+            if (!this.engine.quests.has(quest.id)) {
+                this.engine.quests.set(quest.id, structuredClone(quest));
+            }
+        });
+    }
+
+    createAPI(record, added) {
+        const content = this.engine.content;
+        const owner = record.name;
+
+        return {
+            engine: this.engine,
+            plugin: owner,
+
+            registerZone: (zone) => {
+                const registered = content.addZone(zone, owner);
+                added.zones.push(registered);
+                return registered;
+            },
+            registerItemTemplate: (template) => content.addItemTemplate(template, owner),
+            registerNPCType: (npcType, profile) => content.addNPCType(npcType, profile, owner),
+            registerLootTable: (table) => content.addLootTable(table, owner),
+            registerDialogue: (dialogue) => content.addDialogue(dialogue, owner),
+            registerQuest: (quest) => {
+                const registered = content.addQuest(quest, owner);
+                added.quests.push(registered);
+                return registered;
+            },
+
+            on: (hook, handler) => {
+                if (!PLUGIN_HOOKS.includes(hook)) {
+                    throw new Error(`Unknown hook '${hook}'`);
+                }
+                if (typeof handler !== 'function') {
+                    throw new Error(`Hook '${hook}' needs a function`);
+                }
+                this.hooks.get(hook).push({ plugin: owner, handler });
+            },
+
+            registerCommand: (name, command) => {
+                if (!/^[a-z][a-z0-9-]*$/.test(name)) {
+                    throw new Error(`Invalid command name '${name}'`);
+                }
+                if (this.commands.has(name)) {
+                    throw new Error(`Command '${name}' is already registered by ${this.commands.get(name).plugin}`);
+                }
+                if (typeof command?.run !== 'function') {
+                    throw new Error(`Command '${name}' needs a run function`);
+                }
+                this.commands.set(name, { plugin: owner, usage: command.usage || name, description: command.description || '', run: command.run });
+            }
+        };
+    }
+
+    unregister(name) {
+        this.engine.content.removeOwner(name);
+        this.hooks.forEach((handlers, hook) => {
+            this.hooks.set(hook, handlers.filter(entry => entry.plugin !== name));
+        });
+        this.commands.forEach((command, commandName) => {
+            if (command.plugin === name) this.commands.delete(commandName);
+        });
+    }
+
+    createRecord(definition, status, error = null) {
+        return {
+            name: definition.name,
+            version: definition.version || null,
+            dependencies: definition.dependencies || [],
+            loadOrder: definition.loadOrder ?? 0,
+            source: definition.source || null,
+            status,
+            error,
+            errors: 0
+        };
+    }
+
+    recordFailure(definition, error) {
+        const record = this.createRecord(definition, 'failed', error);
+        if (!this.plugins.has(record.name)) {
+            this.plugins.set(record.name, record);
+        }
+        console.error(`❌ Plugin ${record.name} failed to load: ${error}`);
+        return record;
+    }
+
+    // #endregion
+
+    // #region Hooks
+
+    // Hook errors are logged and counted; a plugin that keeps failing gets switched off
+    // instead of taking the tick loop down with it. Async hooks aren't awaited, but their
+    // rejections count the same way.
+    emit(hook, payload) {
+        const handlers = this.hooks.get(hook);
+        if (!handlers || handlers.length === 0) return;
+
+        handlers.forEach(({ plugin, handler }) => {
+            const record = this.plugins.get(plugin);
+            if (record?.status !== 'loaded') return;
+
+            try {
+                const result = handler(payload, this.engine);
+                if (typeof result?.then === 'function') {
+                    Promise.resolve(result).catch(error => this.recordHookError(record, hook, error));
+                }
+            } catch (error) {
+                this.recordHookError(record, hook, error);
+            }
+        });
+    }
+
+    recordHookError(record, hook, error) {
+        record.errors++;
+        record.error = `${hook}: ${error?.message ?? error}`;
+        console.error(`❌ Plugin ${record.name} failed in ${hook}:`, error?.message ?? error);
+
+        if (record.status === 'loaded' && record.errors >= this.options.maxErrors) {
+            record.status = 'disabled';
+            console.error(`⚠️ Plugin ${record.name} disabled after ${record.errors} errors`);
+        }
+    }
+
+    // #endregion
+
+    // #region Commands
+
+    getCommand(name) {
+        const command = this.commands.get(name);
+        return command && this.plugins.get(command.plugin)?.status === 'loaded' ? command : null;
+    }
+
+    listCommands() {
+        return Array.from(this.commands.entries())
+            .filter(([name]) => this.getCommand(name))
+            .map(([name, command]) => ({ name, plugin: command.plugin, usage: command.usage, description: command.description }));
+    }
+
+    // Commands may be async; a rejection fails the command like a throw does
+    async runCommand(name, args = [], context = {}) {
+        const command = this.getCommand(name);
+        if (!command) {
+            return { success: false, error: `Unknown command '${name}'` };
+        }
+
+        try {
+            return { success: true, result: await command.run(args, { engine: this.engine, ...context }) };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // #endregion
+
+    getStatus() {
+        return Array.from(this.plugins.values()).map(record => ({ ...record }));
+    }
+}
+
+export default PluginManager;
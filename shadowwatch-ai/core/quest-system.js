@@ -0,0 +1,197 @@
+/**
+ * ShadowWatch AI - Quest System
+ * Structured quest objectives, per-player progress, prerequisites and level gating
+ */
+
+// Objective types and the engine event that advances each of them
+export const OBJECTIVE_TYPES = {
+    kill: 'kill',
+    visit_zone: 'visit_zone',
+    collect_item: 'collect_item',
+    talk_to_npc: 'talk_to_npc',
+    win_combat: 'win_combat',
+    // Free-form objectives from older content, only completed through completeObjective()
+    custom: null
+};
+
+class QuestSystem {
+    constructor(gameEngine) {
+        this.engine = gameEngine;
+    }
+
+    // #region Quest Acceptance
+
+    canAcceptQuest(player, quest) {
+        if (!player || !quest) {
+            return { allowed: false, reason: 'Unknown player or quest' };
+        }
+
+        if (player.quests.includes(quest.id)) {
+            return { allowed: false, reason: 'Quest already active' };
+        }
+
+        if ((player.completedQuests || []).includes(quest.id) && !quest.repeatable) {
+            return { allowed: false, reason: 'Quest already completed' };
+        }
+
+        if (player.stats.level < (quest.level || 1)) {
+            return { allowed: false, reason: `Requires level ${quest.level}` };
+        }
+
+        const missing = (quest.prerequisites || []).filter(id => !(player.completedQuests || []).includes(id));
+        if (missing.length > 0) {
+            return { allowed: false, reason: `Requires completing: ${missing.join(', ')}` };
+        }
+
+        return { allowed: true };
+    }
+
+    startQuest(player, quest) {
+        player.questProgress = player.questProgress || {};
+        player.questProgress[quest.id] = {
+            objectives: quest.objectives.map((objective, index) => ({
+                id: this.getObjectiveId(objective, index),
+                current: 0,
+                required: objective.count || 1,
+                completed: false
+            })),
+            startedAt: this.engine.now()
+        };
+        return player.questProgress[quest.id];
+    }
+
+    finishQuest(player, quest) {
+        delete player.questProgress?.[quest.id];
+        player.completedQuests = player.completedQuests || [];
+        if (!player.completedQuests.includes(quest.id)) {
+            player.completedQuests.push(quest.id);
+        }
+    }
+
+    // #endregion
+
+    // #region Progress Tracking
+
+    getProgress(player, quest) {
+        // Quests assigned before tracking existed get their progress created lazily
+        if (!player.questProgress?.[quest.id]) {
+            return this.startQuest(player, quest);
+        }
+        return player.questProgress[quest.id];
+    }
+
+    getObjectiveId(objective, index) {
+        return objective.id || `objective_${index + 1}`;
+    }
+
+    // Feed a gameplay event to every active quest of the player
+    recordEvent(player, event) {
+        if (!player?.quests?.length) return [];
+
+        const completed = [];
+
+        // Copy first: completing a quest mutates player.quests
+        [...player.quests].forEach(questId => {
+            const quest = this.engine.quests.get(questId);
+            if (!quest) return;
+
+            const progress = this.getProgress(player, quest);
+            let changed = false;
+
+            quest.objectives.forEach((objective, index) => {
+                const state = progress.objectives.find(entry => entry.id === this.getObjectiveId(objective, index));
+                if (!state || state.completed || !this.matchesObjective(objective, event)) return;
+
+                state.current = Math.min(state.required, state.current + (event.count || 1));
+                state.completed = state.current >= state.required;
+                changed = true;
+            });
+
+            if (changed && this.checkCompletion(player, quest)) {
+                completed.push(questId);
+            }
+        });
+
+        completed.forEach(questId => this.engine.completeQuest(player.id, questId));
+        return completed;
+    }
+
+    matchesObjective(objective, event) {
+        if (typeof objective !== 'object' || OBJECTIVE_TYPES[objective.type] !== event.type) {
+            return false;
+        }
+
+        if (objective.zone && objective.zone !== event.zoneId) {
+            return false;
+        }
+
+        const target = objective.target || '*';
+        if (target === '*') return true;
+
+        switch (event.type) {
+            case 'kill':
+            case 'talk_to_npc':
+                return event.npcType === target || event.targetId === target;
+            case 'visit_zone':
+                return event.zoneId === target;
+            case 'collect_item':
+                return [event.item?.id, event.item?.type, event.item?.name].includes(target);
+            case 'win_combat':
+                return event.opponentType === target;
+            default:
+                return false;
+        }
+    }
+
+    completeObjective(playerId, questId, objectiveId) {
+        const player = this.engine.players.get(playerId);
+        const quest = this.engine.quests.get(questId);
+        if (!player || !quest || !player.quests.includes(questId)) return false;
+
+        const state = this.getProgress(player, quest).objectives.find(entry => entry.id === objectiveId);
+        if (!state) return false;
+
+        state.current = state.required;
+        state.completed = true;
+
+        if (this.checkCompletion(player, quest)) {
+            this.engine.completeQuest(playerId, questId);
+        }
+        return true;
+    }
+
+    checkCompletion(player, quest) {
+        if (!player || !quest || !player.quests.includes(quest.id)) return false;
+        return this.getProgress(player, quest).objectives.every(state => state.completed);
+    }
+
+    // #endregion
+
+    // #region Queries
+
+    getAvailableQuests(player) {
+        return Array.from(this.engine.quests.values())
+            .filter(quest => this.canAcceptQuest(player, quest).allowed);
+    }
+
+    getQuestLog(player) {
+        return player.quests
+            .map(questId => this.engine.quests.get(questId))
+            .filter(Boolean)
+            .map(quest => {
+                const progress = this.getProgress(player, quest);
+                return {
+                    id: quest.id,
+                    name: quest.name,
+                    objectives: quest.objectives.map((objective, index) => ({
+                        description: typeof objective === 'object' ? objective.description : objective,
+                        ...progress.objectives[index]
+                    }))
+                };
+            });
+    }
+
+    // #endregion
+}
+
+export default QuestSystem;
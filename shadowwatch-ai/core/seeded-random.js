@@ -0,0 +1,60 @@
+/**
+ * ShadowWatch AI - Seeded Random
+ * Reproducible random numbers and IDs for deterministic simulation
+ */
+
+// Reduce any string or number seed to a 32-bit integer
+function hashSeed(seed) {
+    const text = String(seed);
+    let hash = 2166136261;
+
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+
+    return hash >>> 0;
+}
+
+// Mulberry32: small, fast and good enough for gameplay randomness
+export function createSeededRandom(seed) {
+    let state = hashSeed(seed);
+
+    const random = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    random.getState = () => state;
+    random.setState = (value) => {
+        state = value >>> 0;
+    };
+
+    return random;
+}
+
+// RFC 4122 version 4 layout, but drawn from the supplied random source
+export function createIdGenerator(random) {
+    const hex = '0123456789abcdef';
+
+    return () => {
+        let id = '';
+        for (let i = 0; i < 36; i++) {
+            if (i === 8 || i === 13 || i === 18 || i === 23) {
+                id += '-';
+            } else if (i === 14) {
+                id += '4';
+            } else if (i === 19) {
+                id += hex[8 + Math.floor(random() * 4)];
+            } else {
+                id += hex[Math.floor(random() * 16)];
+            }
+        }
+        return id;
+    };
+}
+
+export default createSeededRandom;
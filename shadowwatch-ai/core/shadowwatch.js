@@ -18,6 +18,7 @@ class ShadowWatchAI {
             dbName: process.env.DB_NAME || 'shadowwatch_ai',
             dbUser: process.env.DB_USER || 'shadowwatch_user',
             dbPassword: process.env.DB_PASSWORD || '',
+            useDatabase: true, // false runs the monitor without Postgres; storage calls do nothing
 
             // Redis configuration (optional)
             redisHost: process.env.REDIS_HOST || 'localhost',
@@ -48,10 +49,12 @@ class ShadowWatchAI {
         this.redis = null;
         this.connectedUsers = new Map();
         this.monitoringRules = new Map();
+        this.scheduledTasks = [];
         this.metrics = {
             activeUsers: 0,
             totalSessions: 0,
             avgResponseTime: 0,
+            processedDecisions: 0, // Monitoring rules that fired and ran their action
             lastHealthCheck: new Date()
         };
 
@@ -67,6 +70,11 @@ class ShadowWatchAI {
     // #region Initialization Methods
 
     async initializeDatabase() {
+        if (!this.config.useDatabase) {
+            this.log('info', 'Database disabled, running without persistence');
+            return;
+        }
+
         try {
             this.db = new Pool({
                 host: this.config.dbHost,
@@ -136,19 +144,19 @@ class ShadowWatchAI {
 
     startScheduledTasks() {
         // Clean up old data (GDPR compliance)
-        cron.schedule('0 2 * * *', async () => { // Daily at 2 AM
+        this.scheduledTasks.push(cron.schedule('0 2 * * *', async () => { // Daily at 2 AM
             await this.cleanupOldData();
-        });
+        }));
 
         // Send offline nudges
-        cron.schedule('0 */6 * * *', async () => { // Every 6 hours
+        this.scheduledTasks.push(cron.schedule('0 */6 * * *', async () => { // Every 6 hours
             await this.sendOfflineNudges();
-        });
+        }));
 
         // Health monitoring
-        cron.schedule('*/5 * * * *', async () => { // Every 5 minutes
+        this.scheduledTasks.push(cron.schedule('*/5 * * * *', async () => { // Every 5 minutes
             await this.performHealthCheck();
-        });
+        }));
     }
 
     // #endregion
@@ -313,6 +321,7 @@ class ShadowWatchAI {
             for (const [ruleName, rule] of this.monitoringRules) {
                 try {
                     if (rule.condition(session.stats, prevStats)) {
+                        this.metrics.processedDecisions++;
                         await rule.action(userId, session.stats, prevStats);
                     }
                 } catch (error) {
@@ -711,6 +720,9 @@ class ShadowWatchAI {
     async shutdown() {
         this.log('info', 'ShadowWatch AI shutting down');
 
+        this.scheduledTasks.forEach(task => task.stop());
+        this.scheduledTasks = [];
+
         // Disconnect all users
         for (const [userId, session] of this.connectedUsers) {
             await this.unsubscribeUser(userId);
@@ -729,24 +741,18 @@ class ShadowWatchAI {
         this.log('info', 'ShadowWatch AI shutdown complete');
     }
 
+    // The monitor's own state: its rules, the users it watches, what the rules decided and
+    // its scheduled jobs. World figures come from the game engine.
     getAIStatus() {
         return {
-            activeAgents: this.aiAgents.size,
-            processedDecisions: this.gameWorld.ai.processedDecisions,
-            autonomousTasks: this.gameWorld.ai.autonomousTasks,
-            worldStatus: this.getWorldStatus(),
-            developmentProgress: this.getDevelopmentProgress()
-        };
-    }
-
-    getWorldStatus() {
-        return {
-            zones: this.gameWorld.zones.length,
-            entities: this.gameWorld.zones.reduce((total, zone) => total + zone.entities.size, 0),
-            players: this.players.size,
-            npcs: this.npcs ? this.npcs.size : 0,
-            weather: this.gameWorld.weather,
-            time: this.gameWorld.time
+            activeAgents: this.monitoringRules.size,
+            monitoredUsers: this.connectedUsers.size,
+            processedDecisions: this.metrics.processedDecisions,
+            autonomousTasks: this.scheduledTasks.length,
+            connections: {
+                database: this.db ? 'connected' : 'disconnected',
+                redis: this.redis ? 'connected' : 'disconnected'
+            }
         };
     }
 
@@ -0,0 +1,220 @@
+/**
+ * ShadowWatch AI - Skill System
+ * Skill trees, skill points, trainer teaching and the shared combat ability registry
+ */
+
+// Combat abilities shared by engine combat and AttackTrainer sessions.
+// damage/heal scale the caster's attack and max health; cooldowns count the caster's turns
+export const ABILITIES = {
+    power_strike: {
+        id: 'power_strike',
+        name: 'Power Strike',
+        target: 'enemy',
+        damage: 1.8,
+        manaCost: 0,
+        cooldown: 3
+    },
+    shield_wall: {
+        id: 'shield_wall',
+        name: 'Shield Wall',
+        target: 'self',
+        statusEffect: 'defending',
+        manaCost: 0,
+        cooldown: 4
+    },
+    stunning_blow: {
+        id: 'stunning_blow',
+        name: 'Stunning Blow',
+        target: 'enemy',
+        damage: 1.0,
+        statusEffect: 'stunned',
+        manaCost: 10,
+        cooldown: 6
+    },
+    fireball: {
+        id: 'fireball',
+        name: 'Fireball',
+        target: 'enemy',
+        damage: 1.5,
+        statusEffect: 'burning',
+        manaCost: 15,
+        cooldown: 5
+    },
+    heal: {
+        id: 'heal',
+        name: 'Heal',
+        target: 'self',
+        heal: 0.2,
+        manaCost: 10,
+        cooldown: 3
+    },
+    regeneration: {
+        id: 'regeneration',
+        name: 'Regeneration',
+        target: 'self',
+        statusEffect: 'regenerating',
+        manaCost: 20,
+        cooldown: 6
+    }
+};
+
+// Skill tree definitions. Every skill lists the skills it builds on, the character
+// level it needs, its skill point cost and the combat ability it unlocks
+export const SKILL_TREES = {
+    warrior: {
+        id: 'warrior',
+        name: 'Warrior',
+        skills: [
+            { id: 'power_strike', name: 'Power Strike', levelRequirement: 2, cost: 1, prerequisites: [], ability: 'power_strike' },
+            { id: 'shield_wall', name: 'Shield Wall', levelRequirement: 3, cost: 1, prerequisites: ['power_strike'], ability: 'shield_wall' },
+            { id: 'stunning_blow', name: 'Stunning Blow', levelRequirement: 5, cost: 2, prerequisites: ['shield_wall'], ability: 'stunning_blow' }
+        ]
+    },
+    mage: {
+        id: 'mage',
+        name: 'Mage',
+        skills: [
+            { id: 'fireball', name: 'Fireball', levelRequirement: 2, cost: 1, prerequisites: [], ability: 'fireball' }
+        ]
+    },
+    mystic: {
+        id: 'mystic',
+        name: 'Mystic',
+        skills: [
+            { id: 'heal', name: 'Heal', levelRequirement: 2, cost: 1, prerequisites: [], ability: 'heal' },
+            { id: 'regeneration', name: 'Regeneration', levelRequirement: 4, cost: 2, prerequisites: ['heal'], ability: 'regeneration' }
+        ]
+    }
+};
+
+export const SKILL_POINTS_PER_LEVEL = 1;
+
+// Flattened skill lookup, each entry tagged with its tree
+const SKILLS = new Map();
+Object.values(SKILL_TREES).forEach(tree => {
+    tree.skills.forEach(skill => SKILLS.set(skill.id, { ...skill, tree: tree.id }));
+});
+
+export function getSkill(skillId) {
+    return SKILLS.get(skillId) || null;
+}
+
+export function getAbility(abilityId) {
+    return ABILITIES[abilityId] || null;
+}
+
+// Raw ability output from effective stats; callers apply defense, scaling and effects
+export function calculateAbilityEffect(ability, casterStats) {
+    return {
+        damage: ability.damage ? Math.round(casterStats.attack * ability.damage) : 0,
+        heal: ability.heal ? Math.round(casterStats.maxHealth * ability.heal) : 0,
+        statusEffect: ability.statusEffect || null
+    };
+}
+
+class SkillSystem {
+    constructor(gameEngine) {
+        this.engine = gameEngine;
+    }
+
+    // #region Learning
+
+    canLearnSkill(player, skillId) {
+        const skill = getSkill(skillId);
+        if (!player || !skill) {
+            return { allowed: false, reason: 'Unknown player or skill' };
+        }
+
+        if ((player.skills || []).includes(skillId)) {
+            return { allowed: false, reason: 'Skill already learned' };
+        }
+
+        if (player.stats.level < skill.levelRequirement) {
+            return { allowed: false, reason: `Requires level ${skill.levelRequirement}` };
+        }
+
+        const missing = skill.prerequisites.filter(id => !(player.skills || []).includes(id));
+        if (missing.length > 0) {
+            return { allowed: false, reason: `Requires learning: ${missing.join(', ')}` };
+        }
+
+        if ((player.stats.skillPoints || 0) < skill.cost) {
+            return { allowed: false, reason: `Requires ${skill.cost} skill point${skill.cost === 1 ? '' : 's'}` };
+        }
+
+        return { allowed: true };
+    }
+
+    learnSkill(player, trainer, skillId) {
+        if (!trainer || !this.getTeachableSkills(trainer).includes(skillId)) {
+            return { success: false, error: `${trainer?.name || 'Trainer'} can't teach '${skillId}'` };
+        }
+        if (player && player.zoneId !== trainer.zoneId) {
+            return { success: false, error: `${trainer.name} is not in your zone` };
+        }
+
+        const eligibility = this.canLearnSkill(player, skillId);
+        if (!eligibility.allowed) {
+            return { success: false, error: eligibility.reason };
+        }
+
+        const skill = getSkill(skillId);
+        player.skills = player.skills || [];
+        player.skills.push(skillId);
+        player.stats.skillPoints -= skill.cost;
+
+        return { success: true, skill };
+    }
+
+    grantLevelUpPoints(player) {
+        player.stats.skillPoints = (player.stats.skillPoints || 0) + SKILL_POINTS_PER_LEVEL;
+    }
+
+    // #endregion
+
+    // #region Trainers
+
+    isTrainer(npc) {
+        return npc?.behavior === 'teaching';
+    }
+
+    // Trainers teach every tree unless their content says otherwise
+    getTeachableSkills(npc) {
+        if (!this.isTrainer(npc)) return [];
+
+        if (!npc.teaches) {
+            npc.teaches = Object.keys(SKILL_TREES);
+        }
+
+        return npc.teaches.flatMap(treeId => (SKILL_TREES[treeId]?.skills || []).map(skill => skill.id));
+    }
+
+    findTrainerInZone(zoneId) {
+        return Array.from(this.engine.npcs.values()).find(npc => npc.zoneId === zoneId && this.isTrainer(npc)) || null;
+    }
+
+    // #endregion
+
+    // #region Queries
+
+    getAvailableSkills(player) {
+        return Array.from(SKILLS.values()).filter(skill => this.canLearnSkill(player, skill.id).allowed);
+    }
+
+    // Skills the player is on track for: prerequisites met but maybe not level or points yet
+    getNextSkills(player) {
+        const learned = player.skills || [];
+        return Array.from(SKILLS.values()).filter(skill =>
+            !learned.includes(skill.id) && skill.prerequisites.every(id => learned.includes(id)));
+    }
+
+    getAbilities(entity) {
+        return (entity.skills || [])
+            .map(skillId => getSkill(skillId)?.ability)
+            .filter(abilityId => abilityId && ABILITIES[abilityId]);
+    }
+
+    // #endregion
+}
+
+export default SkillSystem;
@@ -0,0 +1,337 @@
+/**
+ * ShadowWatch AI - Spatial Index
+ * Uniform grid for proximity queries and zone membership tracking
+ */
+
+import { EventEmitter } from 'events';
+
+class SpatialIndex extends EventEmitter {
+    constructor(gameEngine, options = {}) {
+        super();
+        this.engine = gameEngine;
+        this.cellSize = options.cellSize || 250;
+
+        this.cells = new Map(); // cellKey -> Set of entity ids
+        this.entries = new Map(); // entityId -> { entity, kind, cellKey, zoneId }
+        this.zoneCells = new Map(); // cellKey -> zone ids overlapping that cell, in creation order
+    }
+
+    // #region Cells
+
+    getCellCoords(position) {
+        return {
+            cx: Math.floor(position.x / this.cellSize),
+            cy: Math.floor(position.y / this.cellSize)
+        };
+    }
+
+    getCellKey(cx, cy) {
+        return `${cx},${cy}`;
+    }
+
+    addToCell(cellKey, entityId) {
+        if (!this.cells.has(cellKey)) {
+            this.cells.set(cellKey, new Set());
+        }
+        this.cells.get(cellKey).add(entityId);
+    }
+
+    removeFromCell(cellKey, entityId) {
+        const cell = this.cells.get(cellKey);
+        if (!cell) return;
+
+        cell.delete(entityId);
+        if (cell.size === 0) {
+            this.cells.delete(cellKey);
+        }
+    }
+
+    // #endregion
+
+    // #region Zones
+
+    indexZones() {
+        this.zoneCells.clear();
+        this.engine.zones.forEach(zone => this.indexZone(zone));
+    }
+
+    indexZone(zone) {
+        const { x, y, width, height } = zone.bounds;
+        const min = this.getCellCoords({ x, y });
+        const max = this.getCellCoords({ x: x + width - 1, y: y + height - 1 });
+
+        for (let cx = min.cx; cx <= max.cx; cx++) {
+            for (let cy = min.cy; cy <= max.cy; cy++) {
+                const key = this.getCellKey(cx, cy);
+                if (!this.zoneCells.has(key)) {
+                    this.zoneCells.set(key, []);
+                }
+                this.zoneCells.get(key).push(zone.id);
+            }
+        }
+    }
+
+    zoneContains(zone, position) {
+        const { x, y, width, height } = zone.bounds;
+        return position.x >= x && position.x < x + width && position.y >= y && position.y < y + height;
+    }
+
+    // Zones may overlap; the first zone in creation order wins
+    getZoneAt(position) {
+        if (!position) return null;
+
+        const { cx, cy } = this.getCellCoords(position);
+        const candidates = this.zoneCells.get(this.getCellKey(cx, cy)) || [];
+
+        for (const zoneId of candidates) {
+            const zone = this.engine.zones.get(zoneId);
+            if (zone && this.zoneContains(zone, position)) {
+                return zone;
+            }
+        }
+        return null;
+    }
+
+    // Entities stay in their current zone until they leave its bounds, so
+    // overlapping zones don't flip membership back and forth
+    resolveZoneId(position, currentZoneId) {
+        const current = currentZoneId ? this.engine.zones.get(currentZoneId) : null;
+        if (current && this.zoneContains(current, position)) {
+            return current.id;
+        }
+        return this.getZoneAt(position)?.id || null;
+    }
+
+    updateZoneMembership(entry, zoneId, silent) {
+        const previousZoneId = entry.zoneId;
+        if (previousZoneId === zoneId) return;
+
+        const { entity, kind } = entry;
+        const listName = kind === 'player' ? 'players' : kind === 'npc' ? 'npcs' : null;
+
+        if (previousZoneId) {
+            const previous = this.engine.zones.get(previousZoneId);
+            if (previous && listName) {
+                previous[listName] = (previous[listName] || []).filter(id => id !== entity.id);
+            }
+        }
+
+        if (zoneId) {
+            const zone = this.engine.zones.get(zoneId);
+            if (zone && listName) {
+                zone[listName] = zone[listName] || [];
+                if (!zone[listName].includes(entity.id)) {
+                    zone[listName].push(entity.id);
+                }
+            }
+        }
+
+        entry.zoneId = zoneId;
+        if (kind === 'player' || kind === 'npc') {
+            entity.zoneId = zoneId;
+        }
+
+        if (silent) return;
+
+        if (previousZoneId) {
+            this.emit('zone_leave', { entityId: entity.id, kind, zoneId: previousZoneId, nextZoneId: zoneId });
+        }
+        if (zoneId) {
+            this.emit('zone_enter', { entityId: entity.id, kind, zoneId, previousZoneId });
+        }
+    }
+
+    // #endregion
+
+    // #region Entity Tracking
+
+    insert(entity, kind, options = {}) {
+        if (!entity?.position) return;
+        if (this.entries.has(entity.id)) {
+            this.update(entity, options);
+            return;
+        }
+
+        const { cx, cy } = this.getCellCoords(entity.position);
+        const entry = { entity, kind, cellKey: this.getCellKey(cx, cy), zoneId: null };
+
+        this.entries.set(entity.id, entry);
+        this.addToCell(entry.cellKey, entity.id);
+
+        // Items belong to the zone that spawned them; only actors change zones
+        if (kind === 'item') {
+            entry.zoneId = options.zoneId || this.getZoneAt(entity.position)?.id || null;
+        } else {
+            this.updateZoneMembership(entry, this.resolveZoneId(entity.position, entity.zoneId), options.silent);
+        }
+    }
+
+    update(entity, options = {}) {
+        const entry = this.entries.get(entity.id);
+        if (!entry) return;
+
+        const { cx, cy } = this.getCellCoords(entity.position);
+        const cellKey = this.getCellKey(cx, cy);
+
+        if (cellKey !== entry.cellKey) {
+            this.removeFromCell(entry.cellKey, entity.id);
+            this.addToCell(cellKey, entity.id);
+            entry.cellKey = cellKey;
+        }
+
+        if (entry.kind !== 'item') {
+            this.updateZoneMembership(entry, this.resolveZoneId(entity.position, entry.zoneId), options.silent);
+        }
+    }
+
+    remove(entityId, options = {}) {
+        const entry = this.entries.get(entityId);
+        if (!entry) return false;
+
+        if (entry.kind !== 'item') {
+            this.updateZoneMembership(entry, null, options.silent);
+        }
+        this.removeFromCell(entry.cellKey, entityId);
+        this.entries.delete(entityId);
+        return true;
+    }
+
+    // Re-index everything from scratch, e.g. after loading a save
+    rebuild() {
+        this.cells.clear();
+        this.entries.clear();
+        this.indexZones();
+
+        this.engine.zones.forEach(zone => {
+            zone.players = [];
+            zone.npcs = [];
+        });
+
+        this.engine.players.forEach(player => this.insert(player, 'player', { silent: true }));
+        this.engine.npcs.forEach(npc => this.insert(npc, 'npc', { silent: true }));
+        this.engine.zones.forEach(zone => {
+            zone.entities.forEach(item => this.insert(item, 'item', { zoneId: zone.id }));
+        });
+    }
+
+    getEntityZoneId(entityId) {
+        return this.entries.get(entityId)?.zoneId || null;
+    }
+
+    // #endregion
+
+    // #region Queries
+
+    matches(entry, filter) {
+        if (filter.exclude && filter.exclude === entry.entity.id) return false;
+        if (filter.kind && filter.kind !== entry.kind) return false;
+        if (filter.type && !this.matchesType(entry, filter.type)) return false;
+        if (filter.predicate && !filter.predicate(entry.entity)) return false;
+        return true;
+    }
+
+    // A type can be an entity kind ('npc'), an NPC type ('merchant') or an item type ('weapon')
+    matchesType(entry, type) {
+        return entry.kind === type || entry.entity.npcType === type || entry.entity.type === type;
+    }
+
+    distance(a, b) {
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+
+    collectCells(minCx, minCy, maxCx, maxCy, visit) {
+        for (let cx = minCx; cx <= maxCx; cx++) {
+            for (let cy = minCy; cy <= maxCy; cy++) {
+                const cell = this.cells.get(this.getCellKey(cx, cy));
+                if (cell) {
+                    cell.forEach(entityId => visit(this.entries.get(entityId)));
+                }
+            }
+        }
+    }
+
+    queryRadius(position, radius, filter = {}) {
+        const min = this.getCellCoords({ x: position.x - radius, y: position.y - radius });
+        const max = this.getCellCoords({ x: position.x + radius, y: position.y + radius });
+        const results = [];
+
+        this.collectCells(min.cx, min.cy, max.cx, max.cy, entry => {
+            if (this.matches(entry, filter) && this.distance(entry.entity.position, position) <= radius) {
+                results.push(entry.entity);
+            }
+        });
+
+        return results.sort((a, b) => this.distance(a.position, position) - this.distance(b.position, position));
+    }
+
+    queryRect(rect, filter = {}) {
+        const min = this.getCellCoords({ x: rect.x, y: rect.y });
+        const max = this.getCellCoords({ x: rect.x + rect.width, y: rect.y + rect.height });
+        const results = [];
+
+        this.collectCells(min.cx, min.cy, max.cx, max.cy, entry => {
+            const { x, y } = entry.entity.position;
+            if (this.matches(entry, filter) &&
+                x >= rect.x && x <= rect.x + rect.width &&
+                y >= rect.y && y <= rect.y + rect.height) {
+                results.push(entry.entity);
+            }
+        });
+
+        return results;
+    }
+
+    // Search outward ring by ring until no closer match can exist
+    nearestOfType(position, type, options = {}) {
+        const maxRadius = options.maxRadius || Math.hypot(this.engine.config.worldSize.width, this.engine.config.worldSize.height);
+        const maxRing = Math.ceil(maxRadius / this.cellSize);
+        const origin = this.getCellCoords(position);
+        const filter = { ...options, type };
+
+        let best = null;
+        let bestDistance = Infinity;
+
+        for (let ring = 0; ring <= maxRing; ring++) {
+            this.forEachRingCell(origin, ring, (cx, cy) => {
+                const cell = this.cells.get(this.getCellKey(cx, cy));
+                if (!cell) return;
+
+                cell.forEach(entityId => {
+                    const entry = this.entries.get(entityId);
+                    if (!this.matches(entry, filter)) return;
+
+                    const distance = this.distance(entry.entity.position, position);
+                    if (distance <= maxRadius && distance < bestDistance) {
+                        best = entry.entity;
+                        bestDistance = distance;
+                    }
+                });
+            });
+
+            if (best && bestDistance <= ring * this.cellSize) break;
+        }
+
+        return best;
+    }
+
+    // Visits only the outer edge of a ring, the cells exactly `ring` steps from the origin
+    forEachRingCell(origin, ring, visit) {
+        if (ring === 0) {
+            visit(origin.cx, origin.cy);
+            return;
+        }
+
+        for (let cx = origin.cx - ring; cx <= origin.cx + ring; cx++) {
+            visit(cx, origin.cy - ring);
+            visit(cx, origin.cy + ring);
+        }
+        for (let cy = origin.cy - ring + 1; cy <= origin.cy + ring - 1; cy++) {
+            visit(origin.cx - ring, cy);
+            visit(origin.cx + ring, cy);
+        }
+    }
+
+    // #endregion
+}
+
+export default SpatialIndex;
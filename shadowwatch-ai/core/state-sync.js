@@ -0,0 +1,267 @@
+/**
+ * ShadowWatch AI - State Sync
+ * Dirty tracking, sequenced per-viewer deltas and interest management for network clients
+ */
+
+// Wire format per entity kind. Kinds with a spatialKind are filtered by distance to the
+// viewer; the rest are small shared tables every viewer receives.
+export const SYNC_KINDS = {
+    players: {
+        spatialKind: 'player',
+        collect: engine => engine.players.values(),
+        serialize: (player, engine) => ({
+            id: player.id,
+            username: player.username,
+            position: player.position,
+            zoneId: player.zoneId || null,
+            level: player.stats.level,
+            health: player.stats.health,
+            maxHealth: engine.getEffectiveStats(player).maxHealth
+        })
+    },
+    npcs: {
+        spatialKind: 'npc',
+        collect: engine => engine.npcs.values(),
+        serialize: npc => ({
+            id: npc.id,
+            name: npc.name,
+            npcType: npc.npcType,
+            position: npc.position,
+            zoneId: npc.zoneId || null,
+            level: npc.stats.level,
+            health: npc.stats.health,
+            maxHealth: npc.stats.maxHealth
+        })
+    },
+    worldItems: {
+        spatialKind: 'item',
+        collect: engine => Array.from(engine.zones.values()).flatMap(zone => Array.from(zone.entities.values())),
+        serialize: item => ({
+            id: item.id,
+            name: item.name,
+            type: item.type,
+            rarity: item.rarity,
+            position: item.position
+        })
+    },
+    combats: {
+        collect: engine => engine.combatSystem.activeCombats.values(),
+        serialize: combat => ({
+            id: combat.id,
+            participants: combat.participants.map(participant => participant.id),
+            sides: combat.sides,
+            round: combat.round,
+            fled: combat.fled
+        })
+    },
+    zones: {
+        collect: engine => engine.zones.values(),
+        serialize: zone => ({
+            id: zone.id,
+            name: zone.name,
+            type: zone.type,
+            bounds: zone.bounds,
+            level: zone.level,
+            levelRange: zone.levelRange || null,
+            weather: zone.weather?.type || 'clear'
+        })
+    },
+    items: {
+        collect: engine => engine.items.values(),
+        serialize: item => ({ ...item })
+    },
+    quests: {
+        collect: engine => engine.quests.values(),
+        serialize: quest => ({
+            id: quest.id,
+            name: quest.name,
+            description: quest.description,
+            objectives: quest.objectives,
+            rewards: quest.rewards,
+            level: quest.level || null,
+            zoneId: quest.zoneId || null
+        })
+    }
+};
+
+const DEFAULT_OPTIONS = {
+    interestRadius: 1500
+};
+
+class StateSync {
+    constructor(gameEngine, options = {}) {
+        this.engine = gameEngine;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+
+        this.sequence = 0;
+        this.records = new Map(Object.keys(SYNC_KINDS).map(kind => [kind, new Map()])); // kind -> id -> { data, json, sequence }
+        this.dirty = new Map(Object.keys(SYNC_KINDS).map(kind => [kind, new Set()]));
+        this.views = new Map(); // viewerId -> { sequence, known, inputSeq }
+    }
+
+    // #region Dirty Tracking
+
+    // Diff every entity against its last serialized form; call once per network tick,
+    // before building that tick's deltas. Changed entities get the new sequence number.
+    commit() {
+        const sequence = this.sequence + 1;
+        let changed = false;
+
+        Object.entries(SYNC_KINDS).forEach(([kind, definition]) => {
+            const records = this.records.get(kind);
+            const dirty = new Set();
+            const seen = new Set();
+
+            for (const entity of definition.collect(this.engine)) {
+                const data = definition.serialize(entity, this.engine);
+                const json = JSON.stringify(data);
+                seen.add(entity.id);
+
+                if (records.get(entity.id)?.json !== json) {
+                    records.set(entity.id, { data, json, sequence });
+                    dirty.add(entity.id);
+                }
+            }
+
+            // Removed entities drop out of the table; views notice they're gone
+            records.forEach((record, id) => {
+                if (!seen.has(id)) {
+                    records.delete(id);
+                    dirty.add(id);
+                }
+            });
+
+            this.dirty.set(kind, dirty);
+            if (dirty.size > 0) changed = true;
+        });
+
+        if (changed) {
+            this.sequence = sequence;
+        }
+        return this.sequence;
+    }
+
+    // Entity ids that changed in the most recent commit
+    getDirty(kind) {
+        return Array.from(this.dirty.get(kind) || []);
+    }
+
+    // #endregion
+
+    // #region Views
+
+    getView(viewerId) {
+        if (!this.views.has(viewerId)) {
+            this.views.set(viewerId, {
+                sequence: 0,
+                known: new Map(Object.keys(SYNC_KINDS).map(kind => [kind, new Map()])), // kind -> id -> sequence sent
+                inputSeq: null
+            });
+        }
+        return this.views.get(viewerId);
+    }
+
+    removeView(viewerId) {
+        return this.views.delete(viewerId);
+    }
+
+    // Next delta for this viewer starts from an empty client state
+    resetView(viewerId) {
+        const inputSeq = this.views.get(viewerId)?.inputSeq ?? null;
+        this.removeView(viewerId);
+
+        const view = this.getView(viewerId);
+        view.inputSeq = inputSeq;
+        return view;
+    }
+
+    // Last input sequence the server processed for this viewer, echoed back for reconciliation
+    acknowledgeInput(viewerId, inputSeq) {
+        const view = this.getView(viewerId);
+        view.inputSeq = Math.max(view.inputSeq ?? inputSeq, inputSeq);
+    }
+
+    // Ids of positioned entities within interest range of the viewer
+    getInterestSet(kind, position, radius) {
+        const { spatialKind } = SYNC_KINDS[kind];
+        if (!spatialKind) return null;
+        if (!position) return new Set();
+
+        return new Set(this.engine.spatial.queryRadius(position, radius, { kind: spatialKind }).map(entity => entity.id));
+    }
+
+    // #endregion
+
+    // #region Deltas
+
+    /**
+     * Build the next delta for a viewer from the last commit(). Only entities that changed
+     * since they were last sent to this viewer are included, plus ids that were removed or
+     * moved out of interest range.
+     * options: position (defaults to the viewer's player), radius, full, filter(kind, data)
+     */
+    getDelta(viewerId, options = {}) {
+        const sequence = this.sequence;
+        const view = options.full ? this.resetView(viewerId) : this.getView(viewerId);
+        const position = options.position || this.engine.players.get(viewerId)?.position || null;
+        const radius = options.radius || this.options.interestRadius;
+
+        const delta = {
+            sequence,
+            baseSequence: view.sequence,
+            full: view.sequence === 0,
+            tick: this.engine.tickCount,
+            time: this.engine.gameWorld.time,
+            inputSeq: view.inputSeq,
+            entities: {},
+            removed: {}
+        };
+        let changes = 0;
+
+        Object.keys(SYNC_KINDS).forEach(kind => {
+            const records = this.records.get(kind);
+            const known = view.known.get(kind);
+            const interest = this.getInterestSet(kind, position, radius);
+            const visible = new Set();
+            const updates = [];
+
+            records.forEach((record, id) => {
+                if (interest && !interest.has(id)) return;
+                if (options.filter && !options.filter(kind, record.data)) return;
+
+                visible.add(id);
+                if (known.get(id) !== record.sequence) {
+                    updates.push(record.data);
+                    known.set(id, record.sequence);
+                }
+            });
+
+            const removed = [];
+            known.forEach((sent, id) => {
+                if (!visible.has(id)) {
+                    removed.push(id);
+                    known.delete(id);
+                }
+            });
+
+            if (updates.length > 0) delta.entities[kind] = updates;
+            if (removed.length > 0) delta.removed[kind] = removed;
+            changes += updates.length + removed.length;
+        });
+
+        delta.changes = changes;
+
+        // An empty delta leaves the view where it was, so a broadcast that skips sending it
+        // can't leave the client behind; if it is sent, it moves the client to the same place
+        if (changes > 0 || delta.full) {
+            view.sequence = sequence;
+        } else {
+            delta.sequence = view.sequence;
+        }
+        return delta;
+    }
+
+    // #endregion
+}
+
+export default StateSync;
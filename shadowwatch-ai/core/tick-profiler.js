@@ -0,0 +1,269 @@
+/**
+ * ShadowWatch AI - Tick Profiler
+ * Per-subsystem timings for every game tick, tick budget overruns and GC pauses, with
+ * percentiles for getStatistics() and Chrome trace files (chrome://tracing, Perfetto)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { performance, PerformanceObserver } from 'perf_hooks';
+
+// Trace rows: ticks and their subsystems, AI updates, and garbage collection
+const TRACE_THREADS = { tick: 1, ai: 2, gc: 3 };
+
+const PERCENTILES = [50, 95, 99];
+
+const DEFAULT_OPTIONS = {
+    budgetMs: 1000 / 60, // A tick that takes longer than this is an overrun
+    window: 600, // Samples kept per subsystem for percentiles: 10 seconds of ticks at 60 Hz
+    traceLimit: 200000, // Trace events kept in memory; older ones are dropped
+
+    // Adaptive AI: every adaptTicks ticks, if more than overrunThreshold of them overran the
+    // budget, AI updates run half as often (down to one in maxAIStride); a window without
+    // overruns doubles the rate again
+    adaptive: false,
+    adaptTicks: 60,
+    overrunThreshold: 0.1,
+    maxAIStride: 8
+};
+
+// Nearest-rank percentile of an ascending list
+export function percentile(sorted, p) {
+    if (sorted.length === 0) return 0;
+    const rank = Math.ceil((p / 100) * sorted.length);
+    return sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))];
+}
+
+// { count, mean, p50, p95, p99, max } of a list of durations in milliseconds
+export function summarize(samples) {
+    const sorted = [...samples].sort((a, b) => a - b);
+    const total = sorted.reduce((sum, value) => sum + value, 0);
+    const round = value => Math.round(value * 1000) / 1000;
+
+    return {
+        count: sorted.length,
+        mean: round(sorted.length > 0 ? total / sorted.length : 0),
+        ...Object.fromEntries(PERCENTILES.map(p => [`p${p}`, round(percentile(sorted, p))])),
+        max: round(sorted[sorted.length - 1] || 0)
+    };
+}
+
+class TickProfiler {
+    constructor(gameEngine, options = {}) {
+        this.engine = gameEngine;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+
+        this.samples = new Map(); // section -> recent durations (ms), oldest first
+        this.tickStart = null;
+        this.ticks = 0;
+        this.overruns = 0;
+        this.recentOverruns = 0; // Overruns since the last adaptive check
+        this.worstOverrun = null; // { tick, duration }
+
+        this.aiStride = 1; // AI updates run on one in this many of their intervals
+        this.aiCalls = 0;
+
+        this.gcPauses = [];
+        this.gcObserver = null;
+
+        this.tracing = false;
+        this.trace = [];
+    }
+
+    // #region Recording
+
+    beginTick() {
+        this.tickStart = performance.now();
+    }
+
+    endTick() {
+        if (this.tickStart === null) return;
+
+        const duration = performance.now() - this.tickStart;
+        this.record('tick', duration, this.tickStart);
+        this.tickStart = null;
+        this.ticks++;
+
+        if (duration > this.options.budgetMs) {
+            this.overruns++;
+            this.recentOverruns++;
+            if (!this.worstOverrun || duration > this.worstOverrun.duration) {
+                this.worstOverrun = { tick: this.engine.tickCount, duration: Math.round(duration * 1000) / 1000 };
+            }
+        }
+
+        if (this.options.adaptive && this.ticks % this.options.adaptTicks === 0) {
+            this.adapt();
+        }
+    }
+
+    // Times one subsystem's part of the tick (or an AI update) and returns what it returns
+    measure(section, run) {
+        const start = performance.now();
+        try {
+            return run();
+        } finally {
+            this.record(section, performance.now() - start, start);
+        }
+    }
+
+    record(section, duration, start) {
+        if (!this.samples.has(section)) {
+            this.samples.set(section, []);
+        }
+        const samples = this.samples.get(section);
+        samples.push(duration);
+        if (samples.length > this.options.window) {
+            samples.shift();
+        }
+
+        if (this.tracing) {
+            this.addTraceEvent(section, duration, start);
+        }
+    }
+
+    // #endregion
+
+    // #region Adaptive AI
+
+    // Called for every AI interval; false means skip this update
+    shouldUpdateAI() {
+        this.aiCalls++;
+        return this.aiCalls % this.aiStride === 0;
+    }
+
+    // Changes are published rather than printed; the runner and dashboard show them
+    adapt() {
+        const overrunRate = this.recentOverruns / this.options.adaptTicks;
+        const previous = this.aiStride;
+        this.recentOverruns = 0;
+
+        if (overrunRate > this.options.overrunThreshold && this.aiStride < this.options.maxAIStride) {
+            this.aiStride *= 2;
+        } else if (overrunRate === 0 && this.aiStride > 1) {
+            this.aiStride /= 2;
+        } else {
+            return;
+        }
+
+        this.engine.eventBus.publish('profiler.ai_stride_changed', {
+            stride: this.aiStride,
+            previous,
+            overrunRate,
+            budgetMs: this.options.budgetMs
+        });
+    }
+
+    // #endregion
+
+    // #region Garbage Collection
+
+    // GC pauses are reported asynchronously by the runtime, so they're only watched while the
+    // real-time loop runs
+    start() {
+        if (this.gcObserver) return;
+
+        this.gcObserver = new PerformanceObserver(list => {
+            list.getEntries().forEach(entry => this.recordGC(entry.duration, entry.startTime));
+        });
+        this.gcObserver.observe({ entryTypes: ['gc'] });
+    }
+
+    stop() {
+        this.gcObserver?.disconnect();
+        this.gcObserver = null;
+    }
+
+    recordGC(duration, start) {
+        this.gcPauses.push(duration);
+        if (this.gcPauses.length > this.options.window) {
+            this.gcPauses.shift();
+        }
+        if (this.tracing) {
+            this.addTraceEvent('gc', duration, start, 'gc');
+        }
+    }
+
+    // #endregion
+
+    // #region Chrome Trace
+
+    startTrace() {
+        this.tracing = true;
+        this.trace = [];
+    }
+
+    stopTrace() {
+        this.tracing = false;
+    }
+
+    // Complete ('X') events in microseconds; the tick and its subsystems share a row so the
+    // subsystems nest under their tick
+    addTraceEvent(name, duration, start, category = null) {
+        const thread = category || (name === 'ai' ? 'ai' : 'tick');
+        this.trace.push({
+            name,
+            cat: thread,
+            ph: 'X',
+            ts: Math.round(start * 1000),
+            dur: Math.max(1, Math.round(duration * 1000)),
+            pid: process.pid,
+            tid: TRACE_THREADS[thread],
+            ...(name === 'tick' ? { args: { tick: this.engine.tickCount } } : {})
+        });
+        if (this.trace.length > this.options.traceLimit) {
+            this.trace.shift();
+        }
+    }
+
+    toTrace() {
+        const threadNames = Object.entries(TRACE_THREADS).map(([name, tid]) => ({
+            name: 'thread_name', ph: 'M', pid: process.pid, tid, args: { name }
+        }));
+        return { traceEvents: [...threadNames, ...this.trace], displayTimeUnit: 'ms' };
+    }
+
+    async saveTrace(file) {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(file, JSON.stringify(this.toTrace()), 'utf8');
+        return file;
+    }
+
+    // #endregion
+
+    // Timings in milliseconds over the last `window` samples of each section
+    getSummary() {
+        const sections = {};
+        this.samples.forEach((samples, section) => {
+            if (section !== 'tick') {
+                sections[section] = summarize(samples);
+            }
+        });
+
+        return {
+            budgetMs: Math.round(this.options.budgetMs * 1000) / 1000,
+            ticks: this.ticks,
+            overruns: this.overruns,
+            overrunRate: this.ticks > 0 ? this.overruns / this.ticks : 0,
+            worstOverrun: this.worstOverrun,
+            tick: summarize(this.samples.get('tick') || []),
+            sections,
+            gc: { ...summarize(this.gcPauses), observing: Boolean(this.gcObserver) },
+            adaptive: this.options.adaptive,
+            aiStride: this.aiStride,
+            tracing: this.tracing,
+            traceEvents: this.trace.length
+        };
+    }
+
+    reset() {
+        this.samples.clear();
+        this.gcPauses = [];
+        this.ticks = 0;
+        this.overruns = 0;
+        this.recentOverruns = 0;
+        this.worstOverrun = null;
+    }
+}
+
+export default TickProfiler;
@@ -0,0 +1,280 @@
+/**
+ * ShadowWatch AI - Zone Shards
+ * Spreads NPC simulation over worker threads, each owning a fixed set of zones. The world stays
+ * on the main thread: every tick the coordinator sends each shard a snapshot of its zones, waits
+ * for all of them, and merges the results back zone by zone in zone order, so the outcome is the
+ * same whichever worker finishes first and however many workers there are.
+ *
+ * Cross-zone traffic goes through the snapshots: players near a zone's edge are sent to the
+ * shard next door too, healers are visible from every zone, and world time and weather travel
+ * with each job. A player walking into another zone is simply in that zone's next snapshot.
+ * Item respawns and zone events stay on the main thread, since they create entities.
+ *
+ * A shard that crashes, times out or answers with an error is marked dead and its zones run on
+ * the main thread from then on, through the same simulateZones() the workers use, so a failure
+ * costs speed but never changes the outcome.
+ */
+
+import { Worker, MessageChannel, receiveMessageOnPort } from 'worker_threads';
+import { PERCEPTION_RADIUS, HEALER_REACH } from './npc-behavior.js';
+import { simulateZones } from './zone-worker.js';
+
+const WORKER_FILE = new URL('./zone-worker.js', import.meta.url);
+
+// How far past its bounds a zone's NPCs can see or reach
+const ZONE_MARGIN = PERCEPTION_RADIUS + HEALER_REACH;
+
+const DEFAULT_OPTIONS = {
+    workers: 0, // 0 keeps NPC simulation on the main thread
+    timeoutMs: 5000 // A shard that takes longer than this to answer a tick is given up on
+};
+
+class ZoneShardCoordinator {
+    constructor(gameEngine, options = {}) {
+        this.engine = gameEngine;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.enabled = this.options.workers > 0;
+
+        this.shards = []; // { worker, port, alive }
+        this.flags = null; // One Int32 per shard, raised by the worker when its reply is posted
+        this.assignments = new Map(); // zoneId -> shard index, in the order zones appeared
+        this.stats = { batches: 0, thinks: 0, lastBatchMs: 0, failures: 0 };
+    }
+
+    // #region Workers
+
+    start() {
+        if (this.shards.length > 0) return;
+
+        this.flags = new Int32Array(new SharedArrayBuffer(4 * this.options.workers));
+        const { tickRate, thinkTicks, trees } = this.getSimulationOptions();
+
+        for (let index = 0; index < this.options.workers; index++) {
+            const { port1, port2 } = new MessageChannel();
+            const worker = new Worker(WORKER_FILE, {
+                workerData: { zoneShard: true, port: port2, flags: this.flags, index, tickRate, thinkTicks, trees },
+                transferList: [port2]
+            });
+            worker.on('error', error => this.fail(index, `crashed: ${error.message}`));
+            worker.on('exit', code => this.fail(index, `exited with code ${code}`));
+            worker.unref();
+
+            this.shards.push({ worker, port: port1, alive: true });
+        }
+        console.log(`🧵 Started ${this.options.workers} zone shard workers`);
+    }
+
+    close() {
+        const shards = this.shards;
+        this.shards = [];
+        shards.forEach(shard => { shard.alive = false; });
+        return Promise.all(shards.map(({ worker, port }) => {
+            port.close();
+            return worker.terminate();
+        }));
+    }
+
+    // Stops using a shard for good; its zones run on the main thread from the next job on
+    fail(index, reason) {
+        const shard = this.shards[index];
+        if (!shard?.alive) return;
+
+        shard.alive = false;
+        this.stats.failures++;
+        console.error(`❌ Zone shard ${index} ${reason}; running its zones on the main thread`);
+
+        shard.port.close();
+        shard.worker.terminate().catch(() => {});
+    }
+
+    getSimulationOptions() {
+        const { tickRate, npcThinkTicks, behaviorTrees } = this.engine.config;
+        return { tickRate, thinkTicks: npcThinkTicks, trees: behaviorTrees };
+    }
+
+    // New zones join the shards round-robin; a zone never moves once assigned
+    getShard(zoneId) {
+        if (!this.assignments.has(zoneId)) {
+            this.assignments.set(zoneId, this.assignments.size % this.options.workers);
+        }
+        return this.assignments.get(zoneId);
+    }
+
+    // #endregion
+
+    // #region Simulation
+
+    // Called once per tick in place of the main-thread NPC brain updates
+    update() {
+        const thinkers = new Map(); // zoneId -> NPCs due to think, in NPC order
+        this.engine.npcs.forEach(npc => {
+            if (!this.engine.npcBehavior.schedule(npc)) return;
+
+            if (!this.engine.zones.has(npc.zoneId)) {
+                // Nowhere to shard it; think here
+                this.engine.npcBehavior.think(npc);
+                return;
+            }
+            if (!thinkers.has(npc.zoneId)) {
+                thinkers.set(npc.zoneId, []);
+            }
+            thinkers.get(npc.zoneId).push(npc);
+        });
+        if (thinkers.size === 0) return;
+
+        const started = Date.now();
+        this.start();
+
+        // Drawn on the main thread, so seeded runs repeat and unseeded ones don't
+        const salt = Math.floor(this.engine.random() * 2 ** 32);
+        const jobs = this.shards.map(() => ({ tick: this.engine.tickCount, salt, zones: [] }));
+        this.engine.zones.forEach(zone => {
+            const shard = this.getShard(zone.id);
+            if (thinkers.has(zone.id)) {
+                jobs[shard].zones.push(this.snapshotZone(zone, thinkers.get(zone.id)));
+            }
+        });
+
+        const results = new Map();
+        this.dispatch(jobs).forEach(reply => {
+            reply.zones.forEach(zoneResult => results.set(zoneResult.zoneId, zoneResult));
+        });
+
+        // Merge in zone order, then NPC order, whatever order the shards answered in
+        this.engine.zones.forEach(zone => {
+            results.get(zone.id)?.npcs.forEach(result => this.apply(result));
+        });
+
+        this.stats.batches++;
+        this.stats.thinks += Array.from(thinkers.values()).reduce((total, npcs) => total + npcs.length, 0);
+        this.stats.lastBatchMs = Date.now() - started;
+    }
+
+    // Sends every live shard its job, then blocks until each has answered, keeping ticks
+    // synchronous. Jobs of dead shards, and of shards that fail on this one, run here instead.
+    dispatch(jobs) {
+        const pending = jobs.map((job, index) => {
+            if (job.zones.length === 0 || !this.shards[index].alive) return false;
+
+            Atomics.store(this.flags, index, 0);
+            this.shards[index].port.postMessage(job);
+            return true;
+        });
+
+        const deadline = Date.now() + this.options.timeoutMs;
+        return jobs.flatMap((job, index) => {
+            if (job.zones.length === 0) return [];
+
+            const reply = pending[index] ? this.receive(index, deadline) : null;
+            return [reply || simulateZones(job, this.getSimulationOptions())];
+        });
+    }
+
+    // The shard's reply, or null once the shard has been failed
+    receive(index, deadline) {
+        // A late notify from the shard's previous reply can wake us early, so check the flag
+        while (Atomics.load(this.flags, index) === 0) {
+            const remaining = deadline - Date.now();
+            if (remaining <= 0 || Atomics.wait(this.flags, index, 0, remaining) === 'timed-out') {
+                this.fail(index, `did not answer within ${this.options.timeoutMs}ms`);
+                return null;
+            }
+        }
+        const reply = receiveMessageOnPort(this.shards[index].port)?.message;
+        if (!reply || reply.error) {
+            this.fail(index, `failed: ${reply?.error || 'no reply'}`);
+            return null;
+        }
+        return reply;
+    }
+
+    snapshotZone(zone, npcs) {
+        const engine = this.engine;
+        const area = {
+            x: zone.bounds.x - ZONE_MARGIN,
+            y: zone.bounds.y - ZONE_MARGIN,
+            width: zone.bounds.width + ZONE_MARGIN * 2,
+            height: zone.bounds.height + ZONE_MARGIN * 2
+        };
+
+        // The thinking NPCs themselves are always included, even if something left one outside
+        const nearby = engine.spatial.queryRect(area, { predicate: entity => engine.players.has(entity.id) || engine.npcs.has(entity.id) });
+        const healers = Array.from(engine.npcs.values()).filter(npc => npc.npcType === 'healer');
+        const entities = Array.from(new Set([...nearby, ...npcs, ...healers])).map(entity => ({
+            id: entity.id,
+            kind: engine.players.has(entity.id) ? 'player' : 'npc',
+            npcType: entity.npcType,
+            zoneId: entity.zoneId,
+            position: { ...entity.position },
+            stats: { health: entity.stats.health, maxHealth: entity.stats.maxHealth }
+        }));
+
+        return {
+            zone: { id: zone.id, type: zone.type, bounds: zone.bounds, limits: engine.physics.getZoneLimits(zone.bounds) },
+            environment: {
+                hour: engine.environment.time.hour,
+                isNight: engine.environment.isNight(),
+                modifiers: engine.environment.getModifiers(zone.id)
+            },
+            entities,
+            combatants: entities.filter(entity => engine.getCombatForEntity(entity.id)).map(entity => entity.id),
+            thinkers: npcs.map(npc => ({
+                id: npc.id,
+                behavior: npc.behavior,
+                brain: npc.brain,
+                hasShop: Boolean(engine.economy.getShop(npc))
+            }))
+        };
+    }
+
+    // Intents are re-checked here: an NPC in another zone may have got there first
+    apply(result) {
+        const engine = this.engine;
+        const npc = engine.npcs.get(result.id);
+        if (!npc) return;
+
+        npc.position = result.position;
+        engine.spatial.update(npc);
+        npc.stats.health = Math.min(npc.stats.maxHealth, npc.stats.health + result.healthChange);
+        npc.brain = result.brain;
+
+        result.intents.forEach(intent => {
+            switch (intent.type) {
+                case 'startCombat':
+                    if (!engine.getCombatForEntity(npc.id) && !engine.getCombatForEntity(intent.targetId)) {
+                        engine.startCombat(npc.id, intent.targetId);
+                    }
+                    break;
+                case 'setShopOpen':
+                    engine.economy.setShopOpen(npc, intent.open);
+                    break;
+                case 'restock':
+                    engine.updateTradingNPC(npc);
+                    break;
+                case 'prepareLessons':
+                    engine.updateTeachingNPC(npc);
+                    break;
+                case 'heal': {
+                    const patient = engine.npcs.get(intent.npcId);
+                    if (patient && !engine.getCombatForEntity(patient.id)) {
+                        patient.stats.health = patient.stats.maxHealth;
+                    }
+                    break;
+                }
+            }
+        });
+    }
+
+    // #endregion
+
+    // Which shard runs each zone; the same for every run with the same zones and worker count
+    getStatus() {
+        return { workers: this.options.workers, zones: Object.fromEntries(this.assignments) };
+    }
+
+    getStatistics() {
+        return { ...this.getStatus(), running: this.shards.filter(shard => shard.alive).length, ...this.stats };
+    }
+}
+
+export default ZoneShardCoordinator;
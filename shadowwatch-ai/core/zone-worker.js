@@ -0,0 +1,151 @@
+/**
+ * ShadowWatch AI - Zone Worker
+ * Runs the behavior trees of one shard's zones off the main thread. Each job carries a snapshot
+ * of the zones (their NPCs, players near them, healers, weather and time); the worker thinks for
+ * the NPCs that are due and sends back where they went, their brains, and the changes the main
+ * thread has to make for them (intents), because the world itself lives on the main thread.
+ */
+
+import { isMainThread, workerData } from 'worker_threads';
+import NPCBehaviorSystem from './npc-behavior.js';
+import { createSeededRandom } from './seeded-random.js';
+
+// The slice of the engine NPCBehaviorSystem uses, backed by one zone's snapshot. Reads come from
+// the snapshot; anything that would change the world outside the thinking NPC becomes an intent.
+export class ZoneView {
+    constructor(zoneJob, options) {
+        const { zone, environment } = zoneJob;
+
+        this.tickCount = options.tick;
+        this.config = { tickRate: options.tickRate };
+        this.zones = new Map([[zone.id, zone]]);
+        this.entities = zoneJob.entities;
+        this.combatants = new Set(zoneJob.combatants);
+        this.random = options.random;
+        this.intents = [];
+
+        this.environment = {
+            time: { hour: environment.hour },
+            isNight: () => environment.isNight,
+            getModifiers: () => ({ ...environment.modifiers })
+        };
+
+        this.spatial = {
+            distance: (a, b) => Math.hypot(a.x - b.x, a.y - b.y),
+            update: () => {},
+            queryRadius: (position, radius, filter = {}) => this.entities
+                .filter(entity => this.matches(entity, filter) && this.spatial.distance(entity.position, position) <= radius)
+                .sort((a, b) => this.spatial.distance(a.position, position) - this.spatial.distance(b.position, position)),
+            nearestOfType: (position, type, options = {}) => this.spatial.queryRadius(position, options.maxRadius ?? Infinity, { ...options, type })[0] || null
+        };
+
+        this.physics = {
+            clampToZone: (entity, position) => ({
+                ...position,
+                x: Math.min(zone.limits.x[1], Math.max(zone.limits.x[0], position.x)),
+                y: Math.min(zone.limits.y[1], Math.max(zone.limits.y[0], position.y))
+            })
+        };
+
+        this.economy = {
+            setShopOpen: (npc, open) => {
+                if (!npc.hasShop) return false;
+                this.intents.push({ type: 'setShopOpen', open });
+                return true;
+            }
+        };
+    }
+
+    // Same rules as SpatialIndex.matches
+    matches(entity, filter) {
+        if (filter.exclude && filter.exclude === entity.id) return false;
+        if (filter.kind && filter.kind !== entity.kind) return false;
+        if (filter.type && entity.kind !== filter.type && entity.npcType !== filter.type) return false;
+        return true;
+    }
+
+    getCombatForEntity(entityId) {
+        return this.combatants.has(entityId) ? { entityId } : null;
+    }
+
+    // Both sides count as fighting for the rest of this job, as they would on the main thread
+    startCombat(attackerId, defenderId) {
+        this.intents.push({ type: 'startCombat', targetId: defenderId });
+        this.combatants.add(attackerId);
+        this.combatants.add(defenderId);
+        return true;
+    }
+
+    getRandomPositionInZone(zone) {
+        return {
+            x: zone.bounds.x + this.random() * zone.bounds.width,
+            y: zone.bounds.y + this.random() * zone.bounds.height,
+            z: 0
+        };
+    }
+
+    updateTradingNPC() {
+        this.intents.push({ type: 'restock' });
+    }
+
+    updateTeachingNPC() {
+        this.intents.push({ type: 'prepareLessons' });
+    }
+}
+
+// job: { tick, salt, zones: [{ zone, environment, entities, combatants, thinkers }] }
+// Every zone draws from its own stream seeded by the job's salt and its ID, so the results
+// don't depend on how zones are spread over workers.
+export function simulateZones(job, options) {
+    return {
+        zones: job.zones.map(zoneJob => {
+            const view = new ZoneView(zoneJob, {
+                tick: job.tick,
+                tickRate: options.tickRate,
+                random: createSeededRandom(`${job.salt}:${zoneJob.zone.id}`)
+            });
+            const behavior = new NPCBehaviorSystem(view, { thinkTicks: options.thinkTicks, trees: options.trees });
+            const byId = new Map(view.entities.map(entity => [entity.id, entity]));
+
+            const npcs = zoneJob.thinkers.map(({ id, behavior: behaviorType, brain, hasShop }) => {
+                const npc = Object.assign(byId.get(id), { behavior: behaviorType, brain, hasShop });
+                const healthBefore = new Map(view.entities.map(entity => [entity.id, entity.stats.health]));
+
+                view.intents = [];
+                const status = behavior.think(npc);
+
+                // Healers patch up their neighbours by setting health on them
+                view.entities.forEach(entity => {
+                    if (entity !== npc && entity.kind === 'npc' && entity.stats.health > healthBefore.get(entity.id)) {
+                        view.intents.push({ type: 'heal', npcId: entity.id });
+                    }
+                });
+
+                // Health goes back as a change so it adds to heals other NPCs gave this one
+                const healthChange = npc.stats.health - healthBefore.get(id);
+                return { id, status, position: npc.position, healthChange, brain: npc.brain, intents: view.intents };
+            });
+
+            return { zoneId: zoneJob.zone.id, npcs };
+        })
+    };
+}
+
+// Worker entry: jobs arrive on the shard's port; the reply is posted before the shard's flag is
+// raised, so the coordinator can read it synchronously as soon as it wakes up
+if (!isMainThread && workerData?.zoneShard) {
+    const { port, flags, index, trees, thinkTicks, tickRate } = workerData;
+
+    port.on('message', job => {
+        let reply;
+        try {
+            reply = simulateZones(job, { trees, thinkTicks, tickRate });
+        } catch (error) {
+            reply = { error: error.message };
+        }
+
+        port.postMessage(reply);
+        Atomics.store(flags, index, 1);
+        Atomics.notify(flags, index);
+    });
+}
@@ -221,6 +221,16 @@ CREATE TABLE feature_flags (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Game engine save snapshots (one row per save, latest per slot wins)
+CREATE TABLE game_saves (
+    save_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    slot VARCHAR(100) NOT NULL,
+    schema_version INTEGER NOT NULL,
+    saved_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    snapshot_data JSONB NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- ==========================================
 -- INDEXES
 -- ==========================================
@@ -259,6 +269,8 @@ CREATE INDEX idx_admin_access_timestamp ON admin_access_log(action_timestamp DES
 CREATE INDEX idx_system_health_timestamp ON system_health(timestamp DESC);
 CREATE INDEX idx_system_health_metric ON system_health(metric_name, timestamp DESC);
 
+CREATE INDEX idx_game_saves_slot ON game_saves(slot, saved_at DESC);
+
 CREATE INDEX idx_ai_insights_cache_key ON ai_insights_cache(cache_key);
 CREATE INDEX idx_ai_insights_cache_user ON ai_insights_cache(user_id);
 CREATE INDEX idx_ai_insights_cache_expires ON ai_insights_cache(expires_at) WHERE expires_at IS NOT NULL;
@@ -517,6 +529,7 @@ COMMENT ON TABLE privacy_audit_log IS 'GDPR compliance audit trail for all data
 COMMENT ON TABLE admin_access_log IS 'Security log for administrative actions';
 COMMENT ON TABLE system_health IS 'System performance and health monitoring metrics';
 COMMENT ON TABLE ai_insights_cache IS 'Cached AI analysis results for performance optimization';
+COMMENT ON TABLE game_saves IS 'Versioned game engine world snapshots for save/load';
 
 -- ==========================================
 -- END OF SCHEMA
@@ -19,7 +19,7 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // ShadowWatch AI Core
-import { ShadowWatchAI, AttackTrainer, TutorialSystem } from '../index.js';
+import { ShadowWatchAI, ShadowWatchGameEngine, AttackTrainer, TutorialSystem, GameNetwork } from '../index.js';
 
 class ShadowWatchServer {
     constructor() {
@@ -38,6 +38,8 @@ class ShadowWatchServer {
         this.shadowwatch = null;
         this.attackTrainer = null;
         this.tutorialSystem = null;
+        this.gameEngine = null;
+        this.gameNetwork = null;
 
         this.setupMiddleware();
         this.setupRoutes();
@@ -92,6 +94,7 @@ class ShadowWatchServer {
                     version: '1.0.0',
                     status: health.status || 'unknown',
                     timestamp: new Date().toISOString(),
+                    game: this.gameNetwork?.getStatus() || null,
                     ...health
                 });
             } catch (error) {
@@ -459,6 +462,17 @@ class ShadowWatchServer {
             this.shadowwatch.attackTrainer = this.attackTrainer;
             this.shadowwatch.tutorialSystem = this.tutorialSystem;
 
+            // Shared multiplayer world, served on the /game namespace
+            this.gameEngine = new ShadowWatchGameEngine({
+                maxPlayers: parseInt(process.env.GAME_MAX_PLAYERS) || 1000,
+                interestRadius: parseInt(process.env.GAME_INTEREST_RADIUS) || 1500
+            });
+            this.gameNetwork = new GameNetwork(this.gameEngine, this.io.of('/game'), {
+                stateRate: parseInt(process.env.GAME_STATE_RATE) || 10,
+                fullSnapshotInterval: parseInt(process.env.GAME_FULL_SNAPSHOT_INTERVAL) || 50
+            });
+            this.gameNetwork.start();
+
             console.log('✅ ShadowWatch AI initialized successfully');
 
         } catch (error) {
@@ -478,6 +492,7 @@ class ShadowWatchServer {
                 console.log(`📊 Health check: http://localhost:${port}/api/health`);
                 console.log(`🔧 Admin dashboard: http://localhost:${port}/api/admin/shadowwatch`);
                 console.log(`🌐 WebSocket endpoint: ws://localhost:${port}`);
+                console.log(`🎮 Game endpoint: ws://localhost:${port}/game`);
             });
 
         } catch (error) {
@@ -493,6 +508,10 @@ class ShadowWatchServer {
         this.server.close(async () => {
             console.log('✅ HTTP server closed');
 
+            // Stop the shared game world
+            this.gameNetwork?.stop();
+            this.gameEngine?.stopGameLoop();
+
             // Shutdown ShadowWatch AI
             if (this.shadowwatch) {
                 await this.shadowwatch.shutdown();
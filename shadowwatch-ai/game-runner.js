@@ -3,33 +3,88 @@
 /**
  * ShadowWatch AI - Complete Game Runner
  * Demonstrates the full game engine with autonomous AI development
+ *
+ * Usage: game-runner.js [--script <file.swg>] [--json] [--seed <seed>] [--as <operator>] [--dashboard]
+ *   --script runs the file's commands non-interactively and exits 0 if all of them succeed,
+ *   1 at the first failure, or 2 if the script can't be read
+ *   --as names the operator game master commands run as; their role decides what is allowed
+ *   --dashboard opens the live terminal dashboard above the command prompt
  */
 
+import fs from 'fs/promises';
 import { initializeCompleteGameSystem } from './index.js';
+import { parseCommandLine, parseScript, createAssertionContext, evaluateAssertion } from './core/command-script.js';
+import { ADMIN_COMMANDS } from './core/admin-system.js';
+import Dashboard from './core/dashboard.js';
+
+// Process exit codes, so CI can tell a failed scenario from a broken invocation
+export const EXIT_CODES = { ok: 0, failed: 1, usage: 2 };
+
+const DEFAULT_OPTIONS = {
+    script: null, // Path of a .swg command file to run instead of the interactive prompt
+    json: false, // One JSON result per command on stdout
+    seed: null,
+    dashboard: false, // Start with the live dashboard instead of the periodic statistics printout
+    operator: process.env.GAME_OPERATOR || 'console' // Who game master commands are run and audited as
+};
 
 class GameRunner {
-    constructor() {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
         this.gameSystem = null;
         this.running = false;
         this.statsInterval = null;
+        this.dashboard = null;
+        this.dialogueChoices = new Map(); // playerId -> response ids, in the order they were listed
+        this.scriptLine = null; // Line of the script command being run, for reports
     }
 
     async initialize() {
         console.log('🎮 ShadowWatch AI Game Runner');
         console.log('==============================\n');
 
+        // Scripts get a fresh headless world that never touches the saves, so a scenario plays out
+        // the same way every run; only `wait` moves time forward. The AI monitor runs without its
+        // database and cache, so scripts need no services.
+        const scripted = Boolean(this.options.script);
+
         try {
             // Initialize complete game system
             this.gameSystem = await initializeCompleteGameSystem({
                 autonomousMode: true,
                 developmentMode: '9500h',
-                debugMode: true
+                debugMode: true,
+                ...(this.options.seed !== null ? { seed: this.options.seed } : {}),
+                ...(scripted ? { headless: true, saveAdapter: 'memory', useDatabase: false, redisHost: null } : {})
             });
 
             console.log('\n✅ Game system initialized successfully!\n');
 
+            // Resume from the last save if there is one
+            if (!scripted) {
+                try {
+                    const resumed = await this.gameSystem.loadGame();
+                    console.log(resumed ? '📂 Resumed from saved game\n' : '🆕 No saved game found, starting a new world\n');
+                } catch (error) {
+                    console.error('⚠️  Failed to load saved game, starting a new world:', error.message);
+                }
+            }
+
+            // Plugins load after the save, so their zones and quests join the resumed world
+            try {
+                const plugins = await this.gameSystem.loadPlugins();
+                const loaded = plugins.filter(plugin => plugin.status === 'loaded').length;
+                if (plugins.length > 0) {
+                    console.log(`🧩 ${loaded}/${plugins.length} plugins loaded\n`);
+                }
+            } catch (error) {
+                console.error('⚠️  Failed to load plugins:', error.message);
+            }
+
             // Display initial game state
-            this.displayGameState();
+            if (!scripted) {
+                this.displayGameState();
+            }
 
             return true;
         } catch (error) {
@@ -49,12 +104,28 @@ class GameRunner {
 
         // Start statistics display
         this.statsInterval = setInterval(() => {
-            this.displayStatistics();
+            if (!this.dashboard) {
+                this.displayStatistics();
+            }
         }, 10000); // Every 10 seconds
 
+        // Adaptive AI slowing down or catching up; the dashboard has these in its event feed
+        this.gameSystem.onGameEvent('profiler.ai_stride_changed', ({ payload }) => {
+            if (this.dashboard) return;
+            if (payload.stride > payload.previous) {
+                console.log(`⚠️ ${Math.round(payload.overrunRate * 100)}% of ticks over the ${payload.budgetMs.toFixed(1)}ms budget; AI now updates 1 in ${payload.stride} intervals`);
+            } else {
+                console.log(`✅ Ticks back within budget; AI now updates 1 in ${payload.stride} intervals`);
+            }
+        });
+
         // Start interactive game loop
         this.startInteractiveLoop();
 
+        if (this.options.dashboard) {
+            this.report('dashboard', ['on'], this.toggleDashboard('on'));
+        }
+
         // Keep the process alive
         process.on('SIGINT', () => {
             console.log('\n⏹️  Shutting down ShadowWatch AI...');
@@ -62,13 +133,56 @@ class GameRunner {
         });
     }
 
-    stop() {
+    async stop(exitCode = EXIT_CODES.ok) {
+        if (!this.running) return;
+
         this.running = false;
         if (this.statsInterval) {
             clearInterval(this.statsInterval);
         }
+        this.dashboard?.stop();
+
+        // Save on the way out so the next start resumes here
+        try {
+            await this.gameSystem.saveGame();
+        } catch (error) {
+            console.error('❌ Failed to save game state:', error.message);
+        }
+        await this.gameSystem.closeEventLog();
+
         console.log('✅ Game runner stopped');
-        process.exit(0);
+        process.exit(exitCode);
+    }
+
+    // Runs a command file top to bottom and stops at the first command that fails.
+    // Returns the exit code.
+    async runScript(file) {
+        this.running = true;
+
+        let commands;
+        try {
+            commands = parseScript(await fs.readFile(file, 'utf8'));
+        } catch (error) {
+            console.error(`❌ Can't read script '${file}': ${error.message}`);
+            return EXIT_CODES.usage;
+        }
+
+        for (const { line, text } of commands) {
+            this.scriptLine = line;
+            if (!this.options.json) {
+                console.log(`\n> ${text}`);
+            }
+
+            const result = await this.processCommand(text);
+            if (!result.success) {
+                console.error(`❌ ${file}:${line}: ${text}`);
+                return EXIT_CODES.failed;
+            }
+        }
+
+        this.scriptLine = null;
+        console.log(`✅ ${file}: ${commands.length} commands passed`);
+        return EXIT_CODES.ok;
     }
 
     displayGameState() {
@@ -84,7 +198,7 @@ class GameRunner {
 
         console.log('\n🏘️  ZONES:');
         gameState.zones.forEach(zone => {
-            console.log(`   ${zone.name} (${zone.type}) - Level ${zone.level}`);
+            console.log(`   ${zone.name} (${zone.type}) - Level ${zone.level}, ${zone.weather?.type || 'clear'}`);
             console.log(`     NPCs: ${zone.npcs.length}, Items: ${zone.items.length}, Events: ${zone.events.length}`);
         });
 
@@ -101,10 +215,22 @@ class GameRunner {
         gameState.quests.forEach(quest => {
             console.log(`   ${quest.name} (${quest.difficulty}) - ${quest.objectives.length} objectives`);
         });
+
+        return {
+            success: true,
+            world: {
+                zones: gameState.zones.length,
+                players: gameState.players.length,
+                npcs: gameState.npcs.length,
+                items: gameState.items.length,
+                quests: gameState.quests.length,
+                time: gameState.world.time
+            }
+        };
     }
 
     displayStatistics() {
-        if (!this.running) return;
+        if (!this.running) return { success: true };
 
         const stats = this.gameSystem.getStatistics();
         const aiStatus = this.gameSystem.getAIStatus();
@@ -141,6 +267,8 @@ class GameRunner {
         console.log(`   RSS: ${(memUsage.rss / 1024 / 1024).toFixed(1)} MB`);
         console.log(`   Heap Used: ${(memUsage.heapUsed / 1024 / 1024).toFixed(1)} MB`);
         console.log(`   Heap Total: ${(memUsage.heapTotal / 1024 / 1024).toFixed(1)} MB`);
+
+        return { success: true, statistics: stats };
     }
 
     startInteractiveLoop() {
@@ -152,10 +280,24 @@ class GameRunner {
         console.log('  players - List all players');
         console.log('  create-player <name> - Create a new player');
         console.log('  start-combat <player1> <player2> - Start combat between players');
+        console.log('  combat-action <player> <action> [item|ability] - Queue attack, defend, use_item, ability or flee');
         console.log('  assign-quest <player> <quest> - Assign quest to player');
+        console.log('  equip <player> <item> - Equip an item from the inventory');
+        console.log('  unequip <player> <slot> - Unequip weapon, armor or accessory');
+        console.log('  learn <player> <skill> - Learn a skill from a trainer in the player\'s zone');
+        console.log('  pickup <player> [item] - Pick up an item or loot drop, or the nearest one in reach');
+        console.log('  talk <player> <npc|number|bye> - Talk to an NPC (id or type), pick a response, or leave');
         console.log('  move-player <player> <x> <y> - Move player to coordinates');
+        console.log('  npc [id] - List NPCs, or inspect one NPC\'s behavior tree');
+        console.log('  party <action> <player> [...] - create, invite, accept, leave, kick, promote, rules or info');
+        console.log('  teleport, kill, revive, give-item, set-stat, spawn-npc, ... - Game master commands (see help)');
+        console.log('  guild <action> <player> [...] - create, invite, accept, leave, kick, rank, deposit, withdraw or info');
+        console.log('  plugins - List loaded plugins and their commands');
+        console.log('  content [reload] - List content packs, or reload them from disk');
         console.log('  stats - Show detailed statistics');
         console.log('  ai-status - Show AI development status');
+        console.log('  dashboard [on|off] - Toggle the live dashboard above the prompt');
+        console.log('  profile [trace|save <file>|reset] - Show tick timings, or record a Chrome trace');
         console.log('  save - Force save game state');
         console.log('  quit - Exit the game runner');
         console.log('');
@@ -166,8 +308,11 @@ class GameRunner {
                 output: process.stdout
             });
 
-            rl.on('line', (input) => {
-                this.processCommand(input.trim());
+            rl.on('line', async (input) => {
+                await this.processCommand(input.trim());
+                if (this.running && !this.options.json) {
+                    process.stdout.write('\n> ');
+                }
             });
 
             rl.on('close', () => {
@@ -176,83 +321,164 @@ class GameRunner {
         });
     }
 
-    processCommand(input) {
-        const parts = input.split(' ');
-        const command = parts[0].toLowerCase();
+    // Runs one command line. Every command returns { success, error?, ...data }: text mode
+    // prints failures, --json mode prints the whole result as one line on stdout.
+    async processCommand(input) {
+        let args;
+        try {
+            args = parseCommandLine(input);
+        } catch (error) {
+            return this.report(input, [], { success: false, error: error.message });
+        }
+        if (args.length === 0) {
+            return { success: true };
+        }
 
+        const command = args[0].toLowerCase();
+        let result;
         try {
-            switch (command) {
-                case 'help':
-                    this.showHelp();
-                    break;
-
-                case 'state':
-                    this.displayGameState();
-                    break;
-
-                case 'players':
-                    this.listPlayers();
-                    break;
-
-                case 'create-player':
-                    if (parts.length < 2) {
-                        console.log('Usage: create-player <name>');
-                    } else {
-                        this.createNewPlayer(parts[1]);
-                    }
-                    break;
-
-                case 'start-combat':
-                    if (parts.length < 3) {
-                        console.log('Usage: start-combat <player1> <player2>');
-                    } else {
-                        this.startPlayerCombat(parts[1], parts[2]);
-                    }
-                    break;
-
-                case 'assign-quest':
-                    if (parts.length < 3) {
-                        console.log('Usage: assign-quest <player> <quest>');
-                    } else {
-                        this.assignPlayerQuest(parts[1], parts[2]);
-                    }
-                    break;
-
-                case 'move-player':
-                    if (parts.length < 4) {
-                        console.log('Usage: move-player <player> <x> <y>');
-                    } else {
-                        this.movePlayerTo(parts[1], parseInt(parts[2]), parseInt(parts[3]));
-                    }
-                    break;
-
-                case 'stats':
-                    this.displayStatistics();
-                    break;
-
-                case 'ai-status':
-                    this.showAIStatus();
-                    break;
-
-                case 'save':
-                    this.forceSave();
-                    break;
-
-                case 'quit':
-                case 'exit':
-                    console.log('Goodbye!');
-                    this.stop();
-                    break;
-
-                default:
-                    console.log(`Unknown command: ${command}. Type 'help' for available commands.`);
-            }
+            result = await this.runCommand(command, args.slice(1));
         } catch (error) {
-            console.error(`Error executing command '${command}':`, error.message);
+            result = { success: false, error: `Error executing command '${command}': ${error.message}` };
+        }
+        return this.report(command, args.slice(1), result || { success: true });
+    }
+
+    report(command, args, result) {
+        if (this.options.json) {
+            const line = this.scriptLine !== null ? { line: this.scriptLine } : {};
+            let text;
+            try {
+                text = JSON.stringify({ ...line, command, args, ...result });
+            } catch (error) {
+                // A result that can't be written (circular, BigInt) fails its command, not the run
+                result = { success: false, error: `Result could not be serialized: ${error.message}` };
+                text = JSON.stringify({ ...line, command, args, ...result });
+            }
+            process.stdout.write(`${text}\n`);
+        } else if (!result.success) {
+            console.log(`❌ ${result.error}`);
         }
+        return result;
+    }
+
+    usage(text) {
+        return { success: false, error: `Usage: ${text}` };
+    }
+
+    async runCommand(command, parts) {
+        switch (command) {
+            case 'help':
+                return this.showHelp();
+
+            case 'state':
+                return this.displayGameState();
 
-        if (this.running) {
-            process.stdout.write('\n> ');
+            case 'players':
+                return this.listPlayers();
+
+            case 'create-player':
+                return parts.length < 1
+                    ? this.usage('create-player <name>')
+                    : this.createNewPlayer(parts[0]);
+
+            case 'start-combat':
+                return parts.length < 2
+                    ? this.usage('start-combat <player1> <player2>')
+                    : this.startPlayerCombat(parts[0], parts[1]);
+
+            case 'combat-action':
+                return parts.length < 2
+                    ? this.usage('combat-action <player> <attack|defend|use_item|ability|flee> [item|ability]')
+                    : this.queueCombatAction(parts[0], parts[1], parts[2]);
+
+            case 'assign-quest':
+                return parts.length < 2
+                    ? this.usage('assign-quest <player> <quest>')
+                    : this.assignPlayerQuest(parts[0], parts[1]);
+
+            case 'equip':
+                return parts.length < 2
+                    ? this.usage('equip <player> <item>')
+                    : this.equipPlayerItem(parts[0], parts[1]);
+
+            case 'unequip':
+                return parts.length < 2
+                    ? this.usage('unequip <player> <weapon|armor|accessory>')
+                    : this.unequipPlayerSlot(parts[0], parts[1]);
+
+            case 'learn':
+                return parts.length < 2
+                    ? this.usage('learn <player> <skill>')
+                    : this.learnPlayerSkill(parts[0], parts[1]);
+
+            case 'pickup':
+                return parts.length < 1
+                    ? this.usage('pickup <player> [item]')
+                    : this.pickUpPlayerItem(parts[0], parts[1]);
+
+            case 'talk':
+                return parts.length < 2
+                    ? this.usage('talk <player> <npc id or type> | talk <player> <response number> | talk <player> bye')
+                    : this.talkToNPC(parts[0], parts[1]);
+
+            case 'move-player':
+                return parts.length < 3
+                    ? this.usage('move-player <player> <x> <y>')
+                    : this.movePlayerTo(parts[0], parseInt(parts[1]), parseInt(parts[2]));
+
+            case 'npc':
+                return parts.length < 1 ? this.listNPCs() : this.inspectNPC(parts[0]);
+
+            case 'party':
+                return parts.length < 2
+                    ? this.usage('party <create|invite|accept|leave|kick|promote|rules|info> <player> [target|xp loot]')
+                    : this.runPartyCommand(parts[0], parts[1], parts.slice(2));
+
+            case 'guild':
+                return parts.length < 2
+                    ? this.usage('guild <create|invite|accept|leave|kick|rank|deposit|withdraw|info> <player> [...]')
+                    : this.runGuildCommand(parts[0], parts[1], parts.slice(2));
+
+            case 'wait':
+                return this.waitTicks(parts[0]);
+
+            case 'assert':
+                return this.assertState(parts);
+
+            case 'stats':
+                return this.displayStatistics();
+
+            case 'ai-status':
+                return this.showAIStatus();
+
+            case 'dashboard':
+                return this.toggleDashboard(parts[0]);
+
+            case 'profile':
+                return this.runProfileCommand(parts[0], parts[1]);
+
+            case 'save':
+                return this.forceSave();
+
+            case 'quit':
+            case 'exit':
+                console.log('Goodbye!');
+                await this.stop();
+                return { success: true };
+
+            case 'plugins':
+                return this.listPlugins();
+
+            case 'content':
+                return parts[0] === 'reload' ? this.reloadContent() : this.listContentPacks();
+
+            default:
+                if (ADMIN_COMMANDS[command]) {
+                    return this.runAdminCommand(command, parts);
+                }
+                return (await this.runPluginCommand(command, parts))
+                    || { success: false, error: `Unknown command: ${command}. Type 'help' for available commands.` };
         }
     }
 
@@ -264,12 +490,92 @@ class GameRunner {
         console.log('players                 - List all players');
         console.log('create-player <name>    - Create a new player');
         console.log('start-combat <p1> <p2>  - Start combat between players');
+        console.log('combat-action <p> <a> [arg] - Queue attack, defend, use_item, ability or flee');
         console.log('assign-quest <p> <q>    - Assign quest to player');
+        console.log('equip <p> <item>        - Equip an item from the inventory');
+        console.log('unequip <p> <slot>      - Unequip weapon, armor or accessory');
+        console.log('learn <p> <skill>       - Learn a skill from a trainer in the zone');
+        console.log('pickup <p> [item]       - Pick up an item, or the nearest one in reach');
+        console.log('talk <p> <npc>          - Talk to an NPC by id or type; then talk <p> <n> or talk <p> bye');
         console.log('move-player <p> <x> <y> - Move player to coordinates');
+        console.log('npc [id]                - List NPCs or inspect one NPC\'s behavior');
+        console.log('wait <ticks>            - Advance the world by that many ticks');
+        console.log('assert <path> [op v]    - Fail unless e.g. "players.Sir Bob.stats.level" >= 2');
+        console.log('party <action> <p> ...  - create, invite <p2>, accept <leader>, leave, kick <p2>,');
+        console.log('                          promote <p2>, rules <xp> <loot>, info');
+        console.log('guild <action> <p> ...  - create <name>, invite <p2>, accept <name>, leave, kick <p2>,');
+        console.log('                          rank <p2> <rank>, deposit|withdraw <gold> [item], info');
+        console.log('plugins                 - List loaded plugins');
+        console.log('content [reload]        - List content packs or reload them from disk');
         console.log('stats                   - Show detailed statistics');
         console.log('ai-status              - Show AI development status');
+        console.log('dashboard [on|off]     - Live zone map, combats, events, tick rate and memory');
+        console.log('profile                - Tick and subsystem timings (p50/p95/p99), overruns, GC pauses');
+        console.log('profile trace          - Start recording a Chrome trace; profile save <file> writes it');
+        console.log('profile reset          - Clear the collected timings');
         console.log('save                   - Force save game state');
         console.log('quit                   - Exit the game runner');
+        console.log('\nQuote arguments that contain spaces: create-player "Sir Bob"');
+
+        console.log(`\n🛠️  GAME MASTER COMMANDS (as ${this.options.operator}, ${this.gameSystem.getAdminRole(this.options.operator)})`);
+        Object.values(ADMIN_COMMANDS).forEach(({ usage, role }) => {
+            console.log(`${usage.padEnd(48)} [${role}]`);
+        });
+
+        const pluginCommands = this.gameSystem.listPluginCommands();
+        if (pluginCommands.length > 0) {
+            console.log('\n🧩 PLUGIN COMMANDS');
+            pluginCommands.forEach(command => {
+                console.log(`${command.usage.padEnd(23)} - ${command.description} [${command.plugin}]`);
+            });
+        }
+        return { success: true, pluginCommands };
+    }
+
+    listPlugins() {
+        const plugins = this.gameSystem.getPlugins();
+        console.log(`\n🧩 PLUGINS (${plugins.length})`);
+        if (plugins.length === 0) {
+            console.log('   No plugins loaded');
+        }
+
+        plugins.forEach(plugin => {
+            const icon = plugin.status === 'loaded' ? '✅' : '❌';
+            const version = plugin.version ? ` v${plugin.version}` : '';
+            console.log(`   ${icon} ${plugin.name}${version} - ${plugin.status}${plugin.error ? ` (${plugin.error})` : ''}`);
+        });
+        return { success: true, plugins };
+    }
+
+    listContentPacks() {
+        const packs = this.gameSystem.getContentPacks();
+        console.log(`\n📦 CONTENT PACKS (${packs.length})`);
+        packs.forEach(pack => {
+            console.log(`   ${pack.id} v${pack.version} - ${pack.name} (${pack.directory})`);
+            console.log(`      ${pack.zones} zones, ${pack.items} items, ${pack.npcTypes} NPC types, ${pack.quests} quests, ${pack.lootTables} loot tables, ${pack.dialogues} dialogues`);
+        });
+        return { success: true, packs };
+    }
+
+    reloadContent() {
+        const result = this.gameSystem.reloadContent();
+        if (!result.success) {
+            result.errors.forEach(error => console.log(`   ${error}`));
+            return { ...result, error: `Content not reloaded, ${result.errors.length} problem(s)` };
+        }
+
+        console.log(`✅ Reloaded ${result.packs.length} content packs`);
+        return { success: true, packs: result.packs.length };
+    }
+
+    // Commands registered by plugins; null if no plugin owns the command
+    async runPluginCommand(command, args) {
+        if (!this.gameSystem.listPluginCommands().some(entry => entry.name === command)) {
+            return null;
+        }
+
+        const result = await this.gameSystem.runPluginCommand(command, args, { gameSystem: this.gameSystem });
+        return result.success ? result : { ...result, error: `${command} failed: ${result.error}` };
     }
 
     listPlayers() {
@@ -280,7 +586,6 @@ class GameRunner {
 
         if (gameState.players.length === 0) {
             console.log('No players in the game.');
-            return;
         }
 
         gameState.players.forEach((player, index) => {
@@ -294,16 +599,28 @@ class GameRunner {
             console.log(`   Active Quests: ${player.quests.length}`);
             console.log('');
         });
+
+        const players = gameState.players.map(player => ({
+            id: player.id,
+            username: player.username,
+            level: player.stats.level,
+            health: player.stats.health,
+            gold: player.stats.gold,
+            zoneId: player.zoneId || null,
+            position: { x: Math.round(player.position.x), y: Math.round(player.position.y) }
+        }));
+        return { success: true, players };
     }
 
     createNewPlayer(name) {
         const player = this.gameSystem.createPlayer({
             username: name,
-            email: `${name.toLowerCase()}@shadowwatch.ai`
+            email: `${name.toLowerCase().replace(/\s+/g, '.')}@shadowwatch.ai`
         });
 
         console.log(`✅ Created player: ${player.username} (ID: ${player.id})`);
         console.log(`   Starting stats: Level ${player.stats.level}, ${player.stats.health} HP`);
+        return { success: true, playerId: player.id };
     }
 
     startPlayerCombat(player1Name, player2Name) {
@@ -312,17 +629,40 @@ class GameRunner {
         const player2 = gameState.players.find(p => p.username === player2Name);
 
         if (!player1 || !player2) {
-            console.log('❌ One or both players not found');
-            return;
+            return { success: false, error: 'One or both players not found' };
         }
 
         const combatId = this.gameSystem.startCombat(player1.id, player2.id);
-        if (combatId) {
-            console.log(`⚔️  Combat started between ${player1Name} and ${player2Name}!`);
-            console.log(`   Combat ID: ${combatId}`);
-        } else {
-            console.log('❌ Failed to start combat');
+        if (!combatId) {
+            return { success: false, error: 'Failed to start combat' };
         }
+
+        console.log(`⚔️  Combat started between ${player1Name} and ${player2Name}!`);
+        console.log(`   Combat ID: ${combatId}`);
+        return { success: true, combatId };
+    }
+
+    queueCombatAction(playerName, actionType, argument) {
+        const gameState = this.gameSystem.getGameState();
+        const player = gameState.players.find(p => p.username === playerName);
+
+        if (!player) {
+            return { success: false, error: `Player '${playerName}' not found` };
+        }
+
+        const combat = this.gameSystem.gameEngine.getCombatForEntity(player.id);
+        if (!combat) {
+            return { success: false, error: `${playerName} is not in combat` };
+        }
+
+        const action = actionType === 'ability'
+            ? { type: actionType, abilityId: argument }
+            : { type: actionType, itemId: argument };
+        const result = this.gameSystem.submitCombatAction(combat.id, player.id, action);
+        if (result.success) {
+            console.log(`🗡️  ${playerName} will ${actionType.replace('_', ' ')} in round ${result.round}`);
+        }
+        return result;
     }
 
     assignPlayerQuest(playerName, questId) {
@@ -331,21 +671,157 @@ class GameRunner {
         const quest = gameState.quests.find(q => q.id === questId);
 
         if (!player) {
-            console.log(`❌ Player '${playerName}' not found`);
-            return;
+            return { success: false, error: `Player '${playerName}' not found` };
         }
 
         if (!quest) {
-            console.log(`❌ Quest '${questId}' not found`);
-            return;
+            return { success: false, error: `Quest '${questId}' not found` };
+        }
+
+        const eligibility = this.gameSystem.gameEngine.questSystem.canAcceptQuest(player, quest);
+        if (!eligibility.allowed) {
+            return { success: false, error: `Cannot assign quest: ${eligibility.reason}` };
         }
 
         const success = this.gameSystem.assignQuest(player.id, quest.id);
-        if (success) {
-            console.log(`📜 Assigned quest '${quest.name}' to ${playerName}`);
-        } else {
-            console.log('❌ Failed to assign quest');
+        if (!success) {
+            return { success: false, error: 'Failed to assign quest' };
+        }
+
+        console.log(`📜 Assigned quest '${quest.name}' to ${playerName}`);
+        quest.objectives.forEach(objective => {
+            console.log(`   • ${objective.description}`);
+        });
+        return { success: true, questId: quest.id };
+    }
+
+    equipPlayerItem(playerName, itemId) {
+        const gameState = this.gameSystem.getGameState();
+        const player = gameState.players.find(p => p.username === playerName);
+
+        if (!player) {
+            return { success: false, error: `Player '${playerName}' not found` };
+        }
+
+        const result = this.gameSystem.equipItem(player.id, itemId);
+        if (result.success) {
+            const stats = this.gameSystem.getEffectiveStats(player.id);
+            console.log(`🛡️  ${playerName} equipped ${itemId} (${result.slot})`);
+            console.log(`   Attack: ${stats.attack}, Defense: ${stats.defense}, Max Health: ${stats.maxHealth}`);
+        }
+        return result;
+    }
+
+    unequipPlayerSlot(playerName, slot) {
+        const gameState = this.gameSystem.getGameState();
+        const player = gameState.players.find(p => p.username === playerName);
+
+        if (!player) {
+            return { success: false, error: `Player '${playerName}' not found` };
+        }
+
+        const result = this.gameSystem.unequipItem(player.id, slot);
+        if (result.success) {
+            console.log(`🎒 ${playerName} unequipped ${result.itemId}`);
         }
+        return result;
+    }
+
+    learnPlayerSkill(playerName, skillId) {
+        const gameState = this.gameSystem.getGameState();
+        const player = gameState.players.find(p => p.username === playerName);
+
+        if (!player) {
+            return { success: false, error: `Player '${playerName}' not found` };
+        }
+
+        const result = this.gameSystem.learnSkill(player.id, skillId);
+        if (!result.success) {
+            return result;
+        }
+
+        console.log(`📘 ${playerName} learned ${result.skill.name} (${player.stats.skillPoints} skill points left)`);
+        return { success: true, skillId: result.skill.id };
+    }
+
+    pickUpPlayerItem(playerName, itemId) {
+        const player = this.findPlayerByName(playerName);
+        if (!player) {
+            return { success: false, error: `Player '${playerName}' not found` };
+        }
+
+        const engine = this.gameSystem.gameEngine;
+        const nearest = itemId ? null : this.gameSystem.getNearby(player.position, engine.loot.options.pickupRange, { kind: 'item' })[0];
+        if (!itemId && !nearest) {
+            return { success: false, error: `Nothing within reach of ${playerName}` };
+        }
+
+        const result = this.gameSystem.pickUpItem(player.id, itemId || nearest.id);
+        if (!result.success) {
+            return result;
+        }
+
+        console.log(`🎒 ${playerName} picked up ${result.item.name} (${result.item.rarity}, ID: ${result.item.id})`);
+        return { success: true, itemId: result.item.id };
+    }
+
+    // While a conversation is open, the argument picks a response by number or ends it with 'bye'
+    talkToNPC(playerName, argument) {
+        const player = this.findPlayerByName(playerName);
+        if (!player) {
+            return { success: false, error: `Player '${playerName}' not found` };
+        }
+
+        const engine = this.gameSystem.gameEngine;
+        const session = engine.dialogues.getSession(player.id);
+        if (session && argument === 'bye') {
+            this.gameSystem.endDialogue(player.id);
+            console.log(`👋 ${playerName} ends the conversation`);
+            return { success: true, ended: true };
+        }
+        if (session && /^\d+$/.test(argument)) {
+            const choice = this.dialogueChoices.get(player.id)?.[parseInt(argument) - 1];
+            if (choice === undefined) {
+                return { success: false, error: `No response ${argument}` };
+            }
+            return this.showDialogue(player, this.gameSystem.chooseDialogueResponse(player.id, choice));
+        }
+
+        // An NPC id, or the nearest NPC of that type
+        const distance = (npc) => Math.hypot(npc.position.x - player.position.x, npc.position.y - player.position.y);
+        const npc = engine.getNPC(argument) || Array.from(engine.npcs.values())
+            .filter(candidate => candidate.npcType === argument)
+            .sort((a, b) => distance(a) - distance(b))[0];
+        if (!npc) {
+            return { success: false, error: `NPC '${argument}' not found` };
+        }
+        return this.showDialogue(player, this.gameSystem.startDialogue(player.id, npc.id));
+    }
+
+    // Failed choices can still carry a view, so the node is shown before the error is reported
+    showDialogue(player, result) {
+        (result.actions || []).filter(action => action.success).forEach(action => {
+            if (action.type === 'give_quest') console.log(`📜 New quest: ${action.questId}`);
+            if (action.type === 'teach_skill') console.log(`📘 Learned ${action.skillId}`);
+            if (action.type === 'give_item') console.log(`🎁 Received ${action.itemId}`);
+            if (action.type === 'open_shop') {
+                console.log('🛒 For sale:');
+                action.listing.forEach(entry => console.log(`   ${entry.name} - ${entry.buyPrice} gold (${entry.stock} left)`));
+            }
+        });
+
+        if (result.view) {
+            console.log(`\n💬 ${result.view.npcName}: "${result.view.text}"`);
+            result.view.responses.forEach((response, index) => console.log(`   ${index + 1}. ${response.text}`));
+            this.dialogueChoices.set(player.id, result.view.responses.map(response => response.id));
+        }
+        if (result.ended) {
+            this.dialogueChoices.delete(player.id);
+            console.log('   (conversation over)');
+        } else if (result.view) {
+            console.log(`   Reply with: talk ${player.username} <number>, or talk ${player.username} bye`);
+        }
+        return result;
     }
 
     movePlayerTo(playerName, x, y) {
@@ -353,16 +829,151 @@ class GameRunner {
         const player = gameState.players.find(p => p.username === playerName);
 
         if (!player) {
-            console.log(`❌ Player '${playerName}' not found`);
-            return;
+            return { success: false, error: `Player '${playerName}' not found` };
         }
 
         const success = this.gameSystem.movePlayer(player.id, { x, y, z: 0 });
-        if (success) {
-            console.log(`📍 Moved ${playerName} to (${x}, ${y})`);
-        } else {
-            console.log('❌ Failed to move player');
+        if (!success) {
+            return { success: false, error: 'Failed to move player' };
         }
+
+        console.log(`📍 Moved ${playerName} to (${x}, ${y})`);
+        return { success: true, zoneId: player.zoneId || null };
+    }
+
+    findPlayerByName(name) {
+        return this.gameSystem.getGameState().players.find(p => p.username === name) || null;
+    }
+
+    // party accept takes the inviting leader's name rather than a party ID
+    runPartyCommand(action, playerName, args) {
+        const player = this.findPlayerByName(playerName);
+        if (!player) {
+            return { success: false, error: `Player '${playerName}' not found` };
+        }
+        const target = args[0] ? this.findPlayerByName(args[0]) : null;
+        if (['invite', 'accept', 'kick', 'promote'].includes(action) && !target) {
+            return { success: false, error: `Player '${args[0] || ''}' not found` };
+        }
+
+        let result;
+        switch (action) {
+            case 'create': result = this.gameSystem.createParty(player.id); break;
+            case 'invite': result = this.gameSystem.inviteToParty(player.id, target.id); break;
+            case 'accept': {
+                const party = this.gameSystem.getPartyInfo(target.id);
+                result = party
+                    ? this.gameSystem.acceptPartyInvite(player.id, party.id)
+                    : { success: false, error: `${target.username} is not in a party` };
+                break;
+            }
+            case 'leave': result = this.gameSystem.leaveParty(player.id); break;
+            case 'kick': result = this.gameSystem.kickFromParty(player.id, target.id); break;
+            case 'promote': result = this.gameSystem.promotePartyLeader(player.id, target.id); break;
+            case 'rules': result = this.gameSystem.setPartyRules(player.id, { xp: args[0], loot: args[1] }); break;
+            case 'info': result = { success: true }; break;
+            default:
+                return { success: false, error: `Unknown party action '${action}'` };
+        }
+
+        if (!result.success) {
+            return result;
+        }
+
+        const party = this.gameSystem.getPartyInfo(player.id);
+        if (!party) {
+            console.log(`👥 ${playerName} is not in a party`);
+            return { success: true, party: null };
+        }
+        console.log(`👥 Party ${party.id} (${party.members.length} members, xp ${party.rules.xp}, loot ${party.rules.loot})`);
+        party.members.forEach(member => {
+            const role = member.id === party.leaderId ? ' [leader]' : '';
+            console.log(`   ${member.username}${role} - level ${member.level}, ${member.zoneId || 'no zone'}`);
+        });
+        return { success: true, party };
+    }
+
+    // guild accept takes the guild's name rather than its ID
+    runGuildCommand(action, playerName, args) {
+        const player = this.findPlayerByName(playerName);
+        if (!player) {
+            return { success: false, error: `Player '${playerName}' not found` };
+        }
+        const target = args[0] ? this.findPlayerByName(args[0]) : null;
+        if (['invite', 'kick', 'rank'].includes(action) && !target) {
+            return { success: false, error: `Player '${args[0] || ''}' not found` };
+        }
+        const contents = { gold: parseInt(args[0]) || 0, itemId: args[1] || null };
+
+        let result;
+        switch (action) {
+            case 'create': result = this.gameSystem.createGuild(player.id, args.join(' ')); break;
+            case 'invite': result = this.gameSystem.inviteToGuild(player.id, target.id); break;
+            case 'accept': {
+                const guild = this.gameSystem.gameEngine.guilds.findByName(args.join(' '));
+                result = guild
+                    ? this.gameSystem.acceptGuildInvite(player.id, guild.id)
+                    : { success: false, error: `No guild called '${args.join(' ')}'` };
+                break;
+            }
+            case 'leave': result = this.gameSystem.leaveGuild(player.id); break;
+            case 'kick': result = this.gameSystem.kickFromGuild(player.id, target.id); break;
+            case 'rank': result = this.gameSystem.setGuildRank(player.id, target.id, args[1]); break;
+            case 'deposit': result = this.gameSystem.depositToGuildBank(player.id, contents); break;
+            case 'withdraw': result = this.gameSystem.withdrawFromGuildBank(player.id, contents); break;
+            case 'info': result = { success: true }; break;
+            default:
+                return { success: false, error: `Unknown guild action '${action}'` };
+        }
+
+        if (!result.success) {
+            return result;
+        }
+
+        const guild = this.gameSystem.getGuildInfo(player.id);
+        if (!guild) {
+            console.log(`🏰 ${playerName} is not in a guild`);
+            return { success: true, guild: null };
+        }
+        console.log(`🏰 ${guild.name} (${guild.members.length} members) - bank: ${guild.bank.gold} gold, ${guild.bank.items.length} items`);
+        guild.members.forEach(member => console.log(`   ${member.username} [${member.rank}]`));
+        return { success: true, guild };
+    }
+
+    listNPCs() {
+        const gameState = this.gameSystem.getGameState();
+
+        console.log(`\n🧍 NPCS (${gameState.npcs.length})`);
+        gameState.npcs.forEach(npc => {
+            console.log(`  ${npc.id} - ${npc.name} [${npc.behavior}] ${npc.brain?.lastAction || 'not thinking yet'}`);
+        });
+
+        const npcs = gameState.npcs.map(npc => ({ id: npc.id, name: npc.name, npcType: npc.npcType, zoneId: npc.zoneId }));
+        return { success: true, npcs };
+    }
+
+    inspectNPC(npcId) {
+        const state = this.gameSystem.inspectNPC(npcId);
+        if (!state) {
+            return { success: false, error: `NPC '${npcId}' not found` };
+        }
+
+        const { perception } = state;
+        console.log(`\n🧠 ${state.name} (${state.npcType}, ${state.id})`);
+        console.log(`Behavior: ${state.behavior} -> tree '${state.tree}'`);
+        console.log(`Zone: ${state.zoneId} at (${Math.round(state.position.x)}, ${Math.round(state.position.y)})`);
+        console.log(`Health: ${state.health}`);
+        console.log(`Perception: players [${perception.nearbyPlayers.join(', ') || 'none'}], health ${perception.healthRatio}, hour ${perception.hour}${perception.isNight ? ' (night)' : ''}, ${perception.weather}${perception.inCombat ? ', in combat' : ''}`);
+        console.log(`Last think: tick ${state.lastThinkTick ?? '-'} -> ${state.lastStatus || '-'} (${state.lastAction || 'no action'}), next at tick ${state.nextThinkTick}`);
+
+        if (state.trace.length > 0) {
+            console.log('Trace:');
+            state.trace.forEach(entry => {
+                const depth = entry.path.split('/').length - 1;
+                console.log(`  ${'  '.repeat(depth)}${entry.path.split('/').pop()}: ${entry.status}`);
+            });
+        }
+        return { success: true, npc: state };
     }
 
     showAIStatus() {
@@ -391,26 +1002,168 @@ class GameRunner {
         console.log(`Players: ${aiStatus.worldStatus.players}`);
         console.log(`Weather: ${aiStatus.worldStatus.weather}`);
         console.log(`Time: Day ${aiStatus.worldStatus.time.day}, ${aiStatus.worldStatus.time.hour}:${String(aiStatus.worldStatus.time.minute).padStart(2, '0')}`);
+        return { success: true, aiStatus };
     }
 
-    forceSave() {
+    async forceSave() {
         console.log('💾 Forcing game state save...');
-        // The game engine auto-saves, but we can trigger it manually
-        console.log('✅ Game state saved');
+
+        try {
+            const snapshot = await this.gameSystem.saveGame();
+            console.log(`✅ Game state saved (schema v${snapshot.version})`);
+            return { success: true, version: snapshot.version };
+        } catch (error) {
+            return { success: false, error: `Failed to save game state: ${error.message}` };
+        }
+    }
+
+    assertState(args) {
+        const result = evaluateAssertion(args, createAssertionContext(this.gameSystem.gameEngine));
+        if (result.success) {
+            console.log(`✅ ${args.join(' ')}`);
+        }
+        return result;
+    }
+
+    // Game master commands run as the operator, and the engine checks and audits them
+    runAdminCommand(command, args) {
+        const result = this.gameSystem.runAdminCommand(this.options.operator, command, args);
+        if (result.success && command === 'audit') {
+            console.log(`\n📋 AUDIT LOG (${result.entries.length})`);
+            result.entries.forEach(entry => {
+                const outcome = entry.success ? 'ok' : `denied: ${entry.error}`;
+                console.log(`   #${entry.seq} tick ${entry.tick} ${entry.actor} [${entry.role}] ${entry.command} ${entry.args.join(' ')} - ${outcome}`);
+            });
+        }
+        return result;
+    }
+
+    // The dashboard takes over the top of the screen and replaces the periodic statistics
+    toggleDashboard(mode) {
+        if (mode !== undefined && !['on', 'off'].includes(mode)) {
+            return this.usage('dashboard [on|off]');
+        }
+        const enable = mode === undefined ? !this.dashboard : mode === 'on';
+
+        if (!enable) {
+            if (!this.dashboard) return { success: true, dashboard: false };
+            this.dashboard.stop();
+            this.dashboard = null;
+            console.log('📊 Dashboard closed');
+            return { success: true, dashboard: false };
+        }
+
+        if (this.dashboard) return { success: true, dashboard: true };
+        const dashboard = new Dashboard(this.gameSystem);
+        const result = dashboard.start();
+        if (!result.success) return result;
+
+        this.dashboard = dashboard;
+        return { success: true, dashboard: true };
+    }
+
+    async runProfileCommand(action, file) {
+        switch (action) {
+            case undefined:
+                return this.showProfile();
+
+            case 'trace':
+                this.gameSystem.startProfileTrace();
+                console.log('⏺️  Recording a trace; write it with profile save <file>');
+                return { success: true, tracing: true };
+
+            case 'save': {
+                if (!file) return this.usage('profile save <file>');
+                const saved = await this.gameSystem.saveProfileTrace(file);
+                console.log(`💾 Trace saved to ${saved} (open it in chrome://tracing or ui.perfetto.dev)`);
+                return { success: true, file: saved };
+            }
+
+            case 'reset':
+                this.gameSystem.resetProfile();
+                return { success: true };
+
+            default:
+                return this.usage('profile [trace|save <file>|reset]');
+        }
+    }
+
+    showProfile() {
+        const profile = this.gameSystem.getProfile();
+        const row = (name, timing) => console.log(`   ${name.padEnd(10)} ${[timing.mean, timing.p50, timing.p95, timing.p99, timing.max]
+            .map(value => value.toFixed(3).padStart(8)).join(' ')}`);
+
+        console.log(`\n⏱️  TICK PROFILE (last ${profile.tick.count} ticks, budget ${profile.budgetMs}ms)`);
+        console.log(`   ${'ms'.padEnd(10)} ${['mean', 'p50', 'p95', 'p99', 'max'].map(label => label.padStart(8)).join(' ')}`);
+        row('tick', profile.tick);
+        Object.entries(profile.sections).forEach(([name, timing]) => row(name, timing));
+        if (profile.gc.count > 0) {
+            row('gc', profile.gc);
+        }
+
+        console.log(`   Overruns: ${profile.overruns}/${profile.ticks} (${(profile.overrunRate * 100).toFixed(1)}%)` +
+            (profile.worstOverrun ? `, worst ${profile.worstOverrun.duration}ms at tick ${profile.worstOverrun.tick}` : ''));
+        if (profile.adaptive) {
+            console.log(`   Adaptive AI: updating 1 in ${profile.aiStride} intervals`);
+        }
+        if (profile.tracing) {
+            console.log(`   Tracing: ${profile.traceEvents} events recorded`);
+        }
+        return { success: true, profile };
+    }
+
+    // Scripts run headless, so waiting is how they let combat rounds, AI and despawns happen
+    waitTicks(ticks) {
+        const count = Number(ticks);
+        if (!Number.isInteger(count) || count < 1) {
+            return this.usage('wait <ticks>');
+        }
+
+        const tick = this.gameSystem.step(count);
+        console.log(`⏳ Advanced ${count} ticks (now at tick ${tick})`);
+        return { success: true, tick };
     }
 }
 
+// --script <file>, --seed <seed>, --as <operator>, --json and --dashboard; throws on a flag missing its value
+export function parseArguments(argv) {
+    const options = { json: argv.includes('--json'), dashboard: argv.includes('--dashboard') };
+    const flags = { '--script': 'script', '--seed': 'seed', '--as': 'operator' };
+
+    Object.entries(flags).forEach(([flag, option]) => {
+        const index = argv.indexOf(flag);
+        if (index < 0) return;
+
+        const value = argv[index + 1];
+        if (value === undefined || value.startsWith('--')) {
+            throw new Error(`${flag} needs a value`);
+        }
+        options[option] = value;
+    });
+
+    return options;
+}
+
 // Main execution
-async function main() {
-    const gameRunner = new GameRunner();
+async function main(options = {}) {
+    // In --json mode stdout carries only command results; engine and runner output goes to stderr
+    if (options.json) {
+        console.log = console.error;
+    }
+
+    const gameRunner = new GameRunner(options);
 
     const initialized = await gameRunner.initialize();
-    if (initialized) {
-        await gameRunner.start();
-    } else {
+    if (!initialized) {
         console.error('Failed to initialize game runner');
         process.exit(1);
     }
+
+    if (options.script) {
+        await gameRunner.stop(await gameRunner.runScript(options.script));
+    } else {
+        await gameRunner.start();
+    }
 }
 
 // Handle uncaught exceptions
@@ -433,8 +1186,15 @@ if (import.meta.url === `file://${process.argv[1]}`) {
         // Run demo mode
         runDemo().catch(console.error);
     } else {
-        // Run interactive mode
-        main().catch(console.error);
+        // Run a script, or interactive mode
+        let options;
+        try {
+            options = parseArguments(args);
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(EXIT_CODES.usage);
+        }
+        main(options).catch(console.error);
     }
 } else if (process.argv.includes('--demo') || process.argv.includes('--test')) {
     // Alternative check for demo mode
@@ -0,0 +1,147 @@
+/**
+ * ShadowWatch AI - Game State Client
+ * Browser-side mirror of the server world: applies state deltas and predicts local movement
+ */
+
+class GameStateClient {
+    constructor(options = {}) {
+        this.playerId = options.playerId || null;
+        this.socket = null;
+
+        // Mirrored world, kind -> id -> entity
+        this.entities = new Map();
+        this.sequence = 0;
+        this.tick = 0;
+        this.time = null;
+
+        // Moves sent to the server but not yet acknowledged
+        this.pendingInputs = [];
+        this.nextInputSeq = 1;
+        this.predictedPosition = null;
+
+        // The open conversation, { npcId, npcName, nodeId, text, responses }, and the last shop seen
+        this.dialogue = null;
+        this.shop = null;
+    }
+
+    // #region Socket Binding
+
+    // Wire up a /game socket; sequence gaps trigger a resync instead of a corrupt mirror
+    bind(socket) {
+        this.socket = socket;
+
+        const onState = (delta) => {
+            if (!this.applyDelta(delta).applied) {
+                socket.emit('resync');
+            }
+        };
+        socket.on('state_snapshot', onState);
+        socket.on('state_delta', onState);
+
+        socket.on('dialogue', (view) => { this.dialogue = view; });
+        socket.on('dialogue_end', () => { this.dialogue = null; });
+        socket.on('shop', (shop) => { this.shop = shop; });
+
+        return this;
+    }
+
+    move(position) {
+        const input = this.predictMove(position);
+        this.socket?.emit('move', input);
+        return input;
+    }
+
+    talk(npcId) {
+        this.socket?.emit('talk', { npcId });
+    }
+
+    // responseId comes from this.dialogue.responses
+    chooseResponse(responseId) {
+        this.socket?.emit('dialogue_choice', { responseId });
+    }
+
+    endDialogue() {
+        this.socket?.emit('dialogue_end');
+    }
+
+    // #endregion
+
+    // #region Deltas
+
+    applyDelta(delta) {
+        if (delta.full) {
+            this.entities.clear();
+        } else if (delta.baseSequence !== this.sequence) {
+            return { applied: false, resync: true };
+        }
+
+        Object.entries(delta.entities || {}).forEach(([kind, updates]) => {
+            const table = this.getTable(kind);
+            updates.forEach(entity => table.set(entity.id, entity));
+        });
+        Object.entries(delta.removed || {}).forEach(([kind, ids]) => {
+            const table = this.getTable(kind);
+            ids.forEach(id => table.delete(id));
+        });
+
+        this.sequence = delta.sequence;
+        this.tick = delta.tick;
+        this.time = delta.time;
+        this.reconcile(delta.inputSeq);
+
+        return { applied: true, resync: false };
+    }
+
+    getTable(kind) {
+        if (!this.entities.has(kind)) {
+            this.entities.set(kind, new Map());
+        }
+        return this.entities.get(kind);
+    }
+
+    get(kind, id) {
+        return this.entities.get(kind)?.get(id) || null;
+    }
+
+    list(kind) {
+        return Array.from(this.entities.get(kind)?.values() || []);
+    }
+
+    // #endregion
+
+    // #region Prediction
+
+    // Apply a move locally right away; the returned input is the 'move' payload
+    predictMove(position) {
+        const input = { seq: this.nextInputSeq++, x: position.x, y: position.y };
+        this.pendingInputs.push(input);
+        this.predictedPosition = { x: input.x, y: input.y };
+        return input;
+    }
+
+    // Inputs up to inputSeq have been processed (accepted or rejected), so the authoritative
+    // position already reflects them. Moves are absolute, so replaying the rest means
+    // taking the newest pending target.
+    reconcile(inputSeq) {
+        if (inputSeq !== null && inputSeq !== undefined) {
+            this.pendingInputs = this.pendingInputs.filter(input => input.seq > inputSeq);
+        }
+
+        const latest = this.pendingInputs[this.pendingInputs.length - 1];
+        const authoritative = this.get('players', this.playerId)?.position || null;
+        this.predictedPosition = latest ? { x: latest.x, y: latest.y } : authoritative;
+    }
+
+    getPlayerPosition() {
+        return this.predictedPosition || this.get('players', this.playerId)?.position || null;
+    }
+
+    // #endregion
+}
+
+// Make globally available for easy integration
+if (typeof window !== 'undefined') {
+    window.GameStateClient = GameStateClient;
+}
+
+export default GameStateClient;
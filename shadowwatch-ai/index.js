@@ -7,13 +7,14 @@ import ShadowWatchAI from './core/shadowwatch.js';
 import ShadowWatchGameEngine from './core/game-engine.js';
 import AttackTrainer from './core/attack_trainer.js';
 import TutorialSystem from './core/tutorial_system.js';
+import GameNetwork from './core/game-network.js';
 
 // Version information
 const VERSION = '2.0.0';
 const NAME = 'ShadowWatch AI - Complete Game Engine';
 
 // Core exports
-export { ShadowWatchAI, ShadowWatchGameEngine, AttackTrainer, TutorialSystem };
+export { ShadowWatchAI, ShadowWatchGameEngine, AttackTrainer, TutorialSystem, GameNetwork };
 
 // Utility functions
 export const createShadowWatchInstance = (config = {}) => {
@@ -24,14 +25,18 @@ export const createGameEngine = (config = {}) => {
     return new ShadowWatchGameEngine(config);
 };
 
-export const createAttackTrainer = (shadowwatchInstance) => {
-    return new AttackTrainer(shadowwatchInstance);
+export const createAttackTrainer = (shadowwatchInstance, gameEngine = null) => {
+    return new AttackTrainer(shadowwatchInstance, gameEngine);
 };
 
 export const createTutorialSystem = (shadowwatchInstance) => {
     return new TutorialSystem(shadowwatchInstance);
 };
 
+export const createGameNetwork = (gameEngine, io, options = {}) => {
+    return new GameNetwork(gameEngine, io, options);
+};
+
 // Initialize complete game system
 export const initializeCompleteGameSystem = async (config = {}) => {
     console.log('🚀 Initializing ShadowWatch AI Complete Game System...');
@@ -47,9 +52,17 @@ export const initializeCompleteGameSystem = async (config = {}) => {
     });
 
     // Create training systems
-    const attackTrainer = new AttackTrainer(shadowwatch);
+    const attackTrainer = new AttackTrainer(shadowwatch, gameEngine);
     const tutorialSystem = new TutorialSystem(shadowwatch);
 
+    // Feed player progression into the AI monitor
+    gameEngine.eventBus.subscribe('entity.leveled_up', event => {
+        const player = gameEngine.getPlayer(event.payload.entityId);
+        if (player) {
+            shadowwatch.monitorStatsChange(player.id, event.type, player.stats);
+        }
+    });
+
     // Start autonomous development
     console.log('🤖 Starting Autonomous Game Development (9500 Hours)...');
 
@@ -64,10 +77,64 @@ export const initializeCompleteGameSystem = async (config = {}) => {
         // Unified API
         getGameState: () => gameEngine.getGameState(),
         getPlayer: (id) => gameEngine.getPlayer(id),
-        getAIStatus: () => shadowwatch.getAIStatus(),
+        getAIStatus: () => ({ ...shadowwatch.getAIStatus(), worldStatus: gameEngine.getWorldStatus() }),
         createPlayer: (data) => gameEngine.addPlayer(data),
+        movePlayer: (playerId, position) => gameEngine.movePlayer(playerId, position),
         startCombat: (attacker, defender) => gameEngine.startCombat(attacker, defender),
+        submitCombatAction: (combatId, playerId, action) => gameEngine.submitCombatAction(combatId, playerId, action),
         assignQuest: (player, quest) => gameEngine.assignQuest(player, quest),
+        getPriceQuote: (npcId, itemKey, side, quantity) => gameEngine.getPriceQuote(npcId, itemKey, side, quantity),
+        buyItem: (playerId, npcId, itemKey, quantity) => gameEngine.buyItem(playerId, npcId, itemKey, quantity),
+        sellItem: (playerId, npcId, itemId, quantity) => gameEngine.sellItem(playerId, npcId, itemId, quantity),
+        equipItem: (playerId, itemId) => gameEngine.equipItem(playerId, itemId),
+        unequipItem: (playerId, slot) => gameEngine.unequipItem(playerId, slot),
+        getEffectiveStats: (playerId) => gameEngine.getEffectiveStats(gameEngine.getPlayer(playerId)),
+        learnSkill: (playerId, skillId, npcId) => gameEngine.learnSkill(playerId, skillId, npcId),
+        getAvailableSkills: (playerId) => gameEngine.getAvailableSkills(playerId),
+        inspectNPC: (npcId) => gameEngine.inspectNPC(npcId),
+        pickUpItem: (playerId, itemId) => gameEngine.pickUpItem(playerId, itemId),
+        startDialogue: (playerId, npcId) => gameEngine.startDialogue(playerId, npcId),
+        chooseDialogueResponse: (playerId, responseId) => gameEngine.chooseDialogueResponse(playerId, responseId),
+        endDialogue: (playerId) => gameEngine.endDialogue(playerId),
+        createParty: (playerId) => gameEngine.createParty(playerId),
+        inviteToParty: (leaderId, targetId) => gameEngine.inviteToParty(leaderId, targetId),
+        acceptPartyInvite: (playerId, partyId) => gameEngine.acceptPartyInvite(playerId, partyId),
+        leaveParty: (playerId) => gameEngine.leaveParty(playerId),
+        kickFromParty: (leaderId, targetId) => gameEngine.kickFromParty(leaderId, targetId),
+        promotePartyLeader: (leaderId, targetId) => gameEngine.promotePartyLeader(leaderId, targetId),
+        setPartyRules: (leaderId, rules) => gameEngine.setPartyRules(leaderId, rules),
+        getPartyInfo: (playerId) => gameEngine.getPartyInfo(playerId),
+        createGuild: (playerId, name) => gameEngine.createGuild(playerId, name),
+        inviteToGuild: (actorId, targetId) => gameEngine.inviteToGuild(actorId, targetId),
+        acceptGuildInvite: (playerId, guildId) => gameEngine.acceptGuildInvite(playerId, guildId),
+        leaveGuild: (playerId) => gameEngine.leaveGuild(playerId),
+        kickFromGuild: (actorId, targetId) => gameEngine.kickFromGuild(actorId, targetId),
+        setGuildRank: (actorId, targetId, rank) => gameEngine.setGuildRank(actorId, targetId, rank),
+        depositToGuildBank: (playerId, contents) => gameEngine.depositToGuildBank(playerId, contents),
+        withdrawFromGuildBank: (playerId, contents) => gameEngine.withdrawFromGuildBank(playerId, contents),
+        getGuildInfo: (playerId) => gameEngine.getGuildInfo(playerId),
+        runAdminCommand: (actor, command, args) => gameEngine.runAdminCommand(actor, command, args),
+        getAdminRole: (name) => gameEngine.admin.getRole(name),
+        saveGame: (slot) => gameEngine.saveGame(slot),
+        loadGame: (slot) => gameEngine.loadGame(slot),
+        step: (ticks) => gameEngine.step(ticks),
+        loadPlugins: (directory) => gameEngine.loadPlugins(directory),
+        getPlugins: () => gameEngine.plugins.getStatus(),
+        listPluginCommands: () => gameEngine.plugins.listCommands(),
+        runPluginCommand: (name, args, context) => gameEngine.plugins.runCommand(name, args, context),
+        getContentPacks: () => gameEngine.contentLoader.getPacks(),
+        reloadContent: () => gameEngine.contentLoader.reload(),
+        getNearby: (position, radius, filter) => gameEngine.getNearby(position, radius, filter),
+        onZoneEvent: (type, handler) => gameEngine.spatial.on(type, handler),
+        onGameEvent: (pattern, handler) => gameEngine.eventBus.subscribe(pattern, handler),
+        getEventLog: (filter) => gameEngine.eventBus.log.getEvents(filter),
+        saveEventLog: (file) => gameEngine.saveEventLog(file),
+        closeEventLog: () => gameEngine.closeEventLog(),
+        replay: (events) => gameEngine.replay(events),
+        getProfile: () => gameEngine.profiler.getSummary(),
+        startProfileTrace: () => gameEngine.profiler.startTrace(),
+        saveProfileTrace: (file) => gameEngine.saveProfileTrace(file),
+        resetProfile: () => gameEngine.profiler.reset(),
 
         // Statistics
         getStatistics: () => {
@@ -110,9 +177,11 @@ export default {
     ShadowWatchAI,
     AttackTrainer,
     TutorialSystem,
+    GameNetwork,
     createShadowWatchInstance,
     createAttackTrainer,
     createTutorialSystem,
+    createGameNetwork,
     initializeCompleteSystem,
     healthCheck,
     version: VERSION,
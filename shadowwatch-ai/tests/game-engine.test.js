@@ -0,0 +1,2785 @@
+/**
+ * ShadowWatch Game Engine - Unit Tests
+ * Headless, seeded engine runs so every assertion is reproducible
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { Server as SocketServer } from 'socket.io';
+import { io as ioClient } from 'socket.io-client';
+import ShadowWatchGameEngine from '../core/game-engine.js';
+import AttackTrainer from '../core/attack_trainer.js';
+import GameNetwork from '../core/game-network.js';
+import GameStateClient from '../game-state-client.js';
+import { MemorySaveAdapter, FileSaveAdapter, migrateSnapshot, SAVE_SCHEMA_VERSION } from '../core/game-persistence.js';
+import { createSeededRandom, createIdGenerator } from '../core/seeded-random.js';
+import { parseCommandLine, parseScript, createAssertionContext, evaluateAssertion } from '../core/command-script.js';
+import Dashboard, { renderBar, renderSparkline, renderZoneMap } from '../core/dashboard.js';
+import { percentile, summarize } from '../core/tick-profiler.js';
+import { simulateZones } from '../core/zone-worker.js';
+
+const RUNNER = fileURLToPath(new URL('../game-runner.js', import.meta.url));
+
+const createEngine = (config = {}) => new ShadowWatchGameEngine({
+    seed: 'test-seed',
+    headless: true,
+    persistenceAdapter: new MemorySaveAdapter(),
+    ...config
+});
+
+describe('ShadowWatchGameEngine', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('Deterministic Simulation', () => {
+        test('should produce identical state for the same seed and inputs', () => {
+            const run = () => {
+                const engine = createEngine();
+                const player = engine.createPlayer({ username: 'Seeded' });
+                engine.startCombat(player.id, engine.npcs.keys().next().value);
+                engine.step(600);
+                return JSON.stringify(engine.getGameState());
+            };
+
+            expect(run()).toBe(run());
+        });
+
+        test('should diverge for different seeds', () => {
+            const first = JSON.stringify(createEngine({ seed: 1 }).getGameState());
+            const second = JSON.stringify(createEngine({ seed: 2 }).getGameState());
+
+            expect(first).not.toBe(second);
+        });
+
+        test('should advance ticks, simulated time and AI updates through step()', () => {
+            const engine = createEngine();
+            const updateAI = jest.spyOn(engine, 'updateAI');
+            const startTime = engine.now().getTime();
+
+            expect(engine.step(60)).toBe(60);
+            expect(engine.now().getTime() - startTime).toBe(1000);
+            expect(updateAI).toHaveBeenCalledTimes(10);
+        });
+
+        test('should generate well-formed reproducible IDs', () => {
+            const ids = createIdGenerator(createSeededRandom('ids'));
+            const again = createIdGenerator(createSeededRandom('ids'));
+
+            const id = ids();
+            expect(id).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+            expect(again()).toBe(id);
+        });
+
+        test('should not reuse IDs after loading a seeded save', async () => {
+            const adapter = new MemorySaveAdapter();
+            const engine = createEngine({ persistenceAdapter: adapter });
+            engine.createPlayer({ username: 'First' });
+            await engine.saveGame('slot1');
+
+            const restored = createEngine({ persistenceAdapter: adapter });
+            await restored.loadGame('slot1');
+            const player = restored.createPlayer({ username: 'Second' });
+
+            expect(engine.getPlayer(player.id)).toBeFalsy();
+            expect(restored.players.size).toBe(engine.players.size + 1);
+        });
+    });
+
+    describe('Quest Tracking', () => {
+        let engine;
+        let player;
+
+        beforeEach(() => {
+            engine = createEngine();
+            player = engine.createPlayer({ username: 'Quester' });
+        });
+
+        test('should complete a quest once every objective is met', () => {
+            const trainer = engine.getNPC(engine.getZone('spawn').npcs[0]);
+            trainer.npcType = 'trainer';
+            const startingGold = player.stats.gold;
+
+            expect(engine.assignQuest(player.id, 'welcome_quest')).toBe(true);
+
+            engine.talkToNPC(player.id, trainer.id);
+            engine.movePlayer(player.id, { x: 1500, y: 500, z: 0 });
+            expect(engine.questSystem.checkCompletion(player, engine.getQuest('welcome_quest'))).toBe(false);
+
+            engine.giveItem(player.id, 'health_potion');
+
+            expect(player.quests).not.toContain('welcome_quest');
+            expect(player.completedQuests).toContain('welcome_quest');
+            expect(player.stats.gold).toBe(startingGold + 50);
+            expect(player.inventory).toContain('training_sword');
+        });
+
+        test('should count repeated events towards objective totals', () => {
+            player.stats.level = 5;
+            player.completedQuests.push('welcome_quest');
+            engine.assignQuest(player.id, 'arena_challenge');
+
+            engine.questSystem.recordEvent(player, { type: 'win_combat', zoneId: 'arena', opponentType: 'gladiator' });
+            engine.questSystem.recordEvent(player, { type: 'win_combat', zoneId: 'forest', opponentType: 'ranger' });
+
+            const [arenaWins, , combatBasics] = player.questProgress.arena_challenge.objectives;
+            expect(arenaWins.current).toBe(1);
+            expect(combatBasics.current).toBe(2);
+        });
+
+        test('should gate quests on level and prerequisites', () => {
+            const quest = engine.getQuest('arena_challenge');
+
+            expect(engine.questSystem.canAcceptQuest(player, quest).reason).toBe('Requires level 5');
+
+            player.stats.level = 5;
+            expect(engine.questSystem.canAcceptQuest(player, quest).reason).toContain('welcome_quest');
+            expect(engine.assignQuest(player.id, 'arena_challenge')).toBe(false);
+
+            player.completedQuests.push('welcome_quest');
+            expect(engine.assignQuest(player.id, 'arena_challenge')).toBe(true);
+        });
+    });
+
+    describe('Combat', () => {
+        let engine;
+        let hero;
+        let rival;
+        let combatId;
+
+        beforeEach(() => {
+            engine = createEngine();
+            hero = engine.createPlayer({ username: 'Hero' });
+            rival = engine.createPlayer({ username: 'Rival' });
+            combatId = engine.startCombat(hero.id, rival.id);
+        });
+
+        test('should order turns by agility', () => {
+            rival.stats.agility = 20;
+
+            engine.submitCombatAction(combatId, hero.id, 'attack');
+            engine.submitCombatAction(combatId, rival.id, 'attack');
+            engine.step(1);
+
+            const log = engine.combatSystem.activeCombats.get(combatId).log;
+            expect(log.map(entry => entry.actorId)).toEqual([rival.id, hero.id]);
+        });
+
+        test('should wait for queued player actions until the round timer expires', () => {
+            engine.submitCombatAction(combatId, hero.id, 'defend');
+            engine.step(1);
+            expect(engine.combatSystem.activeCombats.get(combatId).round).toBe(0);
+
+            engine.step(engine.config.combatRoundTicks);
+            expect(engine.combatSystem.activeCombats.get(combatId).round).toBe(1);
+        });
+
+        test('should halve damage against a defending combatant', () => {
+            hero.stats.agility = 20;
+
+            engine.submitCombatAction(combatId, hero.id, 'defend');
+            engine.submitCombatAction(combatId, rival.id, 'attack');
+            engine.step(1);
+
+            // 10 strength * 2 = 20 base damage
+            expect(hero.stats.health).toBe(90);
+            expect(engine.hasStatusEffect(hero, 'defending')).toBe(true);
+        });
+
+        test('should heal with a consumable and use it up', () => {
+            engine.giveItem(hero.id, 'health_potion');
+            hero.stats.health = 40;
+
+            engine.submitCombatAction(combatId, hero.id, { type: 'use_item', itemId: 'health_potion' });
+            engine.submitCombatAction(combatId, rival.id, 'defend');
+            engine.step(1);
+
+            expect(hero.stats.health).toBe(90);
+            expect(hero.inventory).not.toContain('health_potion');
+        });
+
+        test('should end the combat when a combatant flees', () => {
+            hero.stats.agility = 100;
+
+            engine.submitCombatAction(combatId, hero.id, 'flee');
+            engine.submitCombatAction(combatId, rival.id, 'defend');
+            engine.step(1);
+
+            expect(engine.combatSystem.activeCombats.has(combatId)).toBe(false);
+            expect(engine.hasStatusEffect(rival, 'defending')).toBe(false);
+        });
+
+        test('should remove finished combats', () => {
+            rival.stats.health = 1;
+
+            engine.submitCombatAction(combatId, hero.id, 'attack');
+            engine.submitCombatAction(combatId, rival.id, 'defend');
+            engine.step(1);
+
+            expect(rival.stats.health).toBe(0);
+            expect(engine.combatSystem.activeCombats.size).toBe(0);
+        });
+
+        test('should reject invalid actions', () => {
+            const outsider = engine.createPlayer({ username: 'Outsider' });
+
+            expect(engine.submitCombatAction(combatId, hero.id, 'dance').error).toContain('Unknown combat action');
+            expect(engine.submitCombatAction(combatId, outsider.id, 'attack').success).toBe(false);
+            expect(engine.submitCombatAction('missing', hero.id, 'attack').error).toBe('Combat not found');
+        });
+    });
+
+    describe('Equipment', () => {
+        let engine;
+        let player;
+
+        beforeEach(() => {
+            engine = createEngine();
+            player = engine.createPlayer({ username: 'Knight' });
+            ['training_sword', 'leather_armor', 'swift_charm', 'health_potion'].forEach(itemId => engine.giveItem(player.id, itemId));
+        });
+
+        test('should derive combat stats from equipped gear', () => {
+            const target = engine.createPlayer({ username: 'Dummy' });
+            const unarmed = engine.combatSystem.calculateDamage(player, target);
+
+            expect(engine.equipItem(player.id, 'training_sword')).toMatchObject({ success: true, slot: 'weapon' });
+            expect(engine.equipItem(target.id, 'leather_armor').success).toBe(false);
+
+            expect(player.inventory).not.toContain('training_sword');
+            expect(engine.getEffectiveStats(player).attack).toBe(player.stats.strength * 2 + 8);
+            expect(engine.combatSystem.calculateDamage(player, target)).toBe(unarmed + 8);
+        });
+
+        test('should swap the previous item back into the inventory', () => {
+            engine.items.set('rusty_sword', { id: 'rusty_sword', type: 'weapon', name: 'Rusty Sword', damage: 3, rarity: 'common' });
+            engine.giveItem(player.id, 'rusty_sword');
+
+            engine.equipItem(player.id, 'training_sword');
+            const result = engine.equipItem(player.id, 'rusty_sword');
+
+            expect(result.replaced).toBe('training_sword');
+            expect(player.equipment.weapon).toBe('rusty_sword');
+            expect(player.inventory).toContain('training_sword');
+        });
+
+        test('should enforce slot and level requirements', () => {
+            expect(engine.equipItem(player.id, 'health_potion').error).toContain('cannot be equipped');
+            expect(engine.equipItem(player.id, 'swift_charm').error).toBe('Requires level 3');
+            expect(engine.equipItem(player.id, 'mana_potion').error).toBe('Item not in inventory');
+
+            player.stats.level = 3;
+            expect(engine.equipItem(player.id, 'swift_charm').slot).toBe('accessory');
+            expect(engine.getEffectiveStats(player).agility).toBe(player.stats.agility + 4);
+        });
+
+        test('should clamp health when a bonus is removed', () => {
+            player.stats.level = 3;
+            engine.equipItem(player.id, 'swift_charm');
+            player.stats.health = engine.getEffectiveStats(player).maxHealth;
+
+            expect(engine.unequipItem(player.id, 'accessory')).toMatchObject({ success: true, itemId: 'swift_charm' });
+            expect(player.stats.health).toBe(player.stats.maxHealth);
+            expect(engine.unequipItem(player.id, 'accessory').error).toContain('Nothing equipped');
+        });
+
+        test('should share effective stats with the attack trainer', async () => {
+            jest.useFakeTimers();
+            const trainer = new AttackTrainer({ log: () => {}, connectedUsers: new Map() }, engine);
+            jest.useRealTimers();
+
+            engine.equipItem(player.id, 'leather_armor');
+            const stats = await trainer.getPlayerCombatStats(player.id);
+
+            expect(stats).toMatchObject({ defense: 12, maxHealth: player.stats.maxHealth, level: 1 });
+            expect(stats.attack).toBe(engine.getEffectiveStats(player).attack);
+        });
+    });
+
+    describe('Skills', () => {
+        let engine;
+        let player;
+        let trainer;
+
+        beforeEach(() => {
+            engine = createEngine();
+            player = engine.createPlayer({ username: 'Student' });
+            trainer = engine.registerNPC({
+                ...engine.createNPC(engine.getZone('spawn')),
+                npcType: 'trainer',
+                behavior: 'teaching'
+            });
+        });
+
+        const levelUp = (levels) => {
+            for (let i = 0; i < levels; i++) {
+                player.stats.experience = player.stats.level * 100;
+                engine.checkLevelUp(player);
+            }
+        };
+
+        test('should grant skill points on level up', () => {
+            levelUp(2);
+
+            expect(player.stats.level).toBe(3);
+            expect(player.stats.skillPoints).toBe(2);
+        });
+
+        test('should enforce level, prerequisite and cost requirements', () => {
+            expect(engine.learnSkill(player.id, 'power_strike').error).toBe('Requires level 2');
+
+            levelUp(1);
+            expect(engine.learnSkill(player.id, 'shield_wall').error).toBe('Requires level 3');
+            expect(engine.learnSkill(player.id, 'power_strike', trainer.id)).toMatchObject({ success: true });
+            expect(player.skills).toEqual(['power_strike']);
+            expect(player.stats.skillPoints).toBe(0);
+
+            levelUp(3);
+            expect(engine.learnSkill(player.id, 'stunning_blow').error).toContain('shield_wall');
+            expect(engine.learnSkill(player.id, 'power_strike').error).toBe('Skill already learned');
+        });
+
+        test('should only learn from trainers in the same zone', () => {
+            levelUp(1);
+            engine.movePlayer(player.id, { x: 3500, y: 200, z: 0 });
+
+            expect(engine.learnSkill(player.id, 'fireball', trainer.id).error).toContain('not in your zone');
+        });
+
+        test('should use learned abilities in combat with cooldowns', () => {
+            levelUp(1);
+            engine.learnSkill(player.id, 'power_strike');
+            const rival = engine.createPlayer({ username: 'Sparring' });
+            const combatId = engine.startCombat(player.id, rival.id);
+
+            expect(engine.submitCombatAction(combatId, rival.id, { type: 'ability', abilityId: 'power_strike' }).error).toContain('not been learned');
+
+            player.stats.agility = 20;
+            engine.submitCombatAction(combatId, player.id, { type: 'ability', abilityId: 'power_strike' });
+            engine.submitCombatAction(combatId, rival.id, 'defend');
+            engine.step(1);
+
+            // 20 attack * 1.8, landing before the rival raises its guard
+            expect(rival.stats.health).toBe(100 - 36);
+            expect(engine.submitCombatAction(combatId, player.id, { type: 'ability', abilityId: 'power_strike' }).error).toContain('on cooldown for 2');
+        });
+
+        test('should share the ability registry with the attack trainer', async () => {
+            jest.useFakeTimers();
+            const attackTrainer = new AttackTrainer({ log: () => {}, connectedUsers: new Map() }, engine);
+            jest.useRealTimers();
+
+            levelUp(1);
+            engine.learnSkill(player.id, 'fireball');
+
+            const combatants = await attackTrainer.initializeCombatants(player.id, 'guest', {});
+            expect(combatants[player.id].abilities).toEqual(['fireball']);
+            expect(combatants.guest.abilities).toEqual(['fireball', 'heal']);
+            expect(attackTrainer.getAbilityData('fireball')).toMatchObject({ name: 'Fireball', cooldown: 5, statusEffect: 'burning' });
+        });
+    });
+
+    describe('Economy', () => {
+        let engine;
+        let player;
+        let merchant;
+
+        beforeEach(() => {
+            engine = createEngine();
+            player = engine.createPlayer({ username: 'Trader' });
+            merchant = engine.registerNPC({
+                ...engine.createNPC(engine.getZone('spawn')),
+                npcType: 'merchant',
+                behavior: 'trading',
+                inventory: engine.generateNPCInventory('merchant')
+            });
+        });
+
+        test('should sell merchant stock at the quoted price', () => {
+            const quote = engine.getPriceQuote(merchant.id, 'rope', 'buy', 2);
+            const result = engine.buyItem(player.id, merchant.id, 'rope', 2);
+
+            expect(result.success).toBe(true);
+            expect(player.stats.gold).toBe(100 - quote.total);
+            expect(player.inventory.filter(id => id === 'rope')).toHaveLength(2);
+            expect(merchant.shop.stock.rope).toBe(3);
+            expect(engine.economy.getTransactions({ playerId: player.id })).toEqual([result.transaction]);
+        });
+
+        test('should buy items back below the selling price', () => {
+            engine.giveItem(player.id, 'health_potion');
+
+            const result = engine.sellItem(player.id, merchant.id, 'health_potion');
+
+            expect(result.transaction.unitPrice).toBeLessThan(engine.getPriceQuote(merchant.id, 'health_potion').unitPrice);
+            expect(player.stats.gold).toBe(100 + result.transaction.total);
+            expect(player.inventory).not.toContain('health_potion');
+        });
+
+        test('should stock sold copies under their template and sell new copies of it', () => {
+            const template = engine.content.itemTemplates.find(entry => entry.rarity === 'common');
+            const copy = engine.createItem(template, null);
+            engine.items.set(copy.id, copy);
+            engine.giveItem(player.id, copy.id);
+
+            expect(engine.sellItem(player.id, merchant.id, copy.id).transaction.itemKey).toBe(template.name);
+            expect(merchant.shop.stock[template.name]).toBe(1);
+            expect(merchant.shop.stock[copy.id]).toBeUndefined();
+            expect(engine.items.has(copy.id)).toBe(false);
+
+            player.stats.gold = 1000;
+            expect(engine.buyItem(player.id, merchant.id, template.name).success).toBe(true);
+            const bought = engine.items.get(player.inventory[player.inventory.length - 1]);
+            expect(bought).toMatchObject({ name: template.name, template: template.name, owner: player.id });
+            expect(bought.id).not.toBe(copy.id);
+            expect(merchant.shop.stock[template.name]).toBe(0);
+        });
+
+        test('should restock by elapsed ticks however often the merchant thinks', () => {
+            player.stats.gold = 1000;
+            engine.buyItem(player.id, merchant.id, 'rope', 5);
+
+            engine.tickCount = 599;
+            for (let i = 0; i < 50; i++) {
+                engine.economy.restock(merchant);
+            }
+            expect(merchant.shop.stock.rope).toBe(0);
+
+            engine.tickCount = 600;
+            engine.economy.restock(merchant);
+            engine.economy.restock(merchant);
+            expect(merchant.shop.stock.rope).toBe(1);
+        });
+
+        test('should refuse trades that cannot be settled', () => {
+            player.stats.gold = 0;
+            expect(engine.buyItem(player.id, merchant.id, 'torch').error).toContain('Not enough gold');
+            expect(engine.sellItem(player.id, merchant.id, 'torch').error).toBe('Item not in inventory');
+
+            engine.movePlayer(player.id, { x: 3500, y: 200, z: 0 });
+            expect(engine.buyItem(player.id, merchant.id, 'torch').error).toContain('not in your zone');
+        });
+
+        test('should drift prices with supply and demand', () => {
+            player.stats.gold = 1000;
+            const startPrice = engine.getPriceQuote(merchant.id, 'rope').unitPrice;
+            const startPotion = engine.economy.getMarketEntry('spawn', 'health_potion').multiplier;
+
+            engine.buyItem(player.id, merchant.id, 'rope', 5);
+            engine.economy.applyZoneEvent({ type: 'treasure_discovery', zoneId: 'spawn' });
+            engine.economy.applyZoneEvent({ type: 'npc_visit', zoneId: 'spawn' });
+            engine.step(100);
+
+            expect(engine.getPriceQuote(merchant.id, 'rope').unitPrice).toBeGreaterThan(startPrice);
+            // Potions aren't treasure, so only the visit's demand applies
+            expect(engine.economy.getMarketEntry('spawn', 'health_potion').multiplier).toBeGreaterThan(startPotion);
+        });
+
+        test('should lower prices for goods flooded by treasure', () => {
+            const weaponsmith = engine.registerNPC({
+                ...engine.createNPC(engine.getZone('spawn')),
+                npcType: 'weaponsmith',
+                behavior: 'trading',
+                inventory: engine.generateNPCInventory('weaponsmith')
+            });
+            const startPrice = engine.getPriceQuote(weaponsmith.id, 'sword').unitPrice;
+
+            engine.createZoneEvent(engine.getZone('spawn'), 'treasure_discovery');
+            engine.step(100);
+
+            expect(engine.getPriceQuote(weaponsmith.id, 'sword').unitPrice).toBeLessThan(startPrice);
+        });
+
+        test('should persist market prices and transactions', async () => {
+            const adapter = new MemorySaveAdapter();
+            engine.persistence.adapter = adapter;
+            engine.buyItem(player.id, merchant.id, 'torch');
+            engine.economy.getMarketEntry('spawn', 'torch').multiplier = 1.5;
+            await engine.saveGame('market');
+
+            const restored = createEngine({ persistenceAdapter: adapter });
+            await restored.loadGame('market');
+
+            expect(restored.economy.getMarketEntry('spawn', 'torch').multiplier).toBe(1.5);
+            expect(restored.economy.transactions).toHaveLength(1);
+            expect(restored.getNPC(merchant.id).shop.stock.torch).toBe(4);
+        });
+    });
+
+    describe('Content Generation', () => {
+        let engine;
+
+        beforeEach(() => {
+            engine = createEngine();
+        });
+
+        const overlaps = (a, b) => a.x < b.x + b.width && b.x < a.x + a.width &&
+            a.y < b.y + b.height && b.y < a.y + a.height;
+
+        test('should register non-overlapping zones with a level band', () => {
+            const zone = engine.generateNewZone();
+
+            expect(engine.getZone(zone.id)).toBe(zone);
+            expect(engine.gameWorld.zones.get(zone.id)).toBe(zone);
+            expect(zone.level).toBe(zone.levelRange.min);
+            expect(zone.levelRange.max).toBeGreaterThanOrEqual(zone.levelRange.min);
+            expect(zone.npcs.length).toBeGreaterThan(0);
+            expect(engine.spatial.getZoneAt({ x: zone.bounds.x + 1, y: zone.bounds.y + 1 })).toBe(zone);
+
+            Array.from(engine.zones.values())
+                .filter(other => other !== zone)
+                .forEach(other => expect(overlaps(zone.bounds, other.bounds)).toBe(false));
+        });
+
+        test('should stop generating zones at the configured limit', () => {
+            engine = createEngine({ contentLimits: { maxZones: 10 } });
+
+            for (let i = 0; i < 10; i++) {
+                engine.generateNewZone();
+            }
+
+            expect(engine.zones.size).toBe(10);
+        });
+
+        test('should weight item rarity and scale stats', () => {
+            engine = createEngine({ contentLimits: { maxGeneratedItems: 500 } });
+            const counts = {};
+
+            for (let i = 0; i < 500; i++) {
+                const item = engine.generateNewItem();
+                counts[item.rarity] = (counts[item.rarity] || 0) + 1;
+                expect(engine.getItem(item.id)).toBe(item);
+            }
+
+            expect(counts.common).toBeGreaterThan(counts.uncommon);
+            expect(counts.uncommon).toBeGreaterThan(counts.rare);
+            expect(counts.rare).toBeGreaterThan(counts.legendary || 0);
+        });
+
+        test('should template quests from zone contents', () => {
+            const zone = engine.getZone('city');
+            const npcTypes = zone.npcs.map(id => engine.getNPC(id).npcType);
+            const itemTypes = Array.from(zone.entities.values()).map(item => item.type);
+
+            const quest = engine.contentGenerator.generateQuest(zone);
+
+            expect(engine.getQuest(quest.id)).toBe(quest);
+            expect(quest.objectives[0]).toMatchObject({ type: 'visit_zone', target: 'city' });
+            const task = quest.objectives[1];
+            expect(task.type === 'collect_item' ? itemTypes : npcTypes).toContain(task.target);
+        });
+
+        test('should throttle autonomous generation', () => {
+            const generators = ['generateNewZone', 'generateNewNPC', 'generateNewItem', 'generateNewQuest']
+                .map(name => jest.spyOn(engine, name));
+            const calls = () => generators.reduce((sum, spy) => sum + spy.mock.calls.length, 0);
+
+            engine.step(600);
+            expect(calls()).toBe(0);
+
+            engine.step(3000);
+            expect(calls()).toBe(1);
+        });
+    });
+
+    describe('NPC Behavior', () => {
+        const zoneOfType = (engine, type) => Array.from(engine.zones.values()).find(zone => zone.type === type);
+
+        // Take an NPC out of its generated spot and give it a known role and position
+        const placeNPC = (engine, overrides, position) => {
+            const npc = engine.npcs.values().next().value;
+            Object.assign(npc, overrides);
+            npc.position = { ...position, z: 0 };
+            engine.spatial.update(npc);
+            npc.zoneId = engine.spatial.getEntityZoneId(npc.id);
+            return npc;
+        };
+
+        test('should walk a patrol route inside its zone', () => {
+            const engine = createEngine();
+            const zone = zoneOfType(engine, 'combat');
+            const npc = placeNPC(engine, { behavior: 'patrolling' }, { x: 2000, y: 1000 });
+
+            for (let i = 0; i < 40; i++) {
+                engine.npcBehavior.think(npc);
+            }
+
+            expect(npc.brain.lastAction).toBe('patrol');
+            expect(npc.brain.waypoints).toHaveLength(4);
+            expect(npc.brain.waypointIndex).toBeGreaterThan(0);
+            expect(npc.position.x).toBeGreaterThanOrEqual(zone.bounds.x);
+            expect(npc.position.x).toBeLessThanOrEqual(zone.bounds.x + zone.bounds.width);
+        });
+
+        test('should flee from nearby players when badly hurt', () => {
+            const engine = createEngine();
+            const npc = placeNPC(engine, { behavior: 'trading' }, { x: 2000, y: 1000 });
+            const player = engine.createPlayer({ username: 'Bully' });
+            engine.movePlayer(player.id, { x: 1950, y: 1000, z: 0 });
+            npc.stats.health = npc.stats.maxHealth * 0.2;
+
+            engine.npcBehavior.think(npc);
+
+            expect(npc.brain.lastAction).toBe('flee');
+            expect(npc.position.x).toBeGreaterThan(2000);
+        });
+
+        test('should seek out a healer when injured and safe', () => {
+            const engine = createEngine();
+            const [npc, healer] = Array.from(engine.npcs.values());
+            Object.assign(healer, { npcType: 'healer', behavior: 'healing', position: { x: 2300, y: 1000, z: 0 } });
+            engine.spatial.update(healer);
+            Object.assign(npc, { behavior: 'idle', position: { x: 2000, y: 1000, z: 0 } });
+            engine.spatial.update(npc);
+            npc.stats.health = npc.stats.maxHealth * 0.4;
+
+            engine.npcBehavior.think(npc);
+            expect(npc.brain.lastAction).toBe('seekHealer');
+            expect(npc.position.x).toBeGreaterThan(2000);
+
+            for (let i = 0; i < 20; i++) {
+                engine.npcBehavior.think(npc);
+            }
+            expect(npc.stats.health).toBe(npc.stats.maxHealth);
+        });
+
+        test('should aggro players outside safe zones only', () => {
+            const engine = createEngine();
+            const fighter = placeNPC(engine, { behavior: 'fighting' }, { x: 520, y: 500 });
+            const player = engine.createPlayer({ username: 'Target' });
+
+            engine.npcBehavior.think(fighter);
+            expect(engine.getCombatForEntity(player.id)).toBeNull();
+
+            placeNPC(engine, {}, { x: 2000, y: 1000 });
+            engine.movePlayer(player.id, { x: 2050, y: 1000, z: 0 });
+            engine.npcBehavior.think(fighter);
+
+            expect(fighter.brain.lastAction).toBe('aggro');
+            expect(engine.getCombatForEntity(player.id).participants).toContain(fighter);
+        });
+
+        test('should rest at night and explain decisions through inspect', () => {
+            const engine = createEngine();
+            const npc = placeNPC(engine, { behavior: 'idle' }, { x: 2000, y: 1000 });
+            engine.gameWorld.time.hour = 23;
+
+            engine.npcBehavior.think(npc);
+            const state = engine.inspectNPC(npc.id);
+
+            expect(state.lastAction).toBe('rest');
+            expect(state.perception.isNight).toBe(true);
+            expect(state.trace[0]).toEqual({ path: 'idle', status: 'success' });
+            expect(state.trace.map(entry => entry.path)).toContain('idle/rest_at_night/isNight');
+            expect(engine.inspectNPC('missing')).toBeNull();
+        });
+    });
+
+    describe('Environment', () => {
+        test('should announce the hour and nightfall', () => {
+            const engine = createEngine();
+            const events = [];
+            engine.environment.on('time_change', event => events.push(event));
+            Object.assign(engine.gameWorld.time, { hour: 20, minute: 59 });
+
+            engine.step(1);
+
+            expect(events).toEqual([{ day: 1, hour: 21, period: 'night', season: 'spring', periodChanged: true }]);
+            expect(engine.environment.isNight()).toBe(true);
+        });
+
+        test('should publish hour changes and clock jumps on the event bus', () => {
+            const engine = createEngine();
+            const published = [];
+            engine.eventBus.subscribe('time.changed', event => published.push(event.payload));
+            Object.assign(engine.gameWorld.time, { hour: 5, minute: 59 });
+
+            engine.step(1);
+            engine.environment.setTime(3);
+
+            expect(published).toEqual([
+                { day: 1, hour: 6, period: 'day', periodChanged: true },
+                { day: 1, hour: 3, period: 'night', periodChanged: true }
+            ]);
+            expect(engine.eventBus.log.getEvents({ types: ['time.changed'] })).toHaveLength(2);
+        });
+
+        test('should move weather along the zone climate and season', () => {
+            const engine = createEngine();
+            const safe = engine.getZone('spawn');
+            const dungeon = Array.from(engine.zones.values()).find(zone => zone.type === 'dungeon');
+            const changes = [];
+            engine.environment.on('weather_change', event => changes.push(event));
+
+            engine.step(60 * 24 * 3);
+
+            expect(changes.length).toBeGreaterThan(0);
+            expect(changes.filter(change => change.zoneId === dungeon.id).every(change => ['clear', 'fog'].includes(change.weather))).toBe(true);
+
+            engine.environment.setWeather(safe, 'rain');
+            engine.gameWorld.time.day = 22;
+            expect(engine.environment.getSeason()).toBe('winter');
+            expect(Object.keys(engine.environment.getTransitions(safe))).toEqual(['cloudy', 'snow', 'storm']);
+        });
+
+        test('should scale visibility, movement and accuracy with weather and darkness', () => {
+            const engine = createEngine();
+            const zone = engine.getZone('spawn');
+            engine.environment.setWeather(zone, 'storm');
+
+            expect(engine.environment.getModifiers(zone.id)).toEqual({ visibility: 0.4, movement: 0.75, accuracy: 0.75, weather: 'storm' });
+
+            engine.gameWorld.time.hour = 2;
+            expect(engine.environment.getModifiers(zone.id).visibility).toBeCloseTo(0.24);
+        });
+
+        test('should make attacks miss in bad weather', () => {
+            const engine = createEngine();
+            const hero = engine.createPlayer({ username: 'Hero' });
+            const rival = engine.createPlayer({ username: 'Rival' });
+            const combatId = engine.startCombat(hero.id, rival.id);
+            engine.environment.setWeather(engine.getZone(hero.zoneId), 'fog');
+            jest.spyOn(engine, 'random').mockReturnValue(0.99);
+
+            engine.submitCombatAction(combatId, hero.id, { type: 'attack', targetId: rival.id });
+            engine.submitCombatAction(combatId, rival.id, 'defend');
+            engine.step(1);
+
+            const log = engine.combatSystem.activeCombats.get(combatId).log;
+            expect(log.find(entry => entry.actorId === hero.id)).toMatchObject({ action: 'attack', missed: true, weather: 'fog' });
+            expect(rival.stats.health).toBe(100);
+        });
+
+        test('should change zone weather on weather events', () => {
+            const engine = createEngine();
+            const zone = engine.getZone('spawn');
+
+            engine.createZoneEvent(zone, 'weather_change');
+
+            expect(zone.weather.type).not.toBe('clear');
+        });
+
+        test('should close merchant shops at night', () => {
+            const engine = createEngine();
+            const player = engine.createPlayer({ username: 'Shopper' });
+            const merchant = engine.registerNPC({
+                ...engine.createNPC(engine.getZone('spawn')),
+                npcType: 'merchant',
+                behavior: 'trading',
+                inventory: engine.generateNPCInventory('merchant')
+            });
+
+            engine.gameWorld.time.hour = 23;
+            engine.npcBehavior.think(merchant);
+            expect(engine.buyItem(player.id, merchant.id, 'rope', 1).error).toBe(`${merchant.name}'s shop is closed`);
+
+            engine.gameWorld.time.hour = 8;
+            engine.npcBehavior.think(merchant);
+            expect(engine.buyItem(player.id, merchant.id, 'rope', 1).success).toBe(true);
+        });
+    });
+
+    describe('Physics', () => {
+        const distanceBetween = (a, b) => Math.hypot(a.position.x - b.position.x, a.position.y - b.position.y);
+
+        test('should register bodies for players, NPCs and world items', () => {
+            const engine = createEngine();
+            const player = engine.createPlayer({ username: 'Body' });
+            const npc = engine.npcs.values().next().value;
+            const item = engine.getZone('spawn').entities.values().next().value;
+
+            expect(engine.physics.getBody(player.id)).toMatchObject({ kind: 'player', shape: 'sphere' });
+            expect(engine.physics.getBody(npc.id)).toMatchObject({ kind: 'npc', confineToZone: true });
+            expect(engine.physics.getBody(item.id)).toMatchObject({ kind: 'item', shape: 'aabb', sensor: true });
+
+            engine.removePlayer(player.id);
+            expect(engine.physics.getBody(player.id)).toBeNull();
+        });
+
+        test('should push overlapping players apart', () => {
+            const engine = createEngine();
+            const first = engine.createPlayer({ username: 'First' });
+            const second = engine.createPlayer({ username: 'Second' });
+            expect(distanceBetween(first, second)).toBe(0);
+
+            engine.step(1);
+
+            expect(distanceBetween(first, second)).toBeGreaterThanOrEqual(31.9);
+            expect(engine.spatial.queryRadius(first.position, 1, { kind: 'player' })).toContain(first);
+        });
+
+        test('should report item overlaps without pushing', () => {
+            const engine = createEngine();
+            const player = engine.createPlayer({ username: 'Looter' });
+            const item = engine.getZone('spawn').entities.values().next().value;
+            const itemPosition = { ...item.position };
+            const collisions = [];
+            engine.physics.on('collision', event => collisions.push(event));
+
+            engine.movePlayer(player.id, { x: item.position.x + 5, y: item.position.y, z: 0 });
+            engine.step(1);
+
+            expect(collisions).toContainEqual(expect.objectContaining({ sensor: true, kinds: expect.arrayContaining(['player', 'item']) }));
+            expect(item.position).toEqual(itemPosition);
+            expect(player.position.x).toBe(itemPosition.x + 5);
+        });
+
+        test('should keep bodies inside the world and NPCs inside their zone', () => {
+            const engine = createEngine();
+            const player = engine.createPlayer({ username: 'Edge' });
+            const npc = Array.from(engine.npcs.values()).find(candidate => candidate.zoneId === 'spawn');
+
+            engine.movePlayer(player.id, { x: 5, y: 500, z: 0 });
+            npc.position = { x: 990, y: 200, z: 0 };
+            engine.physics.applyImpulse(player.id, { x: -80000, y: 0 });
+            engine.physics.applyImpulse(npc.id, { x: 100000, y: 0 });
+            engine.step(30);
+
+            expect(player.position.x).toBe(0);
+            expect(npc.position.x).toBeLessThan(1000);
+            expect(npc.zoneId).toBe('spawn');
+        });
+
+        test('should knock targets back on combat hits', () => {
+            const engine = createEngine();
+            const hero = engine.createPlayer({ username: 'Hero' });
+            const rival = engine.createPlayer({ username: 'Rival' });
+            engine.movePlayer(rival.id, { x: 600, y: 500, z: 0 });
+            engine.step(1);
+            const combatId = engine.startCombat(hero.id, rival.id);
+
+            engine.submitCombatAction(combatId, hero.id, { type: 'attack', targetId: rival.id });
+            engine.submitCombatAction(combatId, rival.id, 'defend');
+            engine.step(20);
+
+            expect(rival.stats.health).toBeLessThan(100);
+            expect(rival.position.x).toBeGreaterThan(600);
+            expect(engine.physics.getBody(hero.id).sleeping).toBe(true);
+        });
+
+        test('should step at a fixed timestep regardless of tick rate', () => {
+            const engine = createEngine({ tickRate: 20 });
+
+            engine.step(2);
+            expect(engine.physics.stepCount).toBe(6);
+
+            expect(engine.physics.update(0.01)).toBe(0);
+            expect(engine.physics.update(0.01)).toBe(1);
+            expect(engine.physics.alpha).toBeCloseTo(0.2);
+        });
+    });
+
+    describe('Dialogue', () => {
+        let engine;
+        let hero;
+
+        const spawnNPC = (npcType) => engine.registerNPC({
+            ...engine.createNPC(engine.getZone('spawn')),
+            npcType,
+            name: engine.generateNPCName(npcType),
+            dialogue: engine.generateNPCDialogue(npcType),
+            inventory: engine.generateNPCInventory(npcType),
+            behavior: engine.getNPCBehavior(npcType)
+        });
+        const speakTrainer = () => hero.questProgress.welcome_quest.objectives.find(objective => objective.id === 'speak_trainer');
+        const talkTo = (npcType) => {
+            const npc = spawnNPC(npcType);
+            engine.movePlayer(hero.id, { ...npc.position });
+            return engine.startDialogue(hero.id, npc.id);
+        };
+        const choose = (result, text) => engine.chooseDialogueResponse(hero.id, result.view.responses.find(response => response.text === text).id);
+
+        beforeEach(() => {
+            engine = createEngine();
+            hero = engine.createPlayer({ username: 'Hero' });
+        });
+
+        test('should only offer responses whose conditions the player meets', () => {
+            const greeting = talkTo('trainer');
+
+            expect(greeting.view.text).toBe('Welcome, Hero! Ready to train?');
+            expect(greeting.view.responses.map(response => response.text)).toEqual(["I'm new here. Where do I begin?", 'Farewell.']);
+
+            // "Teach me to fight" is the second response in the node and needs level 2
+            expect(engine.chooseDialogueResponse(hero.id, 1)).toMatchObject({ success: false, error: 'That response is not available' });
+
+            hero.stats.level = 2;
+            engine.startDialogue(hero.id, greeting.view.npcId);
+            expect(engine.chooseDialogueResponse(hero.id, 1).view.nodeId).toBe('lessons');
+        });
+
+        test('should give quests from a response and count the conversation for them', () => {
+            const welcome = choose(talkTo('trainer'), "I'm new here. Where do I begin?");
+
+            expect(welcome.actions).toEqual([{ type: 'give_quest', success: true, questId: 'welcome_quest' }]);
+            expect(hero.quests).toContain('welcome_quest');
+            expect(speakTrainer().current).toBe(0);
+
+            expect(choose(welcome, "I'll be back.")).toMatchObject({ success: true, view: null, ended: true });
+            expect(engine.dialogues.getSession(hero.id)).toBeNull();
+            expect(speakTrainer().current).toBe(1);
+        });
+
+        test('should teach skills and stay on the node when an action fails', () => {
+            hero.stats.level = 2;
+            const lessons = choose(talkTo('trainer'), 'Teach me to fight.');
+
+            const failed = choose(lessons, 'Power Strike.');
+            expect(failed).toMatchObject({ success: false, error: 'Requires 1 skill point' });
+            expect(failed.view.nodeId).toBe('lessons');
+
+            hero.stats.skillPoints = 1;
+            const learned = choose(failed, 'Power Strike.');
+            expect(learned).toMatchObject({ success: true, ended: true });
+            expect(learned.view.text).toBe('Good. Now practice until it comes without thinking.');
+            expect(hero.skills).toContain('power_strike');
+        });
+
+        test('should open a merchant\'s shop from the conversation', () => {
+            const result = choose(talkTo('merchant'), 'Show me what you have.');
+
+            expect(result.ended).toBe(true);
+            expect(result.actions[0]).toMatchObject({ type: 'open_shop', success: true });
+            expect(result.actions[0].listing.map(entry => entry.itemKey)).toContain('health_potion');
+        });
+
+        test('should refuse conversations out of range or in combat, and fall back to plain lines', () => {
+            const trainer = spawnNPC('trainer');
+            engine.movePlayer(hero.id, { x: trainer.position.x + 400, y: trainer.position.y, z: 0 });
+            expect(engine.startDialogue(hero.id, trainer.id).error).toBe(`${trainer.name} is too far away`);
+
+            const healer = spawnNPC('healer');
+            engine.movePlayer(hero.id, { ...healer.position });
+            const line = engine.startDialogue(hero.id, healer.id);
+            expect(line).toMatchObject({ success: true, dialogueId: null, ended: true });
+            expect(healer.dialogue).toContain(line.view.text);
+
+            engine.startCombat(hero.id, healer.id);
+            expect(engine.startDialogue(hero.id, healer.id).error).toBe('Not while fighting');
+        });
+
+        test('should refuse dialogues pointing at missing nodes, quests or skills', () => {
+            const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'shadowwatch-dialogue-'));
+            fs.mkdirSync(path.join(directory, 'talk'));
+            fs.writeFileSync(path.join(directory, 'talk', 'pack.yaml'), 'id: talk\nname: Talk\nversion: 1.0.0\nformatVersion: 1\n');
+            fs.writeFileSync(path.join(directory, 'talk', 'dialogues.yaml'), [
+                'dialogues:',
+                '  - id: sage',
+                '    npcTypes: [mayor]',
+                '    start: hello',
+                '    nodes:',
+                '      hello:',
+                '        text: Hello',
+                '        responses:',
+                '          - { text: Teach me, next: lesson, actions: [{ type: teach_skill, skill: telekinesis }] }',
+                '          - { text: A quest?, conditions: { quests: { dragon_hunt: available } }, actions: [{ type: give_quest }] }'
+            ].join('\n'));
+
+            let message = '';
+            try {
+                createEngine({ contentDirectory: directory });
+            } catch (error) {
+                message = error.message;
+            } finally {
+                fs.rmSync(directory, { recursive: true, force: true });
+            }
+
+            expect(message).toContain("dialogue 'sage' node 'hello' response 1 refers to unknown node 'lesson'");
+            expect(message).toContain("dialogue 'sage' node 'hello' response 1 refers to unknown skill 'telekinesis'");
+            expect(message).toContain("dialogue 'sage' node 'hello' response 2 refers to unknown quest 'dragon_hunt'");
+            expect(message).toContain("dialogue 'sage' node 'hello' response 2 action give_quest needs a quest");
+        });
+    });
+
+    describe('Loot', () => {
+        let engine;
+        let hero;
+        let npc;
+
+        const killNPC = (killer, victim) => {
+            victim.stats.health = 1;
+            const combatId = engine.startCombat(killer.id, victim.id);
+            engine.submitCombatAction(combatId, killer.id, 'attack');
+            engine.step(1);
+        };
+
+        beforeEach(() => {
+            engine = createEngine();
+            hero = engine.createPlayer({ username: 'Hero' });
+            npc = engine.getZone('spawn').npcs.map(id => engine.getNPC(id))[0];
+            engine.movePlayer(hero.id, { ...npc.position });
+        });
+
+        test('should drop loot from the zone level table at the NPC when it dies', () => {
+            killNPC(hero, npc);
+
+            const [dropped] = engine.eventBus.log.getEvents({ types: ['loot.dropped'] });
+            expect(dropped.payload).toMatchObject({ npcId: npc.id, zoneId: 'spawn', reservedFor: [hero.id] });
+
+            const drops = dropped.payload.itemIds.map(itemId => engine.getZone('spawn').entities.get(itemId));
+            const novice = engine.content.lootTables.get('novice');
+            const allowed = [...novice.guaranteed.entries, ...novice.rare.entries].map(entry => entry.template);
+            drops.forEach(item => {
+                expect(allowed).toContain(item.name);
+                expect(Math.hypot(item.position.x - npc.position.x, item.position.y - npc.position.y)).toBeLessThanOrEqual(25);
+            });
+            expect(engine.getZone('spawn').items).not.toContain(drops[0].id);
+        });
+
+        test('should reserve drops for the killer until the reservation runs out', () => {
+            const rival = engine.createPlayer({ username: 'Rival' });
+            engine.movePlayer(rival.id, { ...npc.position });
+            const [drop] = engine.loot.dropLoot(npc, hero);
+
+            expect(engine.pickUpItem(rival.id, drop.id)).toMatchObject({ success: false, error: 'Reserved for Hero for 30s' });
+
+            engine.step(engine.config.lootReservedTicks);
+            expect(engine.pickUpItem(rival.id, drop.id).success).toBe(true);
+            expect(rival.inventory).toContain(drop.id);
+            expect(engine.getItem(drop.id)).toBe(drop);
+            expect(engine.getZone('spawn').entities.has(drop.id)).toBe(false);
+            expect(engine.pickUpItem(hero.id, drop.id).error).toBe('Item not found');
+        });
+
+        test('should only let players in reach pick items up', () => {
+            const [drop] = engine.loot.dropLoot(npc, hero);
+            engine.movePlayer(hero.id, { x: npc.position.x + 400, y: npc.position.y, z: 0 });
+
+            expect(engine.pickUpItem(hero.id, drop.id).error).toBe('Too far away');
+        });
+
+        test('should keep reservations and despawn ticks across a save and load', async () => {
+            const rival = engine.createPlayer({ username: 'Rival' });
+            engine.movePlayer(rival.id, { ...npc.position });
+            const [drop] = engine.loot.dropLoot(npc, hero);
+            const despawnAt = engine.loot.drops.get(drop.id);
+
+            engine.step(60);
+            await engine.saveGame();
+            engine.step(600);
+            expect(await engine.loadGame()).toBe(true);
+
+            expect(engine.loot.drops.get(drop.id)).toBe(despawnAt);
+            expect(engine.pickUpItem(rival.id, drop.id)).toMatchObject({ success: false, error: 'Reserved for Hero for 29s' });
+
+            // Saves from before despawn ticks were kept start their drops over
+            const { loot, ...older } = engine.persistence.createSnapshot();
+            expect(loot.drops).toEqual([[drop.id, despawnAt]]);
+            engine.persistence.applySnapshot(older);
+            expect(engine.loot.drops.get(drop.id)).toBe(engine.tickCount + engine.config.lootDespawnTicks);
+            expect(engine.pickUpItem(rival.id, drop.id).success).toBe(true);
+        });
+
+        test('should despawn drops nobody picks up', () => {
+            engine = createEngine({ lootDespawnTicks: 10 });
+            npc = engine.getZone('spawn').npcs.map(id => engine.getNPC(id))[0];
+            const drops = engine.loot.dropLoot(npc, null);
+
+            expect(drops[0].reservedFor).toBeNull();
+            engine.step(10);
+            drops.forEach(item => expect(engine.getZone('spawn').entities.has(item.id)).toBe(false));
+            expect(engine.eventBus.log.getEvents({ types: ['loot.despawned'] })).toHaveLength(drops.length);
+        });
+
+        test('should pick tables by NPC type and zone level, and roll the same loot for the same seed', () => {
+            expect(engine.loot.getTable('gladiator', 5).id).toBe('gladiator');
+            expect(engine.loot.getTable('ranger', 3).id).toBe('novice');
+            expect(engine.loot.getTable('warrior', 15).id).toBe('champion');
+
+            const rollNames = () => {
+                const seeded = createEngine();
+                const table = seeded.content.lootTables.get('champion');
+                return Array.from({ length: 20 }, () => seeded.loot.roll(table).map(template => template.name));
+            };
+            expect(rollNames()).toEqual(rollNames());
+            rollNames().forEach(names => expect(names.length).toBeGreaterThanOrEqual(2));
+        });
+
+        test('should keep rare world spawns out of low-level zones', () => {
+            const spawn = engine.getZone('spawn');
+            const rarities = new Set(Array.from({ length: 200 }, () => engine.createRandomItem(spawn).rarity));
+
+            expect([...rarities].sort()).toEqual(['common', 'uncommon']);
+            expect(engine.loot.pickTemplate(15)).toBeDefined();
+        });
+
+        test('should refuse loot tables naming unknown templates or NPC types', () => {
+            const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'shadowwatch-loot-'));
+            fs.mkdirSync(path.join(directory, 'drops'));
+            fs.writeFileSync(path.join(directory, 'drops', 'pack.yaml'), 'id: drops\nname: Drops\nversion: 1.0.0\nformatVersion: 1\n');
+            fs.writeFileSync(path.join(directory, 'drops', 'loot.yaml'), [
+                'lootTables:',
+                '  - id: kraken',
+                '    npcTypes: [kraken]',
+                '    guaranteed: { entries: [{ template: Kraken Ink }] }',
+                '    rare: { chance: 2, entries: [{ template: Dragon Scale }] }'
+            ].join('\n'));
+
+            try {
+                expect(() => createEngine({ contentDirectory: directory })).toThrow('rare.chance: must be at most 1, got 2');
+
+                fs.writeFileSync(path.join(directory, 'drops', 'loot.yaml'),
+                    fs.readFileSync(path.join(directory, 'drops', 'loot.yaml'), 'utf8').replace('chance: 2', 'chance: 0.5'));
+                let message = '';
+                try {
+                    createEngine({ contentDirectory: directory });
+                } catch (error) {
+                    message = error.message;
+                }
+                expect(message).toContain("loot table 'kraken' refers to unknown NPC type 'kraken'");
+                expect(message).toContain("loot table 'kraken' guaranteed tier refers to unknown item template 'Kraken Ink'");
+            } finally {
+                fs.rmSync(directory, { recursive: true, force: true });
+            }
+        });
+    });
+
+    describe('Parties', () => {
+        let engine;
+        let leader;
+        let ally;
+
+        const formParty = (...members) => {
+            const { party } = engine.createParty(members[0].id);
+            members.slice(1).forEach(member => {
+                engine.inviteToParty(members[0].id, member.id);
+                engine.acceptPartyInvite(member.id, party.id);
+            });
+            return party;
+        };
+
+        beforeEach(() => {
+            engine = createEngine();
+            leader = engine.createPlayer({ username: 'Leader' });
+            ally = engine.createPlayer({ username: 'Ally' });
+        });
+
+        test('should only admit invited players and hand leadership on when the leader leaves', () => {
+            const { party } = engine.createParty(leader.id);
+
+            expect(engine.acceptPartyInvite(ally.id, party.id)).toMatchObject({ success: false, error: 'No invite from that party' });
+            expect(engine.inviteToParty(ally.id, leader.id).success).toBe(false);
+
+            engine.inviteToParty(leader.id, ally.id);
+            expect(engine.acceptPartyInvite(ally.id, party.id).success).toBe(true);
+
+            const third = engine.createPlayer({ username: 'Third' });
+            engine.inviteToParty(leader.id, third.id);
+            engine.acceptPartyInvite(third.id, party.id);
+
+            engine.leaveParty(leader.id);
+            expect(engine.getPartyInfo(ally.id)).toMatchObject({ leaderId: ally.id });
+            expect(engine.getPartyInfo(leader.id)).toBeNull();
+
+            expect(engine.leaveParty(third.id)).toMatchObject({ success: true, disbanded: true });
+            expect(engine.getPartyInfo(ally.id)).toBeNull();
+        });
+
+        test('should share experience between nearby members and deal loot round robin', () => {
+            formParty(leader, ally);
+
+            // 20 XP plus a 10% bonus for the second member, split two ways
+            expect(engine.parties.distributeExperience(leader, 20).map(share => share.experience)).toEqual([11, 11]);
+
+            engine.movePlayer(ally.id, { x: 500, y: 1500, z: 0 });
+            expect(engine.parties.distributeExperience(leader, 20)).toEqual([{ player: leader, experience: 20 }]);
+            engine.movePlayer(ally.id, { x: 500, y: 500, z: 0 });
+
+            const items = Array.from(engine.items.keys()).slice(0, 3);
+            const drops = engine.distributeLoot(leader.id, items);
+            expect(drops.map(drop => drop.playerId)).toEqual([leader.id, ally.id, leader.id]);
+
+            engine.setPartyRules(leader.id, { loot: 'leader' });
+            expect(engine.distributeLoot(ally.id, [items[0]])[0].playerId).toBe(leader.id);
+            expect(engine.setPartyRules(leader.id, { xp: 'everything' }).success).toBe(false);
+        });
+
+        test('should fight an NPC as a party and share the kill', () => {
+            formParty(leader, ally);
+            const npc = Array.from(engine.npcs.values())[0];
+            npc.stats.health = 5;
+
+            const combatId = engine.startCombat(leader.id, npc.id);
+            const combat = engine.combatSystem.activeCombats.get(combatId);
+            expect(combat.participants.map(p => p.id)).toEqual([leader.id, ally.id, npc.id]);
+            expect(combat.sides[ally.id]).toBe('attackers');
+
+            engine.submitCombatAction(combatId, leader.id, { type: 'attack', targetId: ally.id });
+            engine.submitCombatAction(combatId, ally.id, 'attack');
+            engine.step(1);
+
+            // The leader's attack on their own ally goes to the NPC instead
+            expect(ally.stats.health).toBe(ally.stats.maxHealth);
+            expect(engine.eventBus.log.getEvents({ types: ['entity.defeated'] })[0].payload).toMatchObject({ entityId: npc.id, winnerId: leader.id });
+            expect(engine.combatSystem.activeCombats.has(combatId)).toBe(false);
+            expect(leader.stats.experience).toBeGreaterThan(0);
+            expect(ally.stats.experience).toBe(leader.stats.experience);
+        });
+
+        test('should only let parties of three to five into the raid zone', () => {
+            const raid = { x: 5500, y: 500, z: 0 };
+            expect(engine.getZone('dungeon').partySize).toEqual({ min: 3, max: 5 });
+
+            expect(engine.movePlayer(leader.id, raid)).toBe(false);
+            expect(leader.zoneId).toBe('spawn');
+
+            formParty(leader, ally, engine.createPlayer({ username: 'Third' }));
+            expect(engine.movePlayer(leader.id, raid)).toBe(true);
+            expect(leader.zoneId).toBe('dungeon');
+        });
+    });
+
+    describe('Guilds', () => {
+        let engine;
+        let founder;
+        let recruit;
+        let guild;
+
+        beforeEach(() => {
+            engine = createEngine();
+            founder = engine.createPlayer({ username: 'Founder' });
+            recruit = engine.createPlayer({ username: 'Recruit' });
+            founder.stats.gold = 500;
+            ({ guild } = engine.createGuild(founder.id, 'Night Watch'));
+            engine.inviteToGuild(founder.id, recruit.id);
+            engine.acceptGuildInvite(recruit.id, guild.id);
+        });
+
+        test('should charge for founding a guild and keep names unique', () => {
+            expect(founder.stats.gold).toBe(400);
+            expect(engine.createGuild(recruit.id, 'Other').error).toBe('Already in a guild');
+
+            const other = engine.createPlayer({ username: 'Other' });
+            other.stats.gold = 500;
+            expect(engine.createGuild(other.id, 'night watch').success).toBe(false);
+            expect(engine.createGuild(other.id, '!!').success).toBe(false);
+        });
+
+        test('should limit what each rank can do', () => {
+            const third = engine.createPlayer({ username: 'Third' });
+
+            expect(engine.inviteToGuild(recruit.id, third.id)).toMatchObject({ success: false, error: "A guild recruit can't invite" });
+            expect(engine.kickFromGuild(recruit.id, founder.id).success).toBe(false);
+
+            engine.setGuildRank(founder.id, recruit.id, 'member');
+            expect(engine.inviteToGuild(recruit.id, third.id).success).toBe(true);
+
+            engine.setGuildRank(founder.id, recruit.id, 'leader');
+            expect(engine.getGuildInfo(founder.id)).toMatchObject({ leaderId: recruit.id });
+            expect(engine.guilds.getRank(founder.id)).toBe('officer');
+            expect(engine.leaveGuild(recruit.id).error).toBe('Promote a new leader before leaving');
+        });
+
+        test('should keep gold and items in the guild bank', () => {
+            const itemId = Array.from(engine.items.keys())[0];
+            engine.giveItem(founder.id, itemId);
+
+            expect(engine.depositToGuildBank(founder.id, { gold: 150, itemId }).success).toBe(true);
+            expect(founder.stats.gold).toBe(250);
+            expect(founder.inventory).not.toContain(itemId);
+
+            expect(engine.withdrawFromGuildBank(recruit.id, { gold: 50 }).success).toBe(false);
+            expect(engine.withdrawFromGuildBank(founder.id, { gold: 500 }).error).toBe('Not enough gold in the guild bank');
+
+            engine.setGuildRank(founder.id, recruit.id, 'officer');
+            expect(engine.withdrawFromGuildBank(recruit.id, { gold: 50, itemId }).success).toBe(true);
+            expect(recruit.inventory).toContain(itemId);
+            expect(engine.getGuildInfo(founder.id).bank).toEqual({ gold: 100, items: [] });
+            expect(guild.ledger.map(entry => entry.kind)).toEqual(['deposit', 'withdraw']);
+        });
+
+        test('should persist guilds but not parties through save and load', async () => {
+            engine.depositToGuildBank(founder.id, { gold: 75 });
+            engine.createParty(founder.id);
+            await engine.saveGame('guilds');
+
+            const restored = createEngine({ persistenceAdapter: engine.persistence.adapter });
+            await restored.loadGame('guilds');
+
+            expect(restored.getGuildInfo(recruit.id)).toMatchObject({ name: 'Night Watch', bank: { gold: 75 } });
+            expect(restored.guilds.getRank(founder.id)).toBe('leader');
+            expect(restored.getPartyInfo(founder.id)).toBeNull();
+        });
+    });
+
+    describe('Game Master Commands', () => {
+        let engine;
+        let hero;
+
+        beforeEach(() => {
+            engine = createEngine({ adminRoles: 'root:admin, gm:gamemaster, mod:moderator' });
+            hero = engine.createPlayer({ username: 'Sir Bob' });
+        });
+
+        test('should only run commands the operator\'s role allows', () => {
+            expect(engine.runAdminCommand('mod', 'teleport', ['Sir Bob', 'arena'])).toMatchObject({ success: true, zoneId: 'arena' });
+            expect(engine.runAdminCommand('mod', 'give-item', ['Sir Bob', 'health_potion']).error)
+                .toBe('give-item needs the gamemaster role (mod is a moderator)');
+            expect(engine.runAdminCommand('stranger', 'kill', ['Sir Bob']).error).toBe('kill needs the moderator role (stranger is a player)');
+            expect(engine.runAdminCommand('gm', 'set-time', ['22']).success).toBe(false);
+            expect(engine.runAdminCommand('root', 'fly', []).error).toBe("Unknown admin command 'fly'");
+
+            expect(engine.runAdminCommand('gm', 'grant', ['mod', 'admin']).success).toBe(false);
+            expect(engine.runAdminCommand('root', 'grant', ['mod', 'gamemaster'])).toMatchObject({ success: true, previous: 'moderator' });
+            expect(engine.runAdminCommand('mod', 'give-item', ['Sir Bob', 'health_potion']).success).toBe(true);
+        });
+
+        test('should audit every attempt, allowed or not, and record it for replay', async () => {
+            const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'shadowwatch-audit-'));
+            const auditLogFile = path.join(directory, 'audit.ndjson');
+            engine = createEngine({ adminRoles: { root: 'admin' }, auditLogFile });
+            engine.createPlayer({ username: 'Alice' });
+
+            engine.runAdminCommand('root', 'set-stat', ['Alice', 'gold', '500']);
+            engine.runAdminCommand('eve', 'set-stat', ['Alice', 'gold', '999999']);
+
+            const entries = engine.runAdminCommand('root', 'audit', []).entries;
+            expect(entries.map(({ actor, role, command, args, success }) => ({ actor, role, command, args, success }))).toEqual([
+                { actor: 'root', role: 'admin', command: 'set-stat', args: ['Alice', 'gold', '500'], success: true },
+                { actor: 'eve', role: 'player', command: 'set-stat', args: ['Alice', 'gold', '999999'], success: false }
+            ]);
+            expect(entries[1].error).toContain('needs the gamemaster role');
+
+            const published = engine.eventBus.log.getEvents({ types: ['admin.command'] });
+            expect(published.map(event => event.payload.success)).toEqual([true, false, true]);
+            const commands = engine.eventBus.log.getEvents({ types: ['command'] }).map(event => event.payload.name);
+            expect(commands.filter(name => name === 'runAdminCommand')).toHaveLength(3);
+
+            await engine.closeEventLog();
+            const lines = fs.readFileSync(auditLogFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+            fs.rmSync(directory, { recursive: true, force: true });
+            expect(lines.map(line => line.command)).toEqual(['set-stat', 'set-stat', 'audit']);
+        });
+
+        test('should hand out and take items and finish quests through the engine', () => {
+            expect(engine.runAdminCommand('root', 'give-item', ['Sir Bob', 'health_potion']).success).toBe(true);
+            const forged = engine.runAdminCommand('root', 'give-item', ['Sir Bob', 'Shadowsteel', 'Blade']);
+            expect(engine.items.get(forged.itemId)).toMatchObject({ name: 'Shadowsteel Blade', owner: hero.id });
+            expect(hero.inventory).toEqual(['health_potion', forged.itemId]);
+            expect(engine.runAdminCommand('root', 'give-item', ['Sir Bob', 'Excalibur']).error).toBe("Item 'Excalibur' not found");
+
+            expect(engine.runAdminCommand('root', 'take-item', ['Sir Bob', 'health_potion']).success).toBe(true);
+            expect(engine.runAdminCommand('root', 'take-item', ['Sir Bob', 'health_potion']).error).toBe("Sir Bob doesn't have 'health_potion'");
+
+            expect(engine.runAdminCommand('root', 'complete-quest', ['Sir Bob', 'welcome_quest']).error).toBe("Sir Bob isn't on quest 'welcome_quest'");
+            engine.assignQuest(hero.id, 'welcome_quest');
+            const gold = hero.stats.gold;
+            expect(engine.runAdminCommand('root', 'complete-quest', ['Sir Bob', 'welcome_quest']).success).toBe(true);
+            expect(hero.completedQuests).toContain('welcome_quest');
+            expect(hero.stats.gold).toBe(gold + 50);
+        });
+
+        test('should kill without rewarding anyone, and revive', () => {
+            const npc = engine.registerNPC(engine.createNPC(engine.getZone('spawn'), 'gladiator'));
+            engine.movePlayer(hero.id, { ...npc.position });
+            const combatId = engine.startCombat(hero.id, npc.id);
+            const experience = hero.stats.experience;
+
+            expect(engine.runAdminCommand('root', 'kill', [npc.id]).success).toBe(true);
+            expect(npc.stats.health).toBe(0);
+            expect(engine.combatSystem.activeCombats.has(combatId)).toBe(false);
+            expect(engine.eventBus.log.getEvents({ types: ['entity.defeated'] }).pop().payload).toEqual({ entityId: npc.id, combatId, winnerId: null, experience: 0 });
+            expect(hero.stats.experience).toBe(experience);
+            expect(engine.runAdminCommand('root', 'kill', [npc.id]).error).toContain('is already dead');
+
+            expect(engine.runAdminCommand('root', 'revive', [npc.id]).success).toBe(true);
+            expect(npc.stats.health).toBe(npc.stats.maxHealth);
+            expect(engine.runAdminCommand('root', 'revive', ['Sir Bob']).error).toBe('Sir Bob is not dead');
+        });
+
+        test('should change stats, NPCs, events, time and weather', () => {
+            expect(engine.runAdminCommand('root', 'set-stat', ['Sir Bob', 'health', '5000'])).toMatchObject({ success: true, value: hero.stats.maxHealth });
+            expect(engine.runAdminCommand('root', 'set-stat', ['Sir Bob', 'luck', '7']).error).toBe("Unknown stat 'luck'");
+
+            const spawned = engine.runAdminCommand('root', 'spawn-npc', ['trainer', 'arena']);
+            expect(engine.getNPC(spawned.npcId)).toMatchObject({ npcType: 'trainer', zoneId: 'arena' });
+            expect(engine.runAdminCommand('root', 'spawn-npc', ['dragon', 'arena']).error).toBe("NPC type 'dragon' not found");
+
+            expect(engine.runAdminCommand('root', 'trigger-event', ['arena', 'treasure_discovery']).type).toBe('treasure_discovery');
+            expect(engine.getZone('arena').events.pop().type).toBe('treasure_discovery');
+            expect(engine.runAdminCommand('root', 'trigger-event', ['arena', 'meteor']).success).toBe(false);
+
+            expect(engine.runAdminCommand('root', 'set-time', ['22', '30']).time).toMatchObject({ hour: 22, minute: 30 });
+            expect(engine.environment.isNight()).toBe(true);
+            expect(engine.runAdminCommand('root', 'set-time', ['25']).success).toBe(false);
+
+            expect(engine.runAdminCommand('root', 'set-weather', ['all', 'storm']).success).toBe(true);
+            expect(Array.from(engine.zones.values()).every(zone => zone.weather.type === 'storm')).toBe(true);
+            expect(engine.gameWorld.weather).toBe('storm');
+            expect(engine.runAdminCommand('root', 'set-weather', ['arena', 'lava']).error).toContain('Weather must be one of');
+        });
+    });
+
+    describe('Content Packs', () => {
+        let directory;
+
+        // files: { 'pack.yaml': '...', 'quests.yaml': '...' } for a pack folder inside the test directory
+        const writePack = (name, files) => {
+            fs.mkdirSync(path.join(directory, name), { recursive: true });
+            Object.entries(files).forEach(([file, source]) => fs.writeFileSync(path.join(directory, name, file), source));
+        };
+        const manifest = (id, extra = '') => `id: ${id}\nname: ${id} pack\nversion: 1.0.0\nformatVersion: 1\n${extra}`;
+
+        beforeEach(() => {
+            directory = fs.mkdtempSync(path.join(os.tmpdir(), 'shadowwatch-content-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(directory, { recursive: true, force: true });
+        });
+
+        test('should build the world from the bundled base pack', () => {
+            const engine = createEngine();
+
+            expect(engine.contentLoader.getPacks()).toEqual([expect.objectContaining({ id: 'base', version: '1.0.0', zones: 7, quests: 3 })]);
+            expect(engine.getZone('arena')).toMatchObject({ name: 'Battle Coliseum', level: 5 });
+            expect(engine.content.getNPCTypes('social')).toEqual(['mayor', 'merchant', 'innkeeper', 'blacksmith']);
+            engine.quests.forEach(quest => {
+                quest.rewards.items.forEach(itemId => expect(engine.getItem(itemId)).toBeDefined());
+            });
+        });
+
+        test('should load extra packs from YAML and JSON on top of the base pack', () => {
+            writePack('frontier', {
+                'pack.yaml': manifest('frontier'),
+                'zones.json': JSON.stringify({ zones: [{ id: 'frontier', name: 'Frontier', type: 'exploration', bounds: { x: 6000, y: 0, width: 800, height: 800 }, level: 4 }] }),
+                'content.yaml': [
+                    'items:',
+                    '  - { id: scout_map, type: material, name: Scout Map, rarity: common }',
+                    'npcTypes:',
+                    '  scout: { title: Scout, dialogue: [Eyes open out there.] }',
+                    'spawns:',
+                    '  exploration: [scout]',
+                    'quests:',
+                    '  - id: frontier_scouting',
+                    '    name: Scouting the Frontier',
+                    '    objectives: [{ type: visit_zone, target: frontier, count: 1 }, { type: talk_to_npc, target: scout, count: 1 }]',
+                    '    prerequisites: [welcome_quest]',
+                    '    rewards: { gold: 20, items: [scout_map, health_potion] }'
+                ].join('\n')
+            });
+
+            const engine = createEngine({ contentDirectory: directory });
+
+            expect(engine.contentLoader.getPacks().map(pack => pack.id)).toEqual(['base', 'frontier']);
+            expect(engine.getZone('frontier').npcs.length).toBeGreaterThan(0);
+            expect(engine.getItem('scout_map')).toMatchObject({ name: 'Scout Map' });
+            expect(engine.content.getNPCTypes('exploration')).toContain('scout');
+            expect(engine.generateNPCDialogue('scout')).toEqual(['Eyes open out there.']);
+            expect(engine.getQuest('frontier_scouting').prerequisites).toEqual(['welcome_quest']);
+        });
+
+        test('should refuse packs that do not match the schema, naming file and field', () => {
+            writePack('broken', {
+                'pack.yaml': manifest('broken'),
+                'quests.yaml': 'quests:\n  - { id: bad, name: Bad, objectives: [{ type: slay, count: 0 }], rewards: { gold: fifty } }\nquest: []'
+            });
+            writePack('future', { 'pack.yaml': manifest('future').replace('formatVersion: 1', 'formatVersion: 9') });
+            writePack('typo', { 'pack.yaml': manifest('typo'), 'zones.yaml': 'zones:\n  - id: [unclosed' });
+
+            let message = '';
+            try {
+                createEngine({ contentDirectory: directory });
+            } catch (error) {
+                message = error.message;
+            }
+
+            const quests = path.join('broken', 'quests.yaml');
+            expect(message).toContain('Invalid content packs');
+            expect(message).toContain(`${quests}: file: unknown field 'quest'`);
+            expect(message).toContain(`${quests}: quests[0].objectives[0].type: must be one of kill, talk_to_npc, visit_zone, collect_item, win_combat, got "slay"`);
+            expect(message).toContain(`${quests}: quests[0].objectives[0].count: must be at least 1, got 0`);
+            expect(message).toContain(`${quests}: quests[0].rewards.gold: expected a whole number, got "fifty"`);
+            expect(message).toContain('formatVersion 9 is newer than this engine supports (1)');
+            expect(message).toMatch(/typo[\\/]zones\.yaml:\d+: /);
+        });
+
+        test('should refuse unresolved cross-references and duplicate ids', () => {
+            writePack('rewards', {
+                'pack.yaml': manifest('rewards'),
+                'quests.yaml': [
+                    'quests:',
+                    '  - id: lost_relic',
+                    '    name: Lost Relic',
+                    '    objectives: [{ type: visit_zone, target: atlantis, count: 1 }, { type: kill, target: kraken, count: 1 }]',
+                    '    prerequisites: [missing_quest]',
+                    '    rewards: { items: [training_sword, relic_of_ages] }',
+                    'items:',
+                    '  - { id: training_sword, type: weapon, name: Copy Sword, rarity: common }'
+                ].join('\n')
+            });
+
+            expect(() => createEngine({ contentDirectory: directory })).toThrow(
+                /item 'training_sword' is already defined in .*base[\\/]items\.yaml/
+            );
+
+            fs.writeFileSync(path.join(directory, 'rewards', 'quests.yaml'),
+                fs.readFileSync(path.join(directory, 'rewards', 'quests.yaml'), 'utf8').split('items:\n')[0]);
+            let message = '';
+            try {
+                createEngine({ contentDirectory: directory });
+            } catch (error) {
+                message = error.message;
+            }
+
+            expect(message).toContain("quest 'lost_relic' rewards refers to unknown item 'relic_of_ages'");
+            expect(message).toContain("quest 'lost_relic' prerequisites refers to unknown quest 'missing_quest'");
+            expect(message).toContain("quest 'lost_relic' objective 1 refers to unknown zone 'atlantis'");
+            expect(message).toContain("quest 'lost_relic' objective 2 refers to unknown NPC type 'kraken'");
+            expect(message).not.toContain('training_sword');
+        });
+
+        test('should hot-reload edited packs and keep the old content when an edit is broken', async () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            writePack('tavern', {
+                'pack.yaml': manifest('tavern'),
+                'npcs.yaml': 'npcTypes:\n  bard: { dialogue: [A song for the road?] }\nspawns:\n  social: [bard]',
+                'quests.yaml': 'quests:\n  - { id: encore, name: Encore, objectives: [{ type: talk_to_npc, target: bard, count: 1 }], rewards: { gold: 5 } }'
+            });
+            const engine = createEngine({ contentDirectory: directory });
+            const bard = { id: 'bard_1', type: 'npc', npcType: 'bard', name: 'Bard', zoneId: 'city', position: { x: 3100, y: 100, z: 0 }, stats: { level: 1, health: 50, maxHealth: 50 }, dialogue: engine.generateNPCDialogue('bard'), inventory: [] };
+            engine.registerNPC(bard);
+
+            fs.writeFileSync(path.join(directory, 'tavern', 'quests.yaml'),
+                'quests:\n  - { id: encore, name: Grand Encore, objectives: [{ type: talk_to_npc, target: bard, count: 1 }], rewards: { gold: 50 } }');
+            fs.writeFileSync(path.join(directory, 'tavern', 'npcs.yaml'),
+                'npcTypes:\n  bard: { dialogue: [Another verse!] }\nspawns:\n  social: [bard]');
+            const reloaded = [];
+            engine.eventBus.subscribe('content.reloaded', event => reloaded.push(event.payload.packs));
+
+            expect(engine.contentLoader.reload()).toMatchObject({ success: true });
+            expect(engine.getQuest('encore')).toMatchObject({ name: 'Grand Encore', rewards: { gold: 50 } });
+            expect(bard.dialogue).toEqual(['Another verse!']);
+            expect(reloaded).toEqual([['base@1.0.0', 'tavern@1.0.0']]);
+
+            fs.writeFileSync(path.join(directory, 'tavern', 'quests.yaml'),
+                'quests:\n  - { id: encore, name: Broken, objectives: [], rewards: { items: [lute] } }');
+            const failed = engine.contentLoader.reload();
+
+            expect(failed.success).toBe(false);
+            expect(failed.errors[0]).toContain('quests[0].objectives: needs at least 1 entry');
+            expect(engine.getQuest('encore').name).toBe('Grand Encore');
+            expect(engine.content.getNPCTypes('social')).toContain('bard');
+
+            engine.contentLoader.options.reloadDelay = 10;
+            engine.contentLoader.watch();
+            try {
+                fs.writeFileSync(path.join(directory, 'tavern', 'quests.yaml'),
+                    'quests:\n  - { id: encore, name: Watched Encore, objectives: [{ type: talk_to_npc, target: bard, count: 1 }] }');
+                for (let waited = 0; waited < 3000 && engine.getQuest('encore').name !== 'Watched Encore'; waited += 25) {
+                    await new Promise(resolve => setTimeout(resolve, 25));
+                }
+            } finally {
+                engine.stopGameLoop();
+            }
+
+            expect(engine.getQuest('encore').name).toBe('Watched Encore');
+            expect(engine.contentLoader.watchers).toEqual([]);
+        });
+    });
+
+    describe('Plugins', () => {
+        const hauntedWoods = {
+            name: 'haunted-woods',
+            version: '1.0.0',
+            content: {
+                zones: [{ id: 'haunted', name: 'Haunted Woods', type: 'exploration', bounds: { x: 6000, y: 0, width: 1000, height: 1000 }, level: 8 }],
+                items: [{ type: 'material', name: 'Ectoplasm', value: 40, rarity: 'uncommon' }],
+                npcTypes: { wisp: { zoneTypes: ['exploration'], title: 'Wisp', behavior: 'patrolling' } },
+                quests: [{ id: 'ghost_hunt', name: 'Ghost Hunt', objectives: [{ id: 'wisps', type: 'kill', target: 'wisp', count: 3 }] }]
+            }
+        };
+
+        test('should build the world with plugin content', () => {
+            const engine = createEngine({ plugins: [hauntedWoods] });
+
+            expect(engine.getZone('haunted')).toMatchObject({ name: 'Haunted Woods', level: 8 });
+            expect(engine.getZone('haunted').npcs.length).toBeGreaterThan(0);
+            expect(engine.getQuest('ghost_hunt').prerequisites).toEqual([]);
+            expect(engine.content.getNPCTypes('exploration')).toContain('wisp');
+            expect(engine.getNPCBehavior('wisp')).toBe('patrolling');
+            expect(engine.generateNPCName('wisp')).toMatch(/^Wisp /);
+            expect(engine.content.itemTemplates.map(template => template.name)).toContain('Ectoplasm');
+            expect(engine.plugins.getStatus()).toEqual([expect.objectContaining({ name: 'haunted-woods', status: 'loaded' })]);
+        });
+
+        test('should load in dependency and load order, failing unresolvable plugins', () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            const order = [];
+            const plugin = (name, extra = {}) => ({ name, setup: () => order.push(name), ...extra });
+
+            const engine = createEngine({
+                plugins: [
+                    plugin('addon', { dependencies: ['base'] }),
+                    plugin('late', { loadOrder: 5 }),
+                    plugin('base'),
+                    plugin('early', { loadOrder: -1 }),
+                    plugin('orphan', { dependencies: ['missing'] }),
+                    plugin('chicken', { dependencies: ['egg'] }),
+                    plugin('egg', { dependencies: ['chicken'] })
+                ]
+            });
+
+            expect(order).toEqual(['early', 'base', 'addon', 'late']);
+            const status = Object.fromEntries(engine.plugins.getStatus().map(record => [record.name, record.error]));
+            expect(status.orphan).toBe("Missing dependency 'missing'");
+            expect(status.chicken).toBe('Circular dependency');
+        });
+
+        test('should roll back everything from a plugin whose setup fails', () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            const engine = createEngine({
+                plugins: [{
+                    name: 'broken',
+                    content: { items: [{ type: 'weapon', name: 'Cursed Blade', damage: 99, rarity: 'rare' }] },
+                    hooks: { onTick: () => {} },
+                    setup: () => { throw new Error('bad config'); }
+                }]
+            });
+
+            expect(engine.plugins.getStatus()[0]).toMatchObject({ status: 'failed', error: 'bad config' });
+            expect(engine.content.itemTemplates.some(template => template.name === 'Cursed Blade')).toBe(false);
+            expect(engine.plugins.hooks.get('onTick')).toEqual([]);
+        });
+
+        test('should call lifecycle hooks and survive failing ones', () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            const calls = { onTick: 0, onPlayerCreated: [], onCombatEnd: [], onLevelUp: [] };
+            const engine = createEngine({
+                pluginMaxErrors: 3,
+                plugins: [
+                    {
+                        name: 'tracker',
+                        hooks: {
+                            onTick: () => calls.onTick++,
+                            onPlayerCreated: ({ player }) => calls.onPlayerCreated.push(player.username),
+                            onCombatEnd: ({ survivors }) => calls.onCombatEnd.push(survivors.map(survivor => survivor.username)),
+                            onLevelUp: ({ player, level }) => calls.onLevelUp.push([player.username, level])
+                        }
+                    },
+                    { name: 'crashy', hooks: { onTick: () => { throw new Error('boom'); } } }
+                ]
+            });
+
+            const hero = engine.createPlayer({ username: 'Hero' });
+            const rival = engine.createPlayer({ username: 'Rival' });
+            hero.stats.experience = 95;
+            rival.stats.health = 1;
+            const combatId = engine.startCombat(hero.id, rival.id);
+            engine.submitCombatAction(combatId, hero.id, { type: 'attack', targetId: rival.id });
+            engine.submitCombatAction(combatId, rival.id, 'defend');
+            engine.step(5);
+
+            expect(calls.onTick).toBe(5);
+            expect(calls.onPlayerCreated).toEqual(expect.arrayContaining(['Hero', 'Rival']));
+            expect(calls.onCombatEnd).toEqual([['Hero']]);
+            expect(calls.onLevelUp).toEqual([['Hero', 2]]);
+            expect(engine.plugins.plugins.get('crashy')).toMatchObject({ status: 'disabled', errors: 3 });
+        });
+
+        test('should count rejected async hooks and fail rejected async commands', async () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            const engine = createEngine({
+                pluginMaxErrors: 2,
+                plugins: [{
+                    name: 'async',
+                    hooks: { onTick: async () => { throw new Error('late boom'); } },
+                    commands: {
+                        fetch: { run: async ([key]) => { if (!key) throw new Error('no key'); return key.toUpperCase(); } }
+                    }
+                }]
+            });
+
+            engine.step(1);
+            await new Promise(resolve => setImmediate(resolve));
+            expect(engine.plugins.plugins.get('async')).toMatchObject({ status: 'loaded', errors: 1, error: 'onTick: late boom' });
+
+            // Hooks already running when the limit is hit still count; no new ones start
+            engine.step(3);
+            await new Promise(resolve => setImmediate(resolve));
+            engine.step(3);
+            await new Promise(resolve => setImmediate(resolve));
+            expect(engine.plugins.plugins.get('async')).toMatchObject({ status: 'disabled', errors: 4 });
+
+            engine.plugins.plugins.get('async').status = 'loaded';
+            expect(await engine.plugins.runCommand('fetch', ['gold'])).toEqual({ success: true, result: 'GOLD' });
+            expect(await engine.plugins.runCommand('fetch', [])).toEqual({ success: false, error: 'no key' });
+        });
+
+        test('should load plugins from a directory and run their commands', async () => {
+            const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'shadowwatch-plugins-'));
+            fs.writeFileSync(path.join(directory, 'package.json'), JSON.stringify({ type: 'module' }));
+            fs.writeFileSync(path.join(directory, 'haunted.js'), `export default ${JSON.stringify(hauntedWoods)};`);
+            fs.mkdirSync(path.join(directory, 'ghost-tools'));
+            fs.writeFileSync(path.join(directory, 'ghost-tools', 'index.js'), `
+                export default {
+                    name: 'ghost-tools',
+                    dependencies: ['haunted-woods'],
+                    commands: {
+                        haunt: { usage: 'haunt <zone>', description: 'Count NPCs in a zone', run: ([zoneId], { engine }) => engine.getZone(zoneId).npcs.length }
+                    }
+                };
+            `);
+            fs.writeFileSync(path.join(directory, 'notes.txt'), 'not a plugin');
+
+            try {
+                const engine = createEngine();
+                const status = await engine.loadPlugins(directory);
+
+                expect(status.map(record => [record.name, record.status])).toEqual([['haunted-woods', 'loaded'], ['ghost-tools', 'loaded']]);
+                expect(engine.getZone('haunted').npcs.length).toBeGreaterThan(0);
+                expect(engine.spatial.getZoneAt({ x: 6500, y: 500 }).id).toBe('haunted');
+                expect(await engine.plugins.runCommand('haunt', ['haunted'])).toEqual({ success: true, result: engine.getZone('haunted').npcs.length });
+                expect((await engine.plugins.runCommand('haunt', ['nowhere'])).success).toBe(false);
+            } finally {
+                fs.rmSync(directory, { recursive: true, force: true });
+            }
+        });
+    });
+
+    describe('Event Bus', () => {
+        test('should reject unknown event types and incomplete payloads', () => {
+            const engine = createEngine();
+
+            expect(() => engine.eventBus.publish('player.teleported', {})).toThrow(/Unknown event type/);
+            expect(() => engine.eventBus.publish('item.given', { playerId: 'p1' })).toThrow(/missing itemId/);
+            expect(engine.eventBus.publish('item.given', { playerId: 'p1', itemId: 'i1' })).toMatchObject({ type: 'item.given', tick: 0 });
+        });
+
+        test('should deliver events by type, namespace and wildcard', () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            const engine = createEngine();
+            const seen = { exact: [], namespace: [], all: 0 };
+            engine.eventBus.subscribe('quest.completed', event => seen.exact.push(event.payload.questId));
+            engine.eventBus.subscribe('item.*', event => seen.namespace.push(event.type));
+            const unsubscribe = engine.eventBus.subscribe('*', () => seen.all++);
+            engine.eventBus.subscribe('item.given', () => { throw new Error('broken subscriber'); });
+
+            const player = engine.addPlayer({ username: 'Listener' });
+            const itemId = engine.items.keys().next().value;
+            engine.giveItem(player.id, itemId);
+            engine.takeItem(player.id, itemId);
+            engine.assignQuest(player.id, 'welcome_quest');
+            engine.completeQuest(player.id, 'welcome_quest');
+            unsubscribe();
+            engine.step();
+
+            expect(seen.exact).toEqual(['welcome_quest']);
+            expect(seen.namespace).toEqual(['item.given', 'item.taken', 'item.given']); // The last one is the quest reward
+            expect(seen.all).toBeGreaterThan(5);
+        });
+
+        test('should record outside calls as commands but not their consequences', () => {
+            const engine = createEngine();
+            const player = engine.addPlayer({ username: 'Recorder' });
+            engine.startCombat(player.id, engine.npcs.keys().next().value);
+            engine.step(300);
+
+            const commands = engine.eventBus.log.getEvents({ types: ['command'] });
+            expect(commands.map(event => event.payload.name)).toEqual(['addPlayer', 'startCombat']);
+            const since = engine.eventBus.log.getEvents({ types: ['engine.started'] })[0].seq;
+            expect(engine.eventBus.log.getEvents({ since, types: ['player.created', 'combat.started', 'combat.ended'] }).length).toBe(3);
+            expect(engine.eventBus.log.getEvents({ types: ['combat.action'] }).length).toBeGreaterThan(0);
+            expect(engine.eventBus.log.getEvents({ types: ['world.advanced'] })).toEqual([
+                expect.objectContaining({ tick: 300, payload: { from: 0, to: 300 } })
+            ]);
+        });
+
+        test('should rebuild the same state by replaying the log onto a fresh engine', async () => {
+            const original = createEngine();
+            const player = original.addPlayer({ username: 'Replayed' });
+            original.step(10);
+            original.movePlayer(player.id, { x: 140, y: 160, z: 0 });
+            original.startCombat(player.id, original.npcs.keys().next().value);
+            original.step(200);
+            original.assignQuest(player.id, 'welcome_quest');
+            original.step(5);
+
+            const replayed = createEngine();
+            const result = await replayed.replay(original.eventBus.log.getEvents());
+
+            expect(result).toEqual({ success: true, commands: 4, tick: 215 });
+            expect(JSON.stringify(replayed.getGameState())).toBe(JSON.stringify(original.getGameState()));
+            expect((await replayed.replay(original.eventBus.log.getEvents())).error).toMatch(/fresh engine/);
+            expect((await createEngine({ seed: 'other' }).replay(original.eventBus.log.getEvents())).success).toBe(false);
+        });
+
+        test('should write the log as NDJSON and replay it from disk', async () => {
+            const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'shadowwatch-events-'));
+            const file = path.join(directory, 'events.ndjson');
+
+            try {
+                const original = createEngine({ eventLogFile: file });
+                const player = original.addPlayer({ username: 'Streamed' });
+                original.step(20);
+                original.removePlayer(player.id);
+                await original.closeEventLog();
+
+                const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+                expect(lines.length).toBe(original.eventBus.log.getEvents().length);
+                expect(JSON.parse(lines.at(-1))).toMatchObject({ type: 'player.removed', payload: { playerId: player.id } });
+
+                const replayed = createEngine();
+                expect(await replayed.replay(file)).toMatchObject({ success: true, commands: 2, tick: 20 });
+                expect(replayed.getPlayer(player.id)).toBeUndefined();
+                expect(replayed.players.size).toBe(original.players.size);
+            } finally {
+                fs.rmSync(directory, { recursive: true, force: true });
+            }
+        });
+    });
+
+    describe('Spatial Index', () => {
+        let engine;
+
+        beforeEach(() => {
+            engine = createEngine();
+        });
+
+        test('should answer radius and nearest queries like a linear scan', () => {
+            const origin = { x: 2200, y: 1400 };
+            const distance = (npc) => Math.hypot(npc.position.x - origin.x, npc.position.y - origin.y);
+            const npcs = Array.from(engine.npcs.values());
+
+            const expectedNearby = npcs.filter(npc => distance(npc) <= 800).map(npc => npc.id).sort();
+            const nearby = engine.getNearby(origin, 800, { kind: 'npc' }).map(npc => npc.id).sort();
+            expect(nearby).toEqual(expectedNearby);
+
+            const expectedNearest = npcs.reduce((best, npc) => distance(npc) < distance(best) ? npc : best);
+            expect(engine.spatial.nearestOfType(origin, 'npc')).toBe(expectedNearest);
+        });
+
+        test('should search each ring of cells by its edge only', () => {
+            const ring = (size) => {
+                const cells = [];
+                engine.spatial.forEachRingCell({ cx: 4, cy: -1 }, size, (cx, cy) => cells.push(`${cx},${cy}`));
+                return cells;
+            };
+
+            expect(ring(0)).toEqual(['4,-1']);
+            [1, 2, 5].forEach(size => {
+                const cells = ring(size);
+                expect(new Set(cells).size).toBe(8 * size);
+                expect(cells.every(cell => {
+                    const [cx, cy] = cell.split(',').map(Number);
+                    return Math.max(Math.abs(cx - 4), Math.abs(cy + 1)) === size;
+                })).toBe(true);
+            });
+        });
+
+        test('should filter rectangle queries by type', () => {
+            const items = engine.spatial.queryRect(engine.getZone('dungeon').bounds, { kind: 'item' });
+
+            expect(items.length).toBeGreaterThan(0);
+            items.forEach(item => expect(engine.getZone('dungeon').entities.has(item.id)).toBe(true));
+        });
+
+        test('should keep zone membership in sync and emit enter/leave events', () => {
+            const player = engine.createPlayer({ username: 'Walker' });
+            const events = [];
+            engine.spatial.on('zone_leave', event => events.push(['leave', event.zoneId]));
+            engine.spatial.on('zone_enter', event => events.push(['enter', event.zoneId]));
+
+            expect(engine.getZone('spawn').players).toContain(player.id);
+
+            engine.movePlayer(player.id, { x: 3500, y: 200, z: 0 });
+
+            expect(events).toEqual([['leave', 'spawn'], ['enter', 'city']]);
+            expect(player.zoneId).toBe('city');
+            expect(engine.getZone('spawn').players).not.toContain(player.id);
+            expect(engine.getZone('city').players).toContain(player.id);
+        });
+
+        test('should keep entities in their zone while inside an overlapping one', () => {
+            const player = engine.createPlayer({ username: 'Climber' });
+
+            engine.movePlayer(player.id, { x: 2500, y: 2200, z: 0 });
+            expect(player.zoneId).toBe('mountain');
+
+            // Still inside the mountain even though the arena covers this spot too
+            engine.movePlayer(player.id, { x: 2500, y: 1500, z: 0 });
+            expect(player.zoneId).toBe('mountain');
+        });
+    });
+
+    describe('Game Network', () => {
+        // Minimal stand-in for a socket.io namespace; room broadcasts land in io.broadcasts
+        const createFakeIO = () => {
+            const io = {
+                broadcasts: [],
+                on(event, handler) {
+                    this.onConnection = handler;
+                },
+                to(room) {
+                    return { emit: (event, data) => io.broadcasts.push({ room, event, data }) };
+                },
+                connect(id) {
+                    const socket = {
+                        id,
+                        handlers: {},
+                        sent: [],
+                        rooms: new Set(),
+                        on(event, handler) { this.handlers[event] = handler; },
+                        emit(event, data) { this.sent.push({ event, data }); },
+                        join(room) { this.rooms.add(room); },
+                        leave(room) { this.rooms.delete(room); },
+                        to: (room) => io.to(room),
+                        send(event, payload) {
+                            let result;
+                            this.handlers[event](payload, response => { result = response; });
+                            return result;
+                        }
+                    };
+                    io.onConnection(socket);
+                    return socket;
+                }
+            };
+            return io;
+        };
+
+        const createNetwork = (config = {}, options = {}) => {
+            const engine = createEngine(config);
+            const io = createFakeIO();
+            let time = 0;
+            const network = new GameNetwork(engine, io, { clock: () => time, ...options });
+            return { engine, io, network, advance: (ms) => { time += ms; } };
+        };
+
+        test('should validate usernames and enforce maxPlayers on join', () => {
+            const { io, network } = createNetwork({ maxPlayers: 2 });
+
+            expect(io.connect('s1').send('join', { username: '<script>' }).success).toBe(false);
+
+            const joined = io.connect('s2').send('join', { username: 'Alice' });
+            expect(joined.success).toBe(true);
+            expect(joined.self.id).toBe(joined.playerId);
+            expect(joined.self.inventory).toEqual([]);
+
+            expect(io.connect('s3').send('join', { username: 'Alice' }).error).toBe('Username already in use');
+            expect(io.connect('s4').send('join', { username: 'Bob' }).success).toBe(true);
+
+            const rejected = io.connect('s5');
+            expect(rejected.send('join', { username: 'Carol' }).error).toBe('Server is full');
+            expect(rejected.sent).toContainEqual({ event: 'action_rejected', data: { action: 'join', reason: 'Server is full' } });
+            expect(network.getStatus().online).toBe(2);
+        });
+
+        test('should only let the token holder rejoin an offline character', () => {
+            const { engine, io } = createNetwork();
+            const first = io.connect('s1');
+            const { playerId, token } = first.send('join', { username: 'Owner' });
+            first.handlers.disconnect();
+
+            expect(token).toMatch(/^[0-9a-f]{48}$/);
+            expect(engine.getPlayer(playerId).tokenHash).not.toContain(token);
+            expect(io.connect('s2').send('join', { username: 'Owner' }).error).toBe('Username is taken; rejoining needs its token');
+            expect(io.connect('s3').send('join', { username: 'Owner', token: 'f'.repeat(48) }).success).toBe(false);
+            expect(io.connect('s4').send('join', { username: 'DemoHero', token }).success).toBe(false);
+
+            const rejoined = io.connect('s5').send('join', { username: 'Owner', token });
+            expect(rejoined).toMatchObject({ success: true, playerId });
+            expect(rejoined.token).toBeUndefined();
+        });
+
+        test('should run NPC dialogues over the socket', () => {
+            const { engine, io } = createNetwork();
+            const socket = io.connect('s1');
+            const { playerId } = socket.send('join', { username: 'Talker' });
+            const trainer = engine.registerNPC({ ...engine.createNPC(engine.getZone('spawn')), npcType: 'trainer' });
+            engine.movePlayer(playerId, { ...trainer.position });
+
+            expect(socket.send('talk', { npcId: trainer.id }).success).toBe(true);
+            const view = socket.sent.filter(message => message.event === 'dialogue').pop().data;
+            expect(view).toMatchObject({ npcId: trainer.id, nodeId: 'greeting' });
+
+            expect(socket.send('dialogue_choice', { responseId: '0' }).error).toBe('Invalid response');
+            expect(socket.send('dialogue_choice', { responseId: view.responses[0].id }).actions[0].questId).toBe('welcome_quest');
+            expect(socket.sent.filter(message => message.event === 'dialogue').pop().data.nodeId).toBe('welcome');
+
+            expect(socket.send('dialogue_end').success).toBe(true);
+            expect(socket.sent).toContainEqual({ event: 'dialogue_end', data: { npcId: trainer.id } });
+            expect(socket.send('dialogue_end').error).toBe('Not talking to anyone');
+        });
+
+        test('should reject invalid and too fast movement', () => {
+            const { engine, io, advance } = createNetwork();
+            const socket = io.connect('s1');
+            const { playerId } = socket.send('join', { username: 'Runner' });
+
+            expect(socket.send('move', { x: '600', y: 500 }).error).toBe('Position must be numeric');
+            expect(socket.send('move', { x: -1, y: 500 }).error).toBe('Position is outside the world');
+
+            advance(1000);
+            expect(socket.send('move', { x: 2000, y: 500 }).error).toBe('Moving too fast');
+            expect(socket.send('move', { x: 1000, y: 500 }).success).toBe(true);
+            expect(engine.getPlayer(playerId).position.x).toBe(1000);
+        });
+
+        test('should refuse moves into zones the player may not enter', () => {
+            const { engine, io, network, advance } = createNetwork();
+            const socket = io.connect('s1');
+            const { playerId } = socket.send('join', { username: 'Soloist' });
+            engine.movePlayer(playerId, { x: 4990, y: 500, z: 0 });
+            const lastMoveAt = network.sessions.get('s1').lastMoveAt;
+
+            advance(1000);
+            const refused = socket.send('move', { x: 5100, y: 500 });
+
+            expect(refused).toEqual({ success: false, error: expect.stringContaining('requires a party') });
+            expect(engine.getPlayer(playerId).position).toMatchObject({ x: 4990, y: 500 });
+            expect(network.sessions.get('s1').lastMoveAt).toBe(lastMoveAt);
+            expect(socket.sent).toContainEqual({ event: 'action_rejected', data: { action: 'move', reason: refused.error } });
+        });
+
+        test('should start combat only against targets in range', () => {
+            const { engine, io } = createNetwork();
+            const socket = io.connect('s1');
+            const { playerId } = socket.send('join', { username: 'Fighter' });
+            const npc = engine.npcs.values().next().value;
+
+            npc.position = { x: 5000, y: 5000, z: 0 };
+            expect(socket.send('attack', { targetId: npc.id }).error).toBe('Target is out of range');
+
+            npc.position = { x: 550, y: 500, z: 0 };
+            expect(socket.send('attack', { targetId: npc.id }).success).toBe(true);
+            expect(engine.getCombatForEntity(playerId)).not.toBeNull();
+            expect(socket.send('move', { x: 510, y: 500 }).error).toBe('Cannot move during combat');
+            expect(socket.send('combat_action', { type: 'defend' }).success).toBe(true);
+        });
+
+        test('should sanitize and rate limit chat', () => {
+            const { io } = createNetwork({}, { chatBurst: 2 });
+            const socket = io.connect('s1');
+            socket.send('join', { username: 'Talker' });
+
+            expect(socket.send('chat', { message: '  hi\u0007 there ' }).success).toBe(true);
+            expect(io.broadcasts.find(b => b.event === 'chat_message').data.message).toBe('hi there');
+            expect(socket.send('chat', { message: 'x'.repeat(201) }).success).toBe(false);
+            expect(socket.send('chat', { message: 'again' }).success).toBe(true);
+            expect(socket.send('chat', { message: 'spam' }).error).toBe('Sending messages too quickly');
+        });
+
+        test('should send each player a snapshot, then only changed and removed entities', () => {
+            const { engine, io, network } = createNetwork({}, { fullSnapshotInterval: 100 });
+            const first = io.connect('s1');
+            const second = io.connect('s2');
+            const { playerId } = first.send('join', { username: 'First' });
+            const { playerId: otherId } = second.send('join', { username: 'Second' });
+
+            network.broadcastState();
+            const snapshot = first.sent.find(s => s.event === 'state_snapshot').data;
+            expect(snapshot.entities.players.map(p => p.id).sort()).toEqual([playerId, otherId].sort());
+            expect(first.sent.filter(s => s.event === 'player_state')).toHaveLength(1);
+
+            first.sent.length = 0;
+            network.broadcastState();
+            expect(first.sent).toEqual([]);
+
+            engine.getPlayer(playerId).stats.health = 40;
+            second.handlers.disconnect();
+            network.broadcastState();
+
+            const delta = first.sent.find(s => s.event === 'state_delta').data;
+            expect(delta.baseSequence).toBe(snapshot.sequence);
+            expect(delta.entities.players.map(p => p.id)).toEqual([playerId]);
+            expect(delta.removed.players).toEqual([otherId]);
+            expect(delta.entities.npcs).toBeUndefined();
+            expect(first.sent.filter(s => s.event === 'player_state')).toHaveLength(1);
+        });
+
+        test('should keep clients in step while only far away entities change', () => {
+            const { engine, io, network } = createNetwork({ interestRadius: 300 }, { fullSnapshotInterval: 1000 });
+            const socket = io.connect('s1');
+            const { playerId } = socket.send('join', { username: 'Hermit' });
+            const client = new GameStateClient({ playerId });
+            const far = engine.npcs.values().next().value;
+            far.position = { x: 9000, y: 9000, z: 0 };
+            engine.spatial.update(far);
+
+            const outcomes = [];
+            for (let i = 1; i <= 50; i++) {
+                far.stats.health = 50 + (i % 2);
+                if (i % 10 === 0) engine.getPlayer(playerId).stats.health = 100 - i;
+
+                socket.sent.length = 0;
+                network.broadcastState();
+                socket.sent
+                    .filter(message => message.event === 'state_snapshot' || message.event === 'state_delta')
+                    .forEach(message => outcomes.push(client.applyDelta(message.data)));
+            }
+
+            expect(outcomes.some(outcome => outcome.resync)).toBe(false);
+            expect(outcomes).toHaveLength(6); // The snapshot and one delta per health change
+            expect(client.get('players', playerId).health).toBe(50);
+        });
+
+        test('should echo acknowledged move inputs for client reconciliation', () => {
+            const { io, network, advance } = createNetwork();
+            const socket = io.connect('s1');
+            const { playerId } = socket.send('join', { username: 'Predictor' });
+            const client = new GameStateClient({ playerId });
+
+            advance(1000);
+            socket.send('move', client.predictMove({ x: 600, y: 500 }));
+            expect(socket.send('move', client.predictMove({ x: 5000, y: 500 })).error).toBe('Moving too fast');
+            expect(client.getPlayerPosition()).toEqual({ x: 5000, y: 500 });
+
+            network.broadcastState();
+            const snapshot = socket.sent.find(s => s.event === 'state_snapshot').data;
+            expect(client.applyDelta(snapshot).applied).toBe(true);
+            expect(snapshot.inputSeq).toBe(2);
+            expect(client.pendingInputs).toEqual([]);
+            expect(client.getPlayerPosition()).toMatchObject({ x: 600, y: 500 });
+
+            client.predictMove({ x: 650, y: 500 });
+            expect(client.getPlayerPosition()).toEqual({ x: 650, y: 500 });
+        });
+
+        test('should serve joins and state over a real socket.io namespace', async () => {
+            const engine = createEngine();
+            const httpServer = http.createServer();
+            const io = new SocketServer(httpServer);
+            const network = new GameNetwork(engine, io.of('/game'), { stateRate: 50 });
+            await new Promise(resolve => httpServer.listen(0, resolve));
+
+            const client = ioClient(`http://localhost:${httpServer.address().port}/game`, { transports: ['websocket'] });
+            try {
+                const joined = await new Promise(resolve => client.emit('join', { username: 'Remote' }, resolve));
+                expect(joined.success).toBe(true);
+
+                const snapshot = new Promise(resolve => client.once('state_snapshot', resolve));
+                network.start();
+                expect((await snapshot).entities.players[0].username).toBe('Remote');
+            } finally {
+                network.stop();
+                client.close();
+                io.close();
+                await new Promise(resolve => httpServer.close(resolve));
+            }
+        });
+    });
+
+    describe('State Sync', () => {
+        test('should stamp changed entities with a new sequence', () => {
+            const engine = createEngine();
+            const player = engine.createPlayer({ username: 'Dirty' });
+
+            const first = engine.stateSync.commit();
+            expect(engine.stateSync.commit()).toBe(first);
+            expect(engine.stateSync.getDirty('players')).toEqual([]);
+
+            engine.movePlayer(player.id, { x: 520, y: 500, z: 0 });
+            expect(engine.stateSync.commit()).toBe(first + 1);
+            expect(engine.stateSync.getDirty('players')).toEqual([player.id]);
+            expect(engine.stateSync.getDirty('npcs')).toEqual([]);
+        });
+
+        test('should only send entities within interest range', () => {
+            const engine = createEngine({ interestRadius: 500 });
+            const player = engine.createPlayer({ username: 'Viewer' });
+            const npc = engine.npcs.values().next().value;
+            npc.position = { x: 9000, y: 9000, z: 0 };
+            engine.spatial.update(npc);
+
+            const snapshot = engine.getStateDelta(player.id);
+            expect(snapshot.full).toBe(true);
+            expect((snapshot.entities.npcs || []).map(n => n.id)).not.toContain(npc.id);
+            expect(snapshot.entities.zones).toHaveLength(engine.zones.size);
+            expect(snapshot.entities.quests).toHaveLength(engine.quests.size);
+
+            npc.position = { x: 600, y: 500, z: 0 };
+            engine.spatial.update(npc);
+            const entered = engine.getStateDelta(player.id);
+            expect(entered.baseSequence).toBe(snapshot.sequence);
+            expect(entered.entities.npcs.map(n => n.id)).toContain(npc.id);
+            expect(entered.entities.zones).toBeUndefined();
+
+            // The far edge of the city; the raid zone beyond it needs a party
+            engine.movePlayer(player.id, { x: 4900, y: 500, z: 0 });
+            expect(engine.getStateDelta(player.id).removed.npcs).toContain(npc.id);
+        });
+
+        test('should mirror deltas on the client and request a resync on gaps', () => {
+            const engine = createEngine();
+            const player = engine.createPlayer({ username: 'Mirror' });
+            const client = new GameStateClient({ playerId: player.id });
+
+            client.applyDelta(engine.getStateDelta(player.id));
+            expect(client.get('players', player.id).health).toBe(100);
+
+            player.stats.health = 70;
+            client.applyDelta(engine.getStateDelta(player.id));
+            expect(client.get('players', player.id).health).toBe(70);
+            expect(client.list('zones')).toHaveLength(engine.zones.size);
+
+            player.stats.health = 60;
+            engine.getStateDelta(player.id); // lost in transit
+            player.stats.health = 50;
+            expect(client.applyDelta(engine.getStateDelta(player.id))).toEqual({ applied: false, resync: true });
+
+            expect(client.applyDelta(engine.getStateDelta(player.id, { full: true })).applied).toBe(true);
+            expect(client.get('players', player.id).health).toBe(50);
+        });
+    });
+
+    describe('Persistence', () => {
+        test('should let overlapping file saves to one slot each finish whole', async () => {
+            const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'shadowwatch-saves-'));
+            const adapter = new FileSaveAdapter({ directory });
+            const engine = createEngine({ persistenceAdapter: adapter });
+
+            const saves = [1, 2, 3].map(tick => {
+                engine.tickCount = tick;
+                return adapter.save('slot1', engine.persistence.createSnapshot());
+            });
+            await Promise.all(saves);
+
+            expect(fs.readdirSync(directory)).toEqual(['slot1.json']);
+            expect((await adapter.load('slot1')).tick).toBe(3);
+            fs.rmSync(directory, { recursive: true, force: true });
+        });
+
+        test('should save and load the world', async () => {
+            const adapter = new MemorySaveAdapter();
+            const engine = createEngine({ persistenceAdapter: adapter });
+            const player = engine.createPlayer({ username: 'Saver' });
+            engine.gameWorld.time = { day: 4, hour: 18, minute: 30 };
+            await engine.saveGame('slot1');
+
+            const restored = createEngine({ seed: 'other', persistenceAdapter: adapter });
+            expect(await restored.loadGame('slot1')).toBe(true);
+
+            expect(restored.getPlayer(player.id).username).toBe('Saver');
+            expect(restored.gameWorld.time).toEqual({ day: 4, hour: 18, minute: 30 });
+            expect(restored.getZone('forest').entities).toBeInstanceOf(Map);
+            expect(restored.getZone('forest').entities.size).toBe(engine.getZone('forest').entities.size);
+            expect(restored.gameWorld.zones.get('forest')).toBe(restored.getZone('forest'));
+        });
+
+        test('should carry the tick count across a load so invites still expire', async () => {
+            const adapter = new MemorySaveAdapter();
+            const engine = createEngine({ persistenceAdapter: adapter });
+            const founder = engine.createPlayer({ username: 'Founder' });
+            const recruit = engine.createPlayer({ username: 'Recruit' });
+            founder.stats.gold = 500;
+            const { guild } = engine.createGuild(founder.id, 'Night Watch');
+
+            engine.tickCount = 50000;
+            engine.inviteToGuild(founder.id, recruit.id);
+            engine.tickCount = 100000;
+            await engine.saveGame('slot1');
+
+            const restored = createEngine({ persistenceAdapter: adapter });
+            await restored.loadGame('slot1');
+
+            expect(restored.tickCount).toBe(100000);
+            expect(restored.acceptGuildInvite(recruit.id, guild.id).error).toBe('Invite has expired');
+        });
+
+        test('should report a missing save slot', async () => {
+            expect(await createEngine().loadGame('missing')).toBe(false);
+        });
+
+        test('should migrate unversioned saves', () => {
+            const legacy = {
+                world: { id: 'world', time: { day: 2, hour: 0, minute: 0 }, zones: {} },
+                players: [['p1', { id: 'p1', username: 'Old' }]],
+                npcs: [],
+                items: [],
+                quests: [['q1', { id: 'q1', objectives: ['Talk to someone'] }]],
+                zones: [['spawn', { id: 'spawn', entities: {}, items: ['lost'] }]],
+                timestamp: '2024-01-01T00:00:00.000Z'
+            };
+
+            const migrated = migrateSnapshot(legacy);
+
+            expect(migrated.version).toBe(SAVE_SCHEMA_VERSION);
+            expect(migrated.players[0]).toMatchObject({ id: 'p1', username: 'Old', questProgress: {}, completedQuests: [] });
+            expect(migrated.quests[0].objectives[0]).toMatchObject({ type: 'custom', description: 'Talk to someone' });
+            expect(migrated.zones[0].entities).toBeInstanceOf(Map);
+            expect(migrated.zones[0].items).toEqual([]);
+        });
+
+        test('should reject saves from a newer schema', () => {
+            expect(() => migrateSnapshot({ version: SAVE_SCHEMA_VERSION + 1 })).toThrow('newer than supported');
+        });
+    });
+
+    describe('Command Scripts', () => {
+        test('should keep quoted arguments together', () => {
+            expect(parseCommandLine('create-player "Sir Bob"')).toEqual(['create-player', 'Sir Bob']);
+            expect(parseCommandLine("  guild  create Bob 'The Night\\'s Watch' ")).toEqual(['guild', 'create', 'Bob', "The Night's Watch"]);
+            expect(parseCommandLine('talk "" 1')).toEqual(['talk', '', '1']);
+            expect(() => parseCommandLine('create-player "Sir Bob')).toThrow('Unterminated " quote');
+        });
+
+        test('should skip blank lines and comments but keep line numbers', () => {
+            const commands = parseScript('# Arena scenario\ncreate-player Alice\n\n  wait 60  \r\n# done\n');
+
+            expect(commands).toEqual([
+                { line: 2, text: 'create-player Alice' },
+                { line: 4, text: 'wait 60' }
+            ]);
+        });
+
+        test('should check world state with paths and operators', () => {
+            const engine = createEngine();
+            const player = engine.createPlayer({ username: 'Sir Bob' });
+            engine.giveItem(player.id, 'health_potion');
+            engine.step(30);
+            const context = createAssertionContext(engine);
+
+            expect(evaluateAssertion(['players.Sir Bob.stats.level', '==', '1'], context)).toEqual({ success: true, actual: 1 });
+            expect(evaluateAssertion(['players.Sir Bob.inventory', 'contains', 'health_potion'], context).success).toBe(true);
+            expect(evaluateAssertion(['players.length', '>=', '1'], context).success).toBe(true);
+            expect(evaluateAssertion(['tick', '==', '30'], context).success).toBe(true);
+            expect(evaluateAssertion([`zones.${player.zoneId}.players`, 'contains', player.id], context).success).toBe(true);
+            expect(evaluateAssertion(['players.Sir Bob'], context)).toEqual({ success: true, actual: player.id });
+        });
+
+        test('should explain failed assertions', () => {
+            const engine = createEngine();
+            engine.createPlayer({ username: 'Alice' });
+            const context = createAssertionContext(engine);
+
+            expect(evaluateAssertion(['players.Alice.stats.gold', '>', '1000000'], context)).toMatchObject({
+                success: false,
+                error: expect.stringMatching(/^Assertion failed: players\.Alice\.stats\.gold > 1000000 \(actual: \d+\)$/)
+            });
+            expect(evaluateAssertion(['players.Nobody'], context).error).toBe('Assertion failed: players.Nobody (actual: null)');
+            expect(evaluateAssertion(['players.Alice.stats.level', '=~', '1'], context).error).toContain('Operator must be one of');
+            expect(evaluateAssertion(['players.Alice.stats.level', '=='], context).error).toBe('Usage: assert <path> [<operator> <value>]');
+        });
+
+        describe('game runner --script', () => {
+            let directory;
+
+            // Runs the real runner in its own process; script mode needs no database or cache
+            const runScript = (lines, args = []) => {
+                const file = path.join(directory, 'scenario.swg');
+                fs.writeFileSync(file, lines.join('\n'));
+                const { status, stdout } = spawnSync(process.execPath, [RUNNER, '--script', file, '--json', '--seed', 'ci', ...args], {
+                    cwd: directory,
+                    encoding: 'utf8',
+                    timeout: 60000
+                });
+                return { status, results: stdout.trim().split('\n').filter(Boolean).map(line => JSON.parse(line)) };
+            };
+
+            beforeEach(() => {
+                directory = fs.mkdtempSync(path.join(os.tmpdir(), 'shadowwatch-script-'));
+            });
+
+            afterEach(() => {
+                fs.rmSync(directory, { recursive: true, force: true });
+            });
+
+            test('should print one JSON result per command and exit 0 when all pass', () => {
+                const { status, results } = runScript([
+                    '# Smoke test',
+                    'create-player "Sir Bob"',
+                    'wait 60',
+                    'assert "players.Sir Bob.stats.health" > 0',
+                    'assert tick == 60'
+                ]);
+
+                expect(status).toBe(0);
+                expect(results.map(result => [result.line, result.command, result.success])).toEqual([
+                    [2, 'create-player', true],
+                    [3, 'wait', true],
+                    [4, 'assert', true],
+                    [5, 'assert', true]
+                ]);
+                expect(results[0].args).toEqual(['Sir Bob']);
+                expect(results[1].tick).toBe(60);
+            });
+
+            test('should report statistics and AI status without a database', () => {
+                const { status, results } = runScript(['create-player Alice', 'stats', 'ai-status']);
+
+                expect(status).toBe(0);
+                expect(results.map(result => [result.command, result.success])).toEqual([
+                    ['create-player', true],
+                    ['stats', true],
+                    ['ai-status', true]
+                ]);
+                expect(results[1].statistics.aiStatus).toMatchObject({ activeAgents: 3, autonomousTasks: 3 });
+                expect(results[2].aiStatus.connections).toEqual({ database: 'disconnected', redis: 'disconnected' });
+                expect(results[2].aiStatus.worldStatus).toMatchObject({ players: results[1].statistics.players, weather: 'clear' });
+            });
+
+            test('should stop at a failed assertion and exit 1', () => {
+                const { status, results } = runScript(['create-player Alice', 'assert players.Alice.stats.level > 5', 'wait 60']);
+
+                expect(status).toBe(1);
+                expect(results).toHaveLength(2);
+                expect(results[1]).toMatchObject({ line: 2, command: 'assert', success: false, actual: 1 });
+            });
+
+            test('should exit 2 for a missing script or a flag without a value', () => {
+                const missing = spawnSync(process.execPath, [RUNNER, '--script', path.join(directory, 'missing.swg'), '--json'], { cwd: directory, encoding: 'utf8', timeout: 60000 });
+                const noValue = spawnSync(process.execPath, [RUNNER, '--script', '--json'], { cwd: directory, encoding: 'utf8', timeout: 60000 });
+
+                expect(missing.status).toBe(2);
+                expect(missing.stdout).toBe('');
+                expect(noValue.status).toBe(2);
+                expect(noValue.stderr).toContain('--script needs a value');
+            });
+        });
+    });
+
+    describe('Dashboard', () => {
+        const createTerminal = () => ({
+            isTTY: true,
+            rows: 50,
+            columns: 120,
+            written: '',
+            write(text) { this.written += text; },
+            on() {},
+            off() {}
+        });
+
+        const createDashboard = (engine, terminal = createTerminal()) => new Dashboard({
+            gameEngine: engine,
+            onGameEvent: (pattern, handler) => engine.eventBus.subscribe(pattern, handler),
+            getAIStatus: () => ({ activeAgents: 3, processedDecisions: 7, autonomousTasks: 3 })
+        }, { output: terminal });
+
+        test('should draw bars and sparklines', () => {
+            expect(renderBar(30, 100, 10)).toBe('███░░░░░░░');
+            expect(renderBar(150, 100, 4)).toBe('████');
+            expect(renderBar(5, 0, 4)).toBe('░░░░');
+            expect(renderSparkline([0, 4, 8], 3)).toBe(' ▄█');
+            expect(renderSparkline([1, 2], 4)).toBe('  ▄█');
+        });
+
+        test('should map zones and entity density', () => {
+            const zones = [
+                { id: 'west', bounds: { x: 0, y: 0, width: 100, height: 100 } },
+                { id: 'east', bounds: { x: 100, y: 0, width: 100, height: 100 } }
+            ];
+            const entities = [
+                { position: { x: 10, y: 10 }, isPlayer: true },
+                { position: { x: 150, y: 60 }, isPlayer: false },
+                { position: { x: 160, y: 70 }, isPlayer: false }
+            ];
+
+            const { rows, letters } = renderZoneMap(zones, entities, 4, 2);
+
+            expect(letters).toEqual(new Map([['west', 'a'], ['east', 'b']]));
+            expect(rows).toEqual(['@abb', 'aab2']);
+        });
+
+        test('should render every panel of a running world', () => {
+            const engine = createEngine();
+            const dashboard = createDashboard(engine);
+            dashboard.start();
+
+            const player = engine.createPlayer({ username: 'Alice' });
+            engine.startCombat(player.id, engine.npcs.keys().next().value);
+            engine.step(5);
+            const screen = dashboard.render(120).join('\n');
+            dashboard.stop();
+
+            expect(screen).toContain('tick 5');
+            expect(screen).toMatch(/\d+ players, \d+ NPCs/);
+            expect(screen).toContain('Crystal Sanctuary');
+            expect(screen).toContain('COMBATS (1)');
+            expect(screen).toMatch(/Alice\s+█+░*\s+\d+\/\d+/);
+            expect(screen).toContain('combat.started');
+            expect(screen).toContain('AI');
+            expect(screen).toContain('agents 3, decisions 7, tasks 3');
+        });
+
+        test('should keep a fixed height and give the rest of the screen to the prompt', () => {
+            const engine = createEngine();
+            const terminal = createTerminal();
+            const dashboard = createDashboard(engine, terminal);
+            const height = dashboard.render().length;
+
+            engine.startCombat(engine.createPlayer({ username: 'Bob' }).id, engine.npcs.keys().next().value);
+            expect(dashboard.render().length).toBe(height);
+
+            expect(dashboard.start()).toEqual({ success: true });
+            expect(dashboard.start().success).toBe(false);
+            expect(terminal.written).toContain(`\x1b[${height + 2};50r`);
+            dashboard.stop();
+
+            expect(terminal.written.endsWith('\x1b[r\x1b[?1049l')).toBe(true);
+            expect(engine.eventBus.subscribers.get('*').size).toBe(0);
+        });
+
+        test('should refuse to start without a terminal', () => {
+            const dashboard = createDashboard(createEngine(), { ...createTerminal(), isTTY: false });
+
+            expect(dashboard.start()).toEqual({ success: false, error: 'The dashboard needs an interactive terminal' });
+        });
+    });
+
+    describe('Tick Profiler', () => {
+        const SUBSYSTEMS = ['time', 'physics', 'combat', 'loot', 'npcs', 'events', 'zones', 'plugins'];
+
+        test('should compute nearest-rank percentiles', () => {
+            const samples = Array.from({ length: 100 }, (_, i) => i + 1);
+
+            expect(percentile(samples, 50)).toBe(50);
+            expect(percentile(samples, 99)).toBe(99);
+            expect(percentile([], 95)).toBe(0);
+            expect(summarize([3, 1, 2])).toEqual({ count: 3, mean: 2, p50: 2, p95: 3, p99: 3, max: 3 });
+        });
+
+        test('should time every subsystem and report percentiles in getStatistics()', () => {
+            const engine = createEngine();
+            engine.step(120);
+
+            const { profile } = engine.getStatistics();
+
+            expect(profile.ticks).toBe(120);
+            expect(profile.tick.count).toBe(120);
+            expect(Object.keys(profile.sections)).toEqual(expect.arrayContaining([...SUBSYSTEMS, 'ai']));
+            expect(profile.sections.ai.count).toBe(20);
+            SUBSYSTEMS.forEach(name => {
+                expect(profile.sections[name]).toMatchObject({ count: 120 });
+                expect(profile.sections[name].p99).toBeGreaterThanOrEqual(profile.sections[name].p50);
+            });
+            expect(profile.budgetMs).toBeCloseTo(1000 / 60);
+        });
+
+        test('should count ticks that overrun the budget', () => {
+            const engine = createEngine({ tickBudgetMs: 0 });
+            engine.step(10);
+
+            const profile = engine.profiler.getSummary();
+            expect(profile.overruns).toBe(10);
+            expect(profile.overrunRate).toBe(1);
+            expect(profile.worstOverrun.duration).toBe(profile.tick.max);
+
+            engine.profiler.reset();
+            expect(engine.profiler.getSummary()).toMatchObject({ ticks: 0, overruns: 0, worstOverrun: null });
+        });
+
+        test('should slow AI updates while ticks overrun and restore them once they fit', () => {
+            const engine = createEngine({ tickBudgetMs: 0, adaptiveAI: true });
+            const changes = [];
+            engine.eventBus.subscribe('profiler.ai_stride_changed', event => changes.push(event.payload));
+
+            engine.step(180);
+            expect(engine.profiler.aiStride).toBe(8);
+
+            engine.profiler.options.budgetMs = Infinity;
+            engine.step(180);
+            expect(engine.profiler.aiStride).toBe(1);
+
+            expect(changes.map(change => [change.previous, change.stride])).toEqual([[1, 2], [2, 4], [4, 8], [8, 4], [4, 2], [2, 1]]);
+            expect(changes[0]).toMatchObject({ overrunRate: 1, budgetMs: 0 });
+            expect(console.log).not.toHaveBeenCalledWith(expect.stringContaining('AI now updates'));
+        });
+
+        test('should stride AI updates in the real-time loop only', () => {
+            const adaptive = createEngine({ tickBudgetMs: 0, adaptiveAI: true });
+            const plain = createEngine();
+            const adaptiveAI = jest.spyOn(adaptive, 'updateAI');
+            const plainAI = jest.spyOn(plain, 'updateAI');
+
+            adaptive.step(180);
+            plain.step(180);
+            expect(adaptive.profiler.aiStride).toBe(8);
+            expect(adaptiveAI.mock.calls.length).toBe(plainAI.mock.calls.length);
+
+            jest.useFakeTimers();
+            const live = createEngine({ headless: false }); // Starts its loop on the fake timers
+            const liveAI = jest.spyOn(live, 'updateAI');
+            live.profiler.aiStride = 4;
+            jest.advanceTimersByTime(live.config.aiUpdateInterval * 8);
+            live.stopGameLoop();
+            jest.useRealTimers();
+
+            expect(liveAI).toHaveBeenCalledTimes(2);
+        });
+
+        test('should write a Chrome trace of ticks, subsystems and GC pauses', async () => {
+            const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'shadowwatch-trace-')), 'trace.json');
+            const engine = createEngine();
+            engine.step(5);
+            engine.profiler.startTrace();
+            engine.step(6);
+            engine.profiler.recordGC(1.5, 0);
+
+            await engine.saveProfileTrace(file);
+            const { traceEvents } = JSON.parse(fs.readFileSync(file, 'utf8'));
+            const ticks = traceEvents.filter(event => event.name === 'tick');
+            const physics = traceEvents.filter(event => event.name === 'physics');
+
+            expect(ticks.map(event => event.args.tick)).toEqual([6, 7, 8, 9, 10, 11]);
+            expect(physics).toHaveLength(6);
+            expect(physics[0].ts).toBeGreaterThanOrEqual(ticks[0].ts);
+            expect(physics[0]).toMatchObject({ ph: 'X', cat: 'tick', tid: ticks[0].tid });
+            expect(traceEvents.filter(event => event.name === 'ai')).toHaveLength(1);
+            expect(traceEvents).toContainEqual(expect.objectContaining({ name: 'gc', dur: 1500, cat: 'gc' }));
+            expect(traceEvents).toContainEqual(expect.objectContaining({ ph: 'M', name: 'thread_name', args: { name: 'tick' } }));
+            expect(engine.profiler.getSummary().gc).toMatchObject({ count: 1, max: 1.5 });
+            await expect(createEngine().saveProfileTrace()).rejects.toThrow('No trace file given');
+        });
+    });
+
+    describe('Zone Sharding', () => {
+        const engines = [];
+        const createShardedEngine = (zoneWorkers) => {
+            const engine = createEngine({ zoneWorkers });
+            engines.push(engine);
+            return engine;
+        };
+
+        afterEach(async () => {
+            await Promise.all(engines.splice(0).map(engine => engine.shards.close()));
+        });
+
+        test('should simulate the same world whatever the number of workers', () => {
+            const run = (workers) => {
+                const engine = createShardedEngine(workers);
+                const player = engine.createPlayer({ username: 'Sharded' });
+                engine.movePlayer(player.id, { x: 1500, y: 500, z: 0 });
+                engine.step(300);
+                return JSON.stringify(engine.getGameState().npcs.map(npc => [npc.id, npc.position, npc.stats.health, npc.brain]));
+            };
+
+            const single = run(1);
+            expect(run(3)).toBe(single);
+            expect(run(3)).toBe(single);
+            expect(engines[1].getStatistics().shards).toMatchObject({ workers: 3, running: 3, batches: expect.any(Number) });
+            expect(engines[1].getStatistics().shards.thinks).toBeGreaterThan(0);
+        });
+
+        test('should run the zones of a failed shard on the main thread without changing the outcome', async () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            const run = async (crash) => {
+                const engine = createShardedEngine(2);
+                engine.step(60);
+                if (crash) {
+                    const exited = new Promise(resolve => engine.shards.shards[1].worker.once('exit', resolve));
+                    await engine.shards.shards[1].worker.terminate();
+                    await exited;
+                }
+                engine.step(240);
+                return engine;
+            };
+            const state = engine => JSON.stringify(engine.getGameState().npcs.map(npc => [npc.id, npc.position, npc.stats.health, npc.brain]));
+
+            const healthy = await run(false);
+            const crashed = await run(true);
+
+            expect(state(crashed)).toBe(state(healthy));
+            expect(crashed.getStatistics().shards).toMatchObject({ running: 1, failures: 1 });
+        });
+
+        test('should keep heals given earlier in the batch when merging the patient', () => {
+            const engine = createShardedEngine(2);
+            const [healer, patient] = Array.from(engine.npcs.values());
+            patient.stats.health = 10;
+            const result = (npc, intents) => ({ id: npc.id, position: { ...npc.position }, healthChange: 0, brain: npc.brain, intents });
+
+            engine.shards.apply(result(healer, [{ type: 'heal', npcId: patient.id }]));
+            engine.shards.apply(result(patient, []));
+            expect(patient.stats.health).toBe(patient.stats.maxHealth);
+
+            patient.stats.health = 10;
+            engine.shards.apply({ ...result(patient, []), healthChange: 25 });
+            expect(patient.stats.health).toBe(35);
+        });
+
+        test('should give up on a shard that does not answer in time', () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            const engine = createShardedEngine(1);
+            engine.shards.start();
+            // Stop the worker from seeing jobs, as if it were stuck
+            engine.shards.shards[0].port.postMessage = () => {};
+            engine.shards.options.timeoutMs = 20;
+
+            expect(() => engine.step(60)).not.toThrow();
+            expect(engine.getStatistics().shards).toMatchObject({ running: 0, failures: 1, batches: expect.any(Number) });
+            expect(engine.getStatistics().shards.batches).toBeGreaterThan(1);
+        });
+
+        test('should assign zones to shards round-robin in zone order', () => {
+            const engine = createShardedEngine(3);
+            engine.step(30);
+
+            expect(engine.getGameState().shards).toEqual({
+                workers: 3,
+                zones: { spawn: 0, arena: 1, forest: 2, mountain: 0, city: 1, dungeon: 2, sky: 0 }
+            });
+            expect(createEngine().getGameState().shards).toBeUndefined();
+        });
+
+        test('should turn brain decisions into intents for the main thread', () => {
+            const zone = { id: 'arena', type: 'combat', bounds: { x: 0, y: 0, width: 1000, height: 1000 }, limits: { x: [0, 990], y: [0, 990] } };
+            const entity = (id, kind, x, extra = {}) => ({ id, kind, zoneId: 'arena', position: { x, y: 500, z: 0 }, stats: { health: 100, maxHealth: 100 }, ...extra });
+            const job = (hour, isNight, thinkers) => ({
+                tick: 30,
+                salt: 1,
+                zones: [{
+                    zone,
+                    environment: { hour, isNight, modifiers: { visibility: 1, movement: 1, weather: 'clear' } },
+                    entities: [
+                        entity('gladiator', 'npc', 500, { npcType: 'gladiator' }),
+                        entity('smith', 'npc', 700, { npcType: 'weaponsmith' }),
+                        entity('hero', 'player', 550)
+                    ],
+                    combatants: [],
+                    thinkers
+                }]
+            });
+            const options = { thinkTicks: 30, tickRate: 60, trees: {} };
+
+            const [gladiator, smith] = simulateZones(job(22, true, [
+                { id: 'gladiator', behavior: 'fighting', brain: null, hasShop: false },
+                { id: 'smith', behavior: 'trading', brain: null, hasShop: true }
+            ]), options).zones[0].npcs;
+
+            expect(gladiator).toMatchObject({ status: 'success', intents: [{ type: 'startCombat', targetId: 'hero' }] });
+            expect(gladiator.brain.lastAction).toBe('aggro');
+            expect(smith.intents).toEqual([{ type: 'setShopOpen', open: false }]);
+
+            const [daySmith] = simulateZones(job(10, false, [{ id: 'smith', behavior: 'trading', brain: null, hasShop: true }]), options).zones[0].npcs;
+            expect(daySmith.intents).toEqual([{ type: 'setShopOpen', open: true }, { type: 'restock' }]);
+        });
+
+        test('should start the combats shard brains ask for', () => {
+            const engine = createShardedEngine(2);
+            const gladiator = engine.registerNPC(engine.createNPC(engine.getZone('arena'), 'gladiator'));
+            const player = engine.createPlayer({ username: 'Challenger' });
+            engine.movePlayer(player.id, { ...gladiator.position, x: gladiator.position.x + 50 });
+
+            engine.step(60);
+
+            const combat = engine.getCombatForEntity(player.id);
+            expect(combat).toBeTruthy();
+            expect(combat.participants.map(participant => participant.id)).toEqual(expect.arrayContaining([player.id]));
+            expect(engine.eventBus.log.getEvents({ types: ['combat.started'] }).length).toBeGreaterThan(0);
+        });
+
+        test('should send players near a border and healers everywhere to a zone\'s shard', () => {
+            const engine = createShardedEngine(2);
+            const healer = engine.registerNPC(engine.createNPC(engine.getZone('city'), 'healer'));
+            const player = engine.createPlayer({ username: 'Borderline' });
+            engine.movePlayer(player.id, { x: 950, y: 500, z: 0 });
+
+            const snapshot = engine.shards.snapshotZone(engine.getZone('arena'), []);
+            const ids = snapshot.entities.map(entity => entity.id);
+
+            expect(player.zoneId).toBe('spawn');
+            expect(snapshot.entities.find(entity => entity.id === player.id)).toMatchObject({ kind: 'player', zoneId: 'spawn' });
+            expect(ids).toContain(healer.id);
+            expect(snapshot.zone.limits).toEqual(engine.physics.getZoneLimits(engine.getZone('arena').bounds));
+        });
+    });
+});